@@ -120,6 +120,287 @@ function showAlert(type, message) {
     });
 }
 
+/* Request layer */
+// Shared request helpers for the bulk runners and the media library actions, for
+// admin-ajax.php and the awp-io/v1 REST API.
+// Network errors, timeouts and 5xx responses are retried with exponential backoff,
+// while errors reported by the server (e.g. an invalid API key) are fatal.
+// A request that is not idempotent, e.g. optimizing an image, may have done its
+// work before a timeout or a fatal error, so it is only retried when the server
+// did not process it (429, 502, 503, 504 or no connection).
+var awpIoRequest, awpIoApi;
+
+(function($) {
+    const defaults = {
+        maxRetries: 5,
+        baseDelay: 1000,
+        maxDelay: 30000
+    };
+
+    function getSettings() {
+        return Object.assign({}, defaults, (typeof wpeio_data !== 'undefined' && wpeio_data.retry) || {});
+    }
+
+    function isTransientFailure(xhr, status, idempotent) {
+        if (status === 'abort') {
+            return false;
+        }
+
+        // A PHP timeout or fatal error can also end up as a truncated or HTML response.
+        if (status === 'timeout' || status === 'parsererror') {
+            return idempotent;
+        }
+
+        if (xhr.status === 0 || xhr.status === 429) {
+            return true;
+        }
+
+        return idempotent ? xhr.status >= 500 : [502, 503, 504].indexOf(xhr.status) !== -1;
+    }
+
+    function getDelay(settings, attempt) {
+        const delay = Math.min(settings.maxDelay, settings.baseDelay * Math.pow(2, attempt - 1));
+
+        // Add some jitter so parallel requests do not retry at the same moment.
+        return Math.round(delay * (0.75 + Math.random() * 0.5));
+    }
+
+    function describeFailure(xhr, status, error) {
+        if (status === 'timeout') {
+            return 'Request timed out';
+        }
+
+        if (xhr.status === 0) {
+            return (typeof wpeio_data !== 'undefined' && wpeio_data.i18n.networkError) || 'Network error occurred';
+        }
+
+        return 'Request failed with status ' + xhr.status + (error ? ' (' + error + ')' : '');
+    }
+
+    function rejectWithServerError(deferred, message, data) {
+        deferred.reject({
+            message: message,
+            fatal: true,
+            invalidApiKey: /invalid api key/i.test(message),
+            data: data
+        });
+    }
+
+    function send(ajaxSettings, handleResponse, options) {
+        const settings = getSettings();
+        const deferred = $.Deferred();
+        let attempt = 0;
+
+        options = options || {};
+
+        function sendRequest() {
+            $.ajax($.extend({
+                timeout: options.timeout || 0
+            }, ajaxSettings)).done(function(response) {
+                handleResponse(response, deferred);
+            }).fail(function(xhr, status, error) {
+                const message = describeFailure(xhr, status, error);
+
+                const isTransient = isTransientFailure(xhr, status, options.idempotent !== false);
+
+                // The REST API reports errors with a 4xx status and a JSON body.
+                if (!isTransient && xhr.responseJSON && xhr.responseJSON.message) {
+                    rejectWithServerError(deferred, xhr.responseJSON.message, xhr.responseJSON.data || null);
+                    return;
+                }
+
+                if (!isTransient || attempt >= settings.maxRetries) {
+                    deferred.reject({
+                        message: attempt > 0 ? message + ` (gave up after ${attempt} retries)` : message,
+                        fatal: false,
+                        invalidApiKey: false,
+                        data: null
+                    });
+                    return;
+                }
+
+                attempt++;
+                waitAndRetry(getDelay(settings, attempt), message);
+            });
+        }
+
+        function waitAndRetry(delay, message) {
+            let seconds = Math.ceil(delay / 1000);
+
+            const notify = function() {
+                if (options.onRetry) {
+                    options.onRetry({
+                        attempt: attempt,
+                        maxRetries: settings.maxRetries,
+                        seconds: seconds,
+                        message: message
+                    });
+                }
+            };
+
+            notify();
+            const countdown = setInterval(function() {
+                seconds = Math.max(0, seconds - 1);
+                notify();
+            }, 1000);
+
+            setTimeout(function() {
+                clearInterval(countdown);
+                sendRequest();
+            }, delay);
+        }
+
+        sendRequest();
+
+        return deferred.promise();
+    }
+
+    /**
+     * Send a POST request to admin-ajax.php.
+     *
+     * @param {Object} data    Request data including the AJAX action.
+     * @param {Object} options Optional. onRetry(info) is called every second while waiting for a retry,
+     *                         idempotent: false limits retries for actions that must not run twice.
+     * @return {Promise} Resolved with response.data, rejected with {message, fatal, invalidApiKey, data}.
+     */
+    awpIoRequest = function(data, options) {
+        return send({
+            url: wpeio_data.ajaxUrl,
+            type: 'POST',
+            data: data
+        }, function(response, deferred) {
+            if (response && response.success) {
+                deferred.resolve(response.data);
+                return;
+            }
+
+            rejectWithServerError(
+                deferred,
+                (response && response.data && response.data.message) || wpeio_data.i18n.error,
+                response ? response.data : null
+            );
+        }, options);
+    };
+
+    /**
+     * Send a request to the awp-io/v1 REST API.
+     *
+     * @param {string} method  HTTP method.
+     * @param {string} path    Route relative to the namespace, e.g. 'bulk-optimization/batch'.
+     * @param {Object} data    Optional. Query arguments for GET requests, JSON body otherwise.
+     * @param {Object} options Optional. onRetry(info) is called every second while waiting for a retry,
+     *                         idempotent: true allows retrying a POST request after a timeout or a 5xx error.
+     *                         GET, PUT and DELETE requests are idempotent.
+     * @return {Promise} Resolved with the response, rejected with {message, fatal, invalidApiKey, data}.
+     */
+    awpIoApi = function(method, path, data, options) {
+        const isRead = method === 'GET';
+
+        options = $.extend({ idempotent: method !== 'POST' }, options);
+
+        return send({
+            url: wpeio_data.restUrl + path,
+            type: method,
+            data: isRead ? data : JSON.stringify(data || {}),
+            contentType: isRead ? undefined : 'application/json',
+            dataType: 'json',
+            headers: {
+                'X-WP-Nonce': wpeio_data.restNonce
+            }
+        }, function(response, deferred) {
+            deferred.resolve(response);
+        }, options);
+    };
+})(jQuery);
+
+/* Run log export */
+// Collects the results of a bulk runner, so the log shown on the page can be downloaded
+// as CSV or JSON before it is lost on reload.
+var awpIoRunLog = (function() {
+    const columns = ['time', 'id', 'status', 'message'];
+
+    function toCsvValue(value) {
+        value = value === undefined || value === null ? '' : String(value);
+
+        // Keep spreadsheet applications from evaluating the value as a formula.
+        if (/^[=+\-@]/.test(value)) {
+            value = "'" + value;
+        }
+
+        return '"' + value.replace(/"/g, '""') + '"';
+    }
+
+    function download(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Create a log for one run.
+     *
+     * @param {string} name Prefix of the downloaded file name.
+     * @return {Object} Log with add(result), clear(), size() and download(format).
+     */
+    return function(name) {
+        let entries = [];
+
+        return {
+            add: function(result) {
+                entries.push({
+                    time: new Date().toISOString(),
+                    id: result.id,
+                    status: result.status,
+                    message: result.message
+                });
+            },
+            clear: function() {
+                entries = [];
+            },
+            size: function() {
+                return entries.length;
+            },
+            download: function(format) {
+                const fileName = name + '-' + new Date().toISOString().slice(0, 10);
+
+                if (format === 'json') {
+                    download(JSON.stringify(entries, null, 2), fileName + '.json', 'application/json');
+                    return;
+                }
+
+                const lines = [columns.join(',')].concat(entries.map(function(entry) {
+                    return columns.map(function(column) {
+                        return toCsvValue(entry[column]);
+                    }).join(',');
+                }));
+                download(lines.join('\r\n'), fileName + '.csv', 'text/csv');
+            }
+        };
+    };
+})();
+
+/* Byte formatting */
+// Formats bytes into a human-readable format, shared by the statistics and the backup verification.
+function awpIoFormatBytes(bytes, decimals = 2) {
+    if (typeof bytes !== 'number' || isNaN(bytes) || bytes === 0) {
+        return '0 Bytes'; // Handle invalid or zero values
+    }
+
+    const k = 1024;
+    const dm = decimals < 0 ? 0 : decimals;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
+
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+}
+
 /*Tooltip*/
 (function($) {
     $(document).ready(function() {
@@ -128,25 +409,22 @@ function showAlert(type, message) {
             $('body').append('<div class="awp-tooltip" style="display: none;"></div>');
         }
 
-        // Handle hover events
-        $('.thumbnail-stats').hover(
-            function(e) { // mouseenter
-                var thumbnails = JSON.parse($(this).attr('data-thumbnails'));
-                var tooltipContent = generateTooltipContent(thumbnails);
-
-                $('.awp-tooltip')
-                    .html(tooltipContent)
-                    .css({
-                        position: 'absolute',
-                        top: e.pageY + 10,
-                        left: e.pageX + 10
-                    })
-                    .show();
-            },
-            function() { // mouseleave
-                $('.awp-tooltip').hide();
-            }
-        );
+        // Handle hover events, delegated so refreshed media columns keep their tooltips
+        $(document).on('mouseenter', '.thumbnail-stats', function(e) {
+            var thumbnails = JSON.parse($(this).attr('data-thumbnails'));
+            var tooltipContent = generateTooltipContent(thumbnails);
+
+            $('.awp-tooltip')
+                .html(tooltipContent)
+                .css({
+                    position: 'absolute',
+                    top: e.pageY + 10,
+                    left: e.pageX + 10
+                })
+                .show();
+        }).on('mouseleave', '.thumbnail-stats', function() {
+            $('.awp-tooltip').hide();
+        });
 
         function generateTooltipContent(thumbnails) {
             var content = '';
@@ -233,232 +511,1282 @@ jQuery(document).ready(function($) {
 });
 
 
-/*Batch Image Optimization*/
+/* Rewrite rules check */
+// Asks the server to request a test image with and without WebP in the Accept header
+// and lists which of the checks passed.
 jQuery(document).ready(function($) {
-    const startButton = $('#start-optimization-button');
-    const progressBar = $('#progress-bar');
-    const progressText = $('#progress-text');
-    const resultsList = $('#optimization-results');
-    const progressContainer = $('#progress-container');
-    const spinner = $('.progress-status');
-    const reOptimizeImages = $('#re-optimize-images');
+    $('#check-rewrite-rules').on('click', function() {
+        const $button = $(this).prop('disabled', true);
+        const $spinner = $button.siblings('.spinner').addClass('is-active');
+        const $checks = $('#rewrite-rules-checks').empty();
+
+        awpIoRequest({
+            action: 'awp_io_check_rewrite_rules',
+            nonce: wpeio_data.nonce
+        }).done(function(result) {
+            result.checks.forEach(function(check) {
+                $('<li>')
+                    .addClass(check.passed ? 'check-passed' : 'check-failed')
+                    .text((check.passed ? '\u2713 ' : '\u2717 ') + check.label)
+                    .appendTo($checks);
+            });
 
-    let isOptimizing = false;
-    let totalOptimized = 0;
-    let totalErrors = 0;
+            if (result.passed) {
+                showAlert('success', 'Next generation images are delivered by the rewrite rules.');
+            } else {
+                showAlert('warning', 'The rewrite rules are not working yet. Check the web server configuration.');
+            }
+        }).fail(function(error) {
+            showAlert('error', error.message);
+        }).always(function() {
+            $button.prop('disabled', false);
+            $spinner.removeClass('is-active');
+        });
+    });
+});
 
-    let processed_count = 0;
-    let total_unoptimized_count = 0;
+/* Test notification */
+// Sends a test email and webhook event with the saved notification settings.
+jQuery(document).ready(function($) {
+    $('#test-notifications').on('click', function() {
+        const $button = $(this).prop('disabled', true);
+        const $spinner = $button.siblings('.spinner').addClass('is-active');
+
+        awpIoRequest({
+            action: 'awp_io_test_notifications',
+            nonce: wpeio_data.nonce
+        }, {
+            idempotent: false
+        }).done(function(result) {
+            showAlert('success', result.message);
+        }).fail(function(error) {
+            showAlert('error', error.message);
+        }).always(function() {
+            $button.prop('disabled', false);
+            $spinner.removeClass('is-active');
+        });
+    });
+});
 
-    startButton.on('click', function(event) {
-        event.preventDefault();
+/* Test cache purge */
+// Purges the URL of the latest image with every configured CDN and proxy integration.
+jQuery(document).ready(function($) {
+    $('#test-cache-purge').on('click', function() {
+        const $button = $(this).prop('disabled', true);
+        const $spinner = $button.siblings('.spinner').addClass('is-active');
+
+        awpIoRequest({
+            action: 'awp_io_test_cache_purge',
+            nonce: wpeio_data.nonce
+        }, {
+            idempotent: false
+        }).done(function(result) {
+            showAlert('success', result.message);
+        }).fail(function(error) {
+            showAlert('error', error.message);
+        }).always(function() {
+            $button.prop('disabled', false);
+            $spinner.removeClass('is-active');
+        });
+    });
+});
 
-        if (isOptimizing) {
+/* Settings import and export */
+// Exports the saved settings as a JSON file and imports one into the settings of this site.
+jQuery(document).ready(function($) {
+    const $exportButton = $('#export-settings-button');
+    const exportUrl = $exportButton.attr('href');
+
+    $('#export-settings-secrets').on('change', function() {
+        $exportButton.attr('href', this.checked ? exportUrl + '&include_secrets=1' : exportUrl);
+    });
+
+    $('#import-settings-button').on('click', function() {
+        const file = $('#import-settings-file').prop('files')[0];
+
+        if (!file) {
+            showAlert('warning', 'Select a settings file to import.');
             return;
         }
 
-        // Reset state
-        isOptimizing = true;
-        totalOptimized = 0;
-        totalErrors = 0;
-        startButton.prop('disabled', true);
-        reOptimizeImages.prop('disabled', true);
-        progressContainer.show();
-        resultsList.empty().show();
-        spinner.show();
+        const $button = $(this).prop('disabled', true);
+        const $spinner = $button.siblings('.spinner').addClass('is-active');
+        const reader = new FileReader();
+
+        reader.onload = function() {
+            awpIoRequest({
+                action: 'awp_io_import_settings',
+                nonce: wpeio_data.nonce,
+                settings: reader.result,
+                include_secrets: $('#import-settings-secrets').is(':checked') ? 1 : 0
+            }).done(function(result) {
+                showAlert('success', result.message);
+                setTimeout(function() {
+                    window.location.reload();
+                }, 1500);
+            }).fail(function(error) {
+                showAlert('error', error.message);
+                $button.prop('disabled', false);
+                $spinner.removeClass('is-active');
+            });
+        };
 
-        processNextBatch();
+        reader.onerror = function() {
+            showAlert('error', 'The settings file could not be read.');
+            $button.prop('disabled', false);
+            $spinner.removeClass('is-active');
+        };
+
+        reader.readAsText(file);
     });
+});
 
-    function updateProgress(progress, message) {
-        progressBar.css('width', progress + '%');
-        progressText.text(message);
-    }
+/* Settings form validation */
+// Validates the settings while they are edited, checks the API key and the
+// Cloudflare token, and saves the form without leaving the current tab.
+jQuery(document).ready(function($) {
+    const $form = $('#image-optimizer-settings-form');
+    let validateTimer = null;
+    let validateRequest = 0;
 
-    function addResultMessage(result) {
-        const statusClass = result.status === 'success' ? 'success' : 'error';
-        const messageHtml = `
-            <div class="optimization-result ${statusClass}">
-                <span class="dashicons dashicons-${result.status === 'success' ? 'yes' : 'no'}"></span>
-                ID ${result.id}: ${result.message}
-            </div>
-        `;
-        resultsList.append(messageHtml);
-        resultsList.scrollTop(resultsList[0].scrollHeight);
+    if (!$form.length) {
+        return;
     }
 
-    function processNextBatch() {
-        var isReOptimize = reOptimizeImages.is(':checked') ? 1 : 0;
-        $.ajax({
-            url: wpeio_data.ajaxUrl,
-            type: 'POST',
-            data: {
-                action: 'start_optimization',
-                nonce: wpeio_data.nonce,
-                processed_count: processed_count,
-                total_unoptimized_count: total_unoptimized_count,
-                is_re_optimize: isReOptimize
-            },
-            success: function(response) {
-                if (!response.success) {
-                    handleError('Server returned an error: ' + (response.data?.message || 'Unknown error'));
-                    return;
-                }
+    function getFormData(action) {
+        const data = $form.serializeArray().filter(function(field) {
+            return field.name !== 'action';
+        });
 
-                const data = response.data;
+        data.push({ name: 'action', value: action });
 
-                // Check for "invalid api key" in the results message
-                if (data.results && data.results.message) {
-                    const message = data.results.message;
-                    const regex = /invalid api key/i;
+        return $.param(data);
+    }
 
-                    if (regex.test(message)) {
-                        handleError('Invalid API key detected. Please check your API key.');
-                        return; // Stop further processing if invalid API key is found
-                    }
-                }
+    function findField(name) {
+        return $form.find('[name="' + name + '"], [name="' + name + '[]"]').first();
+    }
 
-                // Process results
-                if (data.results && data.results.length > 0) {
-                    processed_count = data.processed_count + 1;
-                    total_unoptimized_count = data.total_unoptimized_count;
-
-                    data.results.forEach(result => {
-                        if (result.status === 'success') {
-                            totalOptimized++;
-                        } else {
-                            totalErrors++;
-                        }
-                        addResultMessage(result);
-                    });
-                }
+    function renderMessages(validation) {
+        $form.find('.awp-io-field-message').remove();
+        $form.find('.awp-io-field-invalid').removeClass('awp-io-field-invalid');
 
-                // Update progress message
-                const progressMessage = `Optimized: ${totalOptimized} | Errors: ${totalErrors} | Progress: ${data.progress}%`;
-                updateProgress(data.progress, progressMessage);
+        $.each({ error: validation.errors || {}, warning: validation.warnings || {} }, function(type, messages) {
+            $.each(messages, function(name, message) {
+                const $field = findField(name);
 
-                // Continue if not complete
-                if (!data.is_complete) {
-                    // Add a small delay between batches
-                    setTimeout(processNextBatch);
-                } else {
-                    finishOptimization(data.message || `Optimization complete! Successfully optimized ${totalOptimized} images with ${totalErrors} errors.`);
+                if (type === 'error') {
+                    $field.addClass('awp-io-field-invalid');
                 }
-            },
-            error: function(xhr, status, error) {
-                handleError('Ajax request failed: ' + error);
-            }
+
+                $field.closest('td').append($('<p>').addClass('awp-io-field-message ' + type).text(message));
+            });
         });
     }
 
-    function handleError(message) {
-        isOptimizing = false;
-        startButton.prop('disabled', false);
-        reOptimizeImages.prop('disabled', false);
-        updateProgress(0, 'Error: ' + message);
-        spinner.hide();
-        addResultMessage({
-            id: 'system',
-            status: 'error',
-            message: message
-        });
+    function showFirstError(errors) {
+        const name = Object.keys(errors || {})[0];
+        const tab = name ? findField(name).closest('.tab-content').attr('id') : null;
+
+        if (tab) {
+            $('.nav-tab[href="#' + tab + '"]').trigger('click');
+        }
     }
 
-    function finishOptimization(message) {
-        isOptimizing = false;
-        startButton.prop('disabled', false);
-        reOptimizeImages.prop('disabled', false);
-        updateProgress(100, message);
-        spinner.hide();
+    function validate() {
+        const request = ++validateRequest;
+
+        awpIoRequest(getFormData('awp_io_validate_settings')).done(function(validation) {
+            // Only the response to the latest change is shown.
+            if (request === validateRequest) {
+                renderMessages(validation);
+            }
+        });
     }
-});
 
+    $form.on('change', 'input[name], select[name], textarea[name]', function() {
+        clearTimeout(validateTimer);
+        validateTimer = setTimeout(validate, 300);
+    });
 
-/*Single image optimization and restore on media listing page*/
-(function($) {
-    'use strict';
+    $form.on('submit', function(event) {
+        event.preventDefault();
 
-    $(document).ready(function() {
-        function handleOptimizationAction($button, action) {
-            spinner_enable($button);
-            const $container = $button.closest('.optimization-controls');
-            const attachmentId = $container.data('id');
+        const $buttons = $form.find(':submit').prop('disabled', true);
 
-            if ($container.hasClass('processing')) {
-                return;
+        clearTimeout(validateTimer);
+        validateRequest++;
+
+        awpIoRequest(getFormData('awp_io_save_settings')).done(function(result) {
+            renderMessages(result);
+            showAlert('success', result.message);
+
+            if (result.reload) {
+                window.location.reload();
+            }
+        }).fail(function(error) {
+            if (error.data && error.data.errors) {
+                renderMessages(error.data);
+                showFirstError(error.data.errors);
             }
 
-            $container.addClass('processing');
-            $button.prop('disabled', true);
-            var is_re_optimize = $button.hasClass('reoptimize-image') ? 1 : 0;
-
-            $.ajax({
-                url: wpeio_data.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: action,
-                    attachment_id: attachmentId,
-                    nonce: wpeio_data.nonce,
-                    is_re_optimize: is_re_optimize
-                },
-                success: function(response) {
-                    if (response.success) {
-                        // Reload the page to show updated status
-                        window.location.reload();
-                    } else {
-                        spinner_disable();
-                        showAlert('notice', response.data.message || wpeio_data.i18n.error);
-                    }
-                },
-                error: function() {
-                    showAlert('notice', wpeio_data.i18n.networkError);
-                    spinner_disable();
-                },
-                complete: function() {
-                    spinner_disable();
-                    $container.removeClass('processing');
-                    $button.prop('disabled', false);
-                }
-            });
+            showAlert('error', error.message);
+        }).always(function() {
+            $buttons.prop('disabled', false);
+        });
+    });
+
+    /* API key and Cloudflare token check */
+    function setBadge($badge, status, text, title) {
+        $badge.attr('data-status', status).attr('title', title || '').text(text);
+    }
+
+    function checkCredential($button) {
+        const field = $button.data('field');
+        const value = $.trim($('#' + field).val());
+        const $badge = $button.siblings('.awp-io-status-badge');
+        const data = {
+            action: $button.data('action'),
+            nonce: wpeio_data.nonce
+        };
+
+        if (!value) {
+            setBadge($badge, 'unchecked', wpeio_data.i18n.notChecked);
+            return;
         }
 
-        // Optimize image button handler
-        $(document).on('click', '.optimization-controls .optimize-image', function(e) {
-            e.preventDefault();
-            handleOptimizationAction($(this), 'optimize_single_image');
+        data[field] = value;
+        $button.prop('disabled', true);
+        setBadge($badge, 'checking', wpeio_data.i18n.checking);
+
+        awpIoRequest(data).done(function(result) {
+            setBadge($badge, 'valid', wpeio_data.i18n.valid, result.message);
+        }).fail(function(error) {
+            setBadge($badge, 'invalid', wpeio_data.i18n.invalid, error.message);
+            showAlert('error', error.message);
+        }).always(function() {
+            $button.prop('disabled', false);
         });
+    }
 
-        // Restore image button handler
-        $(document).on('click', '.optimization-controls .restore-image', function(e) {
-            e.preventDefault();
-            handleOptimizationAction($(this), 'restore_single_image');
+    $('.credential-check').each(function() {
+        const $button = $(this);
+        const $input = $('#' + $button.data('field'));
+
+        $button.on('click', function() {
+            checkCredential($button);
         });
 
-        // ReOptimize image button handler
-        $(document).on('click', '.optimization-controls .reoptimize-image', function(e) {
-            e.preventDefault();
-            handleOptimizationAction($(this), 'optimize_single_image');
+        $input.on('input', function() {
+            setBadge($button.siblings('.awp-io-status-badge'), 'unchecked', wpeio_data.i18n.notChecked);
+        }).on('change', function() {
+            checkCredential($button);
         });
     });
+});
 
-    function spinner_enable($button) {
-        $button.children('.spinner').first().css({
-            display: 'inline-block'
-        });
-    }
+/*Batch Image Optimization*/
+jQuery(document).ready(function($) {
+    const startButton = $('#start-optimization-button');
+    const pauseButton = $('#pause-optimization-button');
+    const resumeButton = $('#resume-optimization-button');
+    const cancelButton = $('#cancel-optimization-button');
+    const resumeNotice = $('#resume-run-notice');
+    const progressBar = $('#progress-bar');
+    const progressText = $('#progress-text');
+    const resultsList = $('#optimization-results');
+    const progressContainer = $('#progress-container');
+    const spinner = $('.progress-status');
+    const reOptimizeImages = $('#re-optimize-images');
+    const scopeFields = $('#optimization-scope .scope-field');
+    const scopeCount = $('#scope-count');
+    const runLog = awpIoRunLog('optimization-run-log');
+    const runLogExport = $('#optimization-log-export');
 
-    function spinner_disable() {
-        $('.optimization-controls .spinner').hide();
+    let isOptimizing = false;
+    let isNewRun = false;
+    let isPauseRequested = false;
+    let isCancelRequested = false;
+    let totalOptimized = 0;
+    let totalErrors = 0;
+    let currentProgress = 0;
+    let activeWorkers = 0;
+    let stopState = null;
+    let scopeCountTimer = null;
+    let scopeCountRequest = 0;
+
+    // Offer to continue a run that was interrupted, e.g. by closing the tab.
+    if (startButton.length) {
+        checkForStoredRun();
+        updateScopeCount();
     }
-})(jQuery);
 
+    scopeFields.add(reOptimizeImages).on('input change', function() {
+        clearTimeout(scopeCountTimer);
+        scopeCountTimer = setTimeout(updateScopeCount, 400);
+    });
 
+    startButton.on('click', function(event) {
+        event.preventDefault();
 
-/*Stats*/
-jQuery(document).ready(function($) {});
+        if (isOptimizing) {
+            return;
+        }
 
+        // Reset state
+        isNewRun = true;
+        totalOptimized = 0;
+        totalErrors = 0;
+        resumeNotice.hide();
+        resultsList.empty();
+        runLog.clear();
+        runLogExport.hide();
+        updateProgress(0, '');
 
-/*Bulk Restore images*/
+        beginProcessing();
+    });
+
+    runLogExport.on('click', '.export-run-log', function(event) {
+        event.preventDefault();
+        runLog.download($(this).data('format'));
+    });
+
+    pauseButton.on('click', function(event) {
+        event.preventDefault();
+
+        if (!isOptimizing) {
+            return;
+        }
+
+        // The batches in flight are completed before the run is paused.
+        isPauseRequested = true;
+        pauseButton.prop('disabled', true);
+        progressText.text('Pausing after the current batches...');
+    });
+
+    resumeButton.add('#resume-run-button').on('click', function(event) {
+        event.preventDefault();
+        resumeRun();
+    });
+
+    cancelButton.add('#discard-run-button').on('click', function(event) {
+        event.preventDefault();
+
+        if (!confirm('Cancel this optimization run? Images optimized so far stay optimized.')) {
+            return;
+        }
+
+        if (isOptimizing) {
+            // The batches in flight are completed before the run is cancelled.
+            isCancelRequested = true;
+            pauseButton.prop('disabled', true);
+            cancelButton.prop('disabled', true);
+            progressText.text('Cancelling after the current batches...');
+            return;
+        }
+
+        cancelRun();
+    });
+
+    function getScope() {
+        const scope = { mime_types: [] };
+
+        scopeFields.each(function() {
+            const field = $(this);
+            const key = field.data('scope');
+
+            if (key === 'mime_types') {
+                if (field.is(':checked')) {
+                    scope.mime_types.push(field.val());
+                }
+            } else {
+                scope[key] = field.val().trim();
+            }
+        });
+
+        return scope;
+    }
+
+    function setScope(scope) {
+        scope = scope || {};
+
+        scopeFields.each(function() {
+            const field = $(this);
+            const key = field.data('scope');
+            const value = scope[key] || '';
+
+            if (key === 'mime_types') {
+                field.prop('checked', $.inArray(field.val(), value || []) !== -1);
+            } else {
+                field.val(Array.isArray(value) ? value.join(', ') : value);
+            }
+        });
+    }
+
+    function updateScopeCount() {
+        // Ignore responses of requests that were superseded by a later change.
+        const request = ++scopeCountRequest;
+
+        scopeCount.removeClass('error').text('Counting matching images...');
+
+        awpIoApi('GET', 'bulk-optimization/count', {
+            re_optimize: reOptimizeImages.is(':checked') ? 1 : 0,
+            scope: getScope()
+        }).done(function(data) {
+            if (request === scopeCountRequest) {
+                scopeCount.text(data.count === 1 ? '1 image matches' : `${data.count} images match`);
+            }
+        }).fail(function(error) {
+            if (request === scopeCountRequest) {
+                scopeCount.addClass('error').text(error.message);
+            }
+        });
+    }
+
+    function checkForStoredRun() {
+        awpIoApi('GET', 'bulk-optimization').done(function(data) {
+            if (!data.run) {
+                return;
+            }
+
+            const run = data.run;
+            const runType = run.re_optimize ? 're-optimization' : 'optimization';
+
+            reOptimizeImages.prop('checked', run.re_optimize);
+            setScope(run.scope);
+            updateScopeCount();
+            $('#resume-run-text').text(
+                `A previous ${runType} run stopped after ${run.processed} of ${run.total} images (${run.progress}%).`
+            );
+            resumeNotice.show();
+        });
+    }
+
+    function resumeRun() {
+        if (isOptimizing) {
+            return;
+        }
+
+        awpIoApi('POST', 'bulk-optimization/resume', {}, {
+            idempotent: true,
+            onRetry: showRetryStatus
+        }).done(function(data) {
+            const run = data.run;
+
+            isNewRun = false;
+            totalOptimized = run.optimized;
+            totalErrors = run.errors;
+            reOptimizeImages.prop('checked', run.re_optimize);
+            setScope(run.scope);
+            resumeNotice.hide();
+            updateProgress(run.progress, getProgressMessage(run.progress));
+
+            beginProcessing();
+        }).fail(function(error) {
+            handleError('Failed to resume optimization: ' + error.message);
+        });
+    }
+
+    function pauseRun() {
+        awpIoApi('POST', 'bulk-optimization/pause', {}, {
+            idempotent: true,
+            onRetry: showRetryStatus
+        }).always(function() {
+            setPausedState('Optimization paused. ' + getProgressMessage(currentProgress));
+        });
+    }
+
+    function cancelRun() {
+        awpIoApi('DELETE', 'bulk-optimization', {}, {
+            onRetry: showRetryStatus
+        }).done(function() {
+            resumeNotice.hide();
+            finishOptimization(currentProgress, 'Optimization cancelled. ' + getProgressMessage(currentProgress));
+        }).fail(function(error) {
+            handleError('Failed to cancel optimization: ' + error.message);
+        });
+    }
+
+    function beginProcessing() {
+        isOptimizing = true;
+        isPauseRequested = false;
+        isCancelRequested = false;
+        stopState = null;
+
+        startButton.prop('disabled', true);
+        reOptimizeImages.prop('disabled', true);
+        scopeFields.prop('disabled', true);
+        pauseButton.prop('disabled', false).show();
+        cancelButton.prop('disabled', false).show();
+        resumeButton.hide();
+        progressContainer.show();
+        resultsList.show();
+        spinner.show();
+
+        // The first worker creates the run state, the others join once it exists.
+        activeWorkers = 1;
+        processNextBatch(true);
+    }
+
+    function getConcurrency() {
+        return Math.max(1, parseInt(wpeio_data.concurrency, 10) || 1);
+    }
+
+    function startAdditionalWorkers() {
+        for (let i = 1; i < getConcurrency(); i++) {
+            activeWorkers++;
+            processNextBatch(false);
+        }
+    }
+
+    function updateProgress(progress, message) {
+        currentProgress = progress;
+        progressBar.css('width', progress + '%');
+        progressText.text(message);
+    }
+
+    function isStopRequested() {
+        return stopState !== null || isPauseRequested || isCancelRequested;
+    }
+
+    function stopWorker(state) {
+        // Keep the first reason, e.g. an error stops the run even if another worker completes it.
+        if (state && stopState === null) {
+            stopState = state;
+        }
+
+        activeWorkers--;
+        if (activeWorkers > 0) {
+            return;
+        }
+
+        // The last worker to stop decides how the run ends.
+        if (stopState && stopState.type === 'error') {
+            handleError(stopState.message);
+        } else if (stopState && stopState.type === 'complete') {
+            finishOptimization(100, stopState.message);
+        } else if (isCancelRequested) {
+            cancelRun();
+        } else {
+            pauseRun();
+        }
+    }
+
+    function getProgressMessage(progress) {
+        return `Optimized: ${totalOptimized} | Errors: ${totalErrors} | Progress: ${progress}%`;
+    }
+
+    function showRetryStatus(retry) {
+        progressText.text(`${retry.message}. Retrying in ${retry.seconds}s (attempt ${retry.attempt} of ${retry.maxRetries})...`);
+    }
+
+    function addResultMessage(result) {
+        const statusClass = result.status === 'success' ? 'success' : 'error';
+        const messageHtml = `
+            <div class="optimization-result ${statusClass}">
+                <span class="dashicons dashicons-${result.status === 'success' ? 'yes' : 'no'}"></span>
+                ID ${result.id}: ${result.message}
+            </div>
+        `;
+        resultsList.append(messageHtml);
+        resultsList.scrollTop(resultsList[0].scrollHeight);
+
+        runLog.add(result);
+        runLogExport.show();
+    }
+
+    function processNextBatch(isFirstWorker) {
+        if (isStopRequested()) {
+            stopWorker();
+            return;
+        }
+
+        // The first batch starts the run, later batches continue it.
+        const request = isNewRun
+            ? awpIoApi('POST', 'bulk-optimization', {
+                re_optimize: reOptimizeImages.is(':checked'),
+                scope: getScope()
+            }, {
+                onRetry: showRetryStatus
+            })
+            : awpIoApi('POST', 'bulk-optimization/batch', {}, {
+                idempotent: true,
+                onRetry: showRetryStatus
+            });
+
+        request.done(function(data) {
+            isNewRun = false;
+
+            // Another tab may have paused the run in the meantime.
+            if (data.is_paused) {
+                isPauseRequested = true;
+                stopWorker();
+                return;
+            }
+
+            // Process results
+            if (data.results && data.results.length > 0) {
+                data.results.forEach(result => {
+                    addResultMessage(result);
+                });
+            }
+
+            // Counters are kept in the server-side run state. Responses of parallel
+            // workers may arrive out of order, so never move backwards.
+            if (data.run) {
+                totalOptimized = Math.max(totalOptimized, data.run.optimized);
+                totalErrors = Math.max(totalErrors, data.run.errors);
+            }
+
+            const progress = Math.max(currentProgress, data.progress);
+            if (isPauseRequested || isCancelRequested) {
+                progressBar.css('width', progress + '%');
+                currentProgress = progress;
+            } else {
+                updateProgress(progress, getProgressMessage(progress));
+            }
+
+            // Stop the run if the API rejected the key while processing the batch
+            if (data.results && data.results.some(result => /invalid api key/i.test(result.message))) {
+                stopWorker({ type: 'error', message: 'Invalid API key detected. Please check your API key.' });
+                return;
+            }
+
+            if (data.is_complete) {
+                stopWorker({
+                    type: 'complete',
+                    message: data.message || `Optimization complete! Successfully optimized ${totalOptimized} images with ${totalErrors} errors.`
+                });
+                return;
+            }
+
+            if (isFirstWorker) {
+                startAdditionalWorkers();
+            }
+
+            // All remaining images are being processed by other workers, check again shortly.
+            const delay = data.results && data.results.length > 0 ? 0 : 1000;
+            setTimeout(function() {
+                processNextBatch(false);
+            }, delay);
+        }).fail(function(error) {
+            let message;
+            if (error.invalidApiKey) {
+                message = 'Invalid API key detected. Please check your API key.';
+            } else if (error.fatal) {
+                message = 'Server returned an error: ' + error.message;
+            } else {
+                message = 'Ajax request failed: ' + error.message;
+            }
+
+            stopWorker({ type: 'error', message: message });
+        });
+    }
+
+    function setPausedState(message) {
+        isOptimizing = false;
+        isPauseRequested = false;
+        startButton.prop('disabled', false);
+        reOptimizeImages.prop('disabled', false);
+        scopeFields.prop('disabled', false);
+        pauseButton.hide();
+        resumeButton.show();
+        cancelButton.prop('disabled', false).show();
+        updateProgress(currentProgress, message);
+        spinner.hide();
+    }
+
+    // The run stays stored on the server, so it can be resumed after an error.
+    // It is paused there too, so reloading the page offers to resume it.
+    function handleError(message) {
+        addResultMessage({
+            id: 'system',
+            status: 'error',
+            message: message
+        });
+        awpIoApi('POST', 'bulk-optimization/pause', {}, {
+            idempotent: true,
+            onRetry: showRetryStatus
+        }).always(function() {
+            setPausedState('Error: ' + message);
+        });
+    }
+
+    function finishOptimization(progress, message) {
+        isOptimizing = false;
+        startButton.prop('disabled', false);
+        reOptimizeImages.prop('disabled', false);
+        scopeFields.prop('disabled', false);
+        pauseButton.hide();
+        resumeButton.hide();
+        cancelButton.hide();
+        updateProgress(progress, message);
+        spinner.hide();
+        updateScopeCount();
+    }
+});
+
+
+/*Single image optimization and restore on media listing page*/
+(function($) {
+    'use strict';
+
+    $(document).ready(function() {
+        function handleOptimizationAction($button, action) {
+            const $container = $button.closest('.optimization-controls');
+            const attachmentId = $container.data('id');
+
+            if ($container.hasClass('processing')) {
+                return;
+            }
+
+            spinner_enable($button);
+            $container.addClass('processing');
+            $button.prop('disabled', true);
+            var is_re_optimize = $button.hasClass('reoptimize-image');
+            var requestData = {
+                include_column: true
+            };
+
+            if (action === 'optimize') {
+                requestData.re_optimize = is_re_optimize;
+            }
+
+            // Re-optimize with the level picked next to the button, if any.
+            if (is_re_optimize) {
+                requestData.compression_level = $container.find('.compression-level').val() || '';
+            }
+
+            awpIoApi('POST', `attachments/${attachmentId}/${action}`, requestData, {
+                onRetry: function(retry) {
+                    showRequestStatus($container, `Retrying in ${retry.seconds}s...`);
+                }
+            }).done(function(data) {
+                // Swap the controls in place, so scroll position, filters and pagination are kept.
+                $container.replaceWith(data.column);
+            }).fail(function(error) {
+                spinner_disable();
+                showAlert('notice', error.message);
+
+                if (error.data && error.data.column) {
+                    $container.replaceWith(error.data.column);
+                }
+            }).always(function() {
+                spinner_disable();
+                showRequestStatus($container, '');
+                $container.removeClass('processing');
+                $button.prop('disabled', false);
+            });
+        }
+
+        function showRequestStatus($container, message) {
+            let $status = $container.children('.request-status');
+
+            if (!$status.length) {
+                $status = $('<span class="request-status"></span>').appendTo($container);
+            }
+
+            $status.text(message);
+        }
+
+        // Optimize image button handler
+        $(document).on('click', '.optimization-controls .optimize-image', function(e) {
+            e.preventDefault();
+            handleOptimizationAction($(this), 'optimize');
+        });
+
+        // Restore image button handler
+        $(document).on('click', '.optimization-controls .restore-image', function(e) {
+            e.preventDefault();
+            handleOptimizationAction($(this), 'restore');
+        });
+
+        // ReOptimize image button handler
+        $(document).on('click', '.optimization-controls .reoptimize-image', function(e) {
+            e.preventDefault();
+            handleOptimizationAction($(this), 'optimize');
+        });
+
+        /* Bulk actions on the media library list view */
+        const bulkActions = {
+            awp_io_optimize: {
+                action: 'optimize',
+                button: '.optimize-image',
+                isReOptimize: false,
+                label: 'Optimizing'
+            },
+            awp_io_reoptimize: {
+                action: 'optimize',
+                button: '.reoptimize-image',
+                isReOptimize: true,
+                label: 'Re-optimizing'
+            },
+            awp_io_restore: {
+                action: 'restore',
+                button: '.restore-image',
+                isReOptimize: false,
+                label: 'Restoring'
+            }
+        };
+        let isBulkProcessing = false;
+
+        $('#doaction, #doaction2').on('click', function(e) {
+            const bulkAction = bulkActions[$(this).siblings('select').val()];
+
+            if (!bulkAction) {
+                return;
+            }
+
+            e.preventDefault();
+
+            if (isBulkProcessing) {
+                return;
+            }
+
+            const ids = $('#the-list input[name="media[]"]:checked').map(function() {
+                return $(this).val();
+            }).get();
+
+            if (!ids.length) {
+                showAlert('notice', 'Please select at least one image.');
+                return;
+            }
+
+            processBulkAction(bulkAction, ids);
+        });
+
+        function getBulkCell(attachmentId) {
+            return $('#post-' + attachmentId + ' td.column-image_optimization');
+        }
+
+        function showBulkNotice(message, type) {
+            let $notice = $('#awp-io-bulk-notice');
+
+            if (!$notice.length) {
+                $notice = $('<div id="awp-io-bulk-notice" class="notice"><p></p></div>').insertAfter('.wp-header-end');
+            }
+
+            $notice.attr('class', 'notice notice-' + type).find('p').text(message);
+        }
+
+        function processBulkAction(bulkAction, ids) {
+            const queue = [];
+            let done = 0;
+            let failed = 0;
+            let skipped = 0;
+
+            // Only process rows the action applies to, e.g. restore needs a backup.
+            ids.forEach(function(id) {
+                const $controls = getBulkCell(id).find('.optimization-controls');
+
+                if ($controls.find(bulkAction.button).length) {
+                    queue.push(id);
+                    showRequestStatus($controls, 'Queued');
+                } else {
+                    skipped++;
+                }
+            });
+
+            if (!queue.length) {
+                showBulkNotice('None of the selected images can be processed with this action.', 'warning');
+                return;
+            }
+
+            const total = queue.length;
+
+            isBulkProcessing = true;
+            $('#doaction, #doaction2').prop('disabled', true);
+
+            function processNext() {
+                if (!queue.length) {
+                    isBulkProcessing = false;
+                    $('#doaction, #doaction2').prop('disabled', false);
+
+                    let message = `Processed ${done} images.`;
+                    if (failed) {
+                        message += ` ${failed} failed.`;
+                    }
+                    if (skipped) {
+                        message += ` ${skipped} skipped.`;
+                    }
+                    showBulkNotice(message, failed ? 'warning' : 'success');
+                    return;
+                }
+
+                const attachmentId = queue.shift();
+                const $cell = getBulkCell(attachmentId);
+                const $controls = $cell.find('.optimization-controls');
+                showBulkNotice(`${bulkAction.label} image ${done + failed + 1} of ${total}...`, 'info');
+                $controls.addClass('processing').find('.button').prop('disabled', true);
+                showRequestStatus($controls, bulkAction.label + '...');
+
+                awpIoApi('POST', `attachments/${attachmentId}/${bulkAction.action}`, {
+                    re_optimize: bulkAction.isReOptimize,
+                    include_column: true
+                }, {
+                    onRetry: function(retry) {
+                        showRequestStatus($controls, `Retrying in ${retry.seconds}s...`);
+                    }
+                }).done(function(data) {
+                    done++;
+                    $cell.html(data.column);
+                    $('#post-' + attachmentId + ' input[name="media[]"]').prop('checked', false);
+                }).fail(function(error) {
+                    failed++;
+
+                    if (error.data && error.data.column) {
+                        $cell.html(error.data.column);
+                    } else {
+                        $controls.removeClass('processing').find('.button').prop('disabled', false);
+                    }
+                    showRequestStatus($cell.find('.optimization-controls'), error.message);
+                }).always(processNext);
+            }
+
+            processNext();
+        }
+
+        /* Images optimized in the background */
+        const QUEUE_POLL_INTERVAL = 10000;
+        let isPollingQueue = false;
+
+        function pollQueuedColumns() {
+            const $queued = $('.optimization-controls').filter(function() {
+                const status = $(this).data('queue-status');
+                return (status === 'queued' || status === 'processing') && !$(this).hasClass('processing');
+            });
+
+            if (!$queued.length || isBulkProcessing || isPollingQueue) {
+                return;
+            }
+
+            isPollingQueue = true;
+
+            awpIoRequest({
+                action: 'awp_io_get_optimization_columns',
+                attachment_ids: $queued.map(function() {
+                    return $(this).data('id');
+                }).get(),
+                nonce: wpeio_data.nonce
+            }).done(function(data) {
+                $queued.each(function() {
+                    const column = data.columns[$(this).data('id')];
+
+                    // Leave rows alone that a request is running for.
+                    if (column && !$(this).hasClass('processing')) {
+                        $(this).replaceWith(column);
+                    }
+                });
+            }).always(function() {
+                isPollingQueue = false;
+            });
+        }
+
+        setInterval(pollQueuedColumns, QUEUE_POLL_INTERVAL);
+    });
+
+    function spinner_enable($button) {
+        $button.children('.spinner').first().css({
+            display: 'inline-block'
+        });
+    }
+
+    function spinner_disable() {
+        $('.optimization-controls .spinner').hide();
+    }
+})(jQuery);
+
+
+
+/*Before/after comparison viewer*/
+jQuery(document).ready(function($) {
+    const modes = {
+        slider: 'Slider',
+        'side-by-side': 'Side by side',
+        zoom: 'Zoom',
+        difference: 'Difference'
+    };
+
+    let $modal = null;
+    let comparison = null;
+    let attachmentId = null;
+    let sizeIndex = 0;
+    let variant = 'optimized';
+    let mode = 'slider';
+
+    $(document).on('click', '.optimization-controls .compare-image', function(e) {
+        e.preventDefault();
+
+        const $button = $(this);
+        attachmentId = $button.closest('.optimization-controls').data('id');
+        $button.prop('disabled', true);
+
+        awpIoRequest({
+            action: 'get_image_comparison',
+            attachment_id: attachmentId,
+            nonce: wpeio_data.nonce
+        }).done(function(data) {
+            comparison = data;
+            sizeIndex = 0;
+            openModal();
+        }).fail(function(error) {
+            showAlert('notice', error.message);
+        }).always(function() {
+            $button.prop('disabled', false);
+        });
+    });
+
+    $(document).on('keydown', function(e) {
+        if ($modal && e.key === 'Escape') {
+            closeModal();
+        }
+    });
+
+    function openModal() {
+        closeModal();
+
+        $modal = $(`
+            <div class="awp-io-compare-modal" role="dialog" aria-modal="true">
+                <div class="awp-io-compare-dialog">
+                    <div class="awp-io-compare-header">
+                        <h2></h2>
+                        <select class="compare-size" aria-label="Image size"></select>
+                        <select class="compare-variant" aria-label="Compare with">
+                            <option value="optimized">Optimized</option>
+                            <option value="webp">WebP</option>
+                            <option value="avif">AVIF</option>
+                        </select>
+                        <div class="compare-modes"></div>
+                        <button type="button" class="compare-close" aria-label="Close">&times;</button>
+                    </div>
+                    <div class="awp-io-compare-body"></div>
+                    <div class="awp-io-compare-footer">
+                        <span class="compare-note"></span>
+                        <button type="button" class="button compare-restore">Restore original</button>
+                    </div>
+                </div>
+            </div>
+        `).appendTo('body');
+
+        $modal.find('h2').text(comparison.title);
+
+        comparison.sizes.forEach(function(size, index) {
+            $('<option>').val(index).text(size.size).appendTo($modal.find('.compare-size'));
+        });
+
+        $.each(modes, function(key, label) {
+            $('<button type="button" class="button">').attr('data-mode', key).text(label).appendTo($modal.find('.compare-modes'));
+        });
+
+        if (!comparison.has_backup) {
+            $modal.find('.compare-note').text('No backup of the original is available, so this image cannot be restored.');
+            $modal.find('.compare-restore').hide();
+        }
+
+        $modal.on('click', function(e) {
+            if (e.target === this) {
+                closeModal();
+            }
+        });
+        $modal.find('.compare-close').on('click', closeModal);
+        $modal.find('.compare-size').on('change', function() {
+            sizeIndex = parseInt($(this).val(), 10);
+            render();
+        });
+        $modal.find('.compare-variant').val(variant).on('change', function() {
+            variant = $(this).val();
+            render();
+        });
+        $modal.find('.compare-modes').on('click', 'button', function() {
+            mode = $(this).data('mode');
+            render();
+        });
+        $modal.find('.compare-restore').on('click', restoreOriginal);
+
+        render();
+    }
+
+    function closeModal() {
+        if ($modal) {
+            $modal.remove();
+            $modal = null;
+        }
+    }
+
+    function restoreOriginal() {
+        if (!confirm('Restore the original image? The optimized versions will be removed.')) {
+            return;
+        }
+
+        closeModal();
+
+        // Reuse the restore button of the media column, so the column is refreshed as well.
+        $(`.optimization-controls[data-id="${attachmentId}"] .restore-image`).first().trigger('click');
+    }
+
+    function getLabel(name, version) {
+        return `${name} · ${version.size} · ${version.width}×${version.height}`;
+    }
+
+    function createFigure(name, version) {
+        const $figure = $('<figure class="compare-figure">');
+
+        if (version) {
+            $('<img alt="">').attr('src', version.url).appendTo($figure);
+            $('<figcaption>').text(getLabel(name, version)).appendTo($figure);
+        } else {
+            $('<div class="compare-missing">').text(`${name} version not available`).appendTo($figure);
+        }
+
+        return $figure;
+    }
+
+    function render() {
+        const size = comparison.sizes[sizeIndex];
+        const $body = $modal.find('.awp-io-compare-body').empty();
+        const variantNames = { optimized: 'Optimized', webp: 'WebP', avif: 'AVIF' };
+        const variantName = variantNames[variant];
+        const variantVersion = size[variant];
+
+        $modal.find('.compare-modes button').removeClass('button-primary')
+            .filter(`[data-mode="${mode}"]`).addClass('button-primary');
+        $modal.find('.compare-variant option[value="webp"]').prop('disabled', !size.webp);
+        $modal.find('.compare-variant option[value="avif"]').prop('disabled', !size.avif);
+
+        if (mode === 'side-by-side') {
+            $('<div class="compare-side-by-side">')
+                .append(createFigure('Original', size.original))
+                .append(createFigure('Optimized', size.optimized))
+                .append(createFigure('WebP', size.webp))
+                .append(size.avif ? createFigure('AVIF', size.avif) : null)
+                .appendTo($body);
+            return;
+        }
+
+        if (!size.original || !variantVersion) {
+            $('<p class="compare-missing">')
+                .text(`Both the original and the ${variantName} version are needed for this view.`)
+                .appendTo($body);
+            return;
+        }
+
+        if (mode === 'slider') {
+            renderSlider($body, size.original, variantName, variantVersion);
+        } else if (mode === 'zoom') {
+            renderZoom($body, size.original, variantName, variantVersion);
+        } else {
+            renderDifference($body, size.original, variantName, variantVersion);
+        }
+    }
+
+    function renderSlider($body, original, variantName, variantVersion) {
+        const $slider = $('<div class="compare-slider">').appendTo($body);
+        const $original = $('<img class="compare-top" alt="">').attr('src', original.url);
+        const $divider = $('<span class="compare-divider">');
+
+        $('<img class="compare-base" alt="">').attr('src', variantVersion.url).appendTo($slider);
+        $original.appendTo($slider);
+        $divider.appendTo($slider);
+        $('<span class="compare-label left">').text(getLabel('Original', original)).appendTo($slider);
+        $('<span class="compare-label right">').text(getLabel(variantName, variantVersion)).appendTo($slider);
+
+        $('<input type="range" class="compare-range" min="0" max="100" value="50" aria-label="Comparison position">')
+            .on('input', function() {
+                const position = $(this).val();
+                $original.css('clip-path', `inset(0 ${100 - position}% 0 0)`);
+                $divider.css('left', position + '%');
+            })
+            .appendTo($body)
+            .trigger('input');
+    }
+
+    function renderZoom($body, original, variantName, variantVersion) {
+        const $panes = $('<div class="compare-zoom">').appendTo($body);
+
+        [['Original', original], [variantName, variantVersion]].forEach(function(item) {
+            const $pane = $('<div class="compare-zoom-pane">');
+
+            $('<div class="compare-zoom-scroll">')
+                .append($('<img alt="">').attr('src', item[1].url).css('width', original.width * 2))
+                .appendTo($pane);
+            $('<div class="compare-caption">').text(getLabel(item[0], item[1]) + ' · 200%').appendTo($pane);
+            $pane.appendTo($panes);
+        });
+
+        // Keep both panes on the same part of the image.
+        const $scrolls = $panes.find('.compare-zoom-scroll');
+        $scrolls.on('scroll', function() {
+            const source = this;
+            $scrolls.not(source).each(function() {
+                this.scrollTop = source.scrollTop;
+                this.scrollLeft = source.scrollLeft;
+            });
+        });
+    }
+
+    function renderDifference($body, original, variantName, variantVersion) {
+        const $wrapper = $('<div class="compare-difference">').appendTo($body);
+        const $status = $('<p class="compare-caption">').text('Calculating difference...').appendTo($wrapper);
+
+        $.when(loadImage(original.url), loadImage(variantVersion.url)).done(function(originalImage, variantImage) {
+            const width = originalImage.naturalWidth;
+            const height = originalImage.naturalHeight;
+            const canvas = document.createElement('canvas');
+            const context = canvas.getContext('2d');
+
+            canvas.width = width;
+            canvas.height = height;
+
+            try {
+                context.drawImage(originalImage, 0, 0, width, height);
+                const originalPixels = context.getImageData(0, 0, width, height);
+                context.drawImage(variantImage, 0, 0, width, height);
+                const variantPixels = context.getImageData(0, 0, width, height);
+                const output = context.createImageData(width, height);
+
+                // Amplify the differences, compression artifacts are barely visible otherwise.
+                for (let i = 0; i < output.data.length; i += 4) {
+                    output.data[i] = Math.min(255, Math.abs(originalPixels.data[i] - variantPixels.data[i]) * 5);
+                    output.data[i + 1] = Math.min(255, Math.abs(originalPixels.data[i + 1] - variantPixels.data[i + 1]) * 5);
+                    output.data[i + 2] = Math.min(255, Math.abs(originalPixels.data[i + 2] - variantPixels.data[i + 2]) * 5);
+                    output.data[i + 3] = 255;
+                }
+
+                context.putImageData(output, 0, 0);
+                $wrapper.prepend(canvas);
+                $status.text(`Original vs ${variantName}, differences amplified 5×. Brighter areas changed more.`);
+            } catch (error) {
+                // Images served from another domain, e.g. a CDN, cannot be read.
+                $status.text('The difference cannot be calculated for images served from another domain.');
+            }
+        }).fail(function() {
+            $status.text('The images could not be loaded.');
+        });
+    }
+
+    function loadImage(url) {
+        const deferred = $.Deferred();
+        const image = new Image();
+
+        image.crossOrigin = 'anonymous';
+        image.onload = function() {
+            deferred.resolve(image);
+        };
+        image.onerror = function() {
+            deferred.reject();
+        };
+        image.src = url;
+
+        return deferred.promise();
+    }
+});
+
+
+/*Stats*/
+jQuery(document).ready(function($) {});
+
+
+/*Bulk Restore images*/
 jQuery(document).ready(function($) {
     const restoreButton = $('#start-restore-button');
     const restoreProgressBar = $('#restore-progress-bar');
@@ -466,6 +1794,12 @@ jQuery(document).ready(function($) {
     const restoreResultsList = $('#restore-results');
     const restoreProgressContainer = $('#restore-progress-container');
     const restoreSpinner = $('#restore-progress-container .progress-status');
+    const restoreLog = awpIoRunLog('restore-run-log');
+    const restoreLogExport = $('#restore-log-export');
+    const previewButton = $('#preview-restore-button');
+    const filterFields = $('#restore-filter .restore-filter-field');
+    const previewCount = $('#restore-preview-count');
+    const previewTable = $('#restore-preview');
 
     let isRestoring = false;
     let totalRestored = 0;
@@ -479,41 +1813,116 @@ jQuery(document).ready(function($) {
             return;
         }
 
-        // Initialize restore process
-        initializeRestore();
+        // Confirm the number of matching images before anything is restored.
+        restoreButton.prop('disabled', true);
+        loadPreview().done(function(data) {
+            restoreButton.prop('disabled', false);
+
+            if (data.total === 0) {
+                return;
+            }
+
+            const question = data.total === 1
+                ? 'Restore 1 image to its original version?'
+                : `Restore ${data.total} images to their original versions?`;
+
+            if (confirm(question)) {
+                initializeRestore();
+            }
+        }).fail(function() {
+            restoreButton.prop('disabled', false);
+        });
     });
 
-    function initializeRestore() {
-        $.ajax({
-            url: wpeio_data.ajaxUrl,
-            type: 'POST',
-            data: {
-                action: 'init_bulk_restore',
-                nonce: wpeio_data.nonce
-            },
-            success: function(response) {
-                if (!response.success) {
-                    handleRestoreError('Failed to initialize restore process');
-                    return;
+    previewButton.on('click', function(event) {
+        event.preventDefault();
+        loadPreview();
+    });
+
+    filterFields.on('input change', function() {
+        previewCount.removeClass('error').text('');
+        previewTable.hide();
+    });
+
+    restoreLogExport.on('click', '.export-run-log', function(event) {
+        event.preventDefault();
+        restoreLog.download($(this).data('format'));
+    });
+
+    function getRestoreFilter() {
+        const filter = { mime_types: [] };
+
+        filterFields.each(function() {
+            const field = $(this);
+            const key = field.data('filter');
+            const value = field.val().trim();
+
+            if (key === 'mime_types') {
+                if (field.is(':checked')) {
+                    filter.mime_types.push(value);
                 }
+            } else if (value !== '') {
+                filter[key] = value;
+            }
+        });
 
-                initialTotal = response.data.total_images;
+        return filter;
+    }
 
-                // Reset state
-                isRestoring = true;
-                totalRestored = 0;
-                totalErrors = 0;
-                restoreButton.prop('disabled', true);
-                restoreProgressContainer.show();
-                restoreResultsList.empty().show();
-                restoreSpinner.show();
+    function loadPreview() {
+        previewCount.removeClass('error').text('Finding matching images...');
+        previewTable.hide();
+
+        return awpIoApi('GET', 'bulk-restore/preview', {
+            filter: getRestoreFilter()
+        }).done(function(data) {
+            const tbody = previewTable.find('tbody').empty();
+
+            data.images.forEach(function(image) {
+                $('<tr>')
+                    .append($('<td>').text(image.id))
+                    .append($('<td>').text(image.title))
+                    .append($('<td>').text(image.mime_type))
+                    .append($('<td>').text(image.optimized_at || '-'))
+                    .append($('<td>').text(image.percent_saved === null ? '-' : `${image.percent_saved}%`))
+                    .appendTo(tbody);
+            });
 
-                // Start processing
-                processNextRestoreBatch();
-            },
-            error: function(xhr, status, error) {
-                handleRestoreError('Failed to initialize restore process: ' + error);
+            let message = data.total === 1 ? '1 image matches' : `${data.total} images match`;
+            if (data.total > data.images.length) {
+                message += `, the first ${data.images.length} are listed`;
             }
+
+            previewCount.text(message);
+            previewTable.toggle(data.images.length > 0);
+        }).fail(function(error) {
+            previewCount.addClass('error').text(error.message);
+        });
+    }
+
+    function initializeRestore() {
+        awpIoApi('POST', 'bulk-restore', {
+            filter: getRestoreFilter()
+        }).done(function(data) {
+            initialTotal = data.total_images;
+
+            // Reset state
+            isRestoring = true;
+            totalRestored = 0;
+            totalErrors = 0;
+            restoreButton.prop('disabled', true);
+            previewButton.prop('disabled', true);
+            filterFields.prop('disabled', true);
+            restoreProgressContainer.show();
+            restoreResultsList.empty().show();
+            restoreLog.clear();
+            restoreLogExport.hide();
+            restoreSpinner.show();
+
+            // Start processing
+            processNextRestoreBatch();
+        }).fail(function(error) {
+            handleRestoreError('Failed to initialize restore process: ' + error.message);
         });
     }
 
@@ -532,53 +1941,48 @@ jQuery(document).ready(function($) {
         `;
         restoreResultsList.append(messageHtml);
         restoreResultsList.scrollTop(restoreResultsList[0].scrollHeight);
+
+        restoreLog.add(result);
+        restoreLogExport.show();
     }
 
     function processNextRestoreBatch() {
-        $.ajax({
-            url: wpeio_data.ajaxUrl,
-            type: 'POST',
-            data: {
-                action: 'start_bulk_restore',
-                nonce: wpeio_data.nonce
-            },
-            success: function(response) {
-                if (!response.success) {
-                    handleRestoreError('Server returned an error: ' +
-                        (response.data?.message || 'Unknown error'));
-                    return;
-                }
-
-                const data = response.data;
-
-                // Process results
-                if (data.results && data.results.length > 0) {
-                    data.results.forEach(result => {
-                        if (result.status === 'success') {
-                            totalRestored++;
-                        } else {
-                            totalErrors++;
-                        }
-                        addRestoreResult(result);
-                    });
-                }
-
-                // Update progress message
-                const progressMessage =
-                    `Restored: ${data.restored_count} of ${data.initial_total} | Errors: ${totalErrors} | Progress: ${data.progress}%`;
-                updateRestoreProgress(data.progress, progressMessage);
+        awpIoApi('POST', 'bulk-restore/batch', {}, {
+            idempotent: true,
+            onRetry: function(retry) {
+                restoreProgressText.text(`${retry.message}. Retrying in ${retry.seconds}s (attempt ${retry.attempt} of ${retry.maxRetries})...`);
+            }
+        }).done(function(data) {
+            // Process results
+            if (data.results && data.results.length > 0) {
+                data.results.forEach(result => {
+                    if (result.status === 'success') {
+                        totalRestored++;
+                    } else {
+                        totalErrors++;
+                    }
+                    addRestoreResult(result);
+                });
+            }
 
-                // Continue if not complete
-                if (!data.is_complete) {
-                    setTimeout(processNextRestoreBatch);
-                } else {
-                    finishRestore(
-                        `Restore complete! Successfully restored ${data.restored_count} images with ${totalErrors} errors.`
-                    );
-                }
-            },
-            error: function(xhr, status, error) {
-                handleRestoreError('Ajax request failed: ' + error);
+            // Update progress message
+            const progressMessage =
+                `Restored: ${data.restored_count} of ${data.initial_total} | Errors: ${totalErrors} | Progress: ${data.progress}%`;
+            updateRestoreProgress(data.progress, progressMessage);
+
+            // Continue if not complete
+            if (!data.is_complete) {
+                setTimeout(processNextRestoreBatch);
+            } else {
+                finishRestore(
+                    `Restore complete! Successfully restored ${data.restored_count} images with ${totalErrors} errors.`
+                );
+            }
+        }).fail(function(error) {
+            if (error.fatal) {
+                handleRestoreError('Server returned an error: ' + error.message);
+            } else {
+                handleRestoreError('Ajax request failed: ' + error.message);
             }
         });
     }
@@ -586,6 +1990,8 @@ jQuery(document).ready(function($) {
     function handleRestoreError(message) {
         isRestoring = false;
         restoreButton.prop('disabled', false);
+        previewButton.prop('disabled', false);
+        filterFields.prop('disabled', false);
         updateRestoreProgress(0, 'Error: ' + message);
         restoreSpinner.hide();
         addRestoreResult({
@@ -598,64 +2004,337 @@ jQuery(document).ready(function($) {
     function finishRestore(message) {
         isRestoring = false;
         restoreButton.prop('disabled', false);
+        previewButton.prop('disabled', false);
+        filterFields.prop('disabled', false);
         updateRestoreProgress(100, message);
         restoreSpinner.hide();
     }
 });
 
+/* Backup verification */
+// Verifies the backups in batches and lists missing, corrupt and orphaned backups.
+jQuery(document).ready(function($) {
+    const verifyButton = $('#verify-backups-button');
+    const verifySpinner = verifyButton.siblings('.spinner');
+    const statusText = $('#verify-backups-status');
+    const summaryList = $('#verify-backups-summary');
+    const resultsList = $('#verify-backups-results');
+
+    let counts = {};
+
+    verifyButton.on('click', function(event) {
+        event.preventDefault();
+
+        counts = { ok: 0, recorded: 0, missing: 0, corrupt: 0 };
+        verifyButton.prop('disabled', true);
+        verifySpinner.addClass('is-active');
+        summaryList.empty().hide();
+        resultsList.empty().hide();
+        statusText.text('Verifying backups...');
+
+        verifyNextBatch(0);
+    });
+
+    function verifyNextBatch(offset) {
+        awpIoApi('POST', 'backups/verify', { offset: offset }, {
+            idempotent: true,
+            onRetry: function(retry) {
+                statusText.text(`${retry.message}. Retrying in ${retry.seconds}s (attempt ${retry.attempt} of ${retry.maxRetries})...`);
+            }
+        }).done(function(data) {
+            data.results.forEach(function(result) {
+                counts[result.status]++;
+
+                if (result.status === 'missing' || result.status === 'corrupt') {
+                    addResult(`ID ${result.id}: ${result.message} (${result.path})`);
+                }
+            });
+
+            if (!data.is_complete) {
+                statusText.text(`Verified ${data.offset} of ${data.total} backups...`);
+                verifyNextBatch(data.offset);
+                return;
+            }
+
+            data.orphans.forEach(function(orphan) {
+                addResult(`Orphaned backup: ${orphan.path} (${awpIoFormatBytes(orphan.size)})`);
+            });
+
+            showSummary(data);
+            finishVerification(`Verified ${data.offset} backups.`);
+        }).fail(function(error) {
+            finishVerification('Error: ' + error.message);
+        });
+    }
+
+    function addResult(message) {
+        $('<div class="optimization-result error"><span class="dashicons dashicons-no"></span></div>')
+            .append(document.createTextNode(' ' + message))
+            .appendTo(resultsList.show());
+    }
+
+    function showSummary(data) {
+        const orphanedBytes = data.orphans.reduce(function(sum, orphan) {
+            return sum + orphan.size;
+        }, 0);
+        const items = [
+            [`Intact: ${counts.ok + counts.recorded}` + (counts.recorded ? ` (${counts.recorded} added to the manifest)` : ''), false],
+            [`Missing: ${counts.missing}`, counts.missing > 0],
+            [`Corrupt: ${counts.corrupt}`, counts.corrupt > 0],
+            [`Orphaned: ${data.orphans.length} (${awpIoFormatBytes(orphanedBytes)})`, data.orphans.length > 0],
+            [`Disk usage: ${awpIoFormatBytes(data.usage.bytes)} in ${data.usage.files} files`, false]
+        ];
+
+        items.forEach(function(item) {
+            $('<li></li>').text(item[0]).toggleClass('has-problems', item[1]).appendTo(summaryList);
+        });
+
+        summaryList.show();
+    }
+
+    function finishVerification(message) {
+        verifyButton.prop('disabled', false);
+        verifySpinner.removeClass('is-active');
+        statusText.text(message);
+    }
+});
+
 /* Get optimization stats */
 jQuery(document).ready(function($) {
-    // Function to update stats via AJAX
+    // Function to update stats via the REST API
     function updateStats() {
-        $.ajax({
-            url: wpeio_data.ajaxUrl,
-            type: 'POST',
-            data: {
-                action: 'awp_io_get_stats',
-                nonce: wpeio_data.nonce
-            },
-            success: function(response) {
-                if (response.success) {
-                    const stats = response.data;
-
-                    // Ensure all values are valid numbers
-                    const totalWebpSavings = typeof stats.total_webp_savings === 'number' ? stats.total_webp_savings : 0;
-                    const totalNormalSavings = typeof stats.total_normal_savings === 'number' ? stats.total_normal_savings : 0;
-                    const totalWebpConversions = typeof stats.total_webp_conversions === 'number' ? stats.total_webp_conversions : 0;
-                    const totalPngToJpgConversions = typeof stats.total_png_to_jpg_conversions === 'number' ? stats.total_png_to_jpg_conversions : 0;
-
-                    // Update the stats in the HTML
-                    $('#webp-savings').text(formatBytes(totalWebpSavings));
-                    $('#normal-savings').text(formatBytes(totalNormalSavings));
-                    $('#webp-conversions').text(totalWebpConversions);
-                    $('#png-jpg-conversions').text(totalPngToJpgConversions);
-
-                    // Update the last updated time
-                    const now = new Date();
-                    $('#last-updated').text('Last updated: ' + now.toLocaleTimeString());
-                } else {
-                    console.error('Failed to fetch stats:', response.data);
+        awpIoApi('GET', 'stats').done(function(stats) {
+            // Ensure all values are valid numbers
+            const totalWebpSavings = typeof stats.total_webp_savings === 'number' ? stats.total_webp_savings : 0;
+            const totalNormalSavings = typeof stats.total_normal_savings === 'number' ? stats.total_normal_savings : 0;
+            const totalWebpConversions = typeof stats.total_webp_conversions === 'number' ? stats.total_webp_conversions : 0;
+            const totalPngToJpgConversions = typeof stats.total_png_to_jpg_conversions === 'number' ? stats.total_png_to_jpg_conversions : 0;
+            const totalAvifSavings = typeof stats.total_avif_savings === 'number' ? stats.total_avif_savings : 0;
+            const totalAvifConversions = typeof stats.total_avif_conversions === 'number' ? stats.total_avif_conversions : 0;
+
+            // Update the stats in the HTML
+            $('#webp-savings').text(formatBytes(totalWebpSavings));
+            $('#normal-savings').text(formatBytes(totalNormalSavings));
+            $('#webp-conversions').text(totalWebpConversions);
+            $('#png-jpg-conversions').text(totalPngToJpgConversions);
+            $('#avif-savings').text(formatBytes(totalAvifSavings));
+            $('#avif-conversions').text(totalAvifConversions);
+
+            // Update the last updated time
+            const now = new Date();
+            $('#last-updated').text('Last updated: ' + now.toLocaleTimeString());
+        }).fail(function(error) {
+            console.error('Failed to fetch stats:', error.message);
+        });
+    }
+
+    const formatBytes = awpIoFormatBytes;
+
+    /* Statistics dashboard */
+    const $dashboard = $('.statistics-dashboard');
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    let statisticsLoaded = false;
+
+    function loadStatistics() {
+        const range = {
+            from: $('#statistics-from').val(),
+            to: $('#statistics-to').val()
+        };
+        const $spinner = $dashboard.find('.statistics-filters .spinner').addClass('is-active');
+
+        statisticsLoaded = true;
+        $('#statistics-error').hide();
+
+        $.when(
+            awpIoApi('GET', 'stats/history', $.extend({ bucket: $('#statistics-bucket').val() }, range)),
+            awpIoApi('GET', 'stats/breakdown', range)
+        ).done(function(history, breakdown) {
+            renderBarChart($('#statistics-savings-chart'), history.history, [
+                { key: 'normal_savings', className: 'series-normal' },
+                { key: 'webp_savings', className: 'series-webp' },
+                { key: 'avif_savings', className: 'series-avif' }
+            ], formatBytes);
+
+            renderBarChart($('#statistics-conversions-chart'), history.history, [
+                { key: 'webp_conversions', className: 'series-webp' },
+                { key: 'avif_conversions', className: 'series-avif' },
+                { key: 'png_to_jpg_conversions', className: 'series-png' }
+            ], function(value) {
+                return String(value);
+            });
+
+            renderTable($('#statistics-by-mime-type'), breakdown.by_mime_type, function(row) {
+                return [row.mime_type, row.images, formatBytes(row.normal_savings), formatBytes(row.webp_savings), formatBytes(row.avif_savings)];
+            });
+
+            renderTable($('#statistics-by-size'), breakdown.by_size, function(row) {
+                return [row.image_size, row.files, formatBytes(row.saved_bytes) + ' (' + row.percent_saved + '%)', formatBytes(row.webp_saved_bytes), formatBytes(row.avif_saved_bytes)];
+            });
+
+            renderTable($('#statistics-top-savings'), breakdown.top_savings, function(row) {
+                return [imageCell(row), formatBytes(row.normal_savings), formatBytes(row.webp_savings)];
+            });
+
+            renderTable($('#statistics-worst-compressed'), breakdown.worst_compressed, function(row) {
+                return [imageCell(row), formatBytes(row.original_bytes), formatBytes(row.saved_bytes) + ' (' + row.percent_saved + '%)'];
+            });
+        }).fail(function(error) {
+            $('#statistics-error').text(error.message).show();
+        }).always(function() {
+            $spinner.removeClass('is-active');
+        });
+    }
+
+    // Draws a stacked bar chart with one bar per period, values are shown as tooltips.
+    function renderBarChart($container, history, series, formatValue) {
+        const width = 800;
+        const height = 240;
+        const padding = { top: 10, right: 10, bottom: 30, left: 80 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        const totals = history.map(function(period) {
+            return series.reduce(function(sum, item) {
+                return sum + period[item.key];
+            }, 0);
+        });
+        const max = Math.max.apply(null, totals.concat([0]));
+
+        $container.empty();
+
+        if (max === 0) {
+            $container.append($('<p class="statistics-empty">').text($dashboard.data('empty-text')));
+            return;
+        }
+
+        const svg = createSvgElement('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'img'
+        });
+
+        // Horizontal grid lines with value labels
+        [0, 0.25, 0.5, 0.75, 1].forEach(function(step) {
+            const y = padding.top + chartHeight - chartHeight * step;
+
+            svg.appendChild(createSvgElement('line', {
+                x1: padding.left, x2: width - padding.right, y1: y, y2: y, class: 'grid-line'
+            }));
+
+            const label = createSvgElement('text', {
+                x: padding.left - 6, y: y + 4, class: 'axis-label', 'text-anchor': 'end'
+            });
+            label.textContent = formatValue(Math.round(max * step));
+            svg.appendChild(label);
+        });
+
+        const slot = chartWidth / history.length;
+        const barWidth = Math.max(1, slot * 0.7);
+        const labelEvery = Math.ceil(history.length / 10);
+
+        history.forEach(function(period, index) {
+            const x = padding.left + slot * index + (slot - barWidth) / 2;
+            let y = padding.top + chartHeight;
+
+            series.forEach(function(item) {
+                const barHeight = chartHeight * period[item.key] / max;
+                if (barHeight <= 0) {
+                    return;
                 }
-            },
-            error: function(xhr, status, error) {
-                console.error('AJAX request failed:', error);
+
+                y -= barHeight;
+                const bar = createSvgElement('rect', {
+                    x: x, y: y, width: barWidth, height: barHeight, class: 'bar ' + item.className
+                });
+                const title = createSvgElement('title');
+                title.textContent = period.period + ': ' + formatValue(period[item.key]);
+                bar.appendChild(title);
+                svg.appendChild(bar);
+            });
+
+            if (index % labelEvery === 0) {
+                const label = createSvgElement('text', {
+                    x: x + barWidth / 2, y: height - 10, class: 'axis-label', 'text-anchor': 'middle'
+                });
+                label.textContent = period.period.substring(5);
+                svg.appendChild(label);
             }
         });
+
+        $container.append(svg);
+    }
+
+    function createSvgElement(name, attributes) {
+        const element = document.createElementNS(svgNamespace, name);
+
+        $.each(attributes || {}, function(attribute, value) {
+            element.setAttribute(attribute, value);
+        });
+
+        return element;
+    }
+
+    function renderTable($body, rows, getCells) {
+        $body.empty();
+
+        if (!rows.length) {
+            const columns = $body.closest('table').find('thead th').length;
+            $body.append($('<tr>').append($('<td>').attr('colspan', columns).text($dashboard.data('empty-text'))));
+            return;
+        }
+
+        rows.forEach(function(row) {
+            const $row = $('<tr>');
+
+            getCells(row).forEach(function(cell) {
+                $row.append($('<td>').append(cell instanceof $ ? cell : document.createTextNode(cell)));
+            });
+
+            $body.append($row);
+        });
     }
 
-    // Function to format bytes into a human-readable format
-    function formatBytes(bytes, decimals = 2) {
-        if (typeof bytes !== 'number' || isNaN(bytes) || bytes === 0) {
-            return '0 Bytes'; // Handle invalid or zero values
+    function imageCell(row) {
+        const $link = $('<a class="statistics-image">').attr('href', row.edit_url);
+
+        if (row.thumbnail) {
+            $link.append($('<img alt="">').attr('src', row.thumbnail));
         }
 
-        const k = 1024;
-        const dm = decimals < 0 ? 0 : decimals;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
+        return $link.append($('<span>').text(row.title || '#' + row.id));
+    }
+
+    if ($dashboard.length) {
+        $('#statistics-apply').on('click', function(e) {
+            e.preventDefault();
+            loadStatistics();
+        });
+
+        // The tab is inside the settings form, so keep Enter from submitting the settings.
+        $dashboard.on('keydown', 'input', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                loadStatistics();
+            }
+        });
+
+        // Load the data when the tab is opened for the first time.
+        $('.nav-tab[href="#statistics"]').on('click', function() {
+            if (!statisticsLoaded) {
+                loadStatistics();
+            }
+        });
+
+        if (window.location.hash === '#statistics') {
+            loadStatistics();
+        }
 
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        $('#export-results-button').on('click', function() {
+            const url = new URL(this.href, window.location.href);
 
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+            url.searchParams.set('format', $('#export-results-format').val());
+            url.searchParams.set('status', $('#export-results-status').val());
+            this.href = url.toString();
+        });
     }
 
     // Attach the updateStats function to the button click event
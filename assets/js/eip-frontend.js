@@ -7,19 +7,155 @@
  * @since 1.0.0
  * @description This file handles frontend functionality such as:
  *              - Lazy loading of optimized images
- *              - WebP image support detection
- *              - Fallback handling for unsupported formats
- *              - Responsive image loading optimization
+ *              - WebP and AVIF image support detection
+ *              - Fallback handling for missing next generation images
+ *
+ * Lazy loaded images are prepared by WebpHandler: the original sources are stored in
+ * data-src/data-srcset and the next generation versions in data-{format}-src and
+ * data-{format}-srcset. The script has no dependencies.
  */
+(function() {
+    'use strict';
 
-/**
- * Main frontend functionality initialization
- * Sets up event handlers and initializes frontend features
- */
-jQuery(document).ready(function($) {
-    // Future implementation of frontend features
-    // - Lazy loading
-    // - WebP support detection
-    // - Image format fallbacks
-    // - Responsive loading
-});
\ No newline at end of file
+    // Smallest valid images of the next generation formats, in order of preference.
+    const testImages = {
+        avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+        webp: 'data:image/webp;base64,UklGRhoAAABXRUJQVlA4TA0AAAAvAAAAEAcQERGIiP4HAA=='
+    };
+
+    // Images are loaded shortly before they scroll into view.
+    const rootMargin = '200px 0px';
+
+    let observer = null;
+
+    /**
+     * Check whether the browser can decode an image format.
+     *
+     * @param {string} format Key of testImages.
+     * @return {Promise<boolean>}
+     */
+    function supportsFormat(format) {
+        return new Promise(function(resolve) {
+            const image = new Image();
+
+            image.onload = function() {
+                resolve(image.width > 0 && image.height > 0);
+            };
+            image.onerror = function() {
+                resolve(false);
+            };
+            image.src = testImages[format];
+        });
+    }
+
+    // Supported next generation formats, in order of preference.
+    const supportedFormats = Promise.all(Object.keys(testImages).map(function(format) {
+        return supportsFormat(format).then(function(supported) {
+            return supported ? format : null;
+        });
+    })).then(function(formats) {
+        return formats.filter(Boolean);
+    });
+
+    function pickSource(image, formats) {
+        for (let i = 0; i < formats.length; i++) {
+            const src = image.getAttribute('data-' + formats[i] + '-src');
+
+            if (src) {
+                return {
+                    format: formats[i],
+                    src: src,
+                    srcset: image.getAttribute('data-' + formats[i] + '-srcset')
+                };
+            }
+        }
+
+        return {
+            format: null,
+            src: image.getAttribute('data-src'),
+            srcset: image.getAttribute('data-srcset')
+        };
+    }
+
+    function setSource(image, src, srcset) {
+        if (srcset) {
+            image.setAttribute('srcset', srcset);
+        } else {
+            image.removeAttribute('srcset');
+        }
+
+        image.setAttribute('src', src);
+    }
+
+    function loadImage(image, formats) {
+        const source = pickSource(image, formats);
+
+        // Remembered so a missing next generation file can fall back to the original.
+        if (source.format) {
+            image.setAttribute('data-awp-io-format', source.format);
+        }
+
+        setSource(image, source.src, source.srcset);
+        image.classList.remove('awp-io-lazy');
+        image.classList.add('awp-io-loaded');
+    }
+
+    function fallbackToOriginal(image) {
+        image.removeAttribute('data-awp-io-format');
+        setSource(image, image.getAttribute('data-src'), image.getAttribute('data-srcset'));
+    }
+
+    function observe(root, formats) {
+        const images = (root || document).querySelectorAll('img.awp-io-lazy');
+
+        if (!('IntersectionObserver' in window)) {
+            images.forEach(function(image) {
+                loadImage(image, formats);
+            });
+            return;
+        }
+
+        if (!observer) {
+            observer = new IntersectionObserver(function(entries) {
+                entries.forEach(function(entry) {
+                    if (entry.isIntersecting) {
+                        observer.unobserve(entry.target);
+                        loadImage(entry.target, formats);
+                    }
+                });
+            }, { rootMargin: rootMargin });
+        }
+
+        images.forEach(function(image) {
+            observer.observe(image);
+        });
+    }
+
+    /**
+     * Lazy load the prepared images in an element, e.g. after adding content with AJAX.
+     *
+     * @param {Element} [root] Element to search, defaults to the document.
+     */
+    window.awpIoLazyLoad = function(root) {
+        supportedFormats.then(function(formats) {
+            observe(root, formats);
+        });
+    };
+
+    // Load errors do not bubble, so listen in the capture phase.
+    document.addEventListener('error', function(event) {
+        const image = event.target;
+
+        if (image && image.tagName === 'IMG' && image.hasAttribute('data-awp-io-format')) {
+            fallbackToOriginal(image);
+        }
+    }, true);
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', function() {
+            window.awpIoLazyLoad();
+        });
+    } else {
+        window.awpIoLazyLoad();
+    }
+})();
\ No newline at end of file
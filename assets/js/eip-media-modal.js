@@ -0,0 +1,151 @@
+/*Image optimization panel in the media modal attachment details*/
+(function($, wp) {
+    'use strict';
+
+    if (!wp || !wp.media || !wp.media.view || !wp.media.view.Attachment || !wp.media.view.Attachment.Details) {
+        return;
+    }
+
+    const Details = wp.media.view.Attachment.Details;
+
+    // Status messages by attachment ID, kept when the details view is rendered again.
+    const statusMessages = {};
+
+    // Interval to reload attachments that are optimized in the background.
+    const QUEUE_POLL_INTERVAL = 10000;
+
+    const OptimizationPanel = wp.media.View.extend({
+        className: 'awp-io-attachment-panel',
+        template: wp.template('awp-io-attachment-panel'),
+
+        events: {
+            'click .awp-io-optimize': 'optimize',
+            'click .awp-io-reoptimize': 'reOptimize',
+            'click .awp-io-restore': 'restore'
+        },
+
+        initialize: function() {
+            this.listenTo(this.model, 'change:awpIo', this.render);
+        },
+
+        render: function() {
+            const data = this.model.get('awpIo');
+
+            if (!data) {
+                this.$el.empty();
+                return this;
+            }
+
+            this.$el.html(this.template(data));
+            this.$('.request-status').text(statusMessages[this.model.get('id')] || '');
+            this.pollQueue(data.queue);
+            return this;
+        },
+
+        // Reload the attachment until the queue worker has optimized it, e.g. right after an upload.
+        pollQueue: function(queue) {
+            const view = this;
+
+            clearTimeout(view.queueTimer);
+
+            if (!queue || (queue.status !== 'queued' && queue.status !== 'processing')) {
+                return;
+            }
+
+            view.queueTimer = setTimeout(function() {
+                if (!document.body.contains(view.el) || view.$el.hasClass('processing')) {
+                    return;
+                }
+
+                // An unchanged status does not render the panel again, so keep polling here.
+                view.model.fetch().always(function() {
+                    const data = view.model.get('awpIo');
+                    view.pollQueue(data && data.queue);
+                });
+            }, QUEUE_POLL_INTERVAL);
+        },
+
+        remove: function() {
+            clearTimeout(this.queueTimer);
+            return wp.media.View.prototype.remove.apply(this, arguments);
+        },
+
+        optimize: function(event) {
+            this.runAction(event, 'optimize', false);
+        },
+
+        reOptimize: function(event) {
+            this.runAction(event, 'optimize', true);
+        },
+
+        restore: function(event) {
+            this.runAction(event, 'restore', false);
+        },
+
+        runAction: function(event, action, isReOptimize) {
+            const view = this;
+
+            event.preventDefault();
+
+            if (view.$el.hasClass('processing')) {
+                return;
+            }
+
+            view.setProcessing(true);
+            view.setStatus('');
+
+            awpIoApi('POST', `attachments/${view.model.get('id')}/${action}`, {
+                re_optimize: isReOptimize
+            }, {
+                onRetry: function(retry) {
+                    view.setStatus(`Retrying in ${retry.seconds}s...`);
+                }
+            }).done(function(data) {
+                view.refresh(data.message);
+            }).fail(function(error) {
+                // A failed optimization is recorded on the attachment, so refresh it as well.
+                view.refresh(error.message);
+            });
+        },
+
+        // Reload the attachment, e.g. restoring changes its file and sizes.
+        refresh: function(message) {
+            const view = this;
+
+            view.model.fetch().always(function() {
+                view.render();
+                view.setProcessing(false);
+                view.setStatus(message);
+            });
+        },
+
+        setProcessing: function(isProcessing) {
+            this.$el.toggleClass('processing', isProcessing);
+            this.$('.button').prop('disabled', isProcessing);
+        },
+
+        setStatus: function(message) {
+            statusMessages[this.model.get('id')] = message || '';
+            this.$('.request-status').text(message || '');
+        }
+    });
+
+    // Details.TwoColumn (grid mode) renders through Details.prototype.render as well.
+    const render = Details.prototype.render;
+
+    Details.prototype.render = function() {
+        render.apply(this, arguments);
+
+        if (this.awpIoPanel) {
+            this.awpIoPanel.remove();
+            this.awpIoPanel = null;
+        }
+
+        if (this.model.get('awpIo')) {
+            this.awpIoPanel = new OptimizationPanel({ model: this.model });
+            this.$('.attachment-info').first().append(this.awpIoPanel.render().el);
+        }
+
+        return this;
+    };
+})(jQuery, window.wp);
\ No newline at end of file
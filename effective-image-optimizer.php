@@ -6,8 +6,8 @@
  * Description: Optimize Images with Ease – Faster Sites, Better SEO, and Seamless Performance! Compress, convert, and resize effortlessly with just one click.
  * Author: AWP - Muhammad Awais
  * Author URI: https://awaiswp.is-a-fullstack.dev/contact/
- * Version: 1.1.8
- * Requires at least: 5.0
+ * Version: 1.2.0
+ * Requires at least: 5.3
  * Requires PHP: 7.4
  * License: GPL-2.0+
  * License URI: https://www.gnu.org/licenses/gpl-2.0.html
@@ -62,11 +62,24 @@ function effective_image_optimizer_on_activate()
     $schema = Schema::get_instance();
     $schema->create_optimization_stats_table();
     $schema->create_reoptimization_table();
+    $schema->create_claims_table();
+    $schema->create_size_stats_table();
+    $schema->create_queue_table();
+    $schema->create_backups_table();
+
+    RewriteRules::get_instance()->sync_rules();
+    ScheduledOptimizer::get_instance()->reschedule();
 }
 register_activation_hook(__FILE__, __NAMESPACE__ . '\\effective_image_optimizer_on_activate');
 
 /**
  * Deactivation hook.
  */
-function effective_image_optimizer_on_deactivate() {}
+function effective_image_optimizer_on_deactivate()
+{
+    RewriteRules::get_instance()->remove_rules();
+    wp_clear_scheduled_hook(OptimizationQueue::CRON_HOOK);
+    wp_clear_scheduled_hook(ScheduledOptimizer::CRON_HOOK);
+    wp_clear_scheduled_hook(Notifications::DIGEST_CRON_HOOK);
+}
 register_deactivation_hook(__FILE__, __NAMESPACE__ . '\\effective_image_optimizer_on_deactivate');
@@ -11,6 +11,9 @@
  */
 
 use AWP\IO\Admin\ImageOptimizerOptions;
+use AWP\IO\ImageSender;
+use AWP\IO\LocalOptimizer;
+use AWP\IO\OptimizationEngine;
 
 /**
  * Retrieves optimizer settings.
@@ -40,3 +43,29 @@ function get_default_optimizer_settings()
     $optimizer = ImageOptimizerOptions::get_instance();
     return $optimizer->get_default_optimizer_settings();
 }
+
+/**
+ * Gets the optimization engine selected in the settings.
+ *
+ * Returns the local Imagick/GD engine when 'optimization_engine' is 'local',
+ * the remote API otherwise.
+ *
+ * @since 1.2.0
+ * @return OptimizationEngine The optimization engine.
+ */
+function get_optimization_engine()
+{
+    $engine = get_optimizer_settings('optimization_engine') === 'local'
+        ? LocalOptimizer::get_instance()
+        : ImageSender::get_instance();
+
+    /**
+     * Filters the engine images are optimized with.
+     *
+     * @since 1.2.0
+     * @param OptimizationEngine $engine The selected engine.
+     */
+    $filtered = apply_filters('awp_io_optimization_engine', $engine);
+
+    return $filtered instanceof OptimizationEngine ? $filtered : $engine;
+}
@@ -5,13 +5,22 @@ namespace AWP\IO\Admin;
 defined('ABSPATH') || exit;
 
 use AWP\IO\TemplateLoader;
+use AWP\IO\CFCachePurger;
+use AWP\IO\HttpCachePurger;
 use AWP\IO\ImageFetcher;
 use AWP\IO\ImageSender;
 use AWP\IO\ImageTracker;
+use AWP\IO\LocalOptimizer;
+use AWP\IO\Notifications;
+use AWP\IO\OptimizationEngine;
 use AWP\IO\OptimizationManager;
+use AWP\IO\OptimizationRun;
+use AWP\IO\OptimizationScope;
+use AWP\IO\RewriteRules;
+use AWP\IO\ScheduledOptimizer;
 use AWP\IO\Singleton;
 use AWP\IO\Stats\OptimizationStatsManager;
-use AWP\IO\Schema;
+use AWP\IO\Stats\StatsReport;
 
 defined('ABSPATH') || exit;
 
@@ -42,9 +51,9 @@ class ImageOptimizerOptions extends Singleton
     private $fetcher;
 
     /**
-     * Image sender instance for processing images.
+     * Optimization engine for processing images, resolved per request.
      *
-     * @var ImageSender
+     * @var OptimizationEngine
      */
     private $sender;
 
@@ -67,7 +76,20 @@ class ImageOptimizerOptions extends Singleton
      *
      * @var string
      */
-    private const IMAGE_OPTIMIZER_SETTINGS = 'wpeio_awp_settings';
+    public const IMAGE_OPTIMIZER_SETTINGS = 'wpeio_awp_settings';
+
+    /**
+     * Settings holding credentials, left out of exports and imports unless requested.
+     *
+     * @var array
+     * @since 1.2.0
+     */
+    public const SECRET_SETTINGS = array(
+        'api_key',
+        'cloudflare_api_token',
+        'cdn_purge_webhook_secret',
+        'notification_webhook_secret',
+    );
 
     /**
      * Default plugin settings.
@@ -77,6 +99,8 @@ class ImageOptimizerOptions extends Singleton
      */
     private $default_settings = array(
         'api_key' => '',
+        'optimization_engine' => 'remote',
+        'compression_level' => 'lossy',
         'thumbnail_compression' => 'no',
         'backup' => 'no',
         'remove_exif' => 'no',
@@ -86,12 +110,37 @@ class ImageOptimizerOptions extends Singleton
             'option' => 'cover',
         ),
         'next_gen_images' => 'no',
+        'next_gen_avif_images' => 'no',
         'deliver_next_gen_images' => 'no',
+        'next_gen_delivery_method' => 'php',
+        'lazy_load_images' => 'no',
+        'output_buffer_rewrite' => 'no',
+        'output_buffer_exclude_selectors' => '',
+        'output_buffer_exclude_urls' => '',
         'optimize_media_upload' => 'no',
         'convert_to_webp_media_upload' => 'no',
         'convert_png_to_jpeg' => 'no',
         'exclude_thumbnail_sizes' => array(),
         'cloudflare_api_token' => '',
+        'cdn_purge_http_targets' => '',
+        'cdn_purge_http_method' => 'PURGE',
+        'cdn_purge_webhook_url' => '',
+        'cdn_purge_webhook_secret' => '',
+        'request_max_retries' => 5,
+        'bulk_concurrency' => 1,
+        'scheduled_optimization' => 'off',
+        'scheduled_optimization_day' => 0,
+        'scheduled_optimization_time' => '02:00',
+        'scheduled_optimization_max_images' => 200,
+        'scheduled_optimization_quiet_hours' => array(
+            'start' => '',
+            'end' => '',
+        ),
+        'notification_email_digest' => 'off',
+        'notification_email' => '',
+        'notification_webhook_url' => '',
+        'notification_webhook_secret' => '',
+        'notification_webhook_events' => array('run.completed', 'api.error'),
     );
 
     /**
@@ -104,7 +153,6 @@ class ImageOptimizerOptions extends Singleton
         $this->loader = TemplateLoader::get_instance();
 
         $this->fetcher = ImageFetcher::get_instance();
-        $this->sender = ImageSender::get_instance();
         $this->tracker = ImageTracker::get_instance();
     }
 
@@ -118,8 +166,13 @@ class ImageOptimizerOptions extends Singleton
     {
         add_action('admin_menu', array($this, 'admin_menu'));
         add_action('admin_post_save_image_optimizer_options', array($this, 'save_settings'));
+        add_action('wp_ajax_awp_io_save_settings', array($this, 'save_settings_ajax'));
+        add_action('wp_ajax_awp_io_validate_settings', array($this, 'validate_settings_ajax'));
+        add_action('wp_ajax_awp_io_validate_api_key', array($this, 'validate_api_key_ajax'));
+        add_action('wp_ajax_awp_io_verify_cloudflare_token', array($this, 'verify_cloudflare_token_ajax'));
         add_action('admin_init', array($this, 'initialize_settings'));
         add_action('wp_ajax_start_optimization', array($this, 'start_optimization'));
+        add_action('wp_ajax_count_optimization_scope', array($this, 'count_optimization_scope'));
         add_filter('plugin_action_links', array($this, 'add_plugin_action_links'), 10, 2);
     }
 
@@ -185,10 +238,26 @@ class ImageOptimizerOptions extends Singleton
         return $this->default_settings;
     }
 
+    /**
+     * Returns the compression levels with their labels.
+     *
+     * @since 1.2.0
+     * @return array Labels keyed by OptimizationEngine::COMPRESSION_LEVELS
+     */
+    public function get_compression_levels()
+    {
+        return array(
+            'lossless' => __('Lossless', 'awp-io'),
+            'glossy' => __('Glossy', 'awp-io'),
+            'lossy' => __('Lossy', 'awp-io'),
+        );
+    }
+
     /**
      * Handles the AJAX request to start the optimization process.
      * 
      * Performs security checks, initializes optimization manager, and processes images in batches.
+     * Progress is kept in the server-side run state, so a paused or interrupted run can be resumed.
      * Returns JSON response with progress information.
      *
      * @since 1.0.0
@@ -207,79 +276,223 @@ class ImageOptimizerOptions extends Singleton
             return;
         }
 
+        // Start a new run when requested, otherwise continue the stored one.
+        $start = null;
+        if (!empty($_POST['new_run']) || OptimizationRun::get_instance()->get() === null) {
+            $start = [
+                're_optimize' => (bool) intval($_POST['is_re_optimize']),
+                'scope' => wp_unslash($_POST['scope'] ?? []),
+            ];
+        }
+
+        $response = $this->process_optimization_batch($start);
+
+        OptimizationRun::get_instance()->send_lock_error($response);
+        if (is_wp_error($response)) {
+            wp_send_json_error(['message' => $response->get_error_message()]);
+            return;
+        }
+
+        wp_send_json_success($response);
+    }
+
+    /**
+     * Optimizes the next batch of a bulk run, used by the AJAX handler and the REST API.
+     *
+     * Several workers may process batches of the same run in parallel, the images
+     * are claimed per batch.
+     *
+     * @since 1.2.0
+     * @param array|null $start Optional. Array with 're_optimize' and 'scope' to start a new run,
+     *                          null to continue the stored run.
+     * @return array|\WP_Error Batch response with progress, results and run state, or WP_Error with an HTTP status
+     */
+    public function process_optimization_batch($start = null)
+    {
+        // Resolved here, the settings are read through this instance.
+        $this->sender = get_optimization_engine();
+
         try {
-            $this->sender->validate_api_key();
+            $this->sender->validate();
         } catch (\Exception $e) {
-            wp_send_json_error(['message' => $e->getMessage()]);
+            return new \WP_Error('awp_io_engine_unavailable', $e->getMessage(), ['status' => 400]);
         }
 
-        // Check if re-optimization is enabled
-        $re_optimize = (bool) intval($_POST['is_re_optimize']);
+        $run_manager = OptimizationRun::get_instance();
+
+        if ($start !== null) {
+            $re_optimize = !empty($start['re_optimize']);
+
+            try {
+                $scope = OptimizationScope::from_array($start['scope'] ?? []);
+            } catch (\InvalidArgumentException $e) {
+                return new \WP_Error('awp_io_invalid_scope', $e->getMessage(), ['status' => 400]);
+            }
+
+            $run = $run_manager->start($re_optimize, $this->fetcher->get_total_unoptimized_count($re_optimize, $scope), $scope->to_array());
+            if (is_wp_error($run)) {
+                return $run;
+            }
+        } else {
+            $run = $run_manager->get();
+        }
+
+        // The run was completed or cancelled, e.g. by another worker.
+        if ($run === null) {
+            return [
+                'progress' => 100,
+                'message' => 'No optimization run in progress.',
+                'results' => [],
+                'is_complete' => true,
+                'run' => null,
+            ];
+        }
+
+        $re_optimize = $run['re_optimize'];
+        $scope = OptimizationScope::from_array($run['scope'] ?? []);
+
+        if ($run['status'] === OptimizationRun::STATUS_PAUSED) {
+            return [
+                'progress' => $run_manager->get_progress($run),
+                'message' => 'Optimization paused.',
+                'results' => [],
+                'is_complete' => false,
+                'is_paused' => true,
+                'run' => $run_manager->prepare_run_response($run),
+            ];
+        }
 
         // Get total count based on re-optimization mode
-        $total_unoptimized = $this->fetcher->get_total_unoptimized_count($re_optimize);
+        $total_unoptimized = $this->fetcher->get_total_unoptimized_count($re_optimize, $scope);
 
         if ($total_unoptimized === 0) {
-            wp_send_json_success([
+            $completed = $this->complete_run($run_manager);
+            if (is_wp_error($completed)) {
+                return $completed;
+            }
+
+            return [
                 'progress' => 100,
                 'message' => 'No images need optimization.',
                 'results' => [],
-                'is_complete' => true
-            ]);
-            return;
+                'is_complete' => true,
+                'run' => $run_manager->prepare_run_response($run),
+            ];
         }
 
         $this->optimization_manager = OptimizationManager::get_instance();
         $this->optimization_manager->initialize($this->fetcher, $this->sender, $this->tracker);
 
         // Process current batch
-        $results = $this->optimization_manager->optimize_batch($re_optimize);
-        //$processed_count = $this->optimization_manager->get_processed_count();
+        $results = $this->optimization_manager->optimize_batch($re_optimize, $scope);
+        $run = $run_manager->record_batch($results);
 
         // Recalculate total as it may have changed
-        $remaining_unoptimized = $this->fetcher->get_total_unoptimized_count($re_optimize);
-        $total_processed = isset($_POST['processed_count']) ? absint($_POST['processed_count']) : 0;
-
-        // Keep the total count on first run. This is for showing progress. Pass this to AJAX response.
-        if ($total_processed === 0) {
-            $total_unoptimized_count = $total_unoptimized;
-        } else {
-            // Get total count again from AJAX request and pass it again to AJAX response.
-            $total_unoptimized_count = isset($_POST['total_unoptimized_count']) ? absint($_POST['total_unoptimized_count']) : 0;
-        }
-
-        // Calculate progress
-        $progress = min(100, round(($total_processed / $total_unoptimized_count) * 100, 2));
+        $remaining_unoptimized = $this->fetcher->get_total_unoptimized_count($re_optimize, $scope);
 
         // Determine if we're done
         $is_complete = $remaining_unoptimized === 0;
+        $progress = $is_complete ? 100 : $run_manager->get_progress($run);
 
-        // Clear processed IDs if re-optimization is complete
-        if ($re_optimize && $is_complete) {
-            (Schema::get_instance())->truncate_reoptimization_table();
+        // Clear the run state and processed IDs if optimization is complete
+        if ($is_complete) {
+            $completed = $this->complete_run($run_manager);
+            if (is_wp_error($completed)) {
+                return $completed;
+            }
         }
 
-        wp_send_json_success([
+        return [
             'progress' => $progress,
             're_optimize_mode' => $re_optimize,
             'message' => $is_complete ? 'Optimization complete!' : "Optimizing images...",
             'results' => $results,
             'is_complete' => $is_complete,
             'total_unoptimized' => $remaining_unoptimized,
-            'processed_count' => $total_processed,
-            'total_unoptimized_count' => $total_unoptimized_count,
+            'run' => $run_manager->prepare_run_response($run),
+        ];
+    }
+
+    /**
+     * Clears the state of a finished bulk run and reports the run.
+     *
+     * @since 1.2.0
+     * @param OptimizationRun $run_manager Run state manager
+     * @return true|\WP_Error True, or WP_Error if the run state is locked
+     */
+    private function complete_run(OptimizationRun $run_manager)
+    {
+        $run = $run_manager->complete();
+
+        if (is_wp_error($run)) {
+            return $run;
+        }
+
+        if ($run !== null) {
+            $run['status'] = 'completed';
+
+            /**
+             * Fires when a bulk, scheduled or WP-CLI optimization run has finished.
+             *
+             * @since 1.2.0
+             * @param string $source  'bulk', 'scheduled' or 'cli'
+             * @param array  $summary Run summary with 'status', 'processed', 'optimized', 'errors',
+             *                        'bytes_saved', 'error_samples', 'started_at' and 'finished_at'
+             */
+            do_action('awp_io_run_completed', 'bulk', $run);
+        }
+
+        return true;
+    }
+
+    /**
+     * Handles AJAX request to count the images matching a bulk optimization scope.
+     *
+     * Used to show how many images a run would process before it is started.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function count_optimization_scope()
+    {
+        check_ajax_referer('start_optimization_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions']);
+        }
+
+        try {
+            $scope = OptimizationScope::from_array(wp_unslash($_POST['scope'] ?? []));
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+
+        $re_optimize = (bool) intval($_POST['is_re_optimize'] ?? 0);
+
+        wp_send_json_success([
+            'count' => $this->fetcher->get_total_unoptimized_count($re_optimize, $scope),
         ]);
     }
 
     /**
      * Initializes plugin settings with defaults if not already set.
      *
+     * On multisite, a site without settings inherits the network default profile
+     * if one is defined.
+     *
      * @since 1.0.0
      * @return void
      */
     function initialize_settings()
     {
         if (false === get_option(self::IMAGE_OPTIMIZER_SETTINGS)) {
+            $profiles = SettingsProfiles::get_instance();
+
+            if ($profiles->is_network_profile_available()) {
+                $profiles->set_site_source(SettingsProfiles::SOURCE_NETWORK);
+                return;
+            }
+
             update_option(self::IMAGE_OPTIMIZER_SETTINGS, $this->default_settings);
         }
     }
@@ -309,10 +522,21 @@ class ImageOptimizerOptions extends Singleton
      */
     function settings_page()
     {
-        $settings = get_option(self::IMAGE_OPTIMIZER_SETTINGS);
+        // Fill in settings introduced after the options were first saved.
+        $settings = wp_parse_args(get_option(self::IMAGE_OPTIMIZER_SETTINGS), $this->default_settings);
+        $profiles = SettingsProfiles::get_instance();
         $data     = array(
             'settings' => $settings,
+            'network_profile_available' => $profiles->is_network_profile_available(),
+            'uses_network_settings' => $profiles->uses_network_settings(),
             'has_unoptimized_images' => $this->fetcher->has_unoptimized_images(),
+            'upload_folders' => $this->fetcher->get_upload_folders(),
+            'scope_mime_types' => OptimizationScope::SUPPORTED_MIME_TYPES,
+            'rewrite_rules' => RewriteRules::get_instance(),
+            'local_optimizer' => LocalOptimizer::get_instance(),
+            'compression_levels' => $this->get_compression_levels(),
+            'scheduled_optimization' => ScheduledOptimizer::get_instance()->get_status(),
+            'statistics_range' => (StatsReport::get_instance())->normalize_range(),
             'stats' => (OptimizationStatsManager::get_instance())->get_total_stats()
         );
 
@@ -328,6 +552,8 @@ class ImageOptimizerOptions extends Singleton
      * Processes and saves the submitted settings form data.
      * 
      * Validates nonce, user capabilities, and sanitizes all input values before saving.
+     * On multisite, a site that uses the network default profile keeps it and the
+     * submitted settings are ignored.
      *
      * @since 1.0.0
      * @return void
@@ -342,29 +568,352 @@ class ImageOptimizerOptions extends Singleton
             return;
         }
 
-        $settings = array(
-            'api_key'                   => sanitize_text_field($_POST['api_key']),
-            'thumbnail_compression'     => $this->sanitize_yes_no($_POST['thumbnail_compression']),
-            'backup'                    => $this->sanitize_yes_no($_POST['backup']),
-            'remove_exif'               => $this->sanitize_yes_no($_POST['remove_exif']),
+        $this->save_submitted_settings(wp_unslash($_POST));
+
+        wp_redirect(add_query_arg('page', 'effective-image-optimizer', admin_url('options-general.php')));
+        exit;
+    }
+
+    /**
+     * Handles the AJAX request saving the settings form without reloading the page.
+     *
+     * The settings are validated first, nothing is saved if a value is invalid.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response with the 'errors' and 'warnings' of the fields and exits
+     */
+    public function save_settings_ajax()
+    {
+        check_ajax_referer('save_image_optimizer_options', 'image_optimizer_nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions']);
+            return;
+        }
+
+        $input = wp_unslash($_POST);
+        $validation = $this->validate_submitted_settings($input);
+
+        if (!empty($validation['errors'])) {
+            wp_send_json_error(array_merge(['message' => __('The settings were not saved, correct the highlighted fields.', 'awp-io')], $validation));
+            return;
+        }
+
+        $uses_network_settings = $this->save_submitted_settings($input);
+
+        wp_send_json_success(array_merge([
+            'message' => $uses_network_settings
+                ? __('Saved. This site uses the network default settings.', 'awp-io')
+                : __('Settings saved.', 'awp-io'),
+            'reload' => $uses_network_settings,
+        ], $validation));
+    }
+
+    /**
+     * Handles the AJAX request validating the settings form while it is edited.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response with the 'errors' and 'warnings' of the fields and exits
+     */
+    public function validate_settings_ajax()
+    {
+        check_ajax_referer('save_image_optimizer_options', 'image_optimizer_nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions']);
+            return;
+        }
+
+        wp_send_json_success($this->validate_submitted_settings(wp_unslash($_POST)));
+    }
+
+    /**
+     * Handles the AJAX request checking the API key entered in the settings form.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function validate_api_key_ajax()
+    {
+        check_ajax_referer('start_optimization_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions']);
+            return;
+        }
+
+        $api_key = sanitize_text_field(wp_unslash($_POST['api_key'] ?? ''));
+        if ($api_key === '') {
+            wp_send_json_error(['message' => __('Enter an API key.', 'awp-io')]);
+            return;
+        }
+
+        try {
+            $result = ImageSender::get_instance()->validate_api_key($api_key);
+        } catch (\Exception $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+            return;
+        }
+
+        wp_send_json_success(['message' => $result['message']]);
+    }
+
+    /**
+     * Handles the AJAX request checking the Cloudflare API token entered in the settings form.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function verify_cloudflare_token_ajax()
+    {
+        check_ajax_referer('start_optimization_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => 'Insufficient permissions']);
+            return;
+        }
+
+        $result = CFCachePurger::get_instance()->verify_api_token(sanitize_text_field(wp_unslash($_POST['cloudflare_api_token'] ?? '')));
+
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()]);
+            return;
+        }
+
+        wp_send_json_success(['message' => __('The Cloudflare API token is valid.', 'awp-io')]);
+    }
+
+    /**
+     * Saves the submitted settings form, or makes the site inherit the network
+     * default profile if that was selected.
+     *
+     * @since 1.2.0
+     * @param array $input Unslashed form input
+     * @return bool True if the site uses the network default profile
+     */
+    private function save_submitted_settings(array $input)
+    {
+        $profiles = SettingsProfiles::get_instance();
+
+        if ($profiles->is_network_profile_available() && ($input['use_network_settings'] ?? '') === 'yes') {
+            // Secret settings stay per site, so they are saved while the site inherits the profile.
+            $settings = $this->sanitize_settings($this->get_submitted_settings($input), get_optimizer_settings());
+            $profiles->set_site_source(SettingsProfiles::SOURCE_NETWORK, array_intersect_key($settings, array_flip(self::SECRET_SETTINGS)));
+            return true;
+        }
+
+        $profiles->update_site_settings($this->sanitize_settings($this->get_submitted_settings($input)));
+
+        return false;
+    }
+
+    /**
+     * Maps the fields of the settings form to the settings.
+     *
+     * @since 1.2.0
+     * @param array $input Unslashed form input
+     * @return array Unsanitized settings
+     */
+    private function get_submitted_settings(array $input)
+    {
+        return array(
+            'api_key'                   => $input['api_key'] ?? '',
+            'optimization_engine'       => $input['optimization_engine'] ?? 'remote',
+            'compression_level'         => $input['compression_level'] ?? 'lossy',
+            'thumbnail_compression'     => $input['thumbnail_compression'] ?? 'no',
+            'backup'                    => $input['backup'] ?? 'no',
+            'remove_exif'               => $input['remove_exif'] ?? 'no',
             'resize_large_images'       => array(
-                'width'  => intval($_POST['resize_large_images_width']),
-                'height' => intval($_POST['resize_large_images_height']),
-                'option' => $this->sanitize_cover_contain($_POST['resize_large_images_option']),
+                'width'  => $input['resize_large_images_width'] ?? 0,
+                'height' => $input['resize_large_images_height'] ?? 0,
+                'option' => $input['resize_large_images_option'] ?? 'cover',
             ),
-            'next_gen_images'           => $this->sanitize_yes_no($_POST['next_gen_images']),
-            'deliver_next_gen_images'   => $this->sanitize_yes_no($_POST['deliver_next_gen_images']),
-            'optimize_media_upload'     => $this->sanitize_yes_no($_POST['optimize_media_upload']),
-            'convert_to_webp_media_upload'     => $this->sanitize_yes_no($_POST['convert_to_webp_media_upload']),
-            'convert_png_to_jpeg'       => $this->sanitize_yes_no($_POST['convert_png_to_jpeg']),
-            'exclude_thumbnail_sizes'   => array_map('sanitize_text_field', $_POST['exclude_thumbnail_sizes'] ?? array()),
-            'cloudflare_api_token'      => sanitize_text_field($_POST['cloudflare_api_token']),
+            'next_gen_images'           => $input['next_gen_images'] ?? 'no',
+            'next_gen_avif_images'      => $input['next_gen_avif_images'] ?? 'no',
+            'deliver_next_gen_images'   => $input['deliver_next_gen_images'] ?? 'no',
+            'next_gen_delivery_method'  => $input['next_gen_delivery_method'] ?? 'php',
+            'lazy_load_images'          => $input['lazy_load_images'] ?? 'no',
+            'output_buffer_rewrite'     => $input['output_buffer_rewrite'] ?? 'no',
+            'output_buffer_exclude_selectors' => $input['output_buffer_exclude_selectors'] ?? '',
+            'output_buffer_exclude_urls' => $input['output_buffer_exclude_urls'] ?? '',
+            'optimize_media_upload'     => $input['optimize_media_upload'] ?? 'no',
+            'convert_to_webp_media_upload' => $input['convert_to_webp_media_upload'] ?? 'no',
+            'convert_png_to_jpeg'       => $input['convert_png_to_jpeg'] ?? 'no',
+            'exclude_thumbnail_sizes'   => $input['exclude_thumbnail_sizes'] ?? array(),
+            'cloudflare_api_token'      => $input['cloudflare_api_token'] ?? '',
+            'cdn_purge_http_targets'    => $input['cdn_purge_http_targets'] ?? '',
+            'cdn_purge_http_method'     => $input['cdn_purge_http_method'] ?? 'PURGE',
+            'cdn_purge_webhook_url'     => $input['cdn_purge_webhook_url'] ?? '',
+            'cdn_purge_webhook_secret'  => $input['cdn_purge_webhook_secret'] ?? '',
+            'request_max_retries'       => $input['request_max_retries'] ?? 5,
+            'bulk_concurrency'          => $input['bulk_concurrency'] ?? 1,
+            'scheduled_optimization'    => $input['scheduled_optimization'] ?? 'off',
+            'scheduled_optimization_day' => $input['scheduled_optimization_day'] ?? 0,
+            'scheduled_optimization_time' => $input['scheduled_optimization_time'] ?? '',
+            'scheduled_optimization_max_images' => $input['scheduled_optimization_max_images'] ?? 200,
+            'scheduled_optimization_quiet_hours' => array(
+                'start' => $input['scheduled_optimization_quiet_start'] ?? '',
+                'end'   => $input['scheduled_optimization_quiet_end'] ?? '',
+            ),
+            'notification_email_digest' => $input['notification_email_digest'] ?? 'off',
+            'notification_email'        => $input['notification_email'] ?? '',
+            'notification_webhook_url'  => $input['notification_webhook_url'] ?? '',
+            'notification_webhook_secret' => $input['notification_webhook_secret'] ?? '',
+            'notification_webhook_events' => $input['notification_webhook_events'] ?? array(),
         );
+    }
 
-        update_option(self::IMAGE_OPTIMIZER_SETTINGS, $settings);
+    /**
+     * Validates the fields of the settings form.
+     *
+     * Errors are values that cannot be saved, e.g. a negative resize width or an
+     * invalid webhook URL. Warnings are valid values that do not work as expected,
+     * e.g. options that conflict with each other. Both are keyed by the name of the
+     * form field they belong to.
+     *
+     * @since 1.2.0
+     * @param array $input Unslashed form input
+     * @return array Array with 'errors' and 'warnings', messages keyed by field name
+     */
+    public function validate_submitted_settings(array $input)
+    {
+        $errors = array();
+        $warnings = array();
+        $value = function ($name) use ($input) {
+            return is_string($input[$name] ?? '') ? trim($input[$name] ?? '') : '';
+        };
+        $enabled = function ($name) use ($input) {
+            return ($input[$name] ?? 'no') === 'yes';
+        };
 
-        wp_redirect(add_query_arg('page', 'effective-image-optimizer', admin_url('options-general.php')));
-        exit;
+        foreach (array('resize_large_images_width', 'resize_large_images_height') as $name) {
+            if ($value($name) !== '' && !ctype_digit($value($name))) {
+                $errors[$name] = __('Enter a whole number of pixels, 0 does not limit this side.', 'awp-io');
+            }
+        }
+
+        foreach (array('scheduled_optimization_time', 'scheduled_optimization_quiet_start', 'scheduled_optimization_quiet_end') as $name) {
+            if ($value($name) !== '' && $this->sanitize_time($value($name)) === '') {
+                $errors[$name] = __('Enter a time as HH:MM.', 'awp-io');
+            }
+        }
+
+        if (($value('scheduled_optimization_quiet_start') === '') !== ($value('scheduled_optimization_quiet_end') === '')) {
+            $name = $value('scheduled_optimization_quiet_start') === '' ? 'scheduled_optimization_quiet_start' : 'scheduled_optimization_quiet_end';
+            $errors[$name] = $errors[$name] ?? __('Set both the start and the end of the quiet hours.', 'awp-io');
+        }
+
+        if ($value('notification_email') !== '' && !is_email($value('notification_email'))) {
+            $errors['notification_email'] = __('Enter a valid email address.', 'awp-io');
+        }
+
+        foreach (array('notification_webhook_url', 'cdn_purge_webhook_url') as $name) {
+            if ($value($name) !== '' && esc_url_raw($value($name), array('http', 'https')) === '') {
+                $errors[$name] = __('Enter a valid http or https URL.', 'awp-io');
+            }
+        }
+
+        foreach (preg_split('/\R/', $value('cdn_purge_http_targets')) as $target) {
+            if (trim($target) !== '' && esc_url_raw(trim($target), array('http', 'https')) === '') {
+                $errors['cdn_purge_http_targets'] = sprintf(__('"%s" is not a valid http or https URL.', 'awp-io'), trim($target));
+                break;
+            }
+        }
+
+        $engine = $input['optimization_engine'] ?? 'remote';
+        if ($engine === 'remote' && $value('api_key') === '') {
+            $warnings['api_key'] = __('The remote API needs an API key. Enter one or select local optimization.', 'awp-io');
+        } elseif ($engine === 'local' && !LocalOptimizer::get_instance()->is_available()) {
+            $warnings['optimization_engine'] = __('Local optimization needs the Imagick or GD PHP extension, images cannot be optimized.', 'awp-io');
+        }
+
+        if ($enabled('convert_to_webp_media_upload') && $enabled('next_gen_images')) {
+            $warnings['convert_to_webp_media_upload'] = __('Uploads are stored as WebP, so Next Generation Images only creates WebP versions of images uploaded before.', 'awp-io');
+        }
+
+        if ($enabled('convert_to_webp_media_upload') && $enabled('convert_png_to_jpeg')) {
+            $warnings['convert_png_to_jpeg'] = __('PNG uploads are converted to WebP, so only PNG images uploaded before are converted to JPEG.', 'awp-io');
+        }
+
+        if ($enabled('deliver_next_gen_images') && !$enabled('next_gen_images') && !$enabled('next_gen_avif_images')) {
+            $warnings['deliver_next_gen_images'] = __('No WebP or AVIF versions are created, only versions created before are delivered.', 'awp-io');
+        }
+
+        return array(
+            'errors' => $errors,
+            'warnings' => $warnings,
+        );
+    }
+
+    /**
+     * Sanitizes a complete or partial settings array.
+     *
+     * Settings missing from the input are taken from the base settings, unknown
+     * settings are dropped. Used by the settings form, imports and WP-CLI.
+     *
+     * @since 1.2.0
+     * @param array      $input Settings to sanitize, keyed like the stored settings
+     * @param array|null $base  Optional. Settings to fill in missing values from, defaults to the default settings.
+     * @return array Complete, sanitized settings
+     */
+    public function sanitize_settings(array $input, $base = null)
+    {
+        $base = wp_parse_args(is_array($base) ? $base : array(), $this->default_settings);
+        $input = array_intersect_key($input, $this->default_settings);
+
+        foreach (array('resize_large_images', 'scheduled_optimization_quiet_hours') as $group) {
+            if (isset($input[$group])) {
+                $input[$group] = wp_parse_args((array) $input[$group], $base[$group]);
+            }
+        }
+
+        $settings = array_replace($base, $input);
+
+        return array(
+            'api_key'                   => sanitize_text_field($settings['api_key']),
+            'optimization_engine'       => $this->sanitize_optimization_engine($settings['optimization_engine']),
+            'compression_level'         => $this->sanitize_compression_level($settings['compression_level']),
+            'thumbnail_compression'     => $this->sanitize_yes_no($settings['thumbnail_compression']),
+            'backup'                    => $this->sanitize_yes_no($settings['backup']),
+            'remove_exif'               => $this->sanitize_yes_no($settings['remove_exif']),
+            'resize_large_images'       => array(
+                'width'  => intval($settings['resize_large_images']['width']),
+                'height' => intval($settings['resize_large_images']['height']),
+                'option' => $this->sanitize_cover_contain($settings['resize_large_images']['option']),
+            ),
+            'next_gen_images'           => $this->sanitize_yes_no($settings['next_gen_images']),
+            'next_gen_avif_images'      => $this->sanitize_yes_no($settings['next_gen_avif_images']),
+            'deliver_next_gen_images'   => $this->sanitize_yes_no($settings['deliver_next_gen_images']),
+            'next_gen_delivery_method'  => $this->sanitize_delivery_method($settings['next_gen_delivery_method']),
+            'lazy_load_images'          => $this->sanitize_yes_no($settings['lazy_load_images']),
+            'output_buffer_rewrite'     => $this->sanitize_yes_no($settings['output_buffer_rewrite']),
+            'output_buffer_exclude_selectors' => sanitize_textarea_field((string) $settings['output_buffer_exclude_selectors']),
+            'output_buffer_exclude_urls' => sanitize_textarea_field((string) $settings['output_buffer_exclude_urls']),
+            'optimize_media_upload'     => $this->sanitize_yes_no($settings['optimize_media_upload']),
+            'convert_to_webp_media_upload' => $this->sanitize_yes_no($settings['convert_to_webp_media_upload']),
+            'convert_png_to_jpeg'       => $this->sanitize_yes_no($settings['convert_png_to_jpeg']),
+            'exclude_thumbnail_sizes'   => array_values(array_map('sanitize_text_field', (array) $settings['exclude_thumbnail_sizes'])),
+            'cloudflare_api_token'      => sanitize_text_field($settings['cloudflare_api_token']),
+            'cdn_purge_http_targets'    => $this->sanitize_url_list($settings['cdn_purge_http_targets']),
+            'cdn_purge_http_method'     => $this->sanitize_purge_method($settings['cdn_purge_http_method']),
+            'cdn_purge_webhook_url'     => esc_url_raw((string) $settings['cdn_purge_webhook_url'], array('http', 'https')),
+            'cdn_purge_webhook_secret'  => sanitize_text_field($settings['cdn_purge_webhook_secret']),
+            'request_max_retries'       => min(10, absint($settings['request_max_retries'])),
+            'bulk_concurrency'          => max(1, min(OptimizationManager::MAX_CONCURRENCY, absint($settings['bulk_concurrency']))),
+            'scheduled_optimization'    => $this->sanitize_schedule($settings['scheduled_optimization']),
+            'scheduled_optimization_day' => min(6, absint($settings['scheduled_optimization_day'])),
+            'scheduled_optimization_time' => $this->sanitize_time($settings['scheduled_optimization_time']) ?: '02:00',
+            'scheduled_optimization_max_images' => max(1, absint($settings['scheduled_optimization_max_images'])),
+            'scheduled_optimization_quiet_hours' => array(
+                'start' => $this->sanitize_time($settings['scheduled_optimization_quiet_hours']['start']),
+                'end'   => $this->sanitize_time($settings['scheduled_optimization_quiet_hours']['end']),
+            ),
+            'notification_email_digest' => $this->sanitize_digest_schedule($settings['notification_email_digest']),
+            'notification_email'        => sanitize_email((string) $settings['notification_email']),
+            'notification_webhook_url'  => esc_url_raw((string) $settings['notification_webhook_url'], array('http', 'https')),
+            'notification_webhook_secret' => sanitize_text_field($settings['notification_webhook_secret']),
+            'notification_webhook_events' => array_values(array_intersect(Notifications::WEBHOOK_EVENTS, (array) $settings['notification_webhook_events'])),
+        );
     }
 
     /**
@@ -390,4 +939,108 @@ class ImageOptimizerOptions extends Singleton
     {
         return in_array($input, array('cover', 'contain'), true) ? $input : 'cover';
     }
+
+    /**
+     * Sanitizes the delivery method of next generation images.
+     *
+     * @since 1.2.0
+     * @param string $input Input value to sanitize
+     * @return string 'php' or 'rewrite', defaults to 'php'
+     */
+    function sanitize_delivery_method($input)
+    {
+        return in_array($input, RewriteRules::DELIVERY_METHODS, true) ? $input : 'php';
+    }
+
+    /**
+     * Sanitizes the optimization engine.
+     *
+     * @since 1.2.0
+     * @param string $input Input value to sanitize
+     * @return string 'remote' or 'local', defaults to 'remote'
+     */
+    function sanitize_optimization_engine($input)
+    {
+        return in_array($input, array('remote', 'local'), true) ? $input : 'remote';
+    }
+
+    /**
+     * Sanitizes the compression level.
+     *
+     * @since 1.2.0
+     * @param string $input Input value to sanitize
+     * @return string One of OptimizationEngine::COMPRESSION_LEVELS, defaults to 'lossy'
+     */
+    function sanitize_compression_level($input)
+    {
+        return in_array($input, OptimizationEngine::COMPRESSION_LEVELS, true) ? $input : 'lossy';
+    }
+
+    /**
+     * Sanitizes the schedule of scheduled optimization runs.
+     *
+     * @since 1.2.0
+     * @param string $input Input value to sanitize
+     * @return string One of ScheduledOptimizer::SCHEDULES, defaults to 'off'
+     */
+    function sanitize_schedule($input)
+    {
+        return in_array($input, ScheduledOptimizer::SCHEDULES, true) ? $input : 'off';
+    }
+
+    /**
+     * Sanitizes the schedule of the notification email digest.
+     *
+     * @since 1.2.0
+     * @param string $input Input value to sanitize
+     * @return string One of Notifications::DIGEST_SCHEDULES, defaults to 'off'
+     */
+    function sanitize_digest_schedule($input)
+    {
+        return in_array($input, Notifications::DIGEST_SCHEDULES, true) ? $input : 'off';
+    }
+
+    /**
+     * Sanitizes the request method of HTTP cache purges.
+     *
+     * @since 1.2.0
+     * @param string $input Input value to sanitize
+     * @return string One of HttpCachePurger::METHODS, defaults to 'PURGE'
+     */
+    function sanitize_purge_method($input)
+    {
+        return in_array($input, HttpCachePurger::METHODS, true) ? $input : 'PURGE';
+    }
+
+    /**
+     * Sanitizes a list of URLs, one per line.
+     *
+     * @since 1.2.0
+     * @param string $input Input value to sanitize
+     * @return string Valid http(s) URLs, one per line
+     */
+    function sanitize_url_list($input)
+    {
+        $urls = array_map(function ($url) {
+            return esc_url_raw(trim($url), array('http', 'https'));
+        }, preg_split('/\R/', (string) $input));
+
+        return implode("\n", array_filter($urls));
+    }
+
+    /**
+     * Sanitizes a time of day.
+     *
+     * @since 1.2.0
+     * @param string $input Input value to sanitize
+     * @return string Time formatted as HH:MM, empty if the input is not a valid time
+     */
+    function sanitize_time($input)
+    {
+        if (!is_string($input) || !preg_match('/^([01]?\d|2[0-3]):([0-5]\d)$/', trim($input), $matches)) {
+            return '';
+        }
+
+        return sprintf('%02d:%s', $matches[1], $matches[2]);
+    }
 }
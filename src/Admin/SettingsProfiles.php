@@ -0,0 +1,572 @@
+<?php
+
+namespace AWP\IO\Admin;
+
+defined('ABSPATH') || exit;
+
+use AWP\IO\Singleton;
+use AWP\IO\TemplateLoader;
+use WP_Error;
+
+/**
+ * Exports and imports the plugin settings, and manages the network default
+ * profile on multisite.
+ *
+ * Exports are JSON files with the settings and some information about their
+ * origin. Secret settings (ImageOptimizerOptions::SECRET_SETTINGS) are left out
+ * of exports and ignored on imports unless requested.
+ *
+ * On multisite, the network admin defines a default profile in a network option.
+ * Sites inherit it or override it with their own settings. The profile is copied
+ * to the settings option of every inheriting site when it changes, so the
+ * settings are read the same way on every site and the hooks watching the
+ * settings option, e.g. rescheduling and the .htaccess rules, run for each site.
+ * Secret settings stay per site, only a secret set in the profile replaces the
+ * one of the site.
+ *
+ * @package AWP\IO\Admin
+ * @since 1.2.0
+ */
+class SettingsProfiles extends Singleton
+{
+    /**
+     * Network option storing the network default profile.
+     *
+     * @var string
+     */
+    public const NETWORK_SETTINGS = 'wpeio_awp_network_settings';
+
+    /**
+     * Network option storing when the network default profile was last saved.
+     *
+     * @var string
+     */
+    public const NETWORK_SETTINGS_UPDATED = 'wpeio_awp_network_settings_updated';
+
+    /**
+     * Site option storing whether the site inherits the network default profile.
+     *
+     * @var string
+     */
+    public const SETTINGS_SOURCE = 'wpeio_awp_settings_source';
+
+    /**
+     * The site uses the network default profile.
+     *
+     * @var string
+     */
+    public const SOURCE_NETWORK = 'network';
+
+    /**
+     * The site uses its own settings.
+     *
+     * @var string
+     */
+    public const SOURCE_SITE = 'site';
+
+    /**
+     * Version of the export file format.
+     *
+     * @var int
+     */
+    public const EXPORT_FORMAT_VERSION = 1;
+
+    /**
+     * Slug of the network admin page.
+     *
+     * @var string
+     */
+    public const NETWORK_PAGE = 'effective-image-optimizer-network';
+
+    /**
+     * Constructor.
+     *
+     * Sets up the export and import handlers of the settings page, and the
+     * network admin page and new site hook on multisite.
+     */
+    public function __construct()
+    {
+        add_action('admin_post_awp_io_export_settings', [$this, 'handle_export']);
+        add_action('wp_ajax_awp_io_import_settings', [$this, 'handle_import']);
+
+        if (is_multisite()) {
+            add_action('network_admin_menu', [$this, 'network_admin_menu']);
+            add_action('network_admin_edit_awp_io_network_settings', [$this, 'handle_network_save']);
+            add_action('wp_initialize_site', [$this, 'initialize_site'], 200);
+        }
+    }
+
+    /**
+     * Build the export of a settings array.
+     *
+     * @since 1.2.0
+     * @param array $settings        Settings to export
+     * @param bool  $include_secrets Optional. Whether to include the secret settings.
+     * @return array Export data with 'plugin', 'format_version', 'exported_at', 'site_url', 'includes_secrets' and 'settings'
+     */
+    public function export_settings(array $settings, $include_secrets = false)
+    {
+        $settings = wp_parse_args($settings, get_default_optimizer_settings());
+
+        if (!$include_secrets) {
+            $settings = array_diff_key($settings, array_flip(ImageOptimizerOptions::SECRET_SETTINGS));
+        }
+
+        return [
+            'plugin' => 'effective-image-optimizer',
+            'format_version' => self::EXPORT_FORMAT_VERSION,
+            'exported_at' => gmdate('c'),
+            'site_url' => home_url(),
+            'includes_secrets' => (bool) $include_secrets,
+            'settings' => $settings,
+        ];
+    }
+
+    /**
+     * Parse and sanitize an export.
+     *
+     * The settings in the export replace the base settings, settings missing from
+     * it keep their base value. A plain settings object is accepted as well.
+     *
+     * @since 1.2.0
+     * @param string $json            Export file contents
+     * @param array  $base            Settings the import is applied to
+     * @param bool   $include_secrets Optional. Whether to import the secret settings.
+     * @return array|WP_Error Complete, sanitized settings, or WP_Error if the file contains no settings
+     */
+    public function import_settings($json, array $base, $include_secrets = false)
+    {
+        $data = json_decode((string) $json, true);
+
+        if (!is_array($data)) {
+            return new WP_Error('awp_io_invalid_import', __('The settings file is not valid JSON.', 'awp-io'), ['status' => 400]);
+        }
+
+        $settings = isset($data['settings']) && is_array($data['settings']) ? $data['settings'] : $data;
+        $settings = array_intersect_key($settings, get_default_optimizer_settings());
+
+        if (!$include_secrets) {
+            $settings = array_diff_key($settings, array_flip(ImageOptimizerOptions::SECRET_SETTINGS));
+        }
+
+        if (empty($settings)) {
+            return new WP_Error('awp_io_invalid_import', __('The settings file contains no settings to import.', 'awp-io'), ['status' => 400]);
+        }
+
+        return ImageOptimizerOptions::get_instance()->sanitize_settings($settings, $base);
+    }
+
+    /**
+     * Get the names of the settings that differ between two settings arrays.
+     *
+     * @since 1.2.0
+     * @param array $old Previous settings
+     * @param array $new New settings
+     * @return array Setting names
+     */
+    public function get_changed_settings(array $old, array $new)
+    {
+        $defaults = get_default_optimizer_settings();
+        $old = wp_parse_args($old, $defaults);
+        $new = wp_parse_args($new, $defaults);
+
+        return array_values(array_filter(array_keys($defaults), function ($name) use ($old, $new) {
+            return $old[$name] !== $new[$name];
+        }));
+    }
+
+    /**
+     * Check whether a network default profile is defined.
+     *
+     * @since 1.2.0
+     * @return bool True on multisite with a saved network profile
+     */
+    public function is_network_profile_available()
+    {
+        return is_multisite() && is_array(get_site_option(self::NETWORK_SETTINGS));
+    }
+
+    /**
+     * Get the network default profile.
+     *
+     * @since 1.2.0
+     * @return array|null Settings of the profile, null if none is defined
+     */
+    public function get_network_settings()
+    {
+        if (!$this->is_network_profile_available()) {
+            return null;
+        }
+
+        return wp_parse_args(get_site_option(self::NETWORK_SETTINGS), get_default_optimizer_settings());
+    }
+
+    /**
+     * Save the network default profile and copy it to the inheriting sites.
+     *
+     * @since 1.2.0
+     * @param array $settings Settings of the profile, missing settings keep their current value
+     * @return int Number of sites the profile was copied to
+     */
+    public function update_network_settings(array $settings)
+    {
+        $settings = ImageOptimizerOptions::get_instance()->sanitize_settings($settings, $this->get_network_settings());
+        update_site_option(self::NETWORK_SETTINGS, $settings);
+        update_site_option(self::NETWORK_SETTINGS_UPDATED, time());
+
+        return $this->sync_sites();
+    }
+
+    /**
+     * Check whether the current site inherits the network default profile.
+     *
+     * @since 1.2.0
+     * @return bool True if the site uses the network profile
+     */
+    public function uses_network_settings()
+    {
+        return $this->is_network_profile_available() && get_option(self::SETTINGS_SOURCE) === self::SOURCE_NETWORK;
+    }
+
+    /**
+     * Make the current site inherit the network default profile or use its own settings.
+     *
+     * A site that inherits gets a copy of the profile with its own secret settings.
+     * A site that overrides keeps the settings it has, so it starts from the profile
+     * it inherited.
+     *
+     * @since 1.2.0
+     * @param string     $source  SOURCE_NETWORK or SOURCE_SITE
+     * @param array|null $secrets Optional. Secret settings of the site replacing the saved ones.
+     * @return void
+     */
+    public function set_site_source($source, $secrets = null)
+    {
+        if ($source === self::SOURCE_NETWORK && $this->is_network_profile_available()) {
+            $site_settings = array_merge((array) get_option(ImageOptimizerOptions::IMAGE_OPTIMIZER_SETTINGS, []), (array) $secrets);
+
+            update_option(self::SETTINGS_SOURCE, self::SOURCE_NETWORK);
+            update_option(ImageOptimizerOptions::IMAGE_OPTIMIZER_SETTINGS, $this->get_inherited_settings($site_settings));
+            return;
+        }
+
+        update_option(self::SETTINGS_SOURCE, self::SOURCE_SITE);
+    }
+
+    /**
+     * Get the network default profile with the secret settings of a site.
+     *
+     * Secrets left empty in the profile keep the value of the site, so the
+     * credentials of one site are not copied to the others.
+     *
+     * @since 1.2.0
+     * @param array $site_settings Settings of the site
+     * @return array Settings the site inherits
+     */
+    private function get_inherited_settings(array $site_settings)
+    {
+        $settings = $this->get_network_settings();
+
+        foreach (ImageOptimizerOptions::SECRET_SETTINGS as $name) {
+            if ($settings[$name] === '' && isset($site_settings[$name])) {
+                $settings[$name] = $site_settings[$name];
+            }
+        }
+
+        return $settings;
+    }
+
+    /**
+     * Save settings of the current site.
+     *
+     * On multisite, the site stops inheriting the network default profile.
+     *
+     * @since 1.2.0
+     * @param array $settings Complete, sanitized settings
+     * @return void
+     */
+    public function update_site_settings(array $settings)
+    {
+        if (is_multisite()) {
+            update_option(self::SETTINGS_SOURCE, self::SOURCE_SITE);
+        }
+
+        update_option(ImageOptimizerOptions::IMAGE_OPTIMIZER_SETTINGS, $settings);
+    }
+
+    /**
+     * Copy the network default profile to every site that inherits it.
+     *
+     * @since 1.2.0
+     * @return int Number of sites the profile was copied to
+     */
+    public function sync_sites()
+    {
+        $count = 0;
+
+        foreach ($this->get_site_ids() as $site_id) {
+            switch_to_blog($site_id);
+
+            if ($this->uses_network_settings()) {
+                $this->set_site_source(self::SOURCE_NETWORK);
+                $count++;
+            }
+
+            restore_current_blog();
+        }
+
+        return $count;
+    }
+
+    /**
+     * Make sites inherit the network default profile or use their own settings.
+     *
+     * @since 1.2.0
+     * @param array  $site_ids Site IDs
+     * @param string $source   SOURCE_NETWORK or SOURCE_SITE
+     * @return int Number of sites updated
+     */
+    public function set_sites_source(array $site_ids, $source)
+    {
+        $site_ids = array_intersect(array_map('absint', $site_ids), $this->get_site_ids());
+
+        foreach ($site_ids as $site_id) {
+            switch_to_blog($site_id);
+            $this->set_site_source($source);
+            restore_current_blog();
+        }
+
+        return count($site_ids);
+    }
+
+    /**
+     * Get the sites of the network with the source of their settings.
+     *
+     * @since 1.2.0
+     * @return array Rows with 'id', 'name', 'url' and 'source'
+     */
+    public function get_sites_overview()
+    {
+        $rows = [];
+
+        foreach ($this->get_site_ids() as $site_id) {
+            $rows[] = [
+                'id' => $site_id,
+                'name' => get_blog_option($site_id, 'blogname'),
+                'url' => get_home_url($site_id),
+                'source' => get_blog_option($site_id, self::SETTINGS_SOURCE) === self::SOURCE_NETWORK ? self::SOURCE_NETWORK : self::SOURCE_SITE,
+            ];
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Make a new site inherit the network default profile.
+     *
+     * @since 1.2.0
+     * @param \WP_Site $site The new site
+     * @return void
+     */
+    public function initialize_site($site)
+    {
+        if (!$this->is_network_profile_available()) {
+            return;
+        }
+
+        switch_to_blog($site->blog_id);
+        $this->set_site_source(self::SOURCE_NETWORK);
+        restore_current_blog();
+    }
+
+    /**
+     * Handles the settings download of the settings page and the network admin page.
+     *
+     * @since 1.2.0
+     * @return void Sends the export file and exits
+     */
+    public function handle_export()
+    {
+        check_admin_referer('awp_io_export_settings');
+
+        $network = !empty($_GET['network']);
+
+        if (!current_user_can($network ? 'manage_network_options' : 'manage_options')) {
+            wp_die(__('Insufficient permissions', 'awp-io'), 403);
+        }
+
+        $settings = $network ? $this->get_network_settings() : get_optimizer_settings();
+        if ($settings === null) {
+            wp_die(__('No network default profile is defined.', 'awp-io'), 404);
+        }
+
+        $include_secrets = !empty($_GET['include_secrets']);
+
+        nocache_headers();
+        header('Content-Type: application/json; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . $this->get_file_name($network) . '"');
+
+        echo wp_json_encode($this->export_settings($settings, $include_secrets), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
+        exit;
+    }
+
+    /**
+     * Handles the AJAX request importing settings on the settings page.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function handle_import()
+    {
+        check_ajax_referer('start_optimization_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'awp-io')]);
+            return;
+        }
+
+        $current = get_optimizer_settings();
+        $settings = $this->import_settings(wp_unslash($_POST['settings'] ?? ''), $current, !empty($_POST['include_secrets']));
+
+        if (is_wp_error($settings)) {
+            wp_send_json_error(['message' => $settings->get_error_message()]);
+            return;
+        }
+
+        $this->update_site_settings($settings);
+
+        $changed = $this->get_changed_settings($current, $settings);
+
+        wp_send_json_success([
+            'message' => sprintf(_n('Settings imported, %d setting changed.', 'Settings imported, %d settings changed.', count($changed), 'awp-io'), count($changed)),
+            'changed' => $changed,
+        ]);
+    }
+
+    /**
+     * Registers the network admin page.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function network_admin_menu()
+    {
+        add_submenu_page(
+            'settings.php',
+            __('Effective Image Optimizer Network Settings', 'awp-io'),
+            __('Effective Image Optimizer', 'awp-io'),
+            'manage_network_options',
+            self::NETWORK_PAGE,
+            [$this, 'network_page']
+        );
+    }
+
+    /**
+     * Renders the network admin page.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function network_page()
+    {
+        TemplateLoader::get_instance()->get_template(
+            'network-settings.php',
+            [
+                'profile' => $this->get_network_settings(),
+                'profile_updated_at' => (int) get_site_option(self::NETWORK_SETTINGS_UPDATED, 0),
+                'sites' => $this->get_sites_overview(),
+                'notice' => sanitize_key($_GET['awp_io_notice'] ?? ''),
+                'notice_count' => absint($_GET['count'] ?? 0),
+            ],
+            EIP_CUST_PLUGIN_DIR_PATH . '/templates/admin/',
+            true
+        );
+    }
+
+    /**
+     * Handles the forms of the network admin page.
+     *
+     * The profile can be copied from a site or imported from an export, and
+     * sites can be switched between inheriting the profile and their own settings.
+     *
+     * @since 1.2.0
+     * @return void Redirects back to the network admin page
+     */
+    public function handle_network_save()
+    {
+        check_admin_referer('awp_io_network_settings');
+
+        if (!current_user_can('manage_network_options')) {
+            wp_die(__('Insufficient permissions', 'awp-io'), 403);
+        }
+
+        $task = sanitize_key($_POST['network_task'] ?? '');
+        $notice = 'invalid_request';
+        $count = 0;
+
+        if ($task === 'copy_site') {
+            $settings = get_blog_option(absint($_POST['source_site'] ?? 0), ImageOptimizerOptions::IMAGE_OPTIMIZER_SETTINGS);
+
+            if (is_array($settings)) {
+                if (empty($_POST['include_secrets'])) {
+                    $settings = array_diff_key($settings, array_flip(ImageOptimizerOptions::SECRET_SETTINGS));
+                }
+
+                $count = $this->update_network_settings($settings);
+                $notice = 'profile_saved';
+            } else {
+                $notice = 'invalid_site';
+            }
+        } elseif ($task === 'import') {
+            $file = $_FILES['settings_file']['tmp_name'] ?? '';
+            $json = $file !== '' && is_uploaded_file($file) ? file_get_contents($file) : '';
+            $base = $this->get_network_settings() ?? get_default_optimizer_settings();
+            $settings = $this->import_settings($json, $base, !empty($_POST['include_secrets']));
+
+            if (is_wp_error($settings)) {
+                $notice = 'invalid_import';
+            } else {
+                $count = $this->update_network_settings($settings);
+                $notice = 'profile_saved';
+            }
+        } elseif (in_array($task, [self::SOURCE_NETWORK, self::SOURCE_SITE], true) && $this->is_network_profile_available()) {
+            $count = $this->set_sites_source((array) ($_POST['site_ids'] ?? []), $task);
+            $notice = 'sites_updated';
+        }
+
+        wp_safe_redirect(add_query_arg([
+            'page' => self::NETWORK_PAGE,
+            'awp_io_notice' => $notice,
+            'count' => $count,
+        ], network_admin_url('settings.php')));
+        exit;
+    }
+
+    /**
+     * Get the IDs of all sites of the network.
+     *
+     * @since 1.2.0
+     * @return array Site IDs
+     */
+    private function get_site_ids()
+    {
+        return array_map('intval', get_sites([
+            'fields' => 'ids',
+            'number' => 0,
+        ]));
+    }
+
+    /**
+     * Get the file name of an export.
+     *
+     * @since 1.2.0
+     * @param bool $network Whether the network default profile is exported
+     * @return string File name including the host and the current date
+     */
+    private function get_file_name($network)
+    {
+        $name = $network ? 'network' : sanitize_title(wp_parse_url(home_url(), PHP_URL_HOST));
+
+        return 'image-optimizer-settings-' . $name . '-' . current_time('Y-m-d') . '.json';
+    }
+}
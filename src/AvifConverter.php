@@ -0,0 +1,99 @@
+<?php
+
+namespace AWP\IO;
+
+use Imagick;
+use Exception;
+
+/**
+ * Class AvifConverter
+ *
+ * Creates AVIF versions of optimized images on this server, for optimization
+ * results that do not include an AVIF version. Uses Imagick if it was built with
+ * AVIF support, and GD (PHP 8.1+) as a fallback.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class AvifConverter
+{
+    /**
+     * AVIF compression quality.
+     */
+    private const AVIF_QUALITY = 75;
+
+    /**
+     * Check whether this server can create AVIF images.
+     *
+     * @since 1.2.0
+     * @return bool True if Imagick or GD supports AVIF
+     */
+    public function is_supported()
+    {
+        if (extension_loaded('imagick') && in_array('AVIF', Imagick::queryFormats('AVIF'), true)) {
+            return true;
+        }
+
+        return function_exists('imageavif');
+    }
+
+    /**
+     * Convert an image to AVIF format using Imagick or GD as a fallback.
+     *
+     * @since 1.2.0
+     * @param string $source_path The path to the source image.
+     * @param string $dest_path   The path to save the AVIF image.
+     * @return bool True if the conversion was successful, false otherwise.
+     */
+    public function convert($source_path, $dest_path)
+    {
+        if (!is_file($source_path)) {
+            return false;
+        }
+
+        if (extension_loaded('imagick') && in_array('AVIF', Imagick::queryFormats('AVIF'), true)) {
+            try {
+                $image = new Imagick($source_path);
+                $image->setImageFormat('avif');
+                $image->setImageCompressionQuality(self::AVIF_QUALITY);
+                $success = $image->writeImage($dest_path);
+                $image->clear();
+                $image->destroy();
+                return $success && is_file($dest_path);
+            } catch (Exception $e) {
+                error_log('Imagick AVIF conversion failed: ' . $e->getMessage());
+            }
+        }
+
+        if (function_exists('imageavif')) {
+            $image_type = exif_imagetype($source_path);
+
+            switch ($image_type) {
+                case IMAGETYPE_JPEG:
+                    $source_image = imagecreatefromjpeg($source_path);
+                    break;
+                case IMAGETYPE_PNG:
+                    $source_image = imagecreatefrompng($source_path);
+                    if ($source_image) {
+                        imagepalettetotruecolor($source_image);
+                        imagealphablending($source_image, true);
+                        imagesavealpha($source_image, true);
+                    }
+                    break;
+                case IMAGETYPE_WEBP:
+                    $source_image = imagecreatefromwebp($source_path);
+                    break;
+                default:
+                    return false;
+            }
+
+            if ($source_image) {
+                $success = imageavif($source_image, $dest_path, self::AVIF_QUALITY);
+                imagedestroy($source_image);
+                return $success && is_file($dest_path);
+            }
+        }
+
+        return false;
+    }
+}
@@ -0,0 +1,446 @@
+<?php
+
+namespace AWP\IO;
+
+/**
+ * Class BackupManager
+ *
+ * Keeps a manifest of the original images backed up before optimization, with
+ * the path, size and SHA-256 hash of every backup, so missing and corrupt
+ * backups are found before a restore fails. Also finds orphaned backups, which
+ * no attachment refers to anymore, reports the disk usage of the backup
+ * directory and prunes old or orphaned backups.
+ *
+ * Backups created before the manifest existed are added to it the first time
+ * they are verified.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class BackupManager extends Singleton
+{
+    /**
+     * Backup directory, relative to the uploads directory.
+     *
+     * @var string
+     */
+    public const BACKUP_DIR = 'awp-io-backups';
+
+    /**
+     * Backup matches the manifest.
+     *
+     * @var string
+     */
+    public const STATUS_OK = 'ok';
+
+    /**
+     * Backup was not in the manifest and has been added.
+     *
+     * @var string
+     */
+    public const STATUS_RECORDED = 'recorded';
+
+    /**
+     * Backup file of an attachment does not exist.
+     *
+     * @var string
+     */
+    public const STATUS_MISSING = 'missing';
+
+    /**
+     * Size or hash of a backup differs from the manifest.
+     *
+     * @var string
+     */
+    public const STATUS_CORRUPT = 'corrupt';
+
+    /**
+     * Number of backups verified per batch.
+     *
+     * @var int
+     */
+    public const VERIFY_BATCH_SIZE = 50;
+
+    /**
+     * Seconds a file has to be unchanged before it counts as orphaned.
+     *
+     * A backup is copied before its path is stored, so files being written are skipped.
+     *
+     * @var int
+     */
+    private const ORPHAN_MIN_AGE = 3600;
+
+    /**
+     * WordPress database instance.
+     *
+     * @var \wpdb
+     */
+    private $db;
+
+    /**
+     * Constructor.
+     */
+    public function __construct()
+    {
+        global $wpdb;
+        $this->db = $wpdb;
+    }
+
+    /**
+     * Get the absolute path of the backup directory.
+     *
+     * @since 1.2.0
+     * @return string Backup directory without trailing slash
+     */
+    public function get_backup_dir()
+    {
+        return wp_upload_dir()['basedir'] . '/' . self::BACKUP_DIR;
+    }
+
+    /**
+     * Add a backup to the manifest, or update its entry.
+     *
+     * @since 1.2.0
+     * @param int      $attachment_id WordPress attachment ID
+     * @param string   $relative_path Backup path relative to the uploads directory
+     * @param int|null $created_at    Optional. Timestamp the backup was created, defaults to now.
+     * @return bool True if the backup was recorded, false if the file does not exist
+     */
+    public function record($attachment_id, $relative_path, $created_at = null)
+    {
+        $file = $this->get_file_path($relative_path);
+
+        if (!is_file($file)) {
+            return false;
+        }
+
+        return $this->db->replace(
+            $this->get_table_name(),
+            [
+                'attachment_id' => $attachment_id,
+                'path' => $relative_path,
+                'size' => filesize($file),
+                'hash' => hash_file('sha256', $file),
+                'created_at' => gmdate('Y-m-d H:i:s', $created_at ?? time()),
+                'verified_at' => current_time('mysql', true),
+            ],
+            ['%d', '%s', '%d', '%s', '%s', '%s']
+        ) !== false;
+    }
+
+    /**
+     * Remove the manifest entry of an attachment.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id WordPress attachment ID
+     * @return void
+     */
+    public function forget($attachment_id)
+    {
+        $this->db->delete($this->get_table_name(), ['attachment_id' => $attachment_id], ['%d']);
+    }
+
+    /**
+     * Get the manifest entry of an attachment.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id WordPress attachment ID
+     * @return array|null Manifest row, or null if the backup is not recorded
+     */
+    public function get_entry($attachment_id)
+    {
+        $entry = $this->db->get_row($this->db->prepare(
+            "SELECT * FROM {$this->get_table_name()} WHERE attachment_id = %d",
+            $attachment_id
+        ), ARRAY_A);
+
+        return $entry ?: null;
+    }
+
+    /**
+     * Verify the backup of an attachment against the manifest.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id WordPress attachment ID
+     * @return array Result with 'id', 'path', 'status' (one of the STATUS_* constants) and 'message'
+     */
+    public function verify($attachment_id)
+    {
+        $relative_path = (string) get_post_meta($attachment_id, '_awp_io_backup_path', true);
+        $file = $this->get_file_path($relative_path);
+        $entry = $this->get_entry($attachment_id);
+
+        $result = [
+            'id' => (int) $attachment_id,
+            'path' => $relative_path,
+            'status' => self::STATUS_OK,
+            'message' => __('Backup is intact.', 'awp-io'),
+        ];
+
+        if ($relative_path === '' || !is_file($file)) {
+            $result['status'] = self::STATUS_MISSING;
+            $result['message'] = __('Backup file is missing.', 'awp-io');
+            return $result;
+        }
+
+        // Backups created before the manifest existed.
+        if ($entry === null || $entry['path'] !== $relative_path) {
+            $this->record($attachment_id, $relative_path, filemtime($file));
+            $result['status'] = self::STATUS_RECORDED;
+            $result['message'] = __('Backup was added to the manifest.', 'awp-io');
+            return $result;
+        }
+
+        $size = filesize($file);
+
+        if ($size !== (int) $entry['size']) {
+            $result['status'] = self::STATUS_CORRUPT;
+            $result['message'] = sprintf(
+                __('Backup size is %1$d bytes, %2$d bytes were recorded.', 'awp-io'),
+                $size,
+                $entry['size']
+            );
+            return $result;
+        }
+
+        if (!hash_equals($entry['hash'], (string) hash_file('sha256', $file))) {
+            $result['status'] = self::STATUS_CORRUPT;
+            $result['message'] = __('Backup content does not match the recorded hash.', 'awp-io');
+            return $result;
+        }
+
+        $this->db->update(
+            $this->get_table_name(),
+            ['verified_at' => current_time('mysql', true)],
+            ['attachment_id' => $attachment_id],
+            ['%s'],
+            ['%d']
+        );
+
+        return $result;
+    }
+
+    /**
+     * Verify the next batch of backups.
+     *
+     * @since 1.2.0
+     * @param int $offset Number of backups verified before
+     * @param int $limit  Optional. Number of backups to verify.
+     * @return array Array with 'results', the next 'offset', the 'total' number of backups and 'is_complete'
+     */
+    public function verify_batch($offset, $limit = self::VERIFY_BATCH_SIZE)
+    {
+        $attachment_ids = $this->db->get_col($this->db->prepare(
+            "SELECT post_id FROM {$this->db->postmeta}
+            WHERE meta_key = '_awp_io_backup_path' AND meta_value != ''
+            ORDER BY post_id ASC
+            LIMIT %d OFFSET %d",
+            $limit,
+            $offset
+        ));
+
+        return [
+            'results' => array_map([$this, 'verify'], $attachment_ids),
+            'offset' => $offset + count($attachment_ids),
+            'total' => $this->count_backups(),
+            'is_complete' => count($attachment_ids) < $limit,
+        ];
+    }
+
+    /**
+     * Count the attachments with a backup.
+     *
+     * @since 1.2.0
+     * @return int Number of attachments referring to a backup file
+     */
+    public function count_backups()
+    {
+        return (int) $this->db->get_var(
+            "SELECT COUNT(*) FROM {$this->db->postmeta} WHERE meta_key = '_awp_io_backup_path' AND meta_value != ''"
+        );
+    }
+
+    /**
+     * Find backup files no attachment refers to, e.g. of attachments deleted while the plugin was inactive.
+     *
+     * @since 1.2.0
+     * @return array List of orphans with 'path', 'size', 'modified' timestamp and the
+     *               'attachment_id' of the manifest entry, null if the file was not recorded
+     */
+    public function find_orphans()
+    {
+        $referenced = array_flip($this->db->get_col(
+            "SELECT meta_value FROM {$this->db->postmeta} WHERE meta_key = '_awp_io_backup_path'"
+        ));
+        $recorded = array_column(
+            $this->db->get_results("SELECT attachment_id, path FROM {$this->get_table_name()}", ARRAY_A),
+            'attachment_id',
+            'path'
+        );
+        $orphans = [];
+
+        foreach ($this->get_files() as $relative_path => $file) {
+            if (isset($referenced[$relative_path]) || $file->getMTime() > time() - self::ORPHAN_MIN_AGE) {
+                continue;
+            }
+
+            $orphans[] = [
+                'path' => $relative_path,
+                'size' => $file->getSize(),
+                'modified' => $file->getMTime(),
+                'attachment_id' => isset($recorded[$relative_path]) ? (int) $recorded[$relative_path] : null,
+            ];
+        }
+
+        return $orphans;
+    }
+
+    /**
+     * Get the disk usage of the backup directory.
+     *
+     * @since 1.2.0
+     * @return array Array with the number of 'files', their size in 'bytes' and the number of 'recorded' backups
+     */
+    public function get_disk_usage()
+    {
+        $usage = ['files' => 0, 'bytes' => 0];
+
+        foreach ($this->get_files() as $file) {
+            $usage['files']++;
+            $usage['bytes'] += $file->getSize();
+        }
+
+        $usage['recorded'] = (int) $this->db->get_var("SELECT COUNT(*) FROM {$this->get_table_name()}");
+
+        return $usage;
+    }
+
+    /**
+     * Delete old or orphaned backups.
+     *
+     * Images whose backup is deleted stay optimized, but can no longer be restored.
+     *
+     * @since 1.2.0
+     * @param array $args {
+     *     Prune criteria, at least one is required.
+     *
+     *     @type int  $older_than Delete backups created more than this many days ago. Default 0 (any age is kept).
+     *     @type bool $orphaned   Delete backups no attachment refers to. Default false.
+     *     @type bool $dry_run    Only list the backups that would be deleted. Default false.
+     * }
+     * @return array List of pruned backups with 'path', 'size', 'attachment_id' and 'reason' ('expired' or 'orphaned')
+     */
+    public function prune($args)
+    {
+        $args = wp_parse_args($args, ['older_than' => 0, 'orphaned' => false, 'dry_run' => false]);
+        $pruned = [];
+
+        if ($args['older_than'] > 0) {
+            $cutoff = time() - (int) $args['older_than'] * DAY_IN_SECONDS;
+            $backups = $this->db->get_results(
+                "SELECT pm.post_id, pm.meta_value AS path, b.created_at
+                FROM {$this->db->postmeta} pm
+                LEFT JOIN {$this->get_table_name()} b ON b.attachment_id = pm.post_id
+                WHERE pm.meta_key = '_awp_io_backup_path' AND pm.meta_value != ''",
+                ARRAY_A
+            );
+
+            foreach ($backups as $backup) {
+                $file = $this->get_file_path($backup['path']);
+
+                if (!is_file($file)) {
+                    continue;
+                }
+
+                // Backups missing from the manifest are dated by their file.
+                $created_at = $backup['created_at'] ? strtotime($backup['created_at'] . ' UTC') : filemtime($file);
+                if ($created_at >= $cutoff) {
+                    continue;
+                }
+
+                $pruned[] = [
+                    'path' => $backup['path'],
+                    'size' => filesize($file),
+                    'attachment_id' => (int) $backup['post_id'],
+                    'reason' => 'expired',
+                ];
+
+                if (!$args['dry_run']) {
+                    wp_delete_file($file);
+                    delete_post_meta($backup['post_id'], '_awp_io_backup_path');
+                    $this->forget($backup['post_id']);
+
+                    // Nothing is left to restore, so bulk restore skips the image.
+                    update_post_meta($backup['post_id'], '_awp_io_restore_attempt', '1');
+                }
+            }
+        }
+
+        if ($args['orphaned']) {
+            foreach ($this->find_orphans() as $orphan) {
+                $pruned[] = [
+                    'path' => $orphan['path'],
+                    'size' => $orphan['size'],
+                    'attachment_id' => $orphan['attachment_id'],
+                    'reason' => 'orphaned',
+                ];
+
+                if (!$args['dry_run']) {
+                    wp_delete_file($this->get_file_path($orphan['path']));
+                    $this->db->delete($this->get_table_name(), ['path' => $orphan['path']], ['%s']);
+                }
+            }
+        }
+
+        return $pruned;
+    }
+
+    /**
+     * Get the files in the backup directory.
+     *
+     * @since 1.2.0
+     * @return \Generator File info keyed by the path relative to the uploads directory
+     */
+    private function get_files()
+    {
+        $dir = $this->get_backup_dir();
+
+        if (!is_dir($dir)) {
+            return;
+        }
+
+        $files = new \RecursiveIteratorIterator(
+            new \RecursiveDirectoryIterator($dir, \FilesystemIterator::SKIP_DOTS)
+        );
+
+        foreach ($files as $file) {
+            if ($file->isFile()) {
+                $relative_path = str_replace('\\', '/', substr($file->getPathname(), strlen($dir) + 1));
+                yield self::BACKUP_DIR . '/' . $relative_path => $file;
+            }
+        }
+    }
+
+    /**
+     * Get the absolute path of a backup.
+     *
+     * @since 1.2.0
+     * @param string $relative_path Backup path relative to the uploads directory
+     * @return string Absolute path
+     */
+    private function get_file_path($relative_path)
+    {
+        return wp_upload_dir()['basedir'] . '/' . $relative_path;
+    }
+
+    /**
+     * Get the name of the manifest table.
+     *
+     * @since 1.2.0
+     * @return string Table name including the prefix
+     */
+    private function get_table_name()
+    {
+        return $this->db->prefix . Schema::BACKUPS_TABLE_NAME;
+    }
+}
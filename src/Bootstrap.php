@@ -3,7 +3,11 @@
 namespace AWP\IO;
 
 use AWP\IO\Admin\ImageOptimizerOptions;
+use AWP\IO\Admin\SettingsProfiles;
 use AWP\IO\Stats\OptimizationStatsManager;
+use AWP\IO\Stats\ResultsExporter;
+use AWP\IO\Stats\StatsReport;
+use AWP\IO\REST\RestController;
 
 defined('ABSPATH') || exit;
 
@@ -24,7 +28,7 @@ class Bootstrap
      *
      * @var string
      */
-    private $version = '1.1.8';
+    private $version = '1.2.0';
 
     /**
      * Singleton instance of the plugin.
@@ -136,10 +140,14 @@ class Bootstrap
      */
     public function init()
     {
+        Schema::get_instance()->maybe_upgrade();
+
         $optimizer = ImageOptimizerOptions::get_instance();
         $optimizer->initialize_hooks();
 
-        CFCachePurger::get_instance();
+        SettingsProfiles::get_instance();
+
+        CachePurgeManager::get_instance();
 
         $setting_convert_to_webp_media_upload = $optimizer->get_optimizer_settings('convert_to_webp_media_upload');
         if ($setting_convert_to_webp_media_upload === 'yes') {
@@ -148,11 +156,27 @@ class Bootstrap
 
         MediaLibraryOptimizer::get_instance();
         OptimizationStatsManager::get_instance();
+        StatsReport::get_instance();
+        ResultsExporter::get_instance();
         BulkRestore::get_instance();
+        OptimizationRun::get_instance();
+        OptimizationQueue::get_instance();
+        ScheduledOptimizer::get_instance();
+        Notifications::get_instance();
+        ImageComparison::get_instance();
+        RewriteRules::get_instance();
+        RestController::get_instance();
+
+        // With rewrite rules the web server swaps the image files, so the markup is left alone.
+        $setting_deliver_next_gen_images = $optimizer->get_optimizer_settings('deliver_next_gen_images') === 'yes'
+            && $optimizer->get_optimizer_settings('next_gen_delivery_method') !== 'rewrite';
+        $setting_lazy_load_images = $optimizer->get_optimizer_settings('lazy_load_images');
+        if ($setting_deliver_next_gen_images || $setting_lazy_load_images === 'yes') {
+            new WebpHandler($setting_deliver_next_gen_images, $setting_lazy_load_images === 'yes');
+        }
 
-        $setting_deliver_next_gen_images = $optimizer->get_optimizer_settings('deliver_next_gen_images');
-        if ($setting_deliver_next_gen_images === 'yes') {
-            new WebpHandler();
+        if ($optimizer->get_optimizer_settings('output_buffer_rewrite') === 'yes') {
+            new OutputBufferRewriter($setting_deliver_next_gen_images);
         }
 
         new JpgHandler();
@@ -175,13 +199,19 @@ class Bootstrap
      * Enqueue Frontend Scripts.
      *
      * Registers and enqueues JavaScript files for the frontend.
+     * The frontend script loads lazy loaded images and detects the formats the
+     * browser supports for them, so it is only needed with lazy loading enabled.
      * 
      * @since 1.0.0
      * @return void
      */
     public function enqueue_scripts()
     {
-        wp_enqueue_script('eip-frontend', EIP_CUST_PLUGIN_DIR_URL . '/assets/js/eip-frontend.js', array('jquery'));
+        if (ImageOptimizerOptions::get_instance()->get_optimizer_settings('lazy_load_images') !== 'yes') {
+            return;
+        }
+
+        wp_enqueue_script('eip-frontend', EIP_CUST_PLUGIN_DIR_URL . '/assets/js/eip-frontend.js', array(), false, true);
     }
 
     /**
@@ -214,14 +244,43 @@ class Bootstrap
         wp_localize_script('eip-backend', 'wpeio_data', [
             'ajaxUrl' => admin_url('admin-ajax.php'),
             'nonce' => wp_create_nonce('start_optimization_nonce'),
+            'restUrl' => rest_url(RestController::REST_NAMESPACE . '/'),
+            'restNonce' => wp_create_nonce('wp_rest'),
             'screen' => get_current_screen(),
+            'retry' => $this->get_request_retry_settings(),
+            'concurrency' => max(1, min(OptimizationManager::MAX_CONCURRENCY, absint(get_optimizer_settings('bulk_concurrency')))),
             'i18n' => [
                 'error' => __('An error occurred', 'awp-io'),
-                'networkError' => __('Network error occurred', 'awp-io')
+                'networkError' => __('Network error occurred', 'awp-io'),
+                'notChecked' => __('Not checked', 'awp-io'),
+                'checking' => __('Checking...', 'awp-io'),
+                'valid' => __('Valid', 'awp-io'),
+                'invalid' => __('Invalid', 'awp-io')
             ]
         ]);
     }
 
+    /**
+     * Get the retry settings for the admin AJAX request layer.
+     *
+     * Failed batch and single image requests are retried with exponential backoff
+     * until the configured number of retries is reached.
+     *
+     * @since 1.2.0
+     * @return array Retry settings passed to the admin scripts.
+     *
+     * @filter awp_io_request_retry_settings Filters the retry settings
+     *         @param array $retry_settings Array with maxRetries, baseDelay and maxDelay (milliseconds)
+     */
+    private function get_request_retry_settings()
+    {
+        return apply_filters('awp_io_request_retry_settings', [
+            'maxRetries' => absint(get_optimizer_settings('request_max_retries')),
+            'baseDelay' => 1000,
+            'maxDelay' => 30000,
+        ]);
+    }
+
     /**
      * Define a Constant.
      *
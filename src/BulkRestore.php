@@ -13,6 +13,34 @@ namespace AWP\IO;
  */
 class BulkRestore extends Singleton
 {
+    /**
+     * Number of images listed by a restore preview.
+     *
+     * @var int
+     */
+    public const PREVIEW_SIZE = 50;
+
+    /**
+     * Cron hook storing the savings of images optimized before they were stored.
+     *
+     * @var string
+     */
+    public const SAVINGS_BACKFILL_CRON_HOOK = 'awp_io_backfill_savings_percent';
+
+    /**
+     * Number of images whose savings are stored per backfill call.
+     *
+     * @var int
+     */
+    private const SAVINGS_BACKFILL_BATCH_SIZE = 200;
+
+    /**
+     * Option storing the last attachment ID the savings backfill processed.
+     *
+     * @var string
+     */
+    private const SAVINGS_BACKFILL_CURSOR_OPTION_NAME = 'awp_io_savings_percent_backfill_cursor';
+
     /**
      * Instance of ImageFetcher class
      *
@@ -28,11 +56,13 @@ class BulkRestore extends Singleton
     private $tracker;
 
     /**
-     * Transient key for storing bulk restore progress
+     * Transient key for storing the bulk restore in progress: its filter, the
+     * number of images to restore, the images processed so far and the last
+     * processed attachment ID.
      *
      * @var string
      */
-    private $transient_key = 'bulk_restore_total_images';
+    private $transient_key = 'awp_io_bulk_restore';
 
     /**
      * Constructor.
@@ -46,6 +76,65 @@ class BulkRestore extends Singleton
 
         add_action('wp_ajax_start_bulk_restore', [$this, 'handle_bulk_restore']);
         add_action('wp_ajax_init_bulk_restore', [$this, 'init_bulk_restore']);
+        add_action(self::SAVINGS_BACKFILL_CRON_HOOK, [$this, 'process_savings_backfill']);
+    }
+
+    /**
+     * Schedule the savings backfill, e.g. after the savings_percent column was added.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function schedule_savings_backfill()
+    {
+        if (!wp_next_scheduled(self::SAVINGS_BACKFILL_CRON_HOOK)) {
+            wp_schedule_single_event(time(), self::SAVINGS_BACKFILL_CRON_HOOK);
+        }
+    }
+
+    /**
+     * Process a batch of the savings backfill from WP-Cron.
+     *
+     * Stores the savings percentage of images optimized before it was stored in
+     * the history table, in the order of their IDs. The last processed ID is kept,
+     * so images without usable optimization data are not selected again. Schedules
+     * the next batch until every image was processed.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function process_savings_backfill()
+    {
+        global $wpdb;
+
+        $history_table = $wpdb->prefix . Schema::HISTORY_TABLE_NAME;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT h.attachment_id, pm.meta_value AS optimization_data
+             FROM {$history_table} h
+             INNER JOIN {$wpdb->postmeta} pm ON pm.post_id = h.attachment_id AND pm.meta_key = '_awp_io_optimization_data'
+             WHERE h.savings_percent IS NULL AND h.attachment_id > %d
+             ORDER BY h.attachment_id ASC
+             LIMIT %d",
+            (int) get_option(self::SAVINGS_BACKFILL_CURSOR_OPTION_NAME, 0),
+            self::SAVINGS_BACKFILL_BATCH_SIZE
+        ));
+
+        foreach ($rows as $row) {
+            $savings_percent = RestoreFilter::get_savings_percent($row->optimization_data);
+
+            if ($savings_percent !== null) {
+                $wpdb->update($history_table, ['savings_percent' => $savings_percent], ['attachment_id' => $row->attachment_id], ['%f'], ['%d']);
+            }
+        }
+
+        if (count($rows) < self::SAVINGS_BACKFILL_BATCH_SIZE) {
+            delete_option(self::SAVINGS_BACKFILL_CURSOR_OPTION_NAME);
+            return;
+        }
+
+        update_option(self::SAVINGS_BACKFILL_CURSOR_OPTION_NAME, (int) end($rows)->attachment_id, false);
+        wp_schedule_single_event(time(), self::SAVINGS_BACKFILL_CRON_HOOK);
     }
 
     /**
@@ -61,17 +150,76 @@ class BulkRestore extends Singleton
     {
         check_ajax_referer('start_optimization_nonce', 'nonce');
 
-        // Get initial total of optimized images
-        $total_optimized = $this->fetcher->get_total_optimized_images_count_for_restore();
-
-        // Store this number for progress calculation
-        set_transient($this->transient_key, $total_optimized, MONTH_IN_SECONDS);
-
         wp_send_json_success([
-            'total_images' => $total_optimized
+            'total_images' => $this->start()
         ]);
     }
 
+    /**
+     * Start a bulk restore, used by the AJAX handler, the REST API and the CLI.
+     *
+     * @since 1.2.0
+     * @param RestoreFilter|null $filter Optional. Restricts the restore to part of the optimized images.
+     * @return int Number of optimized images to restore
+     */
+    public function start($filter = null)
+    {
+        $filter = $filter ?? new RestoreFilter();
+        $total = $this->fetcher->get_total_optimized_images_count_for_restore($filter);
+
+        set_transient($this->transient_key, [
+            'filter' => $filter->to_array(),
+            'total' => $total,
+            'processed' => 0,
+            'restored' => 0,
+            'last_id' => 0,
+        ], MONTH_IN_SECONDS);
+
+        return $total;
+    }
+
+    /**
+     * Preview the images a bulk restore with a filter would restore.
+     *
+     * @since 1.2.0
+     * @param RestoreFilter|null $filter Optional. Restricts the restore to part of the optimized images.
+     * @param int                $limit  Optional. Maximum number of images listed.
+     * @return array Array with the 'total' number of matching images and the first matching 'images',
+     *               each with 'id', 'title', 'mime_type', 'optimized_at' and 'percent_saved'
+     */
+    public function preview($filter = null, $limit = self::PREVIEW_SIZE)
+    {
+        global $wpdb;
+
+        $ids = $this->fetcher->get_optimized_images_for_restore($filter, 0, $limit);
+        $optimized_at = [];
+
+        if (!empty($ids)) {
+            $optimized_at = $wpdb->get_results(
+                "SELECT attachment_id, last_optimized_at AS optimized_at
+                 FROM {$wpdb->prefix}" . Schema::HISTORY_TABLE_NAME . "
+                 WHERE attachment_id IN (" . implode(', ', array_map('absint', $ids)) . ")",
+                OBJECT_K
+            );
+        }
+
+        $images = [];
+        foreach ($ids as $attachment_id) {
+            $images[] = [
+                'id' => $attachment_id,
+                'title' => get_the_title($attachment_id),
+                'mime_type' => get_post_mime_type($attachment_id),
+                'optimized_at' => isset($optimized_at[$attachment_id]) ? $optimized_at[$attachment_id]->optimized_at : null,
+                'percent_saved' => RestoreFilter::get_savings_percent(get_post_meta($attachment_id, '_awp_io_optimization_data', true)),
+            ];
+        }
+
+        return [
+            'total' => $this->fetcher->get_total_optimized_images_count_for_restore($filter),
+            'images' => $images,
+        ];
+    }
+
     /**
      * Handle bulk restore AJAX request.
      *
@@ -85,29 +233,38 @@ class BulkRestore extends Singleton
     {
         check_ajax_referer('start_optimization_nonce', 'nonce');
 
-        $optimized_images = $this->fetcher->get_optimized_images_for_restore();
-        $results = [];
-        $is_complete = empty($optimized_images);
+        wp_send_json_success($this->restore_batch());
+    }
 
-        // Get the initial total from transient
-        $initial_total = get_transient($this->transient_key);
+    /**
+     * Restore the next batch of images, used by the AJAX handler and the REST API.
+     *
+     * Without a bulk restore in progress the restore is reported as complete, so
+     * a late request never restores images outside of the filter of a finished one.
+     *
+     * @since 1.2.0
+     * @return array Array with 'results', 'is_complete', 'progress', 'restored_count' and 'initial_total'
+     */
+    public function restore_batch()
+    {
+        $state = get_transient($this->transient_key);
 
-        // If transient expired or doesn't exist, get current total
-        if (false === $initial_total) {
-            $initial_total = $this->fetcher->get_total_optimized_images_count_for_restore();
-            set_transient($this->transient_key, $initial_total, MONTH_IN_SECONDS);
+        if (!is_array($state)) {
+            return [
+                'results' => [],
+                'is_complete' => true,
+                'progress' => 100,
+                'restored_count' => 0,
+                'initial_total' => 0
+            ];
         }
 
-        // Get current total of remaining optimized images
-        $current_total = $this->fetcher->get_total_optimized_images_count_for_restore();
-
-        // Calculate restored images
-        $restored_count = absint($initial_total - $current_total);
-
-        // Calculate progress based on initial total
-        $progress = $initial_total > 0 ?
-            round(($restored_count / $initial_total) * 100) :
-            100;
+        $optimized_images = $this->fetcher->get_optimized_images_for_restore(
+            RestoreFilter::from_array($state['filter']),
+            $state['last_id']
+        );
+        $results = [];
+        $is_complete = empty($optimized_images);
 
         foreach ($optimized_images as $attachment_id) {
             $result = [
@@ -120,6 +277,7 @@ class BulkRestore extends Singleton
                 if ($this->tracker->restore_image($attachment_id)) {
                     $result['status'] = 'success';
                     $result['message'] = 'Image restored successfully';
+                    $state['restored']++;
                 } else {
                     $result['message'] = 'Failed to restore image. Backup file is missing.';
                 }
@@ -128,19 +286,28 @@ class BulkRestore extends Singleton
             }
 
             $results[] = $result;
+            $state['processed']++;
+            $state['last_id'] = $attachment_id;
         }
 
+        // Calculate progress based on initial total
+        $progress = $state['total'] > 0 ?
+            min(100, round(($state['processed'] / $state['total']) * 100)) :
+            100;
+
         // If complete, clean up the transient
         if ($is_complete) {
             delete_transient($this->transient_key);
+        } else {
+            set_transient($this->transient_key, $state, MONTH_IN_SECONDS);
         }
 
-        wp_send_json_success([
+        return [
             'results' => $results,
             'is_complete' => $is_complete,
             'progress' => $progress,
-            'restored_count' => $restored_count,
-            'initial_total' => $initial_total
-        ]);
+            'restored_count' => $state['restored'],
+            'initial_total' => $state['total']
+        ];
     }
 }
@@ -9,11 +9,22 @@ use WP_Error;
  *
  * Handles Cloudflare cache purging for optimized WordPress media attachments.
  *
+ * Enabled by the Cloudflare API token setting. The zone is looked up by the
+ * domain of the site, and URLs are purged in batches of up to BATCH_SIZE URLs
+ * per API call.
+ *
  * @package AWP\IO
  * @since 1.1.2
  */
-class CFCachePurger extends Singleton
+class CFCachePurger extends Singleton implements CachePurger
 {
+    /**
+     * Maximum number of URLs Cloudflare purges per API call.
+     *
+     * @var int
+     */
+    public const BATCH_SIZE = 30;
+
     /**
      * API token for CDN authentication.
      *
@@ -46,30 +57,57 @@ class CFCachePurger extends Singleton
         $this->log_enabled = true;
         $this->zone_id = null;
         $this->api_token = null;
+    }
 
-        // Hook into image optimization completion
-        add_action('awp_image_optimization_completed', array($this, 'handle_optimized_image'), 10, 2);
-        add_action('awp_image_after_optimization_cleanup', array($this, 'handle_optimized_image'), 10, 1);
+    /**
+     * Get the name of the purger.
+     *
+     * @since 1.2.0
+     * @return string Purger name
+     */
+    public function get_name()
+    {
+        return 'Cloudflare';
+    }
+
+    /**
+     * Check whether a Cloudflare API token is configured.
+     *
+     * @since 1.2.0
+     * @return bool True if the purger is enabled
+     */
+    public function is_enabled()
+    {
+        return trim((string) get_optimizer_settings('cloudflare_api_token')) !== '';
     }
 
     /**
      * Verify if the Cloudflare API token is valid.
      *
+     * @param string|null $api_token Optional. Token to check instead of the saved one, e.g. before it is saved.
      * @return bool|WP_Error Returns true if the token is valid, WP_Error on failure.
      * @since 1.1.2
      */
-    public function verify_api_token()
+    public function verify_api_token($api_token = null)
     {
-        // Get API token from settings
-        if (empty(trim($this->api_token))) {
-            $this->api_token = get_optimizer_settings('cloudflare_api_token');
+        if ($api_token === null) {
+            // Get API token from settings
+            if (empty(trim((string) $this->api_token))) {
+                $this->api_token = get_optimizer_settings('cloudflare_api_token');
+            }
+
+            $this->api_token = trim($this->api_token);
+            $api_token = $this->api_token;
         }
 
-        $this->api_token = trim($this->api_token);
+        $api_token = trim($api_token);
+        if ($api_token === '') {
+            return new WP_Error('missing_token', 'No Cloudflare API token is set.');
+        }
 
         $args = array(
             'headers' => array(
-                'Authorization' => sprintf('Bearer %s', $this->api_token),
+                'Authorization' => sprintf('Bearer %s', $api_token),
                 'Content-Type' => 'application/json',
             ),
             'timeout' => 30,
@@ -95,71 +133,6 @@ class CFCachePurger extends Singleton
         return true;
     }
 
-    /**
-     * Handle optimized image by purging its URL from CDN cache.
-     *
-     * @param int   $attachment_id     The attachment ID of the optimized image.
-     * @param array $optimization_data Optimization data from the process.
-     * @return void
-     * @since 1.1.2
-     */
-    public function handle_optimized_image($attachment_id, $optimization_data = null)
-    {
-        // Get API token from settings
-        $this->api_token = get_optimizer_settings('cloudflare_api_token');
-
-        if (empty($this->api_token)) {
-            $this->log_error('Cloudflare API token not configured');
-            return;
-        }
-
-        // Verify the API token
-        $token_valid = $this->verify_api_token();
-        if (is_wp_error($token_valid)) {
-            $this->log_error('Invalid Cloudflare API token: ' . $token_valid->get_error_message());
-            return;
-        }
-
-        // Get the main image URL
-        $result = null;
-        $main_image_url = wp_get_attachment_url($attachment_id);
-        if ($main_image_url) {
-            $result = $this->purge_url($main_image_url);
-        }
-
-        if ($result && is_wp_error($result)) {
-            return;
-        }
-
-        // Get and purge all image sizes
-        $image_sizes = $this->get_attachment_image_urls($attachment_id);
-        foreach ($image_sizes as $size_url) {
-            $this->purge_url($size_url);
-        }
-    }
-
-    /**
-     * Get all image size URLs for an attachment.
-     *
-     * @param int $attachment_id The attachment ID.
-     * @return array Array of image URLs for all sizes.
-     * @since 1.1.2
-     */
-    private function get_attachment_image_urls($attachment_id)
-    {
-        $urls = array();
-        $sizes = get_intermediate_image_sizes();
-
-        foreach ($sizes as $size) {
-            $image = wp_get_attachment_image_src($attachment_id, $size);
-            if ($image) {
-                $urls[] = $image[0];
-            }
-        }
-
-        return array_unique($urls);
-    }
-
     /**
      * Get domain name without protocol and www.
      *
@@ -177,11 +150,24 @@ class CFCachePurger extends Singleton
     /**
      * Fetch and store the zone ID from the CDN API.
      *
+     * The zone ID is cached for a day per API token and domain, so purges on
+     * shutdown do not wait for the lookup.
+     *
      * @return bool|WP_Error Returns true on success, WP_Error on failure.
      * @since 1.1.2
+     * @since 1.2.0 The zone ID is cached in a transient.
      */
     private function fetch_zone_id()
     {
+        $domain = $this->get_clean_domain();
+        $transient = 'awp_io_cloudflare_zone_' . md5($this->api_token . '|' . $domain);
+
+        $zone_id = get_transient($transient);
+        if ($zone_id) {
+            $this->zone_id = $zone_id;
+            return true;
+        }
+
         $args = array(
             'headers' => array(
                 'Authorization' => 'Bearer ' . $this->api_token,
@@ -211,12 +197,11 @@ class CFCachePurger extends Singleton
             return new WP_Error('no_zones', 'No zones found in account');
         }
 
-        $domain = $this->get_clean_domain();
-
         // Find the Zone ID for the given domain
         foreach ($data['result'] as $zone) {
             if ($zone['name'] === $domain) {
                 $this->zone_id = $zone['id'];
+                set_transient($transient, $zone['id'], DAY_IN_SECONDS);
                 $this->log_info('Found zone ID for domain: ' . $domain);
                 return true;
             }
@@ -235,6 +220,25 @@ class CFCachePurger extends Singleton
      */
     public function purge_url($url)
     {
+        return $this->purge(array($url));
+    }
+
+    /**
+     * Purge URLs from the CDN cache, BATCH_SIZE URLs per API call.
+     *
+     * Non-blocking calls do not wait for the API, so only errors before a batch
+     * was sent are reported. The zone is still looked up blocking, it is cached
+     * for a day.
+     *
+     * @param array $urls     The URLs to purge from cache.
+     * @param bool  $blocking Optional. Whether to wait for the responses, true by default.
+     * @return bool|WP_Error Returns true on success, WP_Error on the first failed batch.
+     * @since 1.2.0
+     */
+    public function purge($urls, $blocking = true)
+    {
+        $this->api_token = trim((string) get_optimizer_settings('cloudflare_api_token'));
+
         if (empty($this->zone_id)) {
             $result = $this->fetch_zone_id();
             if (is_wp_error($result)) {
@@ -243,36 +247,44 @@ class CFCachePurger extends Singleton
             }
         }
 
-        $args = array(
-            'headers' => array(
-                'Authorization' => 'Bearer ' . $this->api_token,
-                'Content-Type' => 'application/json',
-            ),
-            'body' => json_encode(array(
-                'files' => array($url)
-            )),
-            'method' => 'POST',
-            'timeout' => 30,
-        );
+        foreach (array_chunk(array_values(array_unique($urls)), self::BATCH_SIZE) as $batch) {
+            $args = array(
+                'headers' => array(
+                    'Authorization' => 'Bearer ' . $this->api_token,
+                    'Content-Type' => 'application/json',
+                ),
+                'body' => json_encode(array(
+                    'files' => $batch
+                )),
+                'method' => 'POST',
+                'timeout' => $blocking ? 30 : 1,
+                'blocking' => $blocking,
+            );
+
+            $purge_url = 'https://api.cloudflare.com/client/v4/zones/' . $this->zone_id . '/purge_cache';
+            $response = wp_remote_post($purge_url, $args);
+
+            if (is_wp_error($response)) {
+                $this->log_error('Failed to purge URLs: ' . $response->get_error_message());
+                return $response;
+            }
 
-        $purge_url = 'https://api.cloudflare.com/client/v4/zones/' . $this->zone_id . '/purge_cache';
-        $response = wp_remote_post($purge_url, $args);
+            if (!$blocking) {
+                continue;
+            }
 
-        if (is_wp_error($response)) {
-            $this->log_error('Failed to purge URL: ' . $response->get_error_message());
-            return $response;
-        }
+            $body = wp_remote_retrieve_body($response);
+            $data = json_decode($body, true);
 
-        $body = wp_remote_retrieve_body($response);
-        $data = json_decode($body, true);
+            if (!$data || !isset($data['success']) || !$data['success']) {
+                $error_message = isset($data['errors'][0]['message']) ? $data['errors'][0]['message'] : 'Unknown error';
+                $this->log_error('API error while purging URLs: ' . $error_message);
+                return new WP_Error('api_error', $error_message);
+            }
 
-        if (!$data || !isset($data['success']) || !$data['success']) {
-            $error_message = isset($data['errors'][0]['message']) ? $data['errors'][0]['message'] : 'Unknown error';
-            $this->log_error('API error while purging URL: ' . $error_message);
-            return new WP_Error('api_error', $error_message);
+            $this->log_info(sprintf('Successfully purged %d URLs.', count($batch)));
         }
 
-        $this->log_info('Successfully purged URL: ' . $url);
         return true;
     }
 
@@ -0,0 +1,210 @@
+<?php
+
+namespace AWP\IO\CLI;
+
+use AWP\IO\BackupManager;
+use WP_CLI;
+
+/**
+ * Verifies, measures and prunes the backups of original images.
+ *
+ * Backups are recorded with their size and SHA-256 hash when they are created.
+ * These commands find missing, corrupt and orphaned backups, report the disk
+ * usage of the backup directory and delete old or orphaned backups.
+ *
+ * @package AWP\IO\CLI
+ * @since 1.2.0
+ */
+class BackupsCLI
+{
+    /**
+     * Verifies every backup against the manifest
+     *
+     * Reports backups that are missing or corrupt, and backup files no image
+     * refers to anymore. Backups created before the manifest existed are added
+     * to it.
+     *
+     * ## OPTIONS
+     *
+     * [--format=<format>]
+     * : Optional. Output format of the problems found.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - csv
+     *   - json
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io backups verify
+     *
+     *     wp awp-io backups verify --format=json
+     *     Print the missing, corrupt and orphaned backups as JSON.
+     *
+     * @when after_wp_load
+     */
+    public function verify($args, $assoc_args)
+    {
+        $backup_manager = BackupManager::get_instance();
+        $total = $backup_manager->count_backups();
+        $progress = \WP_CLI\Utils\make_progress_bar('Verifying backups', $total);
+        $counts = array_fill_keys([
+            BackupManager::STATUS_OK,
+            BackupManager::STATUS_RECORDED,
+            BackupManager::STATUS_MISSING,
+            BackupManager::STATUS_CORRUPT,
+        ], 0);
+        $problems = [];
+        $offset = 0;
+
+        do {
+            $batch = $backup_manager->verify_batch($offset);
+            $offset = $batch['offset'];
+
+            foreach ($batch['results'] as $result) {
+                $counts[$result['status']]++;
+
+                if (in_array($result['status'], [BackupManager::STATUS_MISSING, BackupManager::STATUS_CORRUPT], true)) {
+                    $problems[] = [
+                        'attachment_id' => $result['id'],
+                        'status' => $result['status'],
+                        'path' => $result['path'],
+                        'message' => $result['message'],
+                    ];
+                }
+
+                $progress->tick();
+            }
+        } while (!$batch['is_complete']);
+
+        $progress->finish();
+
+        $orphans = $backup_manager->find_orphans();
+        foreach ($orphans as $orphan) {
+            $problems[] = [
+                'attachment_id' => $orphan['attachment_id'],
+                'status' => 'orphaned',
+                'path' => $orphan['path'],
+                'message' => sprintf('No image refers to this backup (%s).', size_format($orphan['size'], 2)),
+            ];
+        }
+
+        if (!empty($problems)) {
+            \WP_CLI\Utils\format_items(
+                $assoc_args['format'] ?? 'table',
+                $problems,
+                ['attachment_id', 'status', 'path', 'message']
+            );
+        }
+
+        $summary = sprintf(
+            'Verified %d backups: %d intact, %d added to the manifest, %d missing, %d corrupt, %d orphaned.',
+            $offset,
+            $counts[BackupManager::STATUS_OK],
+            $counts[BackupManager::STATUS_RECORDED],
+            $counts[BackupManager::STATUS_MISSING],
+            $counts[BackupManager::STATUS_CORRUPT],
+            count($orphans)
+        );
+
+        if (empty($problems)) {
+            WP_CLI::success($summary);
+        } else {
+            WP_CLI::warning($summary);
+        }
+    }
+
+    /**
+     * Deletes old backups and backups of deleted images
+     *
+     * Images whose backup is deleted stay optimized, but can no longer be restored.
+     *
+     * ## OPTIONS
+     *
+     * [--older-than=<days>]
+     * : Optional. Delete backups created more than this many days ago.
+     *
+     * [--orphaned]
+     * : Optional. Delete backup files no image refers to, e.g. of deleted images.
+     *
+     * [--dry-run]
+     * : Optional. Only list the backups that would be deleted.
+     *
+     * [--yes]
+     * : Optional. Skip the confirmation prompt.
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io backups prune --orphaned
+     *     Delete the backups of deleted images.
+     *
+     *     wp awp-io backups prune --older-than=90 --dry-run
+     *     List the backups older than 90 days.
+     *
+     * @when after_wp_load
+     */
+    public function prune($args, $assoc_args)
+    {
+        $older_than = isset($assoc_args['older-than']) ? absint($assoc_args['older-than']) : 0;
+        $orphaned = isset($assoc_args['orphaned']);
+        $dry_run = isset($assoc_args['dry-run']);
+
+        if ($older_than === 0 && !$orphaned) {
+            WP_CLI::error('Please specify --older-than=<days> or --orphaned.');
+        }
+
+        if (!$dry_run) {
+            WP_CLI::confirm('Delete the matching backups? The images cannot be restored afterwards.', $assoc_args);
+        }
+
+        $pruned = BackupManager::get_instance()->prune([
+            'older_than' => $older_than,
+            'orphaned' => $orphaned,
+            'dry_run' => $dry_run,
+        ]);
+
+        if (empty($pruned)) {
+            WP_CLI::success('No backups match.');
+            return;
+        }
+
+        foreach ($pruned as $backup) {
+            WP_CLI::log(sprintf(
+                '%s: %s (%s, %s)',
+                $dry_run ? 'Would delete' : 'Deleted',
+                $backup['path'],
+                size_format($backup['size'], 2),
+                $backup['reason']
+            ));
+        }
+
+        WP_CLI::success(sprintf(
+            '%s %d backups, %s.',
+            $dry_run ? 'Would delete' : 'Deleted',
+            count($pruned),
+            size_format(array_sum(array_column($pruned, 'size')), 2)
+        ));
+    }
+
+    /**
+     * Shows the disk usage of the backups
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io backups size
+     *
+     * @when after_wp_load
+     */
+    public function size($args, $assoc_args)
+    {
+        $backup_manager = BackupManager::get_instance();
+        $usage = $backup_manager->get_disk_usage();
+
+        WP_CLI::line(sprintf('Directory:  %s', $backup_manager->get_backup_dir()));
+        WP_CLI::line(sprintf('Files:      %d', $usage['files']));
+        WP_CLI::line(sprintf('Recorded:   %d', $usage['recorded']));
+        WP_CLI::line(sprintf('Total size: %s (%d bytes)', size_format($usage['bytes'], 2), $usage['bytes']));
+    }
+}
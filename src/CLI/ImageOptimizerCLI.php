@@ -2,10 +2,15 @@
 
 namespace AWP\IO\CLI;
 
+use AWP\IO\BulkRestore;
 use AWP\IO\ImageFetcher;
-use AWP\IO\ImageSender;
+use AWP\IO\OptimizationEngine;
 use AWP\IO\ImageTracker;
 use AWP\IO\OptimizationManager;
+use AWP\IO\OptimizationRun;
+use AWP\IO\OptimizationScope;
+use AWP\IO\RestoreFilter;
+use AWP\IO\Stats\ResultsExporter;
 use WP_CLI;
 use AWP\IO\Schema;
 
@@ -28,9 +33,9 @@ class ImageOptimizerCLI
     private $fetcher;
 
     /**
-     * Image sender service instance.
+     * Optimization engine service instance.
      *
-     * @var ImageSender
+     * @var OptimizationEngine
      */
     private $sender;
 
@@ -69,6 +74,13 @@ class ImageOptimizerCLI
      */
     private $failed_images = 0;
 
+    /**
+     * First errors of the run, reported with the run summary.
+     *
+     * @var array
+     */
+    private $error_samples = [];
+
     /**
      * Whether to show detailed output for each image.
      *
@@ -85,7 +97,7 @@ class ImageOptimizerCLI
     {
 
         $this->fetcher = ImageFetcher::get_instance();
-        $this->sender = ImageSender::get_instance();
+        $this->sender = get_optimization_engine();
         $this->tracker = ImageTracker::get_instance();
 
         $this->optimization_manager = OptimizationManager::get_instance();
@@ -98,16 +110,31 @@ class ImageOptimizerCLI
      * ## OPTIONS
      * 
      * [--all]
-     * : Restore all optimized images in the media library.
+     * : Restore all optimized images in the media library, or all images matching the filters.
      * 
      * [--batch-size=<number>]
      * : Optional. Number of images to restore in this batch.
      * 
      * [--dry-run]
-     * : Optional. Show how many images would be restored without actually restoring them.
+     * : Optional. Show how many images would be restored without actually restoring them. With filters, the matching images are listed.
      * 
      * [--verbose]
      * : Optional. Show detailed restoration results for each image.
+     *
+     * [--attachment_id=<ids>]
+     * : Optional. Comma-separated list of attachment IDs to restore.
+     *
+     * [--optimized-from=<date>]
+     * : Optional. Only restore images optimized on or after this date (YYYY-MM-DD).
+     *
+     * [--optimized-to=<date>]
+     * : Optional. Only restore images optimized on or before this date (YYYY-MM-DD).
+     *
+     * [--max-savings=<percent>]
+     * : Optional. Only restore images that saved less than this percentage, 0 restores the images that got larger.
+     *
+     * [--mime-type=<types>]
+     * : Optional. Comma-separated list of image types to restore: jpeg, png, gif, webp.
      * 
      * ## EXAMPLES
      * 
@@ -125,6 +152,12 @@ class ImageOptimizerCLI
      * 
      *     wp awp-io restore --dry-run
      *     Show how many images would be restored without actually restoring them.
+     *
+     *     wp awp-io restore --all --optimized-from=2024-06-01 --max-savings=5 --dry-run
+     *     List the images optimized since June 2024 that saved less than 5%.
+     *
+     *     wp awp-io restore --all --max-savings=0 --mime-type=png
+     *     Restore the PNG images that got larger when they were optimized.
      * 
      * @when after_wp_load
      */
@@ -139,17 +172,43 @@ class ImageOptimizerCLI
         // Set verbose mode
         $this->verbose = isset($assoc_args['verbose']);
 
+        // Restrict the restore to the requested images
+        try {
+            $filter = RestoreFilter::from_array([
+                'optimized_from' => $assoc_args['optimized-from'] ?? '',
+                'optimized_to' => $assoc_args['optimized-to'] ?? '',
+                'max_savings' => $assoc_args['max-savings'] ?? '',
+                'mime_types' => $assoc_args['mime-type'] ?? '',
+                'attachment_ids' => $assoc_args['attachment_id'] ?? '',
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            WP_CLI::error($e->getMessage());
+            return;
+        }
+
         // Get total count of optimized images
-        $total_images = $this->fetcher->get_total_optimized_images_count_for_restore();
+        $total_images = $this->fetcher->get_total_optimized_images_count_for_restore($filter);
 
         if ($total_images === 0) {
-            WP_CLI::success('No optimized images found to restore.');
+            WP_CLI::success($filter->is_empty()
+                ? 'No optimized images found to restore.'
+                : 'No optimized images match the filters.');
             return;
         }
 
         // Handle dry run
         if (isset($assoc_args['dry-run'])) {
-            WP_CLI::line(sprintf('Found %d optimized images that would be restored.', $total_images));
+            if (!$filter->is_empty()) {
+                $preview = BulkRestore::get_instance()->preview($filter, $total_images);
+                \WP_CLI\Utils\format_items(
+                    'table',
+                    $preview['images'],
+                    ['id', 'title', 'mime_type', 'optimized_at', 'percent_saved']
+                );
+                WP_CLI::line(sprintf('Found %d optimized images matching the filters that would be restored.', $total_images));
+            } else {
+                WP_CLI::line(sprintf('Found %d optimized images that would be restored.', $total_images));
+            }
             return;
         }
 
@@ -170,7 +229,10 @@ class ImageOptimizerCLI
             return;
         }
 
-        WP_CLI::line(sprintf('Found %d optimized images.', $total_images));
+        WP_CLI::line(sprintf(
+            $filter->is_empty() ? 'Found %d optimized images.' : 'Found %d optimized images matching the filters.',
+            $total_images
+        ));
 
         if (isset($assoc_args['batch-size'])) {
             WP_CLI::line(sprintf('Will restore %d images in this run.', $images_to_process));
@@ -183,8 +245,10 @@ class ImageOptimizerCLI
         // Create progress bar
         $progress = \WP_CLI\Utils\make_progress_bar('Restoring images', $images_to_process);
 
+        $last_id = 0;
+
         while ($this->processed_images < $images_to_process) {
-            $images = $this->fetcher->get_optimized_images_for_restore();
+            $images = $this->fetcher->get_optimized_images_for_restore($filter, $last_id);
 
             if (empty($images)) {
                 break; // No more images to process
@@ -195,6 +259,8 @@ class ImageOptimizerCLI
                     break;
                 }
 
+                $last_id = $attachment_id;
+
                 try {
                     $success = $this->tracker->restore_image($attachment_id);
 
@@ -266,6 +332,21 @@ class ImageOptimizerCLI
      * 
      * [--attachment_id=<ids>]
      * : Optional. Comma-separated list of attachment IDs to optimize.
+     *
+     * [--date-from=<date>]
+     * : Optional. Only optimize images uploaded on or after this date (YYYY-MM-DD).
+     *
+     * [--date-to=<date>]
+     * : Optional. Only optimize images uploaded on or before this date (YYYY-MM-DD).
+     *
+     * [--mime-type=<types>]
+     * : Optional. Comma-separated list of image types to optimize: jpeg, png, gif, webp.
+     *
+     * [--folder=<path>]
+     * : Optional. Only optimize images in this uploads subfolder, e.g. 2024/05.
+     *
+     * [--parent=<ids>]
+     * : Optional. Comma-separated list of post IDs the images are attached to.
      * 
      * ## EXAMPLES
      * 
@@ -292,6 +373,12 @@ class ImageOptimizerCLI
      *     
      *     wp awp-io optimize --attachment_id=123,34,45
      *     Optimize specific images by their attachment IDs.
+     *
+     *     wp awp-io optimize --all --date-from=2024-01-01 --mime-type=jpeg,png
+     *     Optimize all JPEG and PNG images uploaded since the start of 2024.
+     *
+     *     wp awp-io optimize --all --folder=2023/11 --dry-run
+     *     Show how many images in the uploads/2023/11 folder would be optimized.
      * 
      * @when after_wp_load
      */
@@ -341,11 +428,25 @@ class ImageOptimizerCLI
             }
         }
 
+        // Restrict the run to the requested part of the media library
+        try {
+            $scope = OptimizationScope::from_array([
+                'date_from' => $assoc_args['date-from'] ?? '',
+                'date_to' => $assoc_args['date-to'] ?? '',
+                'mime_types' => $assoc_args['mime-type'] ?? '',
+                'folder' => $assoc_args['folder'] ?? '',
+                'parent_ids' => $assoc_args['parent'] ?? '',
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            WP_CLI::error($e->getMessage());
+            return;
+        }
+
         // Get total count of images to optimize
         if (!empty($attachment_ids)) {
             $total_images = count($attachment_ids);
         } else {
-            $total_images = $this->fetcher->get_total_unoptimized_count($re_optimize);
+            $total_images = $this->fetcher->get_total_unoptimized_count($re_optimize, $scope);
         }
 
         if ($total_images === 0) {
@@ -360,6 +461,8 @@ class ImageOptimizerCLI
             } else {
                 if (!empty($attachment_ids)) {
                     WP_CLI::line(sprintf('Found %d attachment IDs to be processed.', $total_images));
+                } elseif (!$scope->is_empty()) {
+                    WP_CLI::line(sprintf('Found %d unoptimized images matching the filters that would be processed.', $total_images));
                 } else {
                     WP_CLI::line(sprintf('Found %d unoptimized images that would be processed.', $total_images));
                 }
@@ -398,6 +501,8 @@ class ImageOptimizerCLI
             WP_CLI::line(sprintf('Will process %d images in this run.', $images_to_process));
         }
 
+        $started_at = time();
+
         // Create progress bar
         $progress = \WP_CLI\Utils\make_progress_bar('Optimizing images', $images_to_process);
 
@@ -416,6 +521,7 @@ class ImageOptimizerCLI
                         //WP_CLI::line(sprintf('Processed "%d" attachments so far', $this->processed_images));
                     } else {
                         $this->failed_images++;
+                        $this->add_error_sample($result);
                         WP_CLI::warning(sprintf('Failed to optimize image ID %d: %s', $result['id'], $result['message']));
                     }
                 } else {
@@ -425,7 +531,7 @@ class ImageOptimizerCLI
         } else {
             // Optimize in batches
             while ($this->processed_images < $images_to_process) {
-                $results = $this->optimization_manager->optimize_batch($re_optimize);
+                $results = $this->optimization_manager->optimize_batch($re_optimize, $scope);
 
                 //error_log('inCLI: ', 3 , '/home/yousellcomics/public_html/adebug.log');
                 //error_log(print_r($results, true), 3 , '/home/yousellcomics/public_html/adebug.log');
@@ -437,6 +543,7 @@ class ImageOptimizerCLI
                 foreach ($results as $result) {
                     if ($result['status'] === 'success') {
                         //$this->process_optimization_result($result);
+                        $this->total_saved_bytes += $result['bytes_saved'] ?? 0;
                         $progress->tick();
                         $this->processed_images++;
 
@@ -445,6 +552,7 @@ class ImageOptimizerCLI
 
                     } else {
                         $this->failed_images++;
+                        $this->add_error_sample($result);
                         WP_CLI::warning(sprintf('Failed to optimize image ID %d: %s', $result['id'], $result['message']));
                     }
                 }
@@ -461,6 +569,17 @@ class ImageOptimizerCLI
         // Display final statistics
         $this->display_final_stats();
 
+        do_action('awp_io_run_completed', 'cli', [
+            'status' => 'completed',
+            'processed' => $this->processed_images + $this->failed_images,
+            'optimized' => $this->processed_images,
+            'errors' => $this->failed_images,
+            'bytes_saved' => $this->total_saved_bytes,
+            'error_samples' => $this->error_samples,
+            'started_at' => $started_at,
+            'finished_at' => time(),
+        ]);
+
         // Show remaining images message if applicable
         if (!isset($assoc_args['attachment_id'])) {
             $remaining = $total_images - $this->processed_images;
@@ -473,6 +592,111 @@ class ImageOptimizerCLI
         }
     }
 
+    /**
+     * Exports optimization results as CSV or JSON
+     *
+     * Writes one row per optimized or failed image size with original, optimized and
+     * WebP file sizes, conversion flags, failure messages and the optimization date.
+     *
+     * ## OPTIONS
+     *
+     * [--format=<format>]
+     * : Optional. Export format.
+     * ---
+     * default: csv
+     * options:
+     *   - csv
+     *   - json
+     * ---
+     *
+     * [--output=<file>]
+     * : Optional. Write the export to this file instead of STDOUT.
+     *
+     * [--status=<status>]
+     * : Optional. Only export optimized or failed sizes.
+     * ---
+     * default: all
+     * options:
+     *   - all
+     *   - optimized
+     *   - failed
+     * ---
+     *
+     * [--date-from=<date>]
+     * : Optional. Only export images uploaded on or after this date (YYYY-MM-DD).
+     *
+     * [--date-to=<date>]
+     * : Optional. Only export images uploaded on or before this date (YYYY-MM-DD).
+     *
+     * [--mime-type=<types>]
+     * : Optional. Comma-separated list of image types to export: jpeg, png, gif, webp.
+     *
+     * [--folder=<path>]
+     * : Optional. Only export images in this uploads subfolder, e.g. 2024/05.
+     *
+     * [--parent=<ids>]
+     * : Optional. Comma-separated list of post IDs the images are attached to.
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io export --output=results.csv
+     *     Export the results of all images to a CSV file.
+     *
+     *     wp awp-io export --format=json --status=failed
+     *     Print the failed optimizations as JSON.
+     *
+     *     wp awp-io export --date-from=2024-01-01 --mime-type=png --output=png-results.csv
+     *     Export the results of PNG images uploaded since the start of 2024.
+     *
+     * @when after_wp_load
+     */
+    public function export($args, $assoc_args)
+    {
+        $exporter = ResultsExporter::get_instance();
+        $format = $assoc_args['format'] ?? 'csv';
+        $status = $assoc_args['status'] ?? 'all';
+
+        if (!in_array($format, ResultsExporter::FORMATS, true)) {
+            WP_CLI::error(sprintf('Invalid format "%s". Use csv or json.', $format));
+            return;
+        }
+
+        if (!in_array($status, ResultsExporter::STATUSES, true)) {
+            WP_CLI::error(sprintf('Invalid status "%s". Use all, optimized or failed.', $status));
+            return;
+        }
+
+        try {
+            $scope = OptimizationScope::from_array([
+                'date_from' => $assoc_args['date-from'] ?? '',
+                'date_to' => $assoc_args['date-to'] ?? '',
+                'mime_types' => $assoc_args['mime-type'] ?? '',
+                'folder' => $assoc_args['folder'] ?? '',
+                'parent_ids' => $assoc_args['parent'] ?? '',
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            WP_CLI::error($e->getMessage());
+            return;
+        }
+
+        // Without --output the export is written to STDOUT, so it can be piped.
+        if (empty($assoc_args['output'])) {
+            $exporter->export(STDOUT, $format, $status, $scope);
+            return;
+        }
+
+        $handle = @fopen($assoc_args['output'], 'w');
+        if ($handle === false) {
+            WP_CLI::error(sprintf('Could not open "%s" for writing.', $assoc_args['output']));
+            return;
+        }
+
+        $count = $exporter->export($handle, $format, $status, $scope);
+        fclose($handle);
+
+        WP_CLI::success(sprintf('Exported %d rows to %s.', $count, $assoc_args['output']));
+    }
+
     /**
      * Processes the optimization result for a single image.
      *
@@ -543,6 +767,20 @@ class ImageOptimizerCLI
         }
     }
 
+    /**
+     * Keeps the error of a failed optimization for the run summary.
+     *
+     * @since 1.2.0
+     * @param array $result Optimization result
+     * @return void
+     */
+    private function add_error_sample($result)
+    {
+        if (count($this->error_samples) < OptimizationRun::ERROR_SAMPLES) {
+            $this->error_samples[] = ['id' => $result['id'], 'message' => $result['message']];
+        }
+    }
+
     /**
      * Displays final optimization statistics.
      *
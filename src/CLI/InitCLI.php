@@ -62,5 +62,55 @@ class InitCLI
                 'when' => 'after_wp_load'
             ]
         );
+
+        // Add the queue command registration
+        WP_CLI::add_command(
+            'awp-io queue',
+            'AWP\IO\CLI\QueueCLI',
+            [
+                'shortdesc' => 'Inspects and drains the background optimization queue',
+                'when' => 'after_wp_load'
+            ]
+        );
+
+        // Add the backups command registration
+        WP_CLI::add_command(
+            'awp-io backups',
+            'AWP\IO\CLI\BackupsCLI',
+            [
+                'shortdesc' => 'Verifies, measures and prunes the backups of original images',
+                'when' => 'after_wp_load'
+            ]
+        );
+
+        // Add the settings command registration
+        WP_CLI::add_command(
+            'awp-io settings',
+            'AWP\IO\CLI\SettingsCLI',
+            [
+                'shortdesc' => 'Reads, changes, exports and imports the plugin settings',
+                'when' => 'after_wp_load'
+            ]
+        );
+
+        // Add the notifications command registration
+        WP_CLI::add_command(
+            'awp-io notifications',
+            'AWP\IO\CLI\NotificationsCLI',
+            [
+                'shortdesc' => 'Sends test events to the notification webhook',
+                'when' => 'after_wp_load'
+            ]
+        );
+
+        // Add the export command registration
+        WP_CLI::add_command(
+            'awp-io export',
+            [new ImageOptimizerCLI(), 'export'],
+            [
+                'shortdesc' => 'Exports optimization results as CSV or JSON',
+                'when' => 'after_wp_load'
+            ]
+        );
     }
 }
@@ -0,0 +1,113 @@
+<?php
+
+namespace AWP\IO\CLI;
+
+use AWP\IO\Notifications;
+use WP_CLI;
+
+/**
+ * Tests the notification webhook.
+ *
+ * Sends an event with sample data to the saved webhook URL, or to another URL
+ * such as a local HTTP stand-in, and reports the response.
+ *
+ * @package AWP\IO\CLI
+ * @since 1.2.0
+ */
+class NotificationsCLI
+{
+    /**
+     * Sends an event with sample data to the webhook
+     *
+     * The event is signed with the saved webhook secret and sent even if it is
+     * not selected in the settings.
+     *
+     * ## OPTIONS
+     *
+     * [--url=<url>]
+     * : Optional. URL to send the event to instead of the saved webhook URL.
+     *
+     * [--event=<event>]
+     * : Optional. Event to send.
+     * ---
+     * default: test
+     * options:
+     *   - test
+     *   - image.optimized
+     *   - run.completed
+     *   - api.error
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io notifications test
+     *
+     *     php -S 127.0.0.1:8080 receiver.php
+     *     wp awp-io notifications test --url=http://127.0.0.1:8080/ --event=image.optimized
+     *     Send a sample image.optimized event to a local HTTP stand-in.
+     *
+     * @when after_wp_load
+     */
+    public function test($args, $assoc_args)
+    {
+        $event = $assoc_args['event'] ?? 'test';
+        $url = isset($assoc_args['url']) ? esc_url_raw($assoc_args['url']) : get_optimizer_settings('notification_webhook_url');
+
+        if ($url === '') {
+            WP_CLI::error('No webhook URL is set. Save one in the settings or pass --url.');
+        }
+
+        $response = Notifications::get_instance()->send_webhook($event, $this->get_sample_data($event), true, $url);
+
+        if (is_wp_error($response)) {
+            WP_CLI::error(sprintf('Webhook request failed: %s', $response->get_error_message()));
+        }
+
+        $response_code = (int) wp_remote_retrieve_response_code($response);
+        if ($response_code < 200 || $response_code >= 300) {
+            WP_CLI::error(sprintf('The webhook responded with HTTP %d.', $response_code));
+        }
+
+        WP_CLI::success(sprintf('Sent %s to %s, the webhook responded with HTTP %d.', $event, $url, $response_code));
+    }
+
+    /**
+     * Get the sample data of an event.
+     *
+     * @since 1.2.0
+     * @param string $event Event name
+     * @return array Event data in the format of the real event
+     */
+    private function get_sample_data($event)
+    {
+        switch ($event) {
+            case 'image.optimized':
+                return [
+                    'attachment_id' => 0,
+                    'file' => 'example.jpg',
+                    'sizes' => 4,
+                    'bytes_saved' => 102400,
+                ];
+            case 'run.completed':
+                return [
+                    'source' => 'cli',
+                    'status' => 'completed',
+                    'processed' => 10,
+                    'optimized' => 9,
+                    'errors' => 1,
+                    'bytes_saved' => 1048576,
+                    'error_samples' => [['id' => 0, 'message' => 'Test notification']],
+                    'message' => '',
+                    'started_at' => time() - 60,
+                    'finished_at' => time(),
+                ];
+            case 'api.error':
+                return [
+                    'message' => 'Test notification',
+                    'response_code' => 401,
+                ];
+            default:
+                return ['message' => 'Test notification'];
+        }
+    }
+}
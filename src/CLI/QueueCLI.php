@@ -0,0 +1,239 @@
+<?php
+
+namespace AWP\IO\CLI;
+
+use AWP\IO\OptimizationQueue;
+use WP_CLI;
+
+/**
+ * Inspects and drains the background optimization queue.
+ *
+ * Images uploaded with "Optimize Media on Upload" enabled are queued and optimized
+ * by a WP-Cron worker. These commands show the queue, process it right away,
+ * and retry or remove failed jobs.
+ *
+ * @package AWP\IO\CLI
+ * @since 1.2.0
+ */
+class QueueCLI
+{
+    /**
+     * Shows the number of queued, processing and failed jobs
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io queue status
+     *
+     * @when after_wp_load
+     */
+    public function status($args, $assoc_args)
+    {
+        $queue = OptimizationQueue::get_instance();
+
+        foreach ($queue->get_counts() as $status => $count) {
+            WP_CLI::line(sprintf('%-12s %d', ucfirst($status) . ':', $count));
+        }
+
+        $next = wp_next_scheduled(OptimizationQueue::CRON_HOOK);
+        WP_CLI::line(sprintf(
+            'Next worker run: %s',
+            $next ? get_date_from_gmt(gmdate('Y-m-d H:i:s', $next), 'Y-m-d H:i:s') : 'not scheduled'
+        ));
+    }
+
+    /**
+     * Lists the jobs in the queue
+     *
+     * ## OPTIONS
+     *
+     * [--status=<status>]
+     * : Optional. Only list jobs with this status.
+     * ---
+     * options:
+     *   - queued
+     *   - processing
+     *   - failed
+     * ---
+     *
+     * [--limit=<number>]
+     * : Optional. Maximum number of jobs to list.
+     * ---
+     * default: 100
+     * ---
+     *
+     * [--format=<format>]
+     * : Optional. Output format.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - csv
+     *   - json
+     *   - ids
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io queue list
+     *     List the first 100 jobs.
+     *
+     *     wp awp-io queue list --status=failed --format=json
+     *     Print the failed jobs with their last error as JSON.
+     *
+     * @subcommand list
+     * @when after_wp_load
+     */
+    public function list_($args, $assoc_args)
+    {
+        $format = $assoc_args['format'] ?? 'table';
+        $jobs = OptimizationQueue::get_instance()->get_jobs($assoc_args['status'] ?? null, max(1, (int) ($assoc_args['limit'] ?? 100)));
+
+        if ($format === 'ids') {
+            WP_CLI::line(implode(' ', array_column($jobs, 'attachment_id')));
+            return;
+        }
+
+        \WP_CLI\Utils\format_items(
+            $format,
+            $jobs,
+            ['attachment_id', 'status', 'attempts', 'available_at', 'created_at', 'last_error']
+        );
+    }
+
+    /**
+     * Processes queued jobs now instead of waiting for WP-Cron
+     *
+     * Jobs waiting for a retry are processed right away as well. Failed jobs are
+     * retried up to three times before they are marked as failed.
+     *
+     * ## OPTIONS
+     *
+     * [--limit=<number>]
+     * : Optional. Maximum number of jobs to process. All queued jobs are processed by default.
+     *
+     * [--verbose]
+     * : Optional. Show the result of each job.
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io queue run
+     *     Drain the queue.
+     *
+     *     wp awp-io queue run --limit=20 --verbose
+     *     Process the next 20 jobs and show their results.
+     *
+     * @when after_wp_load
+     */
+    public function run($args, $assoc_args)
+    {
+        $queue = OptimizationQueue::get_instance();
+        $queued = $queue->get_counts()[OptimizationQueue::STATUS_QUEUED];
+        $limit = isset($assoc_args['limit']) ? max(1, (int) $assoc_args['limit']) : 0;
+        $verbose = isset($assoc_args['verbose']);
+
+        if ($queued === 0) {
+            WP_CLI::success('The queue is empty.');
+            return;
+        }
+
+        $total = $limit > 0 ? min($limit, $queued) : $queued;
+        $progress = \WP_CLI\Utils\make_progress_bar('Processing queue', $total);
+        $counts = ['success' => 0, 'error' => 0, 'retry' => 0, 'deferred' => 0, 'skipped' => 0];
+        $deferred = [];
+
+        // Process one job at a time, so the progress bar moves.
+        while ($limit === 0 || array_sum($counts) < $limit) {
+            $results = $queue->process(1, 0, true);
+            if (empty($results)) {
+                break;
+            }
+
+            $result = $results[0];
+
+            // Only jobs held by other workers are left once a deferred job comes up again.
+            if ($result['status'] === 'deferred' && isset($deferred[$result['id']])) {
+                break;
+            }
+
+            if ($result['status'] === 'deferred') {
+                $deferred[$result['id']] = true;
+            }
+
+            $counts[$result['status']]++;
+
+            if ($verbose || $result['status'] === 'error') {
+                WP_CLI::log(sprintf('Image ID %d: %s (%s)', $result['id'], $result['status'], $result['message']));
+            }
+
+            $progress->tick();
+        }
+
+        $progress->finish();
+
+        WP_CLI::success(sprintf(
+            'Processed %d jobs: %d optimized, %d failed, %d to be retried, %d skipped.',
+            array_sum($counts),
+            $counts['success'],
+            $counts['error'],
+            $counts['retry'] + $counts['deferred'],
+            $counts['skipped']
+        ));
+    }
+
+    /**
+     * Queues failed jobs again
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io queue retry
+     *
+     * @when after_wp_load
+     */
+    public function retry($args, $assoc_args)
+    {
+        $count = OptimizationQueue::get_instance()->retry_failed();
+
+        WP_CLI::success(sprintf('Queued %d failed jobs again.', $count));
+    }
+
+    /**
+     * Removes jobs from the queue
+     *
+     * The images are left as they are; they can be optimized from the media
+     * library or with `wp awp-io optimize`.
+     *
+     * ## OPTIONS
+     *
+     * [--status=<status>]
+     * : Optional. Only remove jobs with this status. All jobs are removed by default.
+     * ---
+     * options:
+     *   - queued
+     *   - processing
+     *   - failed
+     * ---
+     *
+     * [--yes]
+     * : Optional. Skip the confirmation prompt.
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io queue clear --status=failed
+     *     Remove the failed jobs.
+     *
+     * @when after_wp_load
+     */
+    public function clear($args, $assoc_args)
+    {
+        $status = $assoc_args['status'] ?? null;
+
+        WP_CLI::confirm(
+            $status !== null ? sprintf('Remove all %s jobs from the queue?', $status) : 'Remove all jobs from the queue?',
+            $assoc_args
+        );
+
+        $count = OptimizationQueue::get_instance()->clear($status);
+
+        WP_CLI::success(sprintf('Removed %d jobs.', $count));
+    }
+}
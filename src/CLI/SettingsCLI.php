@@ -0,0 +1,331 @@
+<?php
+
+namespace AWP\IO\CLI;
+
+use AWP\IO\Admin\ImageOptimizerOptions;
+use AWP\IO\Admin\SettingsProfiles;
+use WP_CLI;
+
+/**
+ * Reads, changes, exports and imports the plugin settings.
+ *
+ * The commands work on the settings of the current site, use --url to select
+ * another site of a multisite network. With --network they work on the network
+ * default profile, which is copied to every site that inherits it. Secret
+ * settings stay per site unless they are set in the profile.
+ *
+ * Secret settings like the API key are masked when listed and are left out of
+ * exports and imports unless --include-secrets is passed.
+ *
+ * @package AWP\IO\CLI
+ * @since 1.2.0
+ */
+class SettingsCLI
+{
+    /**
+     * Prints the settings or a single setting
+     *
+     * ## OPTIONS
+     *
+     * [<name>]
+     * : Optional. Name of the setting to print. Arrays are printed as JSON.
+     *
+     * [--network]
+     * : Optional. Read the network default profile instead of the settings of the site.
+     *
+     * [--show-secrets]
+     * : Optional. Print the secret settings instead of masking them.
+     *
+     * [--format=<format>]
+     * : Optional. Output format of the settings list.
+     * ---
+     * default: table
+     * options:
+     *   - table
+     *   - csv
+     *   - json
+     *   - yaml
+     * ---
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io settings get
+     *
+     *     wp awp-io settings get compression_level
+     *
+     *     wp awp-io settings get --network --format=json
+     *     Print the network default profile as JSON.
+     *
+     * @when after_wp_load
+     */
+    public function get($args, $assoc_args)
+    {
+        $settings = $this->get_settings(!empty($assoc_args['network']));
+
+        if (!empty($args[0])) {
+            $name = $this->validate_name($args[0]);
+            WP_CLI::line($this->format_value($settings[$name]));
+            return;
+        }
+
+        if (empty($assoc_args['show-secrets'])) {
+            foreach (ImageOptimizerOptions::SECRET_SETTINGS as $name) {
+                if ($settings[$name] !== '') {
+                    $settings[$name] = '********';
+                }
+            }
+        }
+
+        $format = $assoc_args['format'] ?? 'table';
+        if ($format === 'json') {
+            WP_CLI::line(wp_json_encode($settings, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES));
+            return;
+        }
+
+        $rows = [];
+        foreach ($settings as $name => $value) {
+            $rows[] = [
+                'name' => $name,
+                'value' => $this->format_value($value),
+            ];
+        }
+
+        \WP_CLI\Utils\format_items($format, $rows, ['name', 'value']);
+    }
+
+    /**
+     * Changes a setting
+     *
+     * The value is sanitized like on the settings page and the stored value is
+     * printed. On multisite, a site that inherited the network default profile
+     * uses its own settings afterwards.
+     *
+     * ## OPTIONS
+     *
+     * <name>
+     * : Name of the setting.
+     *
+     * <value>
+     * : New value. Settings holding arrays expect JSON, e.g. '["thumbnail","medium"]'.
+     *
+     * [--network]
+     * : Optional. Change the network default profile and copy it to the inheriting sites.
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io settings set compression_level glossy
+     *
+     *     wp awp-io settings set resize_large_images '{"width":2560,"height":2560}'
+     *
+     *     wp awp-io settings set scheduled_optimization nightly --network
+     *     Enable nightly runs on every site inheriting the network default profile.
+     *
+     * @when after_wp_load
+     */
+    public function set($args, $assoc_args)
+    {
+        $network = !empty($assoc_args['network']);
+        $name = $this->validate_name($args[0]);
+        $value = $args[1];
+        $defaults = get_default_optimizer_settings();
+
+        if (is_array($defaults[$name])) {
+            $value = json_decode($value, true);
+            if (!is_array($value)) {
+                WP_CLI::error(sprintf('The setting %s expects a JSON array or object.', $name));
+            }
+        }
+
+        $profiles = SettingsProfiles::get_instance();
+
+        if ($network) {
+            // Exits if no network default profile is defined.
+            $this->get_settings(true);
+            $count = $profiles->update_network_settings([$name => $value]);
+            $settings = $profiles->get_network_settings();
+
+            WP_CLI::success(sprintf('Set %s to %s in the network default profile, copied to %d site(s).', $name, $this->format_value($settings[$name]), $count));
+            return;
+        }
+
+        $inherited = $profiles->uses_network_settings();
+        $settings = ImageOptimizerOptions::get_instance()->sanitize_settings([$name => $value], get_optimizer_settings());
+        $profiles->update_site_settings($settings);
+
+        if ($inherited) {
+            WP_CLI::warning('This site no longer inherits the network default profile.');
+        }
+
+        WP_CLI::success(sprintf('Set %s to %s.', $name, $this->format_value($settings[$name])));
+    }
+
+    /**
+     * Exports the settings as JSON
+     *
+     * ## OPTIONS
+     *
+     * [<file>]
+     * : Optional. File to write the export to. Printed if omitted.
+     *
+     * [--network]
+     * : Optional. Export the network default profile instead of the settings of the site.
+     *
+     * [--include-secrets]
+     * : Optional. Include the API key, tokens and webhook secrets.
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io settings export settings.json
+     *
+     *     wp awp-io settings export --include-secrets > settings.json
+     *     Export the settings with their secrets.
+     *
+     * @when after_wp_load
+     */
+    public function export($args, $assoc_args)
+    {
+        $export = SettingsProfiles::get_instance()->export_settings(
+            $this->get_settings(!empty($assoc_args['network'])),
+            !empty($assoc_args['include-secrets'])
+        );
+        $json = wp_json_encode($export, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
+
+        if (empty($args[0])) {
+            WP_CLI::line($json);
+            return;
+        }
+
+        if (file_put_contents($args[0], $json . "\n") === false) {
+            WP_CLI::error(sprintf('Could not write %s.', $args[0]));
+        }
+
+        WP_CLI::success(sprintf('Exported the settings to %s.', $args[0]));
+    }
+
+    /**
+     * Imports settings exported with the export command or the settings page
+     *
+     * Settings in the file replace the current settings, settings missing from
+     * it are kept. Secret settings in the file are ignored unless
+     * --include-secrets is passed.
+     *
+     * ## OPTIONS
+     *
+     * <file>
+     * : File to import, or - to read from STDIN.
+     *
+     * [--network]
+     * : Optional. Import into the network default profile and copy it to the inheriting sites.
+     *
+     * [--include-secrets]
+     * : Optional. Import the API key, tokens and webhook secrets in the file.
+     *
+     * [--dry-run]
+     * : Optional. List the settings that would change without saving them.
+     *
+     * ## EXAMPLES
+     *
+     *     wp awp-io settings import settings.json
+     *
+     *     wp awp-io settings import settings.json --network --include-secrets
+     *     Define the network default profile, including the API key.
+     *
+     *     wp site list --field=url | xargs -I % wp awp-io settings import settings.json --url=%
+     *     Import the settings into every site of the network.
+     *
+     * @when after_wp_load
+     */
+    public function import($args, $assoc_args)
+    {
+        $network = !empty($assoc_args['network']);
+        $file = $args[0] === '-' ? 'php://stdin' : $args[0];
+
+        if ($file !== 'php://stdin' && !is_readable($file)) {
+            WP_CLI::error(sprintf('Could not read %s.', $args[0]));
+        }
+
+        if ($network && !is_multisite()) {
+            WP_CLI::error('The network default profile is only available on multisite.');
+        }
+
+        $profiles = SettingsProfiles::get_instance();
+        $current = $network ? ($profiles->get_network_settings() ?? get_default_optimizer_settings()) : $this->get_settings(false);
+        $settings = $profiles->import_settings(file_get_contents($file), $current, !empty($assoc_args['include-secrets']));
+
+        if (is_wp_error($settings)) {
+            WP_CLI::error($settings->get_error_message());
+        }
+
+        $changed = $profiles->get_changed_settings($current, $settings);
+
+        foreach ($changed as $name) {
+            WP_CLI::log(sprintf('%s: %s', $name, $this->format_value($settings[$name])));
+        }
+
+        if (!empty($assoc_args['dry-run'])) {
+            WP_CLI::success(sprintf('Dry run: %d setting(s) would change.', count($changed)));
+            return;
+        }
+
+        if ($network) {
+            $count = $profiles->update_network_settings($settings);
+            WP_CLI::success(sprintf('Imported the network default profile, %d setting(s) changed, copied to %d site(s).', count($changed), $count));
+            return;
+        }
+
+        $profiles->update_site_settings($settings);
+        WP_CLI::success(sprintf('Imported the settings, %d setting(s) changed.', count($changed)));
+    }
+
+    /**
+     * Get the settings of the site or the network default profile.
+     *
+     * Exits with an error if the network profile was requested but does not exist.
+     *
+     * @param bool $network Whether to get the network default profile
+     * @return array Complete settings
+     */
+    private function get_settings($network)
+    {
+        if (!$network) {
+            return wp_parse_args(get_optimizer_settings(), get_default_optimizer_settings());
+        }
+
+        if (!is_multisite()) {
+            WP_CLI::error('The network default profile is only available on multisite.');
+        }
+
+        $settings = SettingsProfiles::get_instance()->get_network_settings();
+        if ($settings === null) {
+            WP_CLI::error('No network default profile is defined. Create one with "wp awp-io settings import <file> --network".');
+        }
+
+        return $settings;
+    }
+
+    /**
+     * Exit with an error if a setting does not exist.
+     *
+     * @param string $name Setting name
+     * @return string The setting name
+     */
+    private function validate_name($name)
+    {
+        if (!array_key_exists($name, get_default_optimizer_settings())) {
+            WP_CLI::error(sprintf('Unknown setting "%s".', $name));
+        }
+
+        return $name;
+    }
+
+    /**
+     * Format a setting value for output.
+     *
+     * @param mixed $value Setting value
+     * @return string Arrays as JSON, other values as strings
+     */
+    private function format_value($value)
+    {
+        return is_array($value) ? wp_json_encode($value, JSON_UNESCAPED_SLASHES) : (string) $value;
+    }
+}
@@ -0,0 +1,260 @@
+<?php
+
+namespace AWP\IO;
+
+/**
+ * Class CachePurgeManager
+ *
+ * Purges the URLs of an image from CDN and proxy caches after it was optimized
+ * or restored, so visitors get the new files instead of cached copies.
+ *
+ * The purged URLs are the full size image, the unscaled original, every
+ * thumbnail and their WebP and AVIF siblings. They are collected during the
+ * request and passed to every enabled CachePurger once on shutdown, errors are
+ * logged and do not affect the optimization or restore.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class CachePurgeManager extends Singleton
+{
+    /**
+     * URLs of the images optimized or restored in this request, purged on shutdown.
+     *
+     * @var array
+     */
+    private $pending_urls = [];
+
+    /**
+     * Constructor.
+     *
+     * Sets up the optimize and restore hooks and the AJAX hook of the test purge.
+     */
+    public function __construct()
+    {
+        add_action('awp_image_optimization_completed', [$this, 'purge_attachment'], 10, 2);
+        add_action('awp_io_image_restored', [$this, 'purge_attachment'], 10, 2);
+        add_action('wp_ajax_awp_io_test_cache_purge', [$this, 'handle_test_purge']);
+    }
+
+    /**
+     * Get the purgers, built in and added with the awp_io_cache_purgers filter.
+     *
+     * @since 1.2.0
+     * @return CachePurger[] Purgers keyed by ID
+     */
+    public function get_purgers()
+    {
+        $purgers = [
+            'cloudflare' => CFCachePurger::get_instance(),
+            'http' => HttpCachePurger::get_instance(),
+            'webhook' => WebhookCachePurger::get_instance(),
+        ];
+
+        /**
+         * Filters the purgers image URLs are purged with.
+         *
+         * @since 1.2.0
+         * @param CachePurger[] $purgers Purgers keyed by ID.
+         */
+        $purgers = apply_filters('awp_io_cache_purgers', $purgers);
+
+        return array_filter((array) $purgers, function ($purger) {
+            return $purger instanceof CachePurger;
+        });
+    }
+
+    /**
+     * Get the enabled purgers.
+     *
+     * @since 1.2.0
+     * @return CachePurger[] Purgers keyed by ID
+     */
+    public function get_enabled_purgers()
+    {
+        return array_filter($this->get_purgers(), function (CachePurger $purger) {
+            return $purger->is_enabled();
+        });
+    }
+
+    /**
+     * Queue the URLs of an optimized or restored image for purging.
+     *
+     * A bulk batch optimizes several images, their URLs are purged together on
+     * shutdown instead of once per image.
+     *
+     * @since 1.2.0
+     * @param int        $attachment_id     The attachment ID
+     * @param array|null $optimization_data Optimization data of the image, used to find its WebP and AVIF versions
+     * @return void
+     */
+    public function purge_attachment($attachment_id, $optimization_data = null)
+    {
+        if (empty($this->get_enabled_purgers())) {
+            return;
+        }
+
+        $urls = $this->get_attachment_urls($attachment_id, $optimization_data);
+        if (empty($urls)) {
+            return;
+        }
+
+        if (empty($this->pending_urls)) {
+            add_action('shutdown', [$this, 'purge_pending']);
+        }
+
+        $this->pending_urls = array_merge($this->pending_urls, $urls);
+    }
+
+    /**
+     * Purge the URLs queued in this request.
+     *
+     * The purge requests are sent without waiting for the responses.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function purge_pending()
+    {
+        $urls = array_values(array_unique($this->pending_urls));
+        $this->pending_urls = [];
+
+        if (!empty($urls)) {
+            $this->purge($urls, false);
+        }
+    }
+
+    /**
+     * Purge URLs with every enabled purger.
+     *
+     * @since 1.2.0
+     * @param array $urls     Absolute URLs to purge
+     * @param bool  $blocking Optional. Whether the purgers wait for the responses, needed to report
+     *                        their errors.
+     * @return array Result of each purger keyed by ID, true or WP_Error
+     */
+    public function purge($urls, $blocking = true)
+    {
+        $results = [];
+
+        foreach ($this->get_enabled_purgers() as $id => $purger) {
+            $result = $purger->purge($urls, $blocking);
+
+            if (is_wp_error($result)) {
+                error_log(sprintf('%s cache purge failed: %s', $purger->get_name(), $result->get_error_message()));
+            }
+
+            $results[$id] = $result;
+        }
+
+        return $results;
+    }
+
+    /**
+     * Get the URLs of all files of an image.
+     *
+     * @since 1.2.0
+     * @param int        $attachment_id     The attachment ID
+     * @param array|null $optimization_data Optional. Optimization data of the image.
+     * @return array Unique absolute URLs
+     *
+     * @filter awp_io_cache_purge_urls Filters the URLs purged for an image
+     *         @param array $urls          URLs to purge
+     *         @param int   $attachment_id The attachment ID
+     */
+    public function get_attachment_urls($attachment_id, $optimization_data = null)
+    {
+        $main_url = wp_get_attachment_url($attachment_id);
+        if (!$main_url) {
+            return [];
+        }
+
+        $base_url = trailingslashit(dirname($main_url));
+        $metadata = wp_get_attachment_metadata($attachment_id);
+        $urls = [$main_url];
+
+        if (!empty($metadata['original_image'])) {
+            $urls[] = $base_url . $metadata['original_image'];
+        }
+
+        foreach ($metadata['sizes'] ?? [] as $size) {
+            if (!empty($size['file'])) {
+                $urls[] = $base_url . $size['file'];
+            }
+        }
+
+        // WebP versions are named like the image, also when the optimization data is gone.
+        $siblings = [];
+        foreach ($urls as $url) {
+            $siblings[] = preg_replace('/\.(jpe?g|png)$/i', '.webp', $url);
+        }
+
+        foreach (is_array($optimization_data) ? $optimization_data : [] as $size_data) {
+            foreach (['webp', 'avif'] as $format) {
+                if (!empty($size_data[$format]['file_name'])) {
+                    $siblings[] = $base_url . $size_data[$format]['file_name'];
+                }
+            }
+        }
+
+        $urls = array_values(array_unique(array_merge($urls, $siblings)));
+
+        return apply_filters('awp_io_cache_purge_urls', $urls, $attachment_id);
+    }
+
+    /**
+     * Handle the AJAX request purging a test URL with every enabled purger.
+     *
+     * Purges the URLs of the latest image, or the home page if there is none.
+     * Uses the saved settings, so changes have to be saved first.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function handle_test_purge()
+    {
+        check_ajax_referer('start_optimization_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'awp-io')]);
+            return;
+        }
+
+        $purgers = $this->get_enabled_purgers();
+        if (empty($purgers)) {
+            wp_send_json_error(['message' => __('No cache purge integration is configured.', 'awp-io')]);
+            return;
+        }
+
+        $latest = get_posts([
+            'post_type' => 'attachment',
+            'post_mime_type' => 'image',
+            'post_status' => 'inherit',
+            'numberposts' => 1,
+            'fields' => 'ids',
+        ]);
+        $urls = !empty($latest) ? array_slice($this->get_attachment_urls($latest[0]), 0, 1) : [];
+        if (empty($urls)) {
+            $urls = [home_url('/')];
+        }
+
+        $messages = [];
+        $failed = false;
+
+        foreach ($this->purge($urls) as $id => $result) {
+            if (is_wp_error($result)) {
+                $failed = true;
+                $messages[] = sprintf(__('%1$s: %2$s', 'awp-io'), $purgers[$id]->get_name(), $result->get_error_message());
+            } else {
+                $messages[] = sprintf(__('%1$s: purged %2$s', 'awp-io'), $purgers[$id]->get_name(), $urls[0]);
+            }
+        }
+
+        if ($failed) {
+            wp_send_json_error(['message' => implode(' ', $messages)]);
+            return;
+        }
+
+        wp_send_json_success(['message' => implode(' ', $messages)]);
+    }
+}
@@ -0,0 +1,49 @@
+<?php
+
+namespace AWP\IO;
+
+/**
+ * Interface CachePurger
+ *
+ * A purger removes image URLs from a CDN or reverse proxy cache after the files
+ * behind them changed, i.e. after an image was optimized or restored.
+ *
+ * Cloudflare (CFCachePurger), HTTP PURGE/BAN requests (HttpCachePurger) and a
+ * webhook (WebhookCachePurger) are built in, other purgers can be added with the
+ * awp_io_cache_purgers filter. CachePurgeManager collects the URLs and passes
+ * them to every enabled purger.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+interface CachePurger
+{
+    /**
+     * Get the name of the purger shown in messages, e.g. "Cloudflare".
+     *
+     * @since 1.2.0
+     * @return string Purger name
+     */
+    public function get_name();
+
+    /**
+     * Check whether the purger is configured and should purge URLs.
+     *
+     * @since 1.2.0
+     * @return bool True if the purger is enabled
+     */
+    public function is_enabled();
+
+    /**
+     * Purge URLs from the cache.
+     *
+     * CachePurgeManager purges on shutdown without blocking, the requests are sent
+     * without waiting for the responses and only errors before sending are reported.
+     *
+     * @since 1.2.0
+     * @param array $urls     Absolute URLs to purge
+     * @param bool  $blocking Optional. Whether to wait for the responses, true by default.
+     * @return bool|\WP_Error True on success, WP_Error if purging failed
+     */
+    public function purge($urls, $blocking = true);
+}
@@ -0,0 +1,257 @@
+<?php
+
+namespace AWP\IO;
+
+/**
+ * Class CssSelector
+ *
+ * Matches elements of the output buffer rewriter against a CSS selector list.
+ * Supports type, universal, class, ID and attribute selectors
+ * ([attr], =, ~=, ^=, $=, *=), combined with the descendant and child
+ * combinators. Pseudo-classes and sibling combinators are not supported;
+ * selectors using them never match.
+ *
+ * Elements are arrays with a lowercase 'tag' and 'attributes' keyed by
+ * lowercase attribute name.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class CssSelector
+{
+    /**
+     * Parsed selectors, each a list of compound selectors from left to right.
+     *
+     * @var array
+     */
+    private $selectors = [];
+
+    /**
+     * Parse a selector list.
+     *
+     * @since 1.2.0
+     * @param string $selector_list Comma separated selectors
+     */
+    public function __construct($selector_list)
+    {
+        foreach (explode(',', $selector_list) as $selector) {
+            $parsed = $this->parse_selector(trim($selector));
+            if (!empty($parsed)) {
+                $this->selectors[] = $parsed;
+            }
+        }
+    }
+
+    /**
+     * Check whether the selector list contains a usable selector.
+     *
+     * @since 1.2.0
+     * @return bool True if no selector could be parsed
+     */
+    public function is_empty()
+    {
+        return empty($this->selectors);
+    }
+
+    /**
+     * Check whether an element matches any selector of the list.
+     *
+     * @since 1.2.0
+     * @param array $element   The element
+     * @param array $ancestors Ancestors of the element, outermost first
+     * @return bool True if the element matches
+     */
+    public function matches($element, $ancestors)
+    {
+        foreach ($this->selectors as $compounds) {
+            $last = count($compounds) - 1;
+
+            if ($this->matches_compound($compounds[$last], $element)
+                && $this->matches_ancestors($compounds, $last, $ancestors, count($ancestors) - 1)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Parse a single selector into compound selectors.
+     *
+     * @since 1.2.0
+     * @param string $selector The selector
+     * @return array List of compounds with 'combinator', 'tag', 'id', 'classes' and 'attributes',
+     *               empty if the selector is not supported
+     */
+    private function parse_selector($selector)
+    {
+        if ($selector === '') {
+            return [];
+        }
+
+        // Give the child combinator its own token, so it can be split like a space.
+        $tokens = preg_split('/\s+/', trim(preg_replace('/\s*>\s*/', ' > ', $selector)));
+        $compounds = [];
+        $combinator = ' ';
+
+        foreach ($tokens as $token) {
+            if ($token === '>') {
+                $combinator = '>';
+                continue;
+            }
+
+            $compound = $this->parse_compound($token);
+            if ($compound === null) {
+                return [];
+            }
+
+            $compound['combinator'] = $combinator;
+            $compounds[] = $compound;
+            $combinator = ' ';
+        }
+
+        return $compounds;
+    }
+
+    /**
+     * Parse a compound selector like img.hero[data-id].
+     *
+     * @since 1.2.0
+     * @param string $token The compound selector
+     * @return array|null Compound with 'tag', 'id', 'classes' and 'attributes', null if not supported
+     */
+    private function parse_compound($token)
+    {
+        $pattern = '/^(\*|[a-z][a-z0-9-]*)?((?:[.#][a-z0-9_-]+|\[[^\]]+\])*)$/i';
+        if (!preg_match($pattern, $token, $matches)) {
+            return null;
+        }
+
+        $compound = [
+            'tag' => isset($matches[1]) && $matches[1] !== '*' ? strtolower($matches[1]) : '',
+            'id' => '',
+            'classes' => [],
+            'attributes' => [],
+        ];
+
+        preg_match_all('/([.#])([a-z0-9_-]+)|\[\s*([a-z0-9_:-]+)\s*(?:([~^$*]?=)\s*(["\']?)(.*?)\5)?\s*\]/i', $matches[2], $parts, PREG_SET_ORDER);
+
+        foreach ($parts as $part) {
+            if ($part[1] === '.') {
+                $compound['classes'][] = $part[2];
+            } elseif ($part[1] === '#') {
+                $compound['id'] = $part[2];
+            } else {
+                $compound['attributes'][] = [
+                    'name' => strtolower($part[3]),
+                    'operator' => $part[4] ?? '',
+                    'value' => $part[6] ?? '',
+                ];
+            }
+        }
+
+        return $compound;
+    }
+
+    /**
+     * Check the ancestors of an element against the compounds before an index.
+     *
+     * @since 1.2.0
+     * @param array $compounds Compound selectors of the selector
+     * @param int   $index     Index of the compound the element matched
+     * @param array $ancestors Ancestors of the element, outermost first
+     * @param int   $ancestor  Index of the closest ancestor still to check
+     * @return bool True if the ancestors match
+     */
+    private function matches_ancestors($compounds, $index, $ancestors, $ancestor)
+    {
+        if ($index === 0) {
+            return true;
+        }
+
+        $combinator = $compounds[$index]['combinator'];
+
+        for ($i = $ancestor; $i >= 0; $i--) {
+            if ($this->matches_compound($compounds[$index - 1], $ancestors[$i])
+                && $this->matches_ancestors($compounds, $index - 1, $ancestors, $i - 1)) {
+                return true;
+            }
+
+            // A child combinator only allows the closest ancestor.
+            if ($combinator === '>') {
+                return false;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Check an element against a compound selector.
+     *
+     * @since 1.2.0
+     * @param array $compound Compound selector
+     * @param array $element  The element
+     * @return bool True if the element matches
+     */
+    private function matches_compound($compound, $element)
+    {
+        $attributes = $element['attributes'];
+
+        if ($compound['tag'] !== '' && $compound['tag'] !== $element['tag']) {
+            return false;
+        }
+
+        if ($compound['id'] !== '' && ($attributes['id'] ?? null) !== $compound['id']) {
+            return false;
+        }
+
+        if (!empty($compound['classes'])) {
+            $classes = preg_split('/\s+/', $attributes['class'] ?? '', -1, PREG_SPLIT_NO_EMPTY);
+            if (array_diff($compound['classes'], $classes)) {
+                return false;
+            }
+        }
+
+        foreach ($compound['attributes'] as $attribute) {
+            if (!isset($attributes[$attribute['name']])) {
+                return false;
+            }
+
+            if (!$this->matches_attribute($attributes[$attribute['name']], $attribute['operator'], $attribute['value'])) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Check an attribute value against an attribute selector.
+     *
+     * @since 1.2.0
+     * @param string $actual   Value of the element attribute
+     * @param string $operator Operator of the selector, empty to only check presence
+     * @param string $expected Value of the selector
+     * @return bool True if the value matches
+     */
+    private function matches_attribute($actual, $operator, $expected)
+    {
+        switch ($operator) {
+            case '':
+                return true;
+            case '=':
+                return $actual === $expected;
+            case '~=':
+                return in_array($expected, preg_split('/\s+/', $actual), true);
+            case '^=':
+                return $expected !== '' && strpos($actual, $expected) === 0;
+            case '$=':
+                return $expected !== '' && substr($actual, -strlen($expected)) === $expected;
+            case '*=':
+                return $expected !== '' && strpos($actual, $expected) !== false;
+        }
+
+        return false;
+    }
+}
@@ -0,0 +1,135 @@
+<?php
+
+namespace AWP\IO;
+
+use WP_Error;
+
+/**
+ * Class HttpCachePurger
+ *
+ * Purges URLs from reverse proxy caches like Varnish or nginx with one PURGE or
+ * BAN request per URL and target.
+ *
+ * The request is sent to the target, e.g. http://127.0.0.1:6081, with the path
+ * and query of the purged URL and its host in the Host header, so the proxy can
+ * be reached directly instead of through the public hostname. A 404 response
+ * counts as success, nginx cache purge modules answer with 404 for URLs that
+ * are not cached.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class HttpCachePurger extends Singleton implements CachePurger
+{
+    /**
+     * Supported request methods.
+     *
+     * @var array
+     */
+    public const METHODS = ['PURGE', 'BAN'];
+
+    /**
+     * Get the name of the purger.
+     *
+     * @since 1.2.0
+     * @return string Purger name
+     */
+    public function get_name()
+    {
+        return 'HTTP ' . $this->get_method();
+    }
+
+    /**
+     * Check whether purge targets are configured.
+     *
+     * @since 1.2.0
+     * @return bool True if the purger is enabled
+     */
+    public function is_enabled()
+    {
+        return !empty($this->get_targets());
+    }
+
+    /**
+     * Purge URLs from every target.
+     *
+     * All URLs are sent to all targets, even after a request failed. Non-blocking
+     * requests do not wait for the proxies, so only connection errors are reported.
+     *
+     * @since 1.2.0
+     * @param array $urls     Absolute URLs to purge
+     * @param bool  $blocking Optional. Whether to wait for the responses, true by default.
+     * @return bool|WP_Error True on success, WP_Error with the first error if a request failed
+     *
+     * @filter awp_io_http_purge_request_args Filters the arguments of a purge request
+     *         @param array  $args   Request arguments passed to wp_remote_request()
+     *         @param string $url    URL being purged
+     *         @param string $target Target the request is sent to
+     */
+    public function purge($urls, $blocking = true)
+    {
+        $error = null;
+
+        foreach ($this->get_targets() as $target) {
+            foreach (array_unique($urls) as $url) {
+                $path = wp_parse_url($url, PHP_URL_PATH) ?: '/';
+                $query = wp_parse_url($url, PHP_URL_QUERY);
+
+                $args = apply_filters('awp_io_http_purge_request_args', [
+                    'method' => $this->get_method(),
+                    'timeout' => $blocking ? 5 : 1,
+                    'blocking' => $blocking,
+                    'redirection' => 0,
+                    'headers' => [
+                        'Host' => wp_parse_url($url, PHP_URL_HOST),
+                    ],
+                ], $url, $target);
+
+                // Not wp_safe_remote_request(), proxies usually listen on localhost or the local network.
+                $response = wp_remote_request(untrailingslashit($target) . $path . ($query ? '?' . $query : ''), $args);
+
+                if (is_wp_error($response)) {
+                    $error = $error ?? new WP_Error('awp_io_purge_failed', sprintf('%s: %s', $target, $response->get_error_message()));
+                    continue;
+                }
+
+                if (!$blocking) {
+                    continue;
+                }
+
+                $response_code = wp_remote_retrieve_response_code($response);
+                if (($response_code < 200 || $response_code >= 300) && $response_code !== 404) {
+                    $error = $error ?? new WP_Error('awp_io_purge_failed', sprintf('%s responded with HTTP %d for %s.', $target, $response_code, $path));
+                }
+            }
+        }
+
+        return $error ?? true;
+    }
+
+    /**
+     * Get the configured purge targets.
+     *
+     * @since 1.2.0
+     * @return array Base URLs of the proxies, one per line in the settings
+     */
+    private function get_targets()
+    {
+        $targets = preg_split('/\R/', (string) get_optimizer_settings('cdn_purge_http_targets'));
+
+        return array_values(array_filter(array_map('trim', $targets)));
+    }
+
+    /**
+     * Get the configured request method.
+     *
+     * @since 1.2.0
+     * @return string 'PURGE' or 'BAN'
+     */
+    private function get_method()
+    {
+        $method = get_optimizer_settings('cdn_purge_http_method');
+
+        return in_array($method, self::METHODS, true) ? $method : 'PURGE';
+    }
+}
@@ -0,0 +1,316 @@
+<?php
+
+namespace AWP\IO;
+
+/**
+ * ImageComparison Class
+ *
+ * Provides the data for the before/after comparison viewer of the media library.
+ * Collects the original, optimized, WebP and AVIF version of every optimized size of an
+ * image, with file sizes and dimensions.
+ *
+ * Only the original upload is kept in the backup directory, so original versions
+ * of the generated sizes are recreated from the backup as previews, the same way
+ * WordPress creates the sizes on upload.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class ImageComparison extends Singleton
+{
+    /**
+     * Directory for original previews, relative to the uploads directory.
+     *
+     * @var string
+     */
+    private const PREVIEW_DIR = 'awp-io-backups/previews';
+
+    /**
+     * Constructor.
+     *
+     * Sets up the AJAX hook of the comparison viewer and removes previews
+     * when an image is restored or deleted.
+     */
+    public function __construct()
+    {
+        add_action('wp_ajax_get_image_comparison', [$this, 'handle_get_comparison']);
+        add_action('awp_image_after_optimization_cleanup', [$this, 'delete_previews']);
+    }
+
+    /**
+     * Handles AJAX request for the comparison data of an image.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function handle_get_comparison()
+    {
+        check_ajax_referer('start_optimization_nonce', 'nonce');
+
+        $attachment_id = intval($_POST['attachment_id']);
+
+        if (!current_user_can('edit_post', $attachment_id)) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'awp-io')]);
+            return;
+        }
+
+        if (!wp_attachment_is_image($attachment_id)) {
+            wp_send_json_error(['message' => __('Not a valid image', 'awp-io')]);
+            return;
+        }
+
+        $sizes = $this->get_comparison($attachment_id);
+
+        if (empty($sizes)) {
+            wp_send_json_error(['message' => __('This image has no optimized sizes to compare.', 'awp-io')]);
+            return;
+        }
+
+        wp_send_json_success([
+            'title' => get_the_title($attachment_id),
+            'has_backup' => ImageTracker::get_instance()->backup_exists($attachment_id),
+            'sizes' => $sizes,
+        ]);
+    }
+
+    /**
+     * Get the versions of every optimized size of an image.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id WordPress attachment ID
+     * @return array List of sizes, each with 'size', 'original', 'optimized', 'webp' and 'avif' versions.
+     *               A version is null if it does not exist.
+     */
+    public function get_comparison($attachment_id)
+    {
+        $optimization_data = get_post_meta($attachment_id, '_awp_io_optimization_data', true);
+        $metadata = wp_get_attachment_metadata($attachment_id);
+
+        if (empty($optimization_data) || empty($metadata['file'])) {
+            return [];
+        }
+
+        $uploads_dir = wp_upload_dir();
+        $relative_dir = dirname($metadata['file']) === '.' ? '' : dirname($metadata['file']) . '/';
+
+        // The full size is listed first, followed by the generated sizes.
+        $sizes = [
+            'full' => [
+                'file' => basename($metadata['file']),
+                'width' => $metadata['width'] ?? 0,
+                'height' => $metadata['height'] ?? 0,
+            ],
+        ];
+        if (!empty($metadata['sizes'])) {
+            $sizes = array_merge($sizes, $metadata['sizes']);
+        }
+
+        $comparison = [];
+
+        foreach ($sizes as $size_name => $size) {
+            $size_data = $this->find_size_data($optimization_data, $size['file']);
+            if ($size_data === null) {
+                continue;
+            }
+
+            // Converted PNGs are kept next to a JPEG copy, which is what is delivered.
+            $optimized_file = !empty($size_data['converted_to_jpg']) && !empty($size_data['jpg_path'])
+                ? $size_data['jpg_path']
+                : $relative_dir . $size['file'];
+
+            $webp_file = isset($size_data['webp']['file_name'])
+                ? $relative_dir . $size_data['webp']['file_name']
+                : null;
+
+            $avif_file = isset($size_data['avif']['file_name'])
+                ? $relative_dir . $size_data['avif']['file_name']
+                : null;
+
+            $comparison[] = [
+                'size' => $size_name,
+                'original' => $this->get_original_version($attachment_id, $size_name, $size, $size_data),
+                'optimized' => $this->get_version($optimized_file, $uploads_dir),
+                'webp' => $webp_file ? $this->get_version($webp_file, $uploads_dir) : null,
+                'avif' => $avif_file ? $this->get_version($avif_file, $uploads_dir) : null,
+            ];
+        }
+
+        return $comparison;
+    }
+
+    /**
+     * Delete the original previews of an image.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id WordPress attachment ID
+     * @return void
+     */
+    public function delete_previews($attachment_id)
+    {
+        $preview_dir = $this->get_preview_dir($attachment_id);
+
+        if (!is_dir($preview_dir)) {
+            return;
+        }
+
+        foreach (glob($preview_dir . '/*') as $file) {
+            if (is_file($file)) {
+                wp_delete_file($file);
+            }
+        }
+
+        @rmdir($preview_dir);
+    }
+
+    /**
+     * Find the optimization data of a size by its file name.
+     *
+     * @since 1.2.0
+     * @param array  $optimization_data Optimization data of all sizes
+     * @param string $file_name         File name of the size
+     * @return array|null Optimization data of the size, or null if the size was not optimized
+     */
+    private function find_size_data($optimization_data, $file_name)
+    {
+        foreach ($optimization_data as $size_data) {
+            if (isset($size_data['file_name']) && $size_data['file_name'] === $file_name) {
+                return $size_data;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get URL, file size and dimensions of a file in the uploads directory.
+     *
+     * @since 1.2.0
+     * @param string $relative_path Path relative to the uploads directory
+     * @param array  $uploads_dir   Result of wp_upload_dir()
+     * @return array|null Version data, or null if the file does not exist
+     */
+    private function get_version($relative_path, $uploads_dir)
+    {
+        $path = $uploads_dir['basedir'] . '/' . $relative_path;
+
+        if (!is_file($path)) {
+            return null;
+        }
+
+        $dimensions = wp_getimagesize($path);
+
+        return [
+            'url' => $uploads_dir['baseurl'] . '/' . $relative_path . '?v=' . filemtime($path),
+            'bytes' => filesize($path),
+            'size' => size_format(filesize($path), 2),
+            'width' => $dimensions ? $dimensions[0] : 0,
+            'height' => $dimensions ? $dimensions[1] : 0,
+        ];
+    }
+
+    /**
+     * Get the original version of a size from the backup.
+     *
+     * The full size uses the backup itself unless WordPress scaled the upload down,
+     * every other size is recreated from the backup and cached as a preview.
+     *
+     * @since 1.2.0
+     * @param int    $attachment_id WordPress attachment ID
+     * @param string $size_name     Name of the image size, 'full' for the main image
+     * @param array  $size          Size metadata with file, width and height
+     * @param array  $size_data     Optimization data of the size
+     * @return array|null Version data, or null if there is no backup
+     */
+    private function get_original_version($attachment_id, $size_name, $size, $size_data)
+    {
+        $uploads_dir = wp_upload_dir();
+        $relative_backup_path = get_post_meta($attachment_id, '_awp_io_backup_path', true);
+
+        if (empty($relative_backup_path) || !is_file($uploads_dir['basedir'] . '/' . $relative_backup_path)) {
+            return null;
+        }
+
+        $backup_path = $uploads_dir['basedir'] . '/' . $relative_backup_path;
+        $backup_dimensions = wp_getimagesize($backup_path);
+
+        if ($backup_dimensions && (int) $backup_dimensions[0] === (int) $size['width'] && (int) $backup_dimensions[1] === (int) $size['height']) {
+            $version = $this->get_version($relative_backup_path, $uploads_dir);
+        } else {
+            $version = $this->get_preview($attachment_id, $backup_path, $size_name, $size);
+        }
+
+        // The preview is recreated, so report the size the original actually had.
+        if ($version !== null && isset($size_data['total_original'])) {
+            $version['bytes'] = (int) $size_data['total_original'];
+            $version['size'] = size_format($version['bytes'], 2);
+        }
+
+        return $version;
+    }
+
+    /**
+     * Recreate the original version of a size from the backup.
+     *
+     * @since 1.2.0
+     * @param int    $attachment_id WordPress attachment ID
+     * @param string $backup_path   Absolute path of the backup
+     * @param string $size_name     Name of the image size
+     * @param array  $size          Size metadata with width and height
+     * @return array|null Version data, or null if the preview could not be created
+     */
+    private function get_preview($attachment_id, $backup_path, $size_name, $size)
+    {
+        if (empty($size['width']) || empty($size['height'])) {
+            return null;
+        }
+
+        $uploads_dir = wp_upload_dir();
+        $file_name = sprintf(
+            '%s-%dx%d.%s',
+            sanitize_file_name($size_name),
+            $size['width'],
+            $size['height'],
+            strtolower(pathinfo($backup_path, PATHINFO_EXTENSION))
+        );
+        $relative_path = self::PREVIEW_DIR . '/' . $attachment_id . '/' . $file_name;
+        $preview_path = $uploads_dir['basedir'] . '/' . $relative_path;
+
+        if (!is_file($preview_path)) {
+            $editor = wp_get_image_editor($backup_path);
+            if (is_wp_error($editor)) {
+                return null;
+            }
+
+            $crop = false;
+            $registered_sizes = wp_get_registered_image_subsizes();
+            if (isset($registered_sizes[$size_name])) {
+                $crop = $registered_sizes[$size_name]['crop'];
+            }
+
+            $resized = $editor->resize($size['width'], $size['height'], $crop);
+            if (is_wp_error($resized)) {
+                return null;
+            }
+
+            wp_mkdir_p(dirname($preview_path));
+            $saved = $editor->save($preview_path);
+            if (is_wp_error($saved)) {
+                return null;
+            }
+        }
+
+        return $this->get_version($relative_path, $uploads_dir);
+    }
+
+    /**
+     * Get the absolute path of the preview directory of an image.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id WordPress attachment ID
+     * @return string Directory path
+     */
+    private function get_preview_dir($attachment_id)
+    {
+        return wp_upload_dir()['basedir'] . '/' . self::PREVIEW_DIR . '/' . absint($attachment_id);
+    }
+}
@@ -55,18 +55,23 @@ class ImageFetcher extends Singleton
      *
      * This method queries the database to count the number of unoptimized images that require re-optimization.
      *
+     * @param OptimizationScope|null $scope Optional. Restricts the count to part of the media library.
      * @return int The total count of unoptimized images needing re-optimization.
      */
-    public function get_total_re_unoptimized_count()
+    public function get_total_re_unoptimized_count($scope = null)
     {
+        $clauses = $this->get_scope_clauses($scope);
+
         return (int) $this->db->get_var("
             SELECT COUNT(p.ID)
             FROM {$this->db->posts} p
             INNER JOIN {$this->db->postmeta} opt ON p.ID = opt.post_id AND opt.meta_key = '_awp_io_optimized'
             LEFT JOIN {$this->db->prefix}" . Schema::REOPTIMIZATION_TABLE_NAME . " r ON p.ID = r.image_id
+            {$clauses['join']}
             WHERE p.post_type = 'attachment'
             AND p.post_mime_type LIKE 'image/%'
             AND r.image_id IS NULL
+            {$clauses['where']}
         ");
     }
 
@@ -76,21 +81,27 @@ class ImageFetcher extends Singleton
      * Queries the database to count all image attachments that haven't been optimized yet.
      *
      * @since 1.0.0
+     * @param bool                   $re_optimize Whether to count images for re-optimization
+     * @param OptimizationScope|null $scope       Optional. Restricts the count to part of the media library.
      * @return int Number of unoptimized images
      */
-    public function get_total_unoptimized_count($re_optimize = false)
+    public function get_total_unoptimized_count($re_optimize = false, $scope = null)
     {
         if ($re_optimize) {
-            return $this->get_total_re_unoptimized_count();
+            return $this->get_total_re_unoptimized_count($scope);
         }
 
+        $clauses = $this->get_scope_clauses($scope);
+
         return (int) $this->db->get_var("
             SELECT COUNT(p.ID)
             FROM {$this->db->posts} p
             LEFT JOIN {$this->db->postmeta} opt ON p.ID = opt.post_id AND opt.meta_key = '_awp_io_optimized'
+            {$clauses['join']}
             WHERE p.post_type = 'attachment'
             AND p.post_mime_type LIKE 'image/%'
             AND opt.meta_value IS NULL
+            {$clauses['where']}
         ");
     }
 
@@ -98,22 +109,31 @@ class ImageFetcher extends Singleton
      * Retrieves a list of image IDs that need to be reoptimized.
      *
      * This method queries the database to find image IDs that require reoptimization based on certain criteria.
+     * Images currently claimed by another optimization worker are skipped.
      *
+     * @param int|null               $limit Optional. Maximum number of IDs to return, defaults to the batch size.
+     * @param OptimizationScope|null $scope Optional. Restricts the images to part of the media library.
      * @return array List of image IDs to be reoptimized.
      */
-    public function get_reoptimize_images()
+    public function get_reoptimize_images($limit = null, $scope = null)
     {
+        $clauses = $this->get_scope_clauses($scope);
+
         return $this->db->get_col($this->db->prepare(
             "SELECT p.ID
             FROM {$this->db->posts} p
             INNER JOIN {$this->db->postmeta} opt ON p.ID = opt.post_id AND opt.meta_key = '_awp_io_optimized'
             LEFT JOIN {$this->db->prefix}" . Schema::REOPTIMIZATION_TABLE_NAME . " r ON p.ID = r.image_id
+            LEFT JOIN {$this->db->prefix}" . Schema::CLAIMS_TABLE_NAME . " c ON p.ID = c.attachment_id
+            {$clauses['join']}
             WHERE p.post_type = 'attachment'
             AND p.post_mime_type LIKE 'image/%'
             AND r.image_id IS NULL
+            AND c.attachment_id IS NULL
+            {$clauses['where']}
             ORDER BY p.ID ASC
             LIMIT %d",
-            $this->batch_size
+            $limit ?? $this->batch_size
         ));
     }
 
@@ -121,34 +141,102 @@ class ImageFetcher extends Singleton
      * Get next batch of unoptimized images.
      *
      * Retrieves a batch of image attachments that haven't been optimized,
-     * limited by the batch size setting.
+     * limited by the batch size setting. Images currently claimed by another
+     * optimization worker are skipped.
      *
      * @since 1.0.0
+     * @param bool                   $re_optimize Whether to fetch images for re-optimization
+     * @param int|null               $limit       Optional. Maximum number of IDs to return, defaults to the batch size.
+     * @param OptimizationScope|null $scope       Optional. Restricts the images to part of the media library.
      * @return array Array of attachment IDs for unoptimized images
      */
-    public function get_unoptimized_images($re_optimize = false)
+    public function get_unoptimized_images($re_optimize = false, $limit = null, $scope = null)
     {
         if ($re_optimize) {
-            return $this->get_reoptimize_images();
+            return $this->get_reoptimize_images($limit, $scope);
         }
 
+        $clauses = $this->get_scope_clauses($scope);
+
         $query = $this->db->prepare(
             "SELECT p.ID 
             FROM {$this->db->posts} p 
             LEFT JOIN {$this->db->postmeta} opt 
                 ON p.ID = opt.post_id 
                 AND opt.meta_key = '_awp_io_optimized' 
+            LEFT JOIN {$this->db->prefix}" . Schema::CLAIMS_TABLE_NAME . " c 
+                ON p.ID = c.attachment_id 
+            {$clauses['join']}
             WHERE p.post_type = 'attachment' 
             AND p.post_mime_type LIKE 'image/%' 
             AND opt.meta_value IS NULL 
+            AND c.attachment_id IS NULL 
+            {$clauses['where']}
             ORDER BY p.ID ASC
             LIMIT %d",
-            $this->batch_size
+            $limit ?? $this->batch_size
         );
 
         return $this->db->get_col($query);
     }
 
+    /**
+     * Check whether an attachment still has to be processed by a bulk run.
+     *
+     * @since 1.2.0
+     * @param int  $attachment_id WordPress attachment ID
+     * @param bool $re_optimize   Whether the bulk run re-optimizes images
+     * @return bool True if the attachment still needs to be processed
+     */
+    public function needs_optimization($attachment_id, $re_optimize = false)
+    {
+        if (!$re_optimize) {
+            return !get_post_meta($attachment_id, '_awp_io_optimized', true);
+        }
+
+        return !$this->db->get_var($this->db->prepare(
+            "SELECT image_id FROM {$this->db->prefix}" . Schema::REOPTIMIZATION_TABLE_NAME . " WHERE image_id = %d",
+            $attachment_id
+        ));
+    }
+
+    /**
+     * Get the SQL clauses restricting a query to a scope.
+     *
+     * @since 1.2.0
+     * @param OptimizationScope|null $scope Scope, or null for the whole media library
+     * @return array Array with 'join' and 'where' clauses, empty without a scope
+     */
+    private function get_scope_clauses($scope)
+    {
+        if (!$scope instanceof OptimizationScope) {
+            return ['join' => '', 'where' => ''];
+        }
+
+        return $scope->get_sql_clauses($this->db);
+    }
+
+    /**
+     * Get the uploads subfolders containing images.
+     *
+     * @since 1.2.0
+     * @return array Folder paths relative to the uploads directory, e.g. "2024/05"
+     */
+    public function get_upload_folders()
+    {
+        return $this->db->get_col("
+            SELECT DISTINCT LEFT(file.meta_value, CHAR_LENGTH(file.meta_value) - CHAR_LENGTH(SUBSTRING_INDEX(file.meta_value, '/', -1)) - 1) AS folder
+            FROM {$this->db->posts} p
+            INNER JOIN {$this->db->postmeta} file
+                ON p.ID = file.post_id
+                AND file.meta_key = '_wp_attached_file'
+            WHERE p.post_type = 'attachment'
+            AND p.post_mime_type LIKE 'image/%'
+            AND file.meta_value LIKE '%/%'
+            ORDER BY folder ASC
+        ");
+    }
+
     /**
      * Get next batch of optimized images.
      *
@@ -205,11 +293,16 @@ class ImageFetcher extends Singleton
      * limited by the batch size setting.
      *
      * @since 1.0.0
+     * @param RestoreFilter|null $filter   Optional. Restricts the images to part of the optimized images.
+     * @param int                $after_id Optional. Only images with a higher ID are returned.
+     * @param int|null           $limit    Optional. Maximum number of IDs to return, defaults to the batch size.
      * @return array Array of attachment IDs for optimized images without _awp_io_restore_attempt
      */
-    public function get_optimized_images_for_restore()
+    public function get_optimized_images_for_restore($filter = null, $after_id = 0, $limit = null)
     {
-        $query = $this->db->prepare(
+        $clauses = $this->get_restore_filter_clauses($filter);
+
+        return array_map('intval', $this->db->get_col($this->db->prepare(
             "SELECT p.ID 
             FROM {$this->db->posts} p 
             INNER JOIN {$this->db->postmeta} opt 
@@ -218,16 +311,18 @@ class ImageFetcher extends Singleton
             LEFT JOIN {$this->db->postmeta} restore 
                 ON p.ID = restore.post_id 
                 AND restore.meta_key = '_awp_io_restore_attempt'
+            {$clauses['join']}
             WHERE p.post_type = 'attachment' 
             AND p.post_mime_type LIKE 'image/%' 
             AND opt.meta_value = '1'
             AND restore.meta_id IS NULL
+            AND p.ID > %d
+            {$clauses['where']}
             ORDER BY p.ID ASC
             LIMIT %d",
-            $this->batch_size
-        );
-
-        return $this->db->get_col($query);
+            $after_id,
+            $limit ?? $this->batch_size
+        )));
     }
 
     /**
@@ -236,10 +331,13 @@ class ImageFetcher extends Singleton
      * Counts all image attachments that have been successfully optimized and do not have the _awp_io_restore_attempt meta key.
      *
      * @since 1.0.0
+     * @param RestoreFilter|null $filter Optional. Restricts the count to part of the optimized images.
      * @return int Number of optimized images without _awp_io_restore_attempt
      */
-    public function get_total_optimized_images_count_for_restore()
+    public function get_total_optimized_images_count_for_restore($filter = null)
     {
+        $clauses = $this->get_restore_filter_clauses($filter);
+
         return (int) $this->db->get_var("
             SELECT COUNT(p.ID)
             FROM {$this->db->posts} p
@@ -249,13 +347,31 @@ class ImageFetcher extends Singleton
             LEFT JOIN {$this->db->postmeta} restore 
                 ON p.ID = restore.post_id 
                 AND restore.meta_key = '_awp_io_restore_attempt'
+            {$clauses['join']}
             WHERE p.post_type = 'attachment'
             AND p.post_mime_type LIKE 'image/%'
             AND opt.meta_value = '1'
             AND restore.meta_id IS NULL
+            {$clauses['where']}
         ");
     }
 
+    /**
+     * Get the SQL clauses of a restore filter, empty clauses without a filter.
+     *
+     * @since 1.2.0
+     * @param RestoreFilter|null $filter Restore filter
+     * @return array Array with 'join' and 'where' clauses
+     */
+    private function get_restore_filter_clauses($filter)
+    {
+        if (!$filter instanceof RestoreFilter) {
+            return ['join' => '', 'where' => ''];
+        }
+
+        return $filter->get_sql_clauses($this->db);
+    }
+
     /**
      * Check for existence of unoptimized images.
      *
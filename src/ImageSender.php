@@ -7,11 +7,12 @@ namespace AWP\IO;
  *
  * Handles the communication with the remote optimization server.
  * Responsible for sending images and receiving optimization results.
+ * This is the remote optimization engine.
  *
  * @package AWP\IO
  * @since 1.0.0
  */
-class ImageSender extends Singleton
+class ImageSender extends Singleton implements OptimizationEngine
 {
     /**
      * Remote optimization server URL
@@ -71,16 +72,17 @@ class ImageSender extends Singleton
      * sending each one to the remote optimization server.
      *
      * @since 1.0.0
-     * @param int   $attachment_id WordPress attachment ID
-     * @param array $images        Array of image data to process
+     * @param int    $attachment_id     WordPress attachment ID
+     * @param array  $images            Array of image data to process
+     * @param string $compression_level Compression level requested from the server
      * @return array Array of optimization results or error messages
      */
-    public function send_images($attachment_id, $images)
+    public function send_images($attachment_id, $images, $compression_level)
     {
         $results = [];
         foreach ($images as $image) {
             try {
-                $result = $this->send_single_image($attachment_id, $image);
+                $result = $this->send_single_image($attachment_id, $image, $compression_level);
                 $results[] = $result;
             } catch (\Exception $e) {
                 $results[] = [
@@ -100,12 +102,13 @@ class ImageSender extends Singleton
      * a single image, including file reading and multipart form data creation.
      *
      * @since 1.0.0
-     * @param int   $attachment_id WordPress attachment ID
-     * @param array $image         Image data including path and type
+     * @param int    $attachment_id     WordPress attachment ID
+     * @param array  $image             Image data including path and type
+     * @param string $compression_level Compression level requested from the server
      * @return array Optimization result from the server
      * @throws \Exception When file operations fail or server communication errors occur
      */
-    private function send_single_image($attachment_id, $image)
+    private function send_single_image($attachment_id, $image, $compression_level)
     {
         if (!file_exists($image['path'])) {
             throw new \Exception("Image file not found: {$image['path']}");
@@ -162,6 +165,10 @@ class ImageSender extends Singleton
             $payload .= $image['size'] . "\r\n";
         }
 
+        $payload .= "--" . $boundary . "\r\n";
+        $payload .= 'Content-Disposition: form-data; name="compression_level"' . "\r\n\r\n";
+        $payload .= $compression_level . "\r\n";
+
         // Add default settings to payload
         $payload .= "--" . $boundary . "\r\n";
         $payload .= 'Content-Disposition: form-data; name="default_settings"' . "\r\n\r\n";
@@ -204,14 +211,7 @@ class ImageSender extends Singleton
 
         $response_code = wp_remote_retrieve_response_code($response);
         if ($response_code !== 200) {
-            // Handle server-side errors
-            if (isset($result['code']) && isset($result['message'])) {
-                // This is a WP_Error converted to JSON
-                throw new \Exception('Request failed: ' . $result['message'] . ' (Code: ' . $result['code'] . ')');
-            } else {
-                // Handle generic HTTP errors
-                throw new \Exception('Request failed with status: ' . $response_code);
-            }
+            $this->handle_error_response($response_code, $result);
         }
 
         if (json_last_error() !== JSON_ERROR_NONE) {
@@ -221,6 +221,18 @@ class ImageSender extends Singleton
         return $result;
     }
 
+    /**
+     * Check that the remote server accepts the API key.
+     *
+     * @since 1.2.0
+     * @return void
+     * @throws \Exception If the request fails or the API key is invalid.
+     */
+    public function validate()
+    {
+        $this->validate_api_key();
+    }
+
     /**
      * Validate the API key by sending a test request to the remote server.
      *
@@ -230,23 +242,30 @@ class ImageSender extends Singleton
     /**
      * Validate the API key by sending a test request to the remote server.
      *
+     * Errors are reported with the awp_io_api_error action only for the saved key,
+     * not for a key that is checked before it is saved.
+     *
      * @since 1.0.0
+     * @param string|null $api_key Optional. API key to check instead of the saved one.
      * @return array An array containing the success status and a message.
      * @throws \Exception If the request fails or the API key is invalid.
      */
-    public function validate_api_key()
+    public function validate_api_key($api_key = null)
     {
+        $report_errors = $api_key === null;
+        $api_key = $api_key ?? $this->get_api_key();
+
         // Prepare the request payload
         $payload = json_encode([
             'action' => 'validate_api_key',
-            'api_key' => $this->get_api_key(),
+            'api_key' => $api_key,
         ]);
 
         // Prepare the request arguments
         $args = [
             'timeout' => 10,
             'headers' => [
-                'X-AWP-IO-API-Key' => $this->get_api_key(),
+                'X-AWP-IO-API-Key' => $api_key,
                 'X-AWP-IO-Site-URL' => get_site_url(),
                 'Content-Type' => 'application/json',
                 'Content-Length' => strlen($payload),
@@ -271,13 +290,7 @@ class ImageSender extends Singleton
 
         // Handle server-side errors (non-200 status codes)
         if ($response_code !== 200) {
-            if (isset($response_data['code']) && isset($response_data['message'])) {
-                // This is a WP_Error converted to JSON
-                throw new \Exception('Request failed: ' . $response_data['message'] . ' (Code: ' . $response_data['code'] . ')');
-            } else {
-                // Handle generic HTTP errors
-                throw new \Exception('Request failed with status: ' . $response_code);
-            }
+            $this->handle_error_response($response_code, $response_data, $report_errors);
         }
 
         // Check if the response indicates success
@@ -286,6 +299,44 @@ class ImageSender extends Singleton
         }
 
         // Handle invalid API key or other issues
-        throw new \Exception($response_data['message'] ?? 'Invalid API key or unexpected response from the server');
+        $error_message = $response_data['message'] ?? 'Invalid API key or unexpected response from the server';
+        if ($report_errors) {
+            do_action('awp_io_api_error', $error_message, $response_code);
+        }
+        throw new \Exception($error_message);
+    }
+
+    /**
+     * Report an error response of the remote server.
+     *
+     * @since 1.2.0
+     * @param int        $response_code HTTP status code of the response
+     * @param array|null $response_data Decoded response body
+     * @param bool       $report        Optional. Whether to fire the awp_io_api_error action.
+     * @return void
+     * @throws \Exception Always, with the error message of the server.
+     */
+    private function handle_error_response($response_code, $response_data, $report = true)
+    {
+        if (isset($response_data['code']) && isset($response_data['message'])) {
+            // This is a WP_Error converted to JSON
+            $error_message = 'Request failed: ' . $response_data['message'] . ' (Code: ' . $response_data['code'] . ')';
+        } else {
+            // Handle generic HTTP errors
+            $error_message = 'Request failed with status: ' . $response_code;
+        }
+
+        /**
+         * Fires when the optimization API returns an error, e.g. for an invalid API key or an exhausted quota.
+         *
+         * @since 1.2.0
+         * @param string $error_message Error message of the server
+         * @param int    $response_code HTTP status code of the response
+         */
+        if ($report) {
+            do_action('awp_io_api_error', $error_message, $response_code);
+        }
+
+        throw new \Exception($error_message);
     }
 }
@@ -85,6 +85,18 @@ class ImageTracker extends Singleton
                     $updated_data[$key]['total_saved'] = $existing_item['total_saved'] + $new_item['total_saved'];
                     $updated_data[$key]['percent_saved'] =
                         round(($updated_data[$key]['total_saved'] / $existing_item['total_original']) * 100, 2);
+
+                    // Keep next generation versions created by this optimization
+                    foreach (['webp', 'avif'] as $format) {
+                        if (isset($new_item[$format])) {
+                            $updated_data[$key][$format] = $new_item[$format];
+                        }
+                    }
+
+                    // Show the level of the latest optimization
+                    if (isset($new_item['compression_level'])) {
+                        $updated_data[$key]['compression_level'] = $new_item['compression_level'];
+                    }
                     $existing_item_key = $key;
                     break;
                 }
@@ -168,7 +180,8 @@ class ImageTracker extends Singleton
      * Create a backup of the original image.
      *
      * Creates a backup copy of the original image in a dedicated backup directory,
-     * maintaining the same directory structure as the original.
+     * maintaining the same directory structure as the original, and records it
+     * in the backup manifest.
      *
      * @since 1.0.0
      * @param int $attachment_id The ID of the attachment to backup
@@ -187,7 +200,7 @@ class ImageTracker extends Singleton
         $relative_path = str_replace($uploads_dir['basedir'] . '/', '', $file_path);
 
         // Create backup directory with the same structure
-        $backup_base_dir = $uploads_dir['basedir'] . '/awp-io-backups';
+        $backup_base_dir = $uploads_dir['basedir'] . '/' . BackupManager::BACKUP_DIR;
         $backup_full_dir = $backup_base_dir . '/' . dirname($relative_path);
 
         // Create all necessary directories
@@ -198,8 +211,11 @@ class ImageTracker extends Singleton
         copy($file_path, $backup_path);
 
         // Store the relative backup path instead of full path
-        $relative_backup_path = 'awp-io-backups/' . $relative_path;
+        $relative_backup_path = BackupManager::BACKUP_DIR . '/' . $relative_path;
         update_post_meta($attachment_id, '_awp_io_backup_path', $relative_backup_path);
+
+        // Record size and hash, so a damaged backup is found before it is restored.
+        BackupManager::get_instance()->record($attachment_id, $relative_backup_path);
     }
 
     /**
@@ -225,6 +241,9 @@ class ImageTracker extends Singleton
         $current_path = wp_get_original_image_path($attachment_id);
 
         if (is_file($backup_path)) {
+            // Kept for the restored action, the cleanup deletes it.
+            $optimization_data = get_post_meta($attachment_id, '_awp_io_optimization_data', true);
+
             // Restore the original image
             copy($backup_path, $current_path);
 
@@ -241,6 +260,8 @@ class ImageTracker extends Singleton
             // Set the restoration state back to false
             self::$is_restoring_image = false;
 
+            do_action('awp_io_image_restored', $attachment_id, $optimization_data);
+
             return true;
         }
         // Attempt to restore, this will allow to not to include this attachment repeatedly in query while doing the bulk restore.
@@ -304,7 +325,7 @@ class ImageTracker extends Singleton
      */
     private function cleanup_optimization_data($attachment_id)
     {
-        // Delete .webp and converted .jpg files
+        // Delete .webp, .avif and converted .jpg files
         $this->delete_optimized_files($attachment_id);
 
         // Clean up post meta
@@ -312,6 +333,7 @@ class ImageTracker extends Singleton
         delete_post_meta($attachment_id, '_awp_io_optimization_data');
         delete_post_meta($attachment_id, '_awp_io_backup_path');
         delete_post_meta($attachment_id, '_awp_io_optimization_failed_data');
+        BackupManager::get_instance()->forget($attachment_id);
 
         // Clean up stats
         (OptimizationStatsManager::get_instance())->remove_stats_for_attachment($attachment_id);
@@ -320,7 +342,7 @@ class ImageTracker extends Singleton
     }
 
     /**
-     * Delete optimized files (.webp and converted .jpg) for an attachment.
+     * Delete optimized files (.webp, .avif and converted .jpg) for an attachment.
      *
      * @since 1.0.0
      * @param int $attachment_id The ID of the attachment
@@ -352,6 +374,14 @@ class ImageTracker extends Singleton
                     }
                 }
 
+                // Delete .avif file if it exists
+                if (isset($size_data['avif'])) {
+                    $avif_path = $base_dir . '/' . $file_directory . $size_data['avif']['file_name'];
+                    if (is_file($avif_path)) {
+                        wp_delete_file($avif_path);
+                    }
+                }
+
                 // Delete converted .jpg file if it exists
                 if (isset($size_data['jpg_path']) && $size_data['converted_to_jpg']) {
                     $jpg_path = $base_dir . '/' . $file_directory . $size_data['jpg_path'];
@@ -378,6 +408,59 @@ class ImageTracker extends Singleton
         );
     }
 
+    /**
+     * Claim an attachment for optimization by the current worker.
+     *
+     * Relies on the primary key of the claims table, so the claim is atomic even when
+     * several bulk optimization workers run at the same time.
+     *
+     * @param int $attachment_id The ID of the attachment to claim.
+     * @since 1.2.0
+     * @return bool True if the attachment was claimed, false if another worker holds the claim.
+     */
+    public function claim_attachment($attachment_id)
+    {
+        $inserted = $this->db->query($this->db->prepare(
+            "INSERT IGNORE INTO {$this->db->prefix}" . Schema::CLAIMS_TABLE_NAME . " (attachment_id, claimed_at)
+            VALUES (%d, %s)",
+            $attachment_id,
+            current_time('mysql', true)
+        ));
+
+        return $inserted === 1;
+    }
+
+    /**
+     * Release the claim on an attachment once the worker is done with it.
+     *
+     * @param int $attachment_id The ID of the attachment to release.
+     * @since 1.2.0
+     * @return void
+     */
+    public function release_attachment($attachment_id)
+    {
+        $this->db->delete(
+            $this->db->prefix . Schema::CLAIMS_TABLE_NAME,
+            ['attachment_id' => $attachment_id],
+            ['%d']
+        );
+    }
+
+    /**
+     * Release claims left behind by workers that died while optimizing.
+     *
+     * @param int $max_age Age in seconds after which a claim is considered stale.
+     * @since 1.2.0
+     * @return void
+     */
+    public function release_stale_claims($max_age = 600)
+    {
+        $this->db->query($this->db->prepare(
+            "DELETE FROM {$this->db->prefix}" . Schema::CLAIMS_TABLE_NAME . " WHERE claimed_at < %s",
+            gmdate('Y-m-d H:i:s', time() - $max_age)
+        ));
+    }
+
     /**
      * Check if a backup file exists for a given attachment ID.
      *
@@ -35,7 +35,7 @@ class JpgHandler
      * 
      * First checks the attachment metadata for conversion data,
      * then falls back to filesystem check if necessary. Also considers
-     * WebP delivery settings to avoid conflicts.
+     * WebP and AVIF delivery settings to avoid conflicts.
      *
      * @since 1.0.0
      * @access private
@@ -56,7 +56,7 @@ class JpgHandler
             // Check if any size was converted to JPG
             $converted = false;
             foreach ($optimization_data as $size_data) {
-                if (isset($size_data['webp']) && get_optimizer_settings('deliver_next_gen_images') === 'yes') {
+                if ((isset($size_data['webp']) || isset($size_data['avif'])) && get_optimizer_settings('deliver_next_gen_images') === 'yes') {
                     return false;
                 }
 
@@ -0,0 +1,484 @@
+<?php
+
+namespace AWP\IO;
+
+use Imagick;
+use Exception;
+
+/**
+ * Class LocalOptimizer
+ *
+ * Optimizes images on this server with Imagick, or GD as a fallback, instead of
+ * sending them to the remote API. Images are recompressed at the quality of the compression level, the
+ * full size is resized to the resize_large_images limits, EXIF data is stripped,
+ * opaque PNGs are converted to JPEG and WebP versions are created, following the
+ * same settings as the remote API.
+ *
+ * GD cannot keep metadata, so EXIF data is always stripped when GD is used.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class LocalOptimizer extends Singleton implements OptimizationEngine
+{
+    /**
+     * JPEG and WebP compression quality of each compression level.
+     *
+     * Lossless WebP versions are written in the lossless WebP format; JPEG has
+     * no lossless mode, so the original is kept unless recompression at the
+     * highest quality makes it smaller.
+     */
+    private const QUALITY = [
+        'lossless' => ['jpeg' => 100, 'webp' => 100],
+        'glossy' => ['jpeg' => 90, 'webp' => 90],
+        'lossy' => ['jpeg' => 82, 'webp' => 80],
+    ];
+
+    /**
+     * zlib compression level of PNG images.
+     */
+    private const PNG_COMPRESSION_LEVEL = 9;
+
+    /**
+     * Supported image MIME types and the format they are written in.
+     *
+     * @var array
+     */
+    private const FORMATS = [
+        'image/jpeg' => 'jpeg',
+        'image/png' => 'png',
+        'image/webp' => 'webp',
+    ];
+
+    /**
+     * Check whether this server can optimize images.
+     *
+     * @since 1.2.0
+     * @return bool True if Imagick or GD is available
+     */
+    public function is_available()
+    {
+        return extension_loaded('imagick') || function_exists('imagecreatetruecolor');
+    }
+
+    /**
+     * Check that Imagick or GD is available.
+     *
+     * @since 1.2.0
+     * @return void
+     * @throws \Exception If neither Imagick nor GD is available
+     */
+    public function validate()
+    {
+        if (!$this->is_available()) {
+            throw new Exception(__('Local optimization requires the Imagick or GD PHP extension.', 'awp-io'));
+        }
+    }
+
+    /**
+     * Optimize the files of an attachment.
+     *
+     * @since 1.2.0
+     * @param int    $attachment_id     WordPress attachment ID
+     * @param array  $images            Files from ImageFetcher::get_attachment_images()
+     * @param string $compression_level One of OptimizationEngine::COMPRESSION_LEVELS
+     * @return array One result per file, or 'error' and 'image' for a failed file
+     */
+    public function send_images($attachment_id, $images, $compression_level)
+    {
+        $results = [];
+
+        foreach ($images as $image) {
+            try {
+                $results[] = $this->optimize_image($image, $compression_level);
+            } catch (Exception $e) {
+                $results[] = [
+                    'error' => $e->getMessage(),
+                    'image' => $image,
+                ];
+            }
+        }
+
+        return $results;
+    }
+
+    /**
+     * Optimize a single file.
+     *
+     * The optimized file is only used if it is smaller than the original, unless
+     * the image was resized.
+     *
+     * @since 1.2.0
+     * @param array  $image             File with 'path', 'type' and 'size' for thumbnails
+     * @param string $compression_level One of OptimizationEngine::COMPRESSION_LEVELS
+     * @return array Optimization result
+     * @throws \Exception If the file cannot be read or written
+     */
+    private function optimize_image($image, $compression_level)
+    {
+        $this->validate();
+
+        $path = $image['path'];
+        if (!is_file($path)) {
+            throw new Exception("Image file not found: {$path}");
+        }
+
+        $size = getimagesize($path);
+        $mime_type = $size['mime'] ?? '';
+        if (!isset(self::FORMATS[$mime_type])) {
+            throw new Exception("Unsupported image type: {$path}");
+        }
+
+        $original_size = filesize($path);
+        $format = self::FORMATS[$mime_type];
+        $dimensions = $image['type'] === 'full' ? $this->get_resize_dimensions($size[0], $size[1]) : null;
+        $converted_to_jpg = false;
+        $level = isset(self::QUALITY[$compression_level]) ? $compression_level : 'lossy';
+
+        $content = $this->create_version($path, $format, $dimensions, $image, $level);
+
+        if ($format === 'png' && get_optimizer_settings('convert_png_to_jpeg') === 'yes' && !$this->png_has_transparency($path)) {
+            $jpeg_content = $this->create_version($path, 'jpeg', $dimensions, $image, $level);
+
+            if (strlen($jpeg_content) < min(strlen($content), $original_size)) {
+                $content = $jpeg_content;
+                $converted_to_jpg = true;
+            }
+        }
+
+        if ($dimensions === null && !$converted_to_jpg && strlen($content) >= $original_size) {
+            $content = file_get_contents($path);
+        }
+
+        $result = [
+            'file_name' => basename($path),
+            'image_type' => $image['type'],
+            'image_size' => $image['size'] ?? null,
+            'original_size' => $original_size,
+            'converted_to_jpg' => $converted_to_jpg,
+            'optimized_content' => base64_encode($content),
+        ] + $this->get_savings($original_size, strlen($content), 'optimized_size');
+
+        if ($dimensions !== null) {
+            $result['dimensions'] = $dimensions;
+        }
+
+        if (get_optimizer_settings('next_gen_images') === 'yes' && $format !== 'webp' && $this->supports_webp()) {
+            $webp_content = $this->create_version($path, 'webp', $dimensions, $image, $level);
+
+            $result['webp'] = [
+                'content' => base64_encode($webp_content),
+            ] + $this->get_savings($original_size, strlen($webp_content), 'size');
+        }
+
+        return $result;
+    }
+
+    /**
+     * Write an image in a format and return the file content.
+     *
+     * @since 1.2.0
+     * @param string     $path       Path of the source image
+     * @param string     $format     'jpeg', 'png' or 'webp'
+     * @param array|null $dimensions Target 'width' and 'height', null to keep the size
+     * @param array      $image      File being optimized, passed to the quality filter
+     * @param string     $level      Compression level
+     * @return string Content of the written image
+     * @throws \Exception If the image cannot be written
+     */
+    private function create_version($path, $format, $dimensions, $image, $level)
+    {
+        $temp_path = tempnam(get_temp_dir(), 'awp_io_');
+        $quality = $this->get_quality($format, $image, $level);
+        $lossless = $level === 'lossless';
+
+        try {
+            $written = extension_loaded('imagick')
+                ? $this->write_with_imagick($path, $temp_path, $format, $dimensions, $quality, $lossless)
+                : $this->write_with_gd($path, $temp_path, $format, $dimensions, $quality, $lossless);
+
+            $content = $written ? file_get_contents($temp_path) : false;
+        } finally {
+            @unlink($temp_path);
+        }
+
+        if (empty($content)) {
+            throw new Exception("Failed to write optimized image: {$path}");
+        }
+
+        return $content;
+    }
+
+    /**
+     * Write an image with Imagick.
+     *
+     * @since 1.2.0
+     * @param string     $source_path Path of the source image
+     * @param string     $dest_path   Path to write the image to
+     * @param string     $format      'jpeg', 'png' or 'webp'
+     * @param array|null $dimensions  Target 'width' and 'height', null to keep the size
+     * @param int        $quality     Compression quality from 1 to 100
+     * @param bool       $lossless    Whether WebP is written in the lossless format
+     * @return bool True if the image was written
+     */
+    private function write_with_imagick($source_path, $dest_path, $format, $dimensions, $quality, $lossless)
+    {
+        try {
+            $image = new Imagick($source_path);
+
+            if ($dimensions !== null) {
+                $image->resizeImage($dimensions['width'], $dimensions['height'], Imagick::FILTER_LANCZOS, 1);
+            }
+
+            // Keep the color profile, so colors do not shift after stripping.
+            if (get_optimizer_settings('remove_exif') === 'yes') {
+                $profiles = $image->getImageProfiles('icc', true);
+                $image->stripImage();
+                if (!empty($profiles['icc'])) {
+                    $image->profileImage('icc', $profiles['icc']);
+                }
+            }
+
+            $image->setImageFormat($format);
+
+            if ($format === 'png') {
+                $image->setOption('png:compression-level', (string) self::PNG_COMPRESSION_LEVEL);
+            } else {
+                $image->setImageCompressionQuality($quality);
+            }
+
+            if ($format === 'jpeg') {
+                $image->setInterlaceScheme(Imagick::INTERLACE_PLANE);
+            }
+
+            if ($format === 'webp' && $lossless) {
+                $image->setOption('webp:lossless', 'true');
+            }
+
+            $success = $image->writeImage($dest_path);
+            $image->clear();
+            $image->destroy();
+
+            return $success;
+        } catch (Exception $e) {
+            error_log('Imagick optimization failed: ' . $e->getMessage());
+        }
+
+        return false;
+    }
+
+    /**
+     * Write an image with GD.
+     *
+     * @since 1.2.0
+     * @param string     $source_path Path of the source image
+     * @param string     $dest_path   Path to write the image to
+     * @param string     $format      'jpeg', 'png' or 'webp'
+     * @param array|null $dimensions  Target 'width' and 'height', null to keep the size
+     * @param int        $quality     Compression quality from 1 to 100
+     * @param bool       $lossless    Whether WebP is written in the lossless format, needs PHP 8.1+
+     * @return bool True if the image was written
+     */
+    private function write_with_gd($source_path, $dest_path, $format, $dimensions, $quality, $lossless)
+    {
+        // getimagesize() is built into PHP, exif_imagetype() needs the optional exif extension.
+        $image_info = getimagesize($source_path);
+
+        switch ($image_info ? $image_info[2] : false) {
+            case IMAGETYPE_JPEG:
+                $source_image = imagecreatefromjpeg($source_path);
+                break;
+            case IMAGETYPE_PNG:
+                $source_image = imagecreatefrompng($source_path);
+                if ($source_image) {
+                    imagepalettetotruecolor($source_image);
+                    imagealphablending($source_image, false);
+                    imagesavealpha($source_image, true);
+                }
+                break;
+            case IMAGETYPE_WEBP:
+                $source_image = function_exists('imagecreatefromwebp') ? imagecreatefromwebp($source_path) : false;
+                break;
+            default:
+                return false;
+        }
+
+        if (!$source_image) {
+            return false;
+        }
+
+        if ($dimensions !== null) {
+            $resized_image = imagecreatetruecolor($dimensions['width'], $dimensions['height']);
+            imagealphablending($resized_image, false);
+            imagesavealpha($resized_image, true);
+            imagecopyresampled(
+                $resized_image,
+                $source_image,
+                0,
+                0,
+                0,
+                0,
+                $dimensions['width'],
+                $dimensions['height'],
+                imagesx($source_image),
+                imagesy($source_image)
+            );
+            imagedestroy($source_image);
+            $source_image = $resized_image;
+        }
+
+        switch ($format) {
+            case 'jpeg':
+                imageinterlace($source_image, true);
+                $success = imagejpeg($source_image, $dest_path, $quality);
+                break;
+            case 'png':
+                $success = imagepng($source_image, $dest_path, self::PNG_COMPRESSION_LEVEL);
+                break;
+            case 'webp':
+                if ($lossless && defined('IMG_WEBP_LOSSLESS')) {
+                    $quality = IMG_WEBP_LOSSLESS;
+                }
+                $success = function_exists('imagewebp') && imagewebp($source_image, $dest_path, $quality);
+                break;
+            default:
+                $success = false;
+        }
+
+        imagedestroy($source_image);
+
+        return $success;
+    }
+
+    /**
+     * Get the compression quality of a format.
+     *
+     * @since 1.2.0
+     * @param string $format 'jpeg', 'png' or 'webp'
+     * @param array  $image  File being optimized
+     * @param string $level  Compression level
+     * @return int Compression quality from 1 to 100
+     */
+    private function get_quality($format, $image, $level)
+    {
+        $quality = self::QUALITY[$level][$format === 'webp' ? 'webp' : 'jpeg'];
+
+        /**
+         * Filters the compression quality of the local optimization engine.
+         *
+         * @since 1.2.0
+         * @param int    $quality Compression quality from 1 to 100
+         * @param string $format  'jpeg', 'png' or 'webp'
+         * @param array  $image   File being optimized, with 'path', 'type' and 'size' for thumbnails
+         * @param string $level   Compression level, 'lossless', 'glossy' or 'lossy'
+         */
+        $quality = (int) apply_filters('awp_io_local_quality', $quality, $format, $image, $level);
+
+        return max(1, min(100, $quality));
+    }
+
+    /**
+     * Get the dimensions a full size image is resized to.
+     *
+     * The image is scaled down to fit inside the configured box for 'contain', or to
+     * cover it for 'cover'. A limit of 0 leaves that side unrestricted.
+     *
+     * @since 1.2.0
+     * @param int $width  Current width
+     * @param int $height Current height
+     * @return array|null 'width' and 'height', null if the image does not need resizing
+     */
+    private function get_resize_dimensions($width, $height)
+    {
+        $resize = get_optimizer_settings('resize_large_images');
+        $max_width = (int) ($resize['width'] ?? 0);
+        $max_height = (int) ($resize['height'] ?? 0);
+
+        if ($width <= 0 || $height <= 0) {
+            return null;
+        }
+
+        $ratios = [];
+        if ($max_width > 0) {
+            $ratios[] = $max_width / $width;
+        }
+        if ($max_height > 0) {
+            $ratios[] = $max_height / $height;
+        }
+
+        if (empty($ratios)) {
+            return null;
+        }
+
+        $ratio = ($resize['option'] ?? 'cover') === 'contain' ? min($ratios) : max($ratios);
+        if ($ratio >= 1) {
+            return null;
+        }
+
+        return [
+            'width' => max(1, (int) round($width * $ratio)),
+            'height' => max(1, (int) round($height * $ratio)),
+        ];
+    }
+
+    /**
+     * Check whether a PNG may have transparent pixels.
+     *
+     * Reads the color type from the IHDR chunk and looks for a tRNS chunk, so
+     * the image does not need to be decoded.
+     *
+     * @since 1.2.0
+     * @param string $path Path of the PNG
+     * @return bool True if the PNG has an alpha channel or a transparent color
+     */
+    private function png_has_transparency($path)
+    {
+        $content = file_get_contents($path);
+        if ($content === false || strlen($content) < 26) {
+            return true;
+        }
+
+        // Color types 4 and 6 are grayscale and truecolor with alpha.
+        $color_type = ord($content[25]);
+        if ($color_type === 4 || $color_type === 6) {
+            return true;
+        }
+
+        return strpos($content, 'tRNS') !== false;
+    }
+
+    /**
+     * Check whether WebP versions can be created.
+     *
+     * @since 1.2.0
+     * @return bool True if Imagick or GD supports WebP
+     */
+    private function supports_webp()
+    {
+        if (extension_loaded('imagick')) {
+            return in_array('WEBP', Imagick::queryFormats('WEBP'), true);
+        }
+
+        return function_exists('imagewebp');
+    }
+
+    /**
+     * Get the savings of an optimized file in the result shape of the remote API.
+     *
+     * @since 1.2.0
+     * @param int    $original_size  Size of the original file in bytes
+     * @param int    $optimized_size Size of the optimized file in bytes
+     * @param string $size_key       Key of the optimized size
+     * @return array Optimized size, 'bytes_saved' and 'percent_saved'
+     */
+    private function get_savings($original_size, $optimized_size, $size_key)
+    {
+        $bytes_saved = $original_size - $optimized_size;
+
+        return [
+            $size_key => $optimized_size,
+            'bytes_saved' => $bytes_saved,
+            'percent_saved' => $original_size > 0 ? round($bytes_saved / $original_size * 100, 2) : 0,
+        ];
+    }
+}
@@ -2,6 +2,8 @@
 
 namespace AWP\IO;
 
+use AWP\IO\Admin\ImageOptimizerOptions;
+
 /**
  * Manages image optimization functionality in the WordPress Media Library.
  *
@@ -27,9 +29,9 @@ class MediaLibraryOptimizer extends Singleton
     private $fetcher;
 
     /**
-     * Image sender instance for processing images.
+     * Optimization engine for processing images.
      *
-     * @var ImageSender
+     * @var OptimizationEngine
      */
     private $sender;
 
@@ -54,27 +56,37 @@ class MediaLibraryOptimizer extends Singleton
     public function __construct()
     {
         $this->fetcher = ImageFetcher::get_instance();
-        $this->sender = ImageSender::get_instance();
+        $this->sender = get_optimization_engine();
         $this->tracker = ImageTracker::get_instance();
 
         add_action('delete_attachment', [$this, 'delete_backup_image']);
 
         add_filter('manage_media_columns', [$this, 'add_optimization_column']);
         add_action('manage_media_custom_column', [$this, 'render_optimization_column'], 10, 2);
+        add_filter('bulk_actions-upload', [$this, 'add_bulk_actions']);
 
         add_action('wp_ajax_optimize_single_image', [$this, 'handle_single_image_optimization']);
         add_action('wp_ajax_restore_single_image', [$this, 'handle_image_restore']);
+        add_action('wp_ajax_awp_io_get_optimization_columns', [$this, 'handle_get_optimization_columns']);
 
         // Add media modal integration
         add_filter('attachment_fields_to_edit', [$this, 'add_optimization_fields'], 10, 2);
+        add_filter('wp_prepare_attachment_for_js', [$this, 'prepare_attachment_for_js'], 10, 2);
+        add_action('wp_enqueue_media', [$this, 'enqueue_media_modal_scripts']);
+        add_action('print_media_templates', [$this, 'print_media_templates']);
         add_filter('wp_generate_attachment_metadata', [$this, 'optimize_on_new_upload'], 10, 3);
     }
 
     /**
-     * Automatically optimizes newly uploaded images if enabled in settings.
+     * Queues newly uploaded images for optimization if enabled in settings.
+     *
+     * Images are optimized in the background by OptimizationQueue, so the upload
+     * is not held up by the optimization requests.
      *
      * @since 1.0.0
-     * @param int $attachment_id The ID of the newly uploaded attachment
+     * @param array  $metadata      Attachment metadata
+     * @param int    $attachment_id The ID of the newly uploaded attachment
+     * @param string $context       'create' for new uploads, 'update' for edits
      * @return array
      */
     public function optimize_on_new_upload($metadata, $attachment_id, $context)
@@ -94,16 +106,7 @@ class MediaLibraryOptimizer extends Singleton
             return $metadata;
         }
 
-        $this->optimization_manager = OptimizationManager::get_instance();
-        $this->optimization_manager->initialize($this->fetcher, $this->sender, $this->tracker);
-
-        // You could add this to a queue instead of processing immediately
-        $result = $this->optimization_manager->optimize_single_image($attachment_id);
-
-        if ($result['status'] === 'error') {
-            // Handle error (maybe add to failed queue, notify admin, etc.)
-            error_log("Auto-optimization failed for ID {$attachment_id}: " . $result['message']);
-        }
+        OptimizationQueue::get_instance()->enqueue($attachment_id);
 
         return $metadata;
     }
@@ -128,6 +131,11 @@ class MediaLibraryOptimizer extends Singleton
             return $form_fields;
         }
 
+        // The media modal loads these fields via AJAX and shows its own optimization panel instead.
+        if (wp_doing_ajax()) {
+            return $form_fields;
+        }
+
         $is_optimized = get_post_meta($post->ID, '_awp_io_optimized', true);
         $optimization_data = get_post_meta($post->ID, '_awp_io_optimization_data', true);
 
@@ -201,6 +209,104 @@ class MediaLibraryOptimizer extends Singleton
         return $form_fields;
     }
 
+    /**
+     * Adds the optimization status to the attachment data used by the media modal.
+     *
+     * @since 1.2.0
+     * @param array   $response   Array of prepared attachment data
+     * @param WP_Post $attachment The attachment post object
+     * @return array Modified attachment data
+     */
+    public function prepare_attachment_for_js($response, $attachment)
+    {
+        if (!wp_attachment_is_image($attachment->ID)) {
+            return $response;
+        }
+
+        $response['awpIo'] = $this->get_media_modal_data($attachment->ID);
+
+        return $response;
+    }
+
+    /**
+     * Collects the optimization status of an image for the media modal panel.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id ID of the attachment
+     * @return array Optimization status, savings summary and failed sizes
+     */
+    private function get_media_modal_data($attachment_id)
+    {
+        $is_optimized = (bool) get_post_meta($attachment_id, '_awp_io_optimized', true);
+        $summary = $this->get_optimization_summary(get_post_meta($attachment_id, '_awp_io_optimization_data', true));
+
+        if ($summary !== null && $summary['main'] !== null) {
+            $summary['main']['original_size'] = size_format($summary['main']['original'], 2);
+            $summary['main']['saved_size'] = size_format($summary['main']['saved'], 2);
+            $summary['main']['percent'] = round($summary['main']['percent'], 2);
+        }
+
+        if ($summary !== null) {
+            $summary['compression_level_label'] = $this->get_compression_level_label($summary['compression_level']);
+        }
+
+        $failed = [];
+        $failed_data = get_post_meta($attachment_id, '_awp_io_optimization_failed_data', true);
+        if (is_array($failed_data)) {
+            foreach ($failed_data as $item) {
+                $failed[] = sprintf('%s: %s', $item['image']['type'] ?? '', $item['error'] ?? '');
+            }
+        }
+
+        $job = OptimizationQueue::get_instance()->get_job($attachment_id);
+
+        return [
+            'optimized' => $is_optimized,
+            'canRestore' => $is_optimized && $this->tracker->backup_exists($attachment_id),
+            'summary' => $summary,
+            'failed' => $failed,
+            'queue' => $job ? [
+                'status' => $job['status'],
+                'label' => $this->get_queue_status_label($job),
+            ] : null,
+        ];
+    }
+
+    /**
+     * Enqueues the media modal extension whenever the media modal is loaded in the admin.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function enqueue_media_modal_scripts()
+    {
+        if (!is_admin()) {
+            return;
+        }
+
+        wp_enqueue_script('eip-media-modal', EIP_CUST_PLUGIN_DIR_URL . '/assets/js/eip-media-modal.js', array('jquery', 'media-views', 'wp-util', 'eip-backend'));
+    }
+
+    /**
+     * Prints the template of the media modal optimization panel.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function print_media_templates()
+    {
+        if (!is_admin()) {
+            return;
+        }
+
+        TemplateLoader::get_instance()->get_template(
+            'media-modal-panel.php',
+            array(),
+            EIP_CUST_PLUGIN_DIR_PATH . '/templates/admin/',
+            true
+        );
+    }
+
     /**
      * Deletes the backup copy of an image when the attachment is deleted.
      *
@@ -226,6 +332,29 @@ class MediaLibraryOptimizer extends Singleton
         return $columns;
     }
 
+    /**
+     * Adds optimization entries to the media library list view bulk actions.
+     *
+     * The actions are processed in the background by eip-backend.js, one
+     * request per selected image.
+     *
+     * @since 1.2.0
+     * @param array $actions Array of bulk actions
+     * @return array Modified array of bulk actions
+     */
+    public function add_bulk_actions($actions)
+    {
+        if (!current_user_can('upload_files')) {
+            return $actions;
+        }
+
+        $actions['awp_io_optimize'] = __('Optimize', 'awp-io');
+        $actions['awp_io_reoptimize'] = __('Re-optimize', 'awp-io');
+        $actions['awp_io_restore'] = __('Restore original', 'awp-io');
+
+        return $actions;
+    }
+
     /**
      * Renders the content for the optimization status column.
      *
@@ -249,11 +378,35 @@ class MediaLibraryOptimizer extends Singleton
             return;
         }
 
+        echo $this->get_optimization_column_html($attachment_id);
+    }
+
+    /**
+     * Generates the optimization controls and statistics for the media library column.
+     *
+     * Also returned by the AJAX handlers, so the column can be refreshed in place.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id ID of the attachment
+     * @return string HTML markup for the column
+     */
+    public function get_optimization_column_html($attachment_id)
+    {
         $is_optimized = get_post_meta($attachment_id, '_awp_io_optimized', true);
         $optimization_data = get_post_meta($attachment_id, '_awp_io_optimization_data', true);
+        $summary = $this->get_optimization_summary($optimization_data);
+        $compression_level = $summary['compression_level'] ?? get_optimizer_settings('compression_level');
+        $job = OptimizationQueue::get_instance()->get_job($attachment_id);
 
+        ob_start();
 ?>
-        <div class="optimization-controls" data-id="<?php echo esc_attr($attachment_id); ?>">
+        <div class="optimization-controls" data-id="<?php echo esc_attr($attachment_id); ?>" data-queue-status="<?php echo esc_attr($job['status'] ?? ''); ?>">
+            <?php if ($job) : ?>
+                <span class="queue-status queue-status-<?php echo esc_attr($job['status']); ?>">
+                    <?php echo esc_html($this->get_queue_status_label($job)); ?>
+                </span>
+            <?php endif; ?>
+
             <?php if ($is_optimized) : ?>
 
                 <?php // Display error if any 
@@ -277,7 +430,17 @@ class MediaLibraryOptimizer extends Singleton
                     <span class="spinner"></span>
                 </button>
 
+                <select class="compression-level" aria-label="<?php esc_attr_e('Compression level', 'awp-io'); ?>">
+                    <?php foreach (ImageOptimizerOptions::get_instance()->get_compression_levels() as $level => $label) : ?>
+                        <option value="<?php echo esc_attr($level); ?>" <?php selected($compression_level, $level); ?>><?php echo esc_html($label); ?></option>
+                    <?php endforeach; ?>
+                </select>
+
                 <?php if ($optimization_data) : ?>
+                    <button class="button compare-image">
+                        <?php _e('Compare', 'awp-io'); ?>
+                    </button>
+
                     <div class="optimization-stats">
                         <?php echo $this->get_optimization_stats($optimization_data); ?>
                     </div>
@@ -290,30 +453,31 @@ class MediaLibraryOptimizer extends Singleton
             <?php endif; ?>
         </div>
         <?php
+
+        return ob_get_clean();
     }
 
     /**
-     * Generates HTML markup for displaying optimization statistics.
+     * Summarizes the optimization data of an image for display.
      *
-     * Calculates and displays:
-     * - Overall size reduction percentage
-     * - WebP conversion status and savings
-     * - JPEG conversion status
-     * - Thumbnail optimization statistics
+     * Savings of the main image and its thumbnails are based on the WebP versions
+     * when every size has one, otherwise on the optimized originals.
      *
-     * @since 1.1.0
+     * @since 1.2.0
      * @param array $optimization_data Array of optimization data for all image sizes
-     * @return string HTML markup for optimization statistics
+     * @return array|null Summary with main image stats, thumbnail percentages and conversion flags, or null without data
      */
-    private function get_optimization_stats($optimization_data)
+    public function get_optimization_summary($optimization_data)
     {
-        if (empty($optimization_data)) {
-            return '';
+        if (empty($optimization_data) || !is_array($optimization_data)) {
+            return null;
         }
 
         $thumbnails = [];
         $has_webp = false;
+        $has_avif = false;
         $converted_to_jpg = false;
+        $compression_level = null;
         $use_webp_savings = true;
 
         // Variables for first non-thumbnail image stats
@@ -365,12 +529,63 @@ class MediaLibraryOptimizer extends Singleton
                 $has_webp = true;
             }
 
+            // Track if any size has AVIF
+            if (isset($data['avif'])) {
+                $has_avif = true;
+            }
+
             // Track if any size was converted to JPG
             if (!empty($data['converted_to_jpg'])) {
                 $converted_to_jpg = true;
             }
+
+            // All sizes are optimized with the same level, older data has none
+            if ($compression_level === null && !empty($data['compression_level'])) {
+                $compression_level = $data['compression_level'];
+            }
         }
 
+        return [
+            'main' => $main_image_stats,
+            'thumbnails' => $thumbnails,
+            'has_webp' => $has_webp,
+            'has_avif' => $has_avif,
+            'converted_to_jpg' => $converted_to_jpg,
+            'compression_level' => $compression_level,
+            'use_webp_savings' => $use_webp_savings,
+        ];
+    }
+
+    /**
+     * Generates HTML markup for displaying optimization statistics.
+     *
+     * Calculates and displays:
+     * - Overall size reduction percentage
+     * - WebP conversion status and savings
+     * - AVIF conversion status
+     * - JPEG conversion status
+     * - Compression level
+     * - Thumbnail optimization statistics
+     *
+     * @since 1.1.0
+     * @param array $optimization_data Array of optimization data for all image sizes
+     * @return string HTML markup for optimization statistics
+     */
+    private function get_optimization_stats($optimization_data)
+    {
+        $summary = $this->get_optimization_summary($optimization_data);
+        if ($summary === null) {
+            return '';
+        }
+
+        $main_image_stats = $summary['main'];
+        $thumbnails = $summary['thumbnails'];
+        $has_webp = $summary['has_webp'];
+        $has_avif = $summary['has_avif'];
+        $converted_to_jpg = $summary['converted_to_jpg'];
+        $compression_level = $this->get_compression_level_label($summary['compression_level']);
+        $use_webp_savings = $summary['use_webp_savings'];
+
         ob_start();
 
         // Only show stats if we found a main image
@@ -398,6 +613,16 @@ class MediaLibraryOptimizer extends Singleton
                         <?php _e('WebP version created', 'awp-io'); ?>
                     </div>
                 <?php endif; ?>
+                <?php if ($has_avif) : ?>
+                    <div class="webp-info avif-info">
+                        <?php _e('AVIF version created', 'awp-io'); ?>
+                    </div>
+                <?php endif; ?>
+                <?php if ($compression_level !== '') : ?>
+                    <div class="compression-info">
+                        <?php printf(__('Compression: %s', 'awp-io'), esc_html($compression_level)); ?>
+                    </div>
+                <?php endif; ?>
                 <?php if (!empty($thumbnails)) : ?>
                     <div class="thumbnail-stats" data-thumbnails='<?php echo esc_attr(json_encode($thumbnails)); ?>'>
                         +<?php echo count($thumbnails); ?> thumbnails optimized
@@ -410,6 +635,42 @@ class MediaLibraryOptimizer extends Singleton
         return ob_get_clean();
     }
 
+    /**
+     * Gets the label of the background optimization state of an image.
+     *
+     * @since 1.2.0
+     * @param array $job Queue job of the image
+     * @return string Label for the media column and the media modal
+     */
+    private function get_queue_status_label($job)
+    {
+        switch ($job['status']) {
+            case OptimizationQueue::STATUS_PROCESSING:
+                return __('Processing…', 'awp-io');
+            case OptimizationQueue::STATUS_FAILED:
+                /* translators: %s: Error message of the last attempt. */
+                return sprintf(__('Background optimization failed: %s', 'awp-io'), $job['last_error']);
+        }
+
+        return (int) $job['attempts'] > 0
+            ? __('Queued for another attempt', 'awp-io')
+            : __('Queued', 'awp-io');
+    }
+
+    /**
+     * Gets the label of a compression level recorded in the optimization data.
+     *
+     * @since 1.2.0
+     * @param string|null $compression_level Compression level
+     * @return string Label, empty for images optimized before levels were recorded
+     */
+    private function get_compression_level_label($compression_level)
+    {
+        $labels = ImageOptimizerOptions::get_instance()->get_compression_levels();
+
+        return $labels[$compression_level] ?? '';
+    }
+
 
     /**
      * Handles AJAX request for single image optimization.
@@ -429,44 +690,154 @@ class MediaLibraryOptimizer extends Singleton
             return;
         }
 
+        $attachment_id = intval($_POST['attachment_id']);
+        $re_optimize = (bool) intval($_POST['is_re_optimize']);
+        $compression_level = sanitize_key($_POST['compression_level'] ?? '');
+
+        $result = $this->optimize_attachment($attachment_id, $re_optimize, $compression_level);
+
+        if (is_wp_error($result)) {
+            $data = ['message' => $result->get_error_message()];
+
+            // A failed optimization is recorded on the attachment, so the column changes as well.
+            if ($result->get_error_code() === 'awp_io_optimization_failed') {
+                $data['column'] = $this->get_optimization_column_html($attachment_id);
+            }
+
+            wp_send_json_error($data);
+            return;
+        }
+
+        $optimization_data = get_post_meta($attachment_id, '_awp_io_optimization_data', true);
+        wp_send_json_success([
+            'message' => $result['message'],
+            'stats' => $this->get_optimization_stats($optimization_data),
+            'column' => $this->get_optimization_column_html($attachment_id)
+        ]);
+    }
+
+    /**
+     * Optimizes a single image, used by the AJAX handler and the REST API.
+     *
+     * @since 1.2.0
+     * @param int    $attachment_id     ID of the attachment
+     * @param bool   $re_optimize       Whether an optimized image is optimized again
+     * @param string $compression_level Optional. One of OptimizationEngine::COMPRESSION_LEVELS, defaults to the setting.
+     * @return array|\WP_Error Array with 'message', or WP_Error with an HTTP status if the image was not optimized
+     */
+    public function optimize_attachment($attachment_id, $re_optimize = false, $compression_level = '')
+    {
         try {
-            $this->sender->validate_api_key();
+            $this->sender->validate();
         } catch (\Exception $e) {
-            wp_send_json_error(['message' => $e->getMessage()]);
+            return new \WP_Error('awp_io_engine_unavailable', $e->getMessage(), ['status' => 400]);
         }
 
-        $attachment_id = intval($_POST['attachment_id']);
-        $re_optimize = (bool) intval($_POST['is_re_optimize']);
-
         // Verify this is an image
         if (!wp_attachment_is_image($attachment_id)) {
-            wp_send_json_error(['message' => __('Not a valid image', 'awp-io')]);
-            return;
+            return new \WP_Error('awp_io_invalid_attachment', __('Not a valid image', 'awp-io'), ['status' => 404]);
         }
 
-
         // Check if image is already optimized
         if ((!$re_optimize) && get_post_meta($attachment_id, '_awp_io_optimized', true)) {
-            wp_send_json_error(['message' => __('Image is already optimized', 'awp-io')]);
-            return;
+            return new \WP_Error('awp_io_already_optimized', __('Image is already optimized', 'awp-io'), ['status' => 409]);
         }
 
         $this->optimization_manager = OptimizationManager::get_instance();
         $this->optimization_manager->initialize($this->fetcher, $this->sender, $this->tracker);
 
-        $result = $this->optimization_manager->optimize_single_image($attachment_id, $re_optimize);
+        $result = $this->optimization_manager->optimize_single_image($attachment_id, $re_optimize, $compression_level);
 
-        if ($result['status'] === 'success') {
-            $optimization_data = get_post_meta($attachment_id, '_awp_io_optimization_data', true);
-            wp_send_json_success([
-                'message' => __('Image optimized successfully', 'awp-io'),
-                'stats' => $this->get_optimization_stats($optimization_data)
-            ]);
-        } else {
-            wp_send_json_error([
-                'message' => $result['message']
-            ]);
+        if ($result['status'] !== 'success') {
+            return new \WP_Error('awp_io_optimization_failed', $result['message'], ['status' => 422]);
+        }
+
+        return ['message' => __('Image optimized successfully', 'awp-io')];
+    }
+
+    /**
+     * Restores an optimized image from its backup, used by the AJAX handler and the REST API.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id ID of the attachment
+     * @return array|\WP_Error Array with 'message', or WP_Error with an HTTP status if the image was not restored
+     */
+    public function restore_attachment($attachment_id)
+    {
+        if (!$this->tracker->restore_image($attachment_id)) {
+            return new \WP_Error('awp_io_restore_failed', __('Failed to restore image', 'awp-io'), ['status' => 422]);
         }
+
+        return ['message' => __('Image restored successfully', 'awp-io')];
+    }
+
+    /**
+     * Collects the optimization data of an image for the REST API.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id ID of the attachment
+     * @return array Optimization status, savings summary, per-size results, failed sizes and queue status
+     */
+    public function get_attachment_data($attachment_id)
+    {
+        $is_optimized = (bool) get_post_meta($attachment_id, '_awp_io_optimized', true);
+        $optimization_data = get_post_meta($attachment_id, '_awp_io_optimization_data', true);
+        $failed_data = get_post_meta($attachment_id, '_awp_io_optimization_failed_data', true);
+        $job = OptimizationQueue::get_instance()->get_job($attachment_id);
+
+        $failed = [];
+        if (is_array($failed_data)) {
+            foreach ($failed_data as $item) {
+                $failed[] = [
+                    'type' => $item['image']['type'] ?? '',
+                    'error' => $item['error'] ?? '',
+                ];
+            }
+        }
+
+        return [
+            'id' => (int) $attachment_id,
+            'optimized' => $is_optimized,
+            'can_restore' => $is_optimized && $this->tracker->backup_exists($attachment_id),
+            'summary' => $this->get_optimization_summary($optimization_data),
+            'sizes' => is_array($optimization_data) ? array_values($optimization_data) : [],
+            'failed' => $failed,
+            'queue' => $job ? [
+                'status' => $job['status'],
+                'attempts' => (int) $job['attempts'],
+                'last_error' => $job['last_error'],
+            ] : null,
+        ];
+    }
+
+    /**
+     * Handles AJAX request for the media column of images being optimized in the background.
+     *
+     * Polled by the media library while images are queued, so their column is
+     * refreshed once the queue worker is done.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function handle_get_optimization_columns()
+    {
+        check_ajax_referer('start_optimization_nonce', 'nonce');
+
+        if (!current_user_can('upload_files')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'awp-io')]);
+            return;
+        }
+
+        $attachment_ids = array_slice(array_filter(array_map('absint', (array) ($_POST['attachment_ids'] ?? []))), 0, 100);
+        $columns = [];
+
+        foreach ($attachment_ids as $attachment_id) {
+            if (wp_attachment_is_image($attachment_id) && current_user_can('edit_post', $attachment_id)) {
+                $columns[$attachment_id] = $this->get_optimization_column_html($attachment_id);
+            }
+        }
+
+        wp_send_json_success(['columns' => $columns]);
     }
 
     /**
@@ -488,14 +859,16 @@ class MediaLibraryOptimizer extends Singleton
         }
 
         $attachment_id = intval($_POST['attachment_id']);
+        $result = $this->restore_attachment($attachment_id);
 
-        if ($this->tracker->restore_image($attachment_id)) {
-            wp_send_json_success([
-                'message' => __('Image restored successfully', 'awp-io')
+        if (is_wp_error($result)) {
+            wp_send_json_error([
+                'message' => $result->get_error_message()
             ]);
         } else {
-            wp_send_json_error([
-                'message' => __('Failed to restore image', 'awp-io')
+            wp_send_json_success([
+                'message' => $result['message'],
+                'column' => $this->get_optimization_column_html($attachment_id)
             ]);
         }
     }
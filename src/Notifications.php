@@ -0,0 +1,581 @@
+<?php
+
+namespace AWP\IO;
+
+use AWP\IO\Admin\ImageOptimizerOptions;
+use AWP\IO\Stats\StatsReport;
+
+/**
+ * Class Notifications
+ *
+ * Tells the site owner about optimization activity by email and webhook.
+ *
+ * Finished bulk, scheduled and WP-CLI runs and errors of the optimization API
+ * are collected for a daily or weekly email digest. API errors, e.g. an invalid
+ * API key or an exhausted quota, stop every optimization, so they are emailed
+ * right away as well, at most once per API_ERROR_INTERVAL for each status code.
+ *
+ * The webhook receives the selected events as JSON. With a secret, the body is
+ * signed with HMAC-SHA256 in the X-AWP-IO-Signature header. image.optimized
+ * events are collected and sent on shutdown without waiting for the responses,
+ * so a slow webhook does not hold up the optimization.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class Notifications extends Singleton
+{
+    /**
+     * WP-Cron hook sending the email digest.
+     *
+     * @var string
+     */
+    public const DIGEST_CRON_HOOK = 'awp_io_send_notification_digest';
+
+    /**
+     * Supported email digest schedules.
+     *
+     * @var array
+     */
+    public const DIGEST_SCHEDULES = ['off', 'daily', 'weekly'];
+
+    /**
+     * Events the webhook can receive.
+     *
+     * @var array
+     */
+    public const WEBHOOK_EVENTS = ['image.optimized', 'run.completed', 'api.error'];
+
+    /**
+     * Option name used to collect the activity for the next digest.
+     *
+     * @var string
+     */
+    private const DIGEST_OPTION_NAME = 'awp_io_notification_digest';
+
+    /**
+     * Number of runs listed in a digest.
+     *
+     * @var int
+     */
+    private const DIGEST_RUNS = 20;
+
+    /**
+     * Number of error messages listed in a digest.
+     *
+     * @var int
+     */
+    private const DIGEST_ERROR_SAMPLES = 10;
+
+    /**
+     * Seconds before the same API error is sent again.
+     *
+     * @var int
+     */
+    private const API_ERROR_INTERVAL = 12 * HOUR_IN_SECONDS;
+
+    /**
+     * Data of the image.optimized events of this request, sent on shutdown.
+     *
+     * @var array
+     */
+    private $pending_images = [];
+
+    /**
+     * Constructor.
+     *
+     * Sets up the hooks of the reported events, the digest cron hook and the
+     * AJAX hook of the test notification.
+     */
+    public function __construct()
+    {
+        add_action('awp_image_optimization_completed', [$this, 'handle_image_optimized'], 20, 2);
+        add_action('awp_io_run_completed', [$this, 'handle_run_completed'], 10, 2);
+        add_action('awp_io_api_error', [$this, 'handle_api_error'], 10, 2);
+        add_action(self::DIGEST_CRON_HOOK, [$this, 'send_digest']);
+        add_filter('cron_schedules', [$this, 'add_weekly_schedule']);
+        add_action('update_option_' . ImageOptimizerOptions::IMAGE_OPTIMIZER_SETTINGS, [$this, 'handle_settings_update'], 10, 2);
+        add_action('admin_init', [$this, 'maybe_schedule_digest']);
+        add_action('wp_ajax_awp_io_test_notifications', [$this, 'handle_test_notifications']);
+    }
+
+    /**
+     * Register the weekly cron schedule of the digest.
+     *
+     * WordPress only defines it since 5.4.
+     *
+     * @since 1.2.0
+     * @param array $schedules Registered cron schedules
+     * @return array Cron schedules including 'weekly'
+     */
+    public function add_weekly_schedule($schedules)
+    {
+        if (!isset($schedules['weekly'])) {
+            $schedules['weekly'] = [
+                'interval' => WEEK_IN_SECONDS,
+                'display' => __('Once Weekly', 'awp-io'),
+            ];
+        }
+
+        return $schedules;
+    }
+
+    /**
+     * Queue the webhook for an optimized image.
+     *
+     * A bulk batch optimizes several images, their events are sent together on
+     * shutdown.
+     *
+     * @since 1.2.0
+     * @param int   $attachment_id     WordPress attachment ID
+     * @param array $optimization_data Optimization data of the processed sizes
+     * @return void
+     */
+    public function handle_image_optimized($attachment_id, $optimization_data)
+    {
+        if (!$this->is_webhook_event_enabled('image.optimized')) {
+            return;
+        }
+
+        if (empty($this->pending_images)) {
+            add_action('shutdown', [$this, 'send_pending_webhooks']);
+        }
+
+        $this->pending_images[] = [
+            'attachment_id' => (int) $attachment_id,
+            'file' => basename((string) get_attached_file($attachment_id)),
+            'sizes' => count($optimization_data),
+            'bytes_saved' => OptimizationManager::get_instance()->get_bytes_saved($optimization_data),
+        ];
+    }
+
+    /**
+     * Send the image.optimized events queued in this request.
+     *
+     * The requests are sent without waiting for the responses.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function send_pending_webhooks()
+    {
+        $pending_images = $this->pending_images;
+        $this->pending_images = [];
+
+        foreach ($pending_images as $data) {
+            $this->send_webhook('image.optimized', $data, false);
+        }
+    }
+
+    /**
+     * Report a finished run in the digest and to the webhook.
+     *
+     * Runs that found nothing to optimize are not reported.
+     *
+     * @since 1.2.0
+     * @param string $source  'bulk', 'scheduled' or 'cli'
+     * @param array  $summary Run summary, see the awp_io_run_completed action
+     * @return void
+     */
+    public function handle_run_completed($source, $summary)
+    {
+        $summary = [
+            'source' => $source,
+            'status' => $summary['status'] ?? 'completed',
+            'processed' => (int) ($summary['processed'] ?? 0),
+            'optimized' => (int) ($summary['optimized'] ?? 0),
+            'errors' => (int) ($summary['errors'] ?? 0),
+            'bytes_saved' => (int) ($summary['bytes_saved'] ?? 0),
+            'error_samples' => $summary['error_samples'] ?? [],
+            'message' => $summary['message'] ?? '',
+            'started_at' => (int) ($summary['started_at'] ?? 0),
+            'finished_at' => (int) ($summary['finished_at'] ?? time()),
+        ];
+
+        if ($summary['processed'] === 0 && $summary['status'] === 'completed') {
+            return;
+        }
+
+        if ($this->is_digest_enabled()) {
+            $digest = $this->get_digest();
+            $digest['runs'] = array_slice(array_merge([$summary], $digest['runs']), 0, self::DIGEST_RUNS);
+            update_option(self::DIGEST_OPTION_NAME, $digest, false);
+        }
+
+        if ($this->is_webhook_event_enabled('run.completed')) {
+            $this->send_webhook('run.completed', $summary);
+        }
+    }
+
+    /**
+     * Report an error of the optimization API.
+     *
+     * Every error is counted for the digest, the email and the webhook are only
+     * sent once per API_ERROR_INTERVAL for each status code.
+     *
+     * @since 1.2.0
+     * @param string $message       Error message of the server
+     * @param int    $response_code HTTP status code of the response
+     * @return void
+     */
+    public function handle_api_error($message, $response_code)
+    {
+        if ($this->is_digest_enabled()) {
+            $digest = $this->get_digest();
+            $key = (string) $response_code;
+            $digest['api_errors'][$key] = [
+                'message' => $message,
+                'count' => ($digest['api_errors'][$key]['count'] ?? 0) + 1,
+                'last_at' => time(),
+            ];
+            update_option(self::DIGEST_OPTION_NAME, $digest, false);
+        }
+
+        $transient = 'awp_io_api_error_notified_' . (int) $response_code;
+        if (get_transient($transient)) {
+            return;
+        }
+
+        set_transient($transient, time(), self::API_ERROR_INTERVAL);
+
+        if ($this->is_digest_enabled()) {
+            $this->send_email(
+                __('Image optimization is failing', 'awp-io'),
+                [
+                    __('The optimization API returned an error, images are not optimized until it is resolved:', 'awp-io'),
+                    '',
+                    sprintf('%s (HTTP %d)', $message, $response_code),
+                    '',
+                    sprintf(__('Check the API key and your plan in the plugin settings: %s', 'awp-io'), $this->get_settings_url()),
+                ]
+            );
+        }
+
+        if ($this->is_webhook_event_enabled('api.error')) {
+            $this->send_webhook('api.error', [
+                'message' => $message,
+                'response_code' => (int) $response_code,
+            ]);
+        }
+    }
+
+    /**
+     * Send the email digest from WP-Cron.
+     *
+     * Nothing is sent if there was no activity since the last digest.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function send_digest()
+    {
+        if (!$this->is_digest_enabled()) {
+            return;
+        }
+
+        $digest = $this->get_digest();
+        $totals = StatsReport::get_instance()->get_totals_since($digest['since']);
+
+        // Start the next digest before sending, so nothing is reported twice.
+        update_option(self::DIGEST_OPTION_NAME, ['since' => time(), 'runs' => [], 'api_errors' => []], false);
+
+        if ($totals['images'] === 0 && empty($digest['runs']) && empty($digest['api_errors'])) {
+            return;
+        }
+
+        $date_format = get_option('date_format') . ' ' . get_option('time_format');
+        $lines = [
+            sprintf(__('Image optimization on %1$s since %2$s:', 'awp-io'), home_url(), wp_date($date_format, $digest['since'])),
+            '',
+            sprintf(__('Images optimized: %d', 'awp-io'), $totals['images']),
+            sprintf(__('Saved: %s', 'awp-io'), size_format($totals['saved_bytes'], 2)),
+            sprintf(__('Saved by WebP versions: %s', 'awp-io'), size_format($totals['webp_saved_bytes'], 2)),
+            sprintf(__('Saved by AVIF versions: %s', 'awp-io'), size_format($totals['avif_saved_bytes'], 2)),
+        ];
+
+        if (!empty($digest['runs'])) {
+            $lines[] = '';
+            $lines[] = __('Runs:', 'awp-io');
+
+            foreach ($digest['runs'] as $run) {
+                $lines[] = sprintf(
+                    __('- %1$s %2$s run, %3$s: %4$d images processed, %5$d optimized, %6$d failed, %7$s saved', 'awp-io'),
+                    wp_date($date_format, $run['finished_at']),
+                    $run['source'],
+                    $run['status'],
+                    $run['processed'],
+                    $run['optimized'],
+                    $run['errors'],
+                    size_format($run['bytes_saved'], 2)
+                );
+            }
+        }
+
+        $error_samples = array_slice(array_merge(...array_column($digest['runs'], 'error_samples')), 0, self::DIGEST_ERROR_SAMPLES);
+        if (!empty($error_samples)) {
+            $lines[] = '';
+            $lines[] = __('Errors:', 'awp-io');
+
+            foreach ($error_samples as $error) {
+                $lines[] = sprintf(__('- Image ID %1$d: %2$s', 'awp-io'), $error['id'], $error['message']);
+            }
+        }
+
+        if (!empty($digest['api_errors'])) {
+            $lines[] = '';
+            $lines[] = __('API errors:', 'awp-io');
+
+            foreach ($digest['api_errors'] as $response_code => $error) {
+                $lines[] = sprintf(__('- %1$s (HTTP %2$d), %3$d times', 'awp-io'), $error['message'], $response_code, $error['count']);
+            }
+        }
+
+        $lines[] = '';
+        $lines[] = sprintf(__('Settings: %s', 'awp-io'), $this->get_settings_url());
+
+        $this->send_email(__('Image optimization digest', 'awp-io'), $lines);
+    }
+
+    /**
+     * Reschedule the digest when its schedule was changed.
+     *
+     * @since 1.2.0
+     * @param mixed $old_settings Settings before the update
+     * @param mixed $settings     Settings after the update
+     * @return void
+     */
+    public function handle_settings_update($old_settings, $settings)
+    {
+        if (($old_settings['notification_email_digest'] ?? 'off') !== ($settings['notification_email_digest'] ?? 'off')) {
+            $this->reschedule_digest();
+        }
+    }
+
+    /**
+     * Schedule the digest, unless it is scheduled already.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function maybe_schedule_digest()
+    {
+        if ($this->is_digest_enabled() && !wp_next_scheduled(self::DIGEST_CRON_HOOK)) {
+            $this->reschedule_digest();
+        }
+    }
+
+    /**
+     * Schedule the digest to match the current settings.
+     *
+     * The first digest is sent one day or week from now.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function reschedule_digest()
+    {
+        wp_clear_scheduled_hook(self::DIGEST_CRON_HOOK);
+
+        if (!$this->is_digest_enabled()) {
+            delete_option(self::DIGEST_OPTION_NAME);
+            return;
+        }
+
+        // Collect the activity from now on, unless a digest is being collected already.
+        add_option(self::DIGEST_OPTION_NAME, ['since' => time(), 'runs' => [], 'api_errors' => []], '', 'no');
+
+        $recurrence = get_optimizer_settings('notification_email_digest');
+        $interval = $recurrence === 'weekly' ? WEEK_IN_SECONDS : DAY_IN_SECONDS;
+
+        wp_schedule_event(time() + $interval, $recurrence, self::DIGEST_CRON_HOOK);
+    }
+
+    /**
+     * Handle the AJAX request sending a test email and webhook.
+     *
+     * Uses the saved settings, so changes have to be saved first.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function handle_test_notifications()
+    {
+        check_ajax_referer('start_optimization_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'awp-io')]);
+            return;
+        }
+
+        $messages = [];
+
+        $sent = $this->send_email(
+            __('Test notification', 'awp-io'),
+            [sprintf(__('Notifications of %s are sent to this address.', 'awp-io'), home_url())]
+        );
+        $messages[] = $sent
+            ? sprintf(__('Test email sent to %s.', 'awp-io'), $this->get_email())
+            : __('The test email could not be sent.', 'awp-io');
+
+        if (get_optimizer_settings('notification_webhook_url') !== '') {
+            $response = $this->send_webhook('test', ['message' => 'Test notification']);
+
+            if (is_wp_error($response)) {
+                wp_send_json_error(['message' => sprintf(__('Webhook request failed: %s', 'awp-io'), $response->get_error_message())]);
+                return;
+            }
+
+            $response_code = wp_remote_retrieve_response_code($response);
+            if ($response_code < 200 || $response_code >= 300) {
+                wp_send_json_error(['message' => sprintf(__('The webhook responded with HTTP %d.', 'awp-io'), $response_code)]);
+                return;
+            }
+
+            $messages[] = sprintf(__('The webhook responded with HTTP %d.', 'awp-io'), $response_code);
+        }
+
+        wp_send_json_success(['message' => implode(' ', $messages)]);
+    }
+
+    /**
+     * Send an event to the webhook.
+     *
+     * @since 1.2.0
+     * @param string      $event    Event name, one of WEBHOOK_EVENTS or 'test'
+     * @param array       $data     Event data
+     * @param bool        $blocking Optional. Whether to wait for the response, default true.
+     * @param string|null $url      Optional. URL to send the event to instead of the saved webhook URL.
+     * @return array|\WP_Error|null Response, WP_Error if the request failed, or null without a webhook URL.
+     *                              Responses of non-blocking requests have no status code.
+     *
+     * @filter awp_io_webhook_request_args Filters the arguments of the webhook request
+     *         @param array  $args  Request arguments passed to wp_remote_post()
+     *         @param string $event Event name
+     *         @param array  $data  Event data
+     */
+    public function send_webhook($event, $data, $blocking = true, $url = null)
+    {
+        $url = $url ?? get_optimizer_settings('notification_webhook_url');
+        if ($url === '') {
+            return null;
+        }
+
+        $body = wp_json_encode([
+            'event' => $event,
+            'site_url' => home_url(),
+            'timestamp' => time(),
+            'data' => $data,
+        ]);
+
+        $headers = [
+            'Content-Type' => 'application/json',
+            'X-AWP-IO-Event' => $event,
+        ];
+
+        $secret = get_optimizer_settings('notification_webhook_secret');
+        if ($secret !== '') {
+            $headers['X-AWP-IO-Signature'] = 'sha256=' . hash_hmac('sha256', $body, $secret);
+        }
+
+        $args = apply_filters('awp_io_webhook_request_args', [
+            'timeout' => 5,
+            'blocking' => $blocking,
+            'headers' => $headers,
+            'body' => $body,
+        ], $event, $data);
+
+        // Not wp_safe_remote_post(), so webhooks on the local network or localhost can be used.
+        $response = wp_remote_post($url, $args);
+
+        if (is_wp_error($response)) {
+            error_log("Webhook request for {$event} failed: " . $response->get_error_message());
+        } elseif (wp_remote_retrieve_response_code($response) >= 300) {
+            error_log("Webhook request for {$event} failed with status: " . wp_remote_retrieve_response_code($response));
+        }
+
+        return $response;
+    }
+
+    /**
+     * Check whether the email digest is enabled.
+     *
+     * @since 1.2.0
+     * @return bool True if a digest schedule is selected
+     */
+    private function is_digest_enabled()
+    {
+        return in_array(get_optimizer_settings('notification_email_digest'), ['daily', 'weekly'], true);
+    }
+
+    /**
+     * Check whether the webhook receives an event.
+     *
+     * @since 1.2.0
+     * @param string $event Event name
+     * @return bool True if a webhook URL is set and the event is selected
+     */
+    private function is_webhook_event_enabled($event)
+    {
+        $events = get_optimizer_settings('notification_webhook_events');
+
+        return get_optimizer_settings('notification_webhook_url') !== ''
+            && is_array($events)
+            && in_array($event, $events, true);
+    }
+
+    /**
+     * Get the activity collected for the next digest.
+     *
+     * @since 1.2.0
+     * @return array Array with 'since' timestamp, 'runs' and 'api_errors' keyed by status code
+     */
+    private function get_digest()
+    {
+        $digest = get_option(self::DIGEST_OPTION_NAME, []);
+
+        return wp_parse_args(is_array($digest) ? $digest : [], [
+            'since' => time(),
+            'runs' => [],
+            'api_errors' => [],
+        ]);
+    }
+
+    /**
+     * Get the address notifications are sent to.
+     *
+     * @since 1.2.0
+     * @return string Email address, the admin email address if none is set
+     */
+    private function get_email()
+    {
+        return get_optimizer_settings('notification_email') ?: get_option('admin_email');
+    }
+
+    /**
+     * Send a plain text notification email.
+     *
+     * @since 1.2.0
+     * @param string $subject Subject, prefixed with the site name
+     * @param array  $lines   Lines of the message
+     * @return bool True if the email was accepted for delivery
+     */
+    private function send_email($subject, $lines)
+    {
+        return wp_mail(
+            $this->get_email(),
+            sprintf('[%s] %s', wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES), $subject),
+            implode("\n", $lines)
+        );
+    }
+
+    /**
+     * Get the URL of the plugin settings page.
+     *
+     * @since 1.2.0
+     * @return string Settings page URL
+     */
+    private function get_settings_url()
+    {
+        return admin_url('options-general.php?page=effective-image-optimizer');
+    }
+}
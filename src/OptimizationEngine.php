@@ -0,0 +1,54 @@
+<?php
+
+namespace AWP\IO;
+
+/**
+ * Interface OptimizationEngine
+ *
+ * An engine optimizes the files of an attachment and returns one result per file
+ * in the shape OptimizationManager::process_optimization_results() expects:
+ *
+ * - 'file_name', 'image_type' ('full', 'original' or 'thumbnail') and 'image_size'
+ * - 'original_size', 'optimized_size', 'bytes_saved' and 'percent_saved'
+ * - 'optimized_content', the base64 encoded optimized file
+ * - 'converted_to_jpg', true if 'optimized_content' is a JPEG of a PNG
+ * - 'dimensions' with 'width' and 'height', if the image was resized
+ * - 'webp' and 'avif' with 'content', 'size', 'bytes_saved' and 'percent_saved', if created
+ *
+ * or 'error' and 'image' for a file that could not be optimized.
+ *
+ * The remote API (ImageSender) and the local engine (LocalOptimizer) are built in,
+ * other engines can be added with the awp_io_optimization_engine filter.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+interface OptimizationEngine
+{
+    /**
+     * Supported compression levels, from the lowest to the highest compression.
+     *
+     * @var array
+     */
+    public const COMPRESSION_LEVELS = ['lossless', 'glossy', 'lossy'];
+
+    /**
+     * Check that the engine can optimize images.
+     *
+     * @since 1.2.0
+     * @return void
+     * @throws \Exception If the engine is not usable, e.g. because of an invalid API key
+     */
+    public function validate();
+
+    /**
+     * Optimize the files of an attachment.
+     *
+     * @since 1.2.0
+     * @param int    $attachment_id     WordPress attachment ID
+     * @param array  $images            Files from ImageFetcher::get_attachment_images()
+     * @param string $compression_level One of COMPRESSION_LEVELS
+     * @return array One result per file
+     */
+    public function send_images($attachment_id, $images, $compression_level);
+}
@@ -22,9 +22,9 @@ class OptimizationManager extends Singleton
     private $fetcher;
 
     /**
-     * Image sender service instance.
+     * Optimization engine service instance.
      *
-     * @var ImageSender
+     * @var OptimizationEngine
      */
     private $sender;
 
@@ -42,15 +42,22 @@ class OptimizationManager extends Singleton
      */
     private $processed_count = 0;
 
+    /**
+     * Maximum number of concurrent bulk optimization workers.
+     *
+     * @var int
+     */
+    public const MAX_CONCURRENCY = 8;
+
     /**
      * Initializes required service instances.
      *
      * @since 1.0.0
      * @param ImageFetcher $fetcher Image fetcher service instance
-     * @param ImageSender $sender Image sender service instance
+     * @param OptimizationEngine $sender Optimization engine service instance
      * @param ImageTracker $tracker Image tracker service instance
      */
-    public function initialize(ImageFetcher $fetcher, ImageSender $sender, ImageTracker $tracker)
+    public function initialize(ImageFetcher $fetcher, OptimizationEngine $sender, ImageTracker $tracker)
     {
         $this->fetcher = $fetcher;
         $this->sender = $sender;
@@ -69,25 +76,50 @@ class OptimizationManager extends Singleton
         return $this->processed_count;
     }
 
+    /**
+     * Gets the compression level images are optimized with.
+     *
+     * @since 1.2.0
+     * @param string|null $compression_level Optional. Level chosen for a single image, the setting is used if empty or invalid.
+     * @return string One of OptimizationEngine::COMPRESSION_LEVELS
+     */
+    public function get_compression_level($compression_level = null)
+    {
+        if (in_array($compression_level, OptimizationEngine::COMPRESSION_LEVELS, true)) {
+            return $compression_level;
+        }
+
+        $setting = get_optimizer_settings('compression_level');
+
+        return in_array($setting, OptimizationEngine::COMPRESSION_LEVELS, true) ? $setting : 'lossy';
+    }
+
     /**
      * Optimizes a batch of unoptimized images from the media library.
      *
      * Processes multiple images in a single batch, handling optimization,
      * WebP conversion, and metadata updates for each image and its thumbnails.
+     * Images are claimed before processing, so concurrent workers never
+     * optimize the same attachment.
      *
      * @since 1.0.0
+     * @param bool                   $re_optimize Whether to re-optimize already optimized images
+     * @param OptimizationScope|null $scope       Optional. Restricts the batch to part of the media library.
+     * @param int|null               $limit       Optional. Maximum number of images, defaults to the batch size.
+     * @param array                  $exclude_ids Optional. Attachment IDs to skip, e.g. images that failed earlier in the run.
      * @return array Array of optimization results for each processed image
      */
-    public function optimize_batch($re_optimize = false)
+    public function optimize_batch($re_optimize = false, $scope = null, $limit = null, $exclude_ids = [])
     {
-        $attachment_ids = $this->fetcher->get_unoptimized_images($re_optimize);
+        $attachment_ids = $this->claim_batch($re_optimize, $scope, $limit, $exclude_ids);
+        $compression_level = $this->get_compression_level();
         $results = [];
 
         if (!empty($attachment_ids)) {
             foreach ($attachment_ids as $attachment_id) {
                 try {
                     $images = $this->fetcher->get_attachment_images($attachment_id);
-                    $optimization_results = $this->sender->send_images($attachment_id, $images);
+                    $optimization_results = $this->sender->send_images($attachment_id, $images, $compression_level);
 
 
                     $has_errors = false;
@@ -111,7 +143,7 @@ class OptimizationManager extends Singleton
                         $this->tracker->create_backup($attachment_id);
                     }
 
-                    $this->process_optimization_results($attachment_id, $optimization_results);
+                    $optimization_data = $this->process_optimization_results($attachment_id, $optimization_results, $compression_level);
                     $this->processed_count++;
 
                     // Track processed image during re-optimization
@@ -124,6 +156,7 @@ class OptimizationManager extends Singleton
                             'id' => $attachment_id,
                             'status' => 'success',
                             'message' => 'Images optimized successfully',
+                            'bytes_saved' => $this->get_bytes_saved($optimization_data),
                         ];
                     }
                 } catch (\Exception $e) {
@@ -133,6 +166,8 @@ class OptimizationManager extends Singleton
                         'message' => $e->getMessage(),
                     ];
                     error_log("Image optimization failed for ID {$attachment_id}: " . $e->getMessage());
+                } finally {
+                    $this->tracker->release_attachment($attachment_id);
                 }
             }
         }
@@ -140,6 +175,52 @@ class OptimizationManager extends Singleton
         return $results;
     }
 
+    /**
+     * Claims the next batch of images for the current worker.
+     *
+     * Fetches more candidates than the batch size, since other workers may claim
+     * some of them between the query and the claim. A claimed image is checked
+     * again, as another worker may have finished it in the meantime.
+     *
+     * @since 1.2.0
+     * @param bool                   $re_optimize Whether to claim images for re-optimization
+     * @param OptimizationScope|null $scope       Restricts the batch to part of the media library
+     * @param int|null               $limit       Maximum number of images, null for the batch size
+     * @param array                  $exclude_ids Attachment IDs to skip
+     * @return array Array of claimed attachment IDs
+     */
+    private function claim_batch($re_optimize, $scope, $limit = null, $exclude_ids = [])
+    {
+        $this->tracker->release_stale_claims();
+
+        $batch_size = $limit === null ? $this->fetcher->get_batch_size() : min($limit, $this->fetcher->get_batch_size());
+        if ($batch_size < 1) {
+            return [];
+        }
+
+        // Excluded images are still returned by the query, fetch enough candidates to skip them.
+        $candidates = $this->fetcher->get_unoptimized_images($re_optimize, $batch_size + self::MAX_CONCURRENCY + count($exclude_ids), $scope);
+        $claimed = [];
+
+        foreach ($candidates as $attachment_id) {
+            if (in_array((int) $attachment_id, $exclude_ids, true) || !$this->tracker->claim_attachment($attachment_id)) {
+                continue;
+            }
+
+            if (!$this->fetcher->needs_optimization($attachment_id, $re_optimize)) {
+                $this->tracker->release_attachment($attachment_id);
+                continue;
+            }
+
+            $claimed[] = $attachment_id;
+            if (count($claimed) >= $batch_size) {
+                break;
+            }
+        }
+
+        return $claimed;
+    }
+
     /**
      * Resets optimization data for images that previously failed optimization.
      *
@@ -189,7 +270,8 @@ class OptimizationManager extends Singleton
                 $this->tracker->create_backup($attachment_id);
             }
 
-            $optimization_results = $this->sender->send_images($attachment_id, $images);
+            $compression_level = $this->get_compression_level();
+            $optimization_results = $this->sender->send_images($attachment_id, $images, $compression_level);
 
             if (isset($optimization_results[0]['error'])) {
                 /*error_log("Image optimization failed for ID {$attachment_id}: " . $optimization_results[0]['error']);
@@ -200,7 +282,7 @@ class OptimizationManager extends Singleton
                 ];*/
             }
 
-            $this->process_optimization_results($attachment_id, $optimization_results);
+            $this->process_optimization_results($attachment_id, $optimization_results, $compression_level);
             return [
                 'id' => $attachment_id,
                 'status' => 'success',
@@ -225,10 +307,13 @@ class OptimizationManager extends Singleton
      * @since 1.0.0
      * @param int $attachment_id WordPress attachment ID to optimize
      * @param bool $re_optimize Whether to attempt re-optimization of the image
+     * @param string|null $compression_level Optional. Compression level for this image, defaults to the setting
      * @return array Optimization result containing status and message
      */
-    public function optimize_single_image($attachment_id, $re_optimize = false)
+    public function optimize_single_image($attachment_id, $re_optimize = false, $compression_level = null)
     {
+        $compression_level = $this->get_compression_level($compression_level);
+
         try {
             $images = $this->fetcher->get_attachment_images($attachment_id);
 
@@ -241,7 +326,7 @@ class OptimizationManager extends Singleton
                 $this->tracker->create_backup($attachment_id);
             }
 
-            $optimization_results = $this->sender->send_images($attachment_id, $images);
+            $optimization_results = $this->sender->send_images($attachment_id, $images, $compression_level);
 
             // Check for errors in optimization_results
             $has_errors = false;
@@ -256,7 +341,7 @@ class OptimizationManager extends Singleton
             }
 
             // Process optimization results if no errors
-            $this->process_optimization_results($attachment_id, $optimization_results);
+            $optimization_data = $this->process_optimization_results($attachment_id, $optimization_results, $compression_level);
 
             // If there are errors, return an error response
             if ($has_errors) {
@@ -271,6 +356,7 @@ class OptimizationManager extends Singleton
                 'id' => $attachment_id,
                 'status' => 'success',
                 'message' => 'Image optimized successfully',
+                'bytes_saved' => $this->get_bytes_saved($optimization_data),
             ];
         } catch (\Exception $e) {
             error_log("Image optimization failed for ID {$attachment_id}: " . $e->getMessage());
@@ -287,6 +373,7 @@ class OptimizationManager extends Singleton
      * Handles the optimization results for an image and its thumbnails, including:
      * - Saving optimized images
      * - Creating WebP versions
+     * - Creating AVIF versions, locally if the server did not return one
      * - Updating image dimensions
      * - Converting PNG to JPG if requested
      * - Updating WordPress attachment metadata
@@ -294,9 +381,10 @@ class OptimizationManager extends Singleton
      * @since 1.0.0
      * @param int $attachment_id WordPress attachment ID
      * @param array $results Array of optimization results for each image size
-     * @return void
+     * @param string $compression_level Compression level the images were optimized with
+     * @return array Optimization data of the processed sizes
      */
-    private function process_optimization_results($attachment_id, $results)
+    private function process_optimization_results($attachment_id, $results, $compression_level)
     {
         $optimization_data = [];
         $base_path = get_attached_file($attachment_id);
@@ -313,12 +401,14 @@ class OptimizationManager extends Singleton
 
         $has_error = false;
         $failed_results = [];
+        $create_avif = get_optimizer_settings('next_gen_avif_images') === 'yes';
 
         foreach ($results as $result) {
             $temp_result = $result;
 
             unset($temp_result['optimized_content']);
             unset($temp_result['webp']['content']);
+            unset($temp_result['avif']['content']);
             $failed_results[] = $temp_result;
 
             if (isset($result['error'])) {
@@ -333,7 +423,8 @@ class OptimizationManager extends Singleton
                 'percent_saved' => $result['percent_saved'],
                 'image_size' => $result['image_size'],
                 'file_name' => $result['file_name'],
-                'converted_to_jpg' => $result['converted_to_jpg'] ?? false
+                'converted_to_jpg' => $result['converted_to_jpg'] ?? false,
+                'compression_level' => $compression_level
             ];
 
             // Update dimensions if they were changed during resize
@@ -376,6 +467,19 @@ class OptimizationManager extends Singleton
                 file_put_contents($webp_path, base64_decode($result['webp']['content']));
             }
 
+            // Handle AVIF version if it exists
+            if (isset($result['avif'])) {
+                $size_data['avif'] = [
+                    'file_name' => pathinfo($result['file_name'], PATHINFO_FILENAME) . '.avif',
+                    'bytes_saved' => $result['avif']['bytes_saved'],
+                    'percent_saved' => $result['avif']['percent_saved'],
+                    'size' => $result['avif']['size']
+                ];
+                // Save AVIF file
+                $avif_path = $upload_dir . '/' . $size_data['avif']['file_name'];
+                file_put_contents($avif_path, base64_decode($result['avif']['content']));
+            }
+
             // Determine paths and save both versions when converted
             if ($result['image_type'] === 'full' || $result['image_type'] === 'original') {
                 $file_path = $base_path;
@@ -421,6 +525,17 @@ class OptimizationManager extends Singleton
                 }
             }
 
+            // Create the AVIF version from the delivered file if the server did not return one
+            if ($create_avif && !isset($size_data['avif'])) {
+                $delivered_path = isset($size_data['jpg_path'])
+                    ? wp_get_upload_dir()['basedir'] . '/' . $size_data['jpg_path']
+                    : $file_path;
+                $avif = $this->create_avif_version($delivered_path, $result['original_size']);
+                if ($avif !== null) {
+                    $size_data['avif'] = $avif;
+                }
+            }
+
             $optimization_data[] = $size_data;
         }
 
@@ -439,10 +554,71 @@ class OptimizationManager extends Singleton
             $metadata['webp_enabled'] = true;
         }
 
+        // Add AVIF information to metadata if exists
+        if (isset($optimization_data[0]['avif'])) {
+            $metadata['avif_enabled'] = true;
+        }
+
         // Update the attachment metadata
         wp_update_attachment_metadata($attachment_id, $metadata);
 
         // Action Hook
         do_action('awp_image_optimization_completed', $attachment_id, $optimization_data);
+
+        return $optimization_data;
+    }
+
+    /**
+     * Gets the bytes saved by an optimization, including the WebP versions.
+     *
+     * @since 1.2.0
+     * @param array $optimization_data Optimization data of the processed sizes
+     * @return int Bytes saved
+     */
+    public function get_bytes_saved($optimization_data)
+    {
+        $bytes_saved = 0;
+
+        foreach ($optimization_data as $size_data) {
+            $bytes_saved += (int) ($size_data['total_saved'] ?? 0) + (int) ($size_data['webp']['bytes_saved'] ?? 0);
+        }
+
+        return $bytes_saved;
+    }
+
+    /**
+     * Create the AVIF version of an optimized image next to it.
+     *
+     * @since 1.2.0
+     * @param string $file_path     Absolute path of the optimized image
+     * @param int    $original_size Size of the unoptimized image in bytes, savings are relative to it
+     * @return array|null AVIF data as stored in the optimization data, or null if no AVIF was created
+     */
+    private function create_avif_version($file_path, $original_size)
+    {
+        $converter = new AvifConverter();
+        if (!$converter->is_supported()) {
+            return null;
+        }
+
+        $avif_path = dirname($file_path) . '/' . pathinfo($file_path, PATHINFO_FILENAME) . '.avif';
+        if (!$converter->convert($file_path, $avif_path)) {
+            return null;
+        }
+
+        $avif_size = filesize($avif_path);
+
+        // An AVIF larger than the original is of no use.
+        if ($original_size > 0 && $avif_size >= $original_size) {
+            wp_delete_file($avif_path);
+            return null;
+        }
+
+        return [
+            'file_name' => basename($avif_path),
+            'bytes_saved' => $original_size - $avif_size,
+            'percent_saved' => $original_size > 0 ? round((($original_size - $avif_size) / $original_size) * 100, 2) : 0,
+            'size' => $avif_size,
+        ];
     }
 }
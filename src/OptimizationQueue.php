@@ -0,0 +1,501 @@
+<?php
+
+namespace AWP\IO;
+
+/**
+ * Class OptimizationQueue
+ *
+ * Persistent queue of images optimized in the background, so uploads are not
+ * blocked by optimization requests. Jobs are processed by a WP-Cron worker that
+ * reschedules itself while jobs are left, or drained with `wp awp-io queue run`.
+ *
+ * A worker claims a job by switching it to processing in a single update, and
+ * claims the attachment like the bulk workers do, so no image is optimized twice.
+ * Failed jobs are retried with an increasing delay, jobs that failed every
+ * attempt are kept with their last error until they are retried or cleared.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class OptimizationQueue extends Singleton
+{
+    /**
+     * WP-Cron hook of the queue worker.
+     *
+     * @var string
+     */
+    public const CRON_HOOK = 'awp_io_process_queue';
+
+    /**
+     * Job waits for a worker.
+     *
+     * @var string
+     */
+    public const STATUS_QUEUED = 'queued';
+
+    /**
+     * Job is being optimized by a worker.
+     *
+     * @var string
+     */
+    public const STATUS_PROCESSING = 'processing';
+
+    /**
+     * Job failed every attempt.
+     *
+     * @var string
+     */
+    public const STATUS_FAILED = 'failed';
+
+    /**
+     * Supported job statuses.
+     *
+     * @var array
+     */
+    public const STATUSES = [self::STATUS_QUEUED, self::STATUS_PROCESSING, self::STATUS_FAILED];
+
+    /**
+     * Number of attempts before a job is marked as failed.
+     *
+     * @var int
+     */
+    private const MAX_ATTEMPTS = 3;
+
+    /**
+     * Delay in seconds before the first retry, doubled for every further attempt.
+     *
+     * @var int
+     */
+    private const RETRY_DELAY = 60;
+
+    /**
+     * Seconds a cron worker processes jobs before it hands over to the next run.
+     *
+     * @var int
+     */
+    private const TIME_LIMIT = 20;
+
+    /**
+     * Age in seconds after which a processing job is considered abandoned.
+     *
+     * @var int
+     */
+    private const STALE_AFTER = 600;
+
+    /**
+     * WordPress database instance.
+     *
+     * @var \wpdb
+     */
+    private $db;
+
+    /**
+     * Constructor.
+     *
+     * Sets up the cron worker and removes the jobs of deleted attachments.
+     */
+    public function __construct()
+    {
+        global $wpdb;
+        $this->db = $wpdb;
+
+        add_action(self::CRON_HOOK, [$this, 'process_scheduled']);
+        add_action('delete_attachment', [$this, 'dequeue']);
+    }
+
+    /**
+     * Add an attachment to the queue and schedule the worker.
+     *
+     * A failed job of the attachment is queued again, a job being processed is left alone.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id WordPress attachment ID
+     * @return bool True if the job was added or queued again
+     */
+    public function enqueue($attachment_id)
+    {
+        $now = current_time('mysql', true);
+
+        // Columns are updated left to right, so the status is checked before it changes.
+        $queued = $this->db->query($this->db->prepare(
+            "INSERT INTO {$this->get_table_name()} (attachment_id, status, attempts, available_at, created_at)
+            VALUES (%d, %s, 0, %s, %s)
+            ON DUPLICATE KEY UPDATE
+                attempts = IF(status = %s, attempts, 0),
+                last_error = IF(status = %s, last_error, NULL),
+                available_at = IF(status = %s, available_at, VALUES(available_at)),
+                status = IF(status = %s, status, VALUES(status))",
+            $attachment_id,
+            self::STATUS_QUEUED,
+            $now,
+            $now,
+            self::STATUS_PROCESSING,
+            self::STATUS_PROCESSING,
+            self::STATUS_PROCESSING,
+            self::STATUS_PROCESSING
+        ));
+
+        $this->schedule();
+
+        return $queued !== false;
+    }
+
+    /**
+     * Remove the job of an attachment.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id WordPress attachment ID
+     * @return void
+     */
+    public function dequeue($attachment_id)
+    {
+        $this->db->delete($this->get_table_name(), ['attachment_id' => $attachment_id], ['%d']);
+    }
+
+    /**
+     * Get the job of an attachment.
+     *
+     * @since 1.2.0
+     * @param int $attachment_id WordPress attachment ID
+     * @return array|null Job row, or null if the attachment is not queued
+     */
+    public function get_job($attachment_id)
+    {
+        $job = $this->db->get_row($this->db->prepare(
+            "SELECT * FROM {$this->get_table_name()} WHERE attachment_id = %d",
+            $attachment_id
+        ), ARRAY_A);
+
+        return $job ?: null;
+    }
+
+    /**
+     * Get jobs in queue order.
+     *
+     * @since 1.2.0
+     * @param string|null $status Optional. Only return jobs with this status.
+     * @param int         $limit  Maximum number of jobs
+     * @return array Job rows
+     */
+    public function get_jobs($status = null, $limit = 100)
+    {
+        $where = $status !== null ? $this->db->prepare('WHERE status = %s', $status) : '';
+
+        return $this->db->get_results($this->db->prepare(
+            "SELECT * FROM {$this->get_table_name()} {$where} ORDER BY id ASC LIMIT %d",
+            $limit
+        ), ARRAY_A);
+    }
+
+    /**
+     * Get the number of jobs per status.
+     *
+     * @since 1.2.0
+     * @return array Counts keyed by status, including statuses without jobs
+     */
+    public function get_counts()
+    {
+        $counts = array_fill_keys(self::STATUSES, 0);
+        $rows = $this->db->get_results(
+            "SELECT status, COUNT(*) AS count FROM {$this->get_table_name()} GROUP BY status",
+            ARRAY_A
+        );
+
+        foreach ($rows as $row) {
+            $counts[$row['status']] = (int) $row['count'];
+        }
+
+        return $counts;
+    }
+
+    /**
+     * Queue failed jobs again.
+     *
+     * @since 1.2.0
+     * @return int Number of jobs queued again
+     */
+    public function retry_failed()
+    {
+        $count = (int) $this->db->query($this->db->prepare(
+            "UPDATE {$this->get_table_name()}
+            SET status = %s, attempts = 0, last_error = NULL, available_at = %s
+            WHERE status = %s",
+            self::STATUS_QUEUED,
+            current_time('mysql', true),
+            self::STATUS_FAILED
+        ));
+
+        if ($count > 0) {
+            $this->schedule();
+        }
+
+        return $count;
+    }
+
+    /**
+     * Remove jobs from the queue.
+     *
+     * @since 1.2.0
+     * @param string|null $status Optional. Only remove jobs with this status.
+     * @return int Number of removed jobs
+     */
+    public function clear($status = null)
+    {
+        if ($status === null) {
+            return (int) $this->db->query("DELETE FROM {$this->get_table_name()}");
+        }
+
+        return (int) $this->db->delete($this->get_table_name(), ['status' => $status], ['%s']);
+    }
+
+    /**
+     * Schedule the worker, unless it is scheduled already.
+     *
+     * @since 1.2.0
+     * @param int|null $timestamp Optional. Time to run the worker at, defaults to now.
+     * @return void
+     */
+    public function schedule($timestamp = null)
+    {
+        if (!wp_next_scheduled(self::CRON_HOOK)) {
+            wp_schedule_single_event($timestamp ?? time(), self::CRON_HOOK);
+        }
+    }
+
+    /**
+     * Process jobs from the cron worker.
+     *
+     * The worker stops after TIME_LIMIT seconds and schedules the next run
+     * for the jobs that are left, including jobs waiting for a retry.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function process_scheduled()
+    {
+        $this->process(0, self::TIME_LIMIT);
+
+        // Jobs of workers that died are picked up again once they are stale.
+        $next = $this->db->get_var($this->db->prepare(
+            "SELECT MIN(IF(status = %s, available_at, locked_at + INTERVAL %d SECOND))
+            FROM {$this->get_table_name()}
+            WHERE status IN (%s, %s)",
+            self::STATUS_QUEUED,
+            self::STALE_AFTER,
+            self::STATUS_QUEUED,
+            self::STATUS_PROCESSING
+        ));
+
+        if ($next !== null) {
+            $this->schedule(max(time(), strtotime($next . ' UTC')));
+        }
+    }
+
+    /**
+     * Process queued jobs.
+     *
+     * @since 1.2.0
+     * @param int  $limit        Optional. Maximum number of jobs, 0 for no limit.
+     * @param int  $time_limit   Optional. Seconds after which no further job is started, 0 for no limit.
+     * @param bool $ignore_delay Optional. Whether jobs waiting for a retry are processed right away.
+     * @return array Results with 'id', 'status' ('success', 'error', 'retry', 'deferred' or 'skipped') and 'message'
+     */
+    public function process($limit = 0, $time_limit = 0, $ignore_delay = false)
+    {
+        $this->release_stale_jobs();
+
+        $started = time();
+        $results = [];
+
+        while ($limit === 0 || count($results) < $limit) {
+            if ($time_limit > 0 && time() - $started >= $time_limit) {
+                break;
+            }
+
+            $job = $this->claim_next_job($ignore_delay);
+            if ($job === null) {
+                break;
+            }
+
+            $results[] = $this->process_job($job);
+        }
+
+        return $results;
+    }
+
+    /**
+     * Claim the next due job for this worker.
+     *
+     * @since 1.2.0
+     * @param bool $ignore_delay Whether jobs waiting for a retry can be claimed
+     * @return array|null Claimed job, or null if no job is due
+     */
+    private function claim_next_job($ignore_delay)
+    {
+        $now = current_time('mysql', true);
+        $delay_clause = $ignore_delay ? '' : $this->db->prepare('AND available_at <= %s', $now);
+
+        // Other workers may claim some of the candidates first.
+        $candidates = $this->db->get_col($this->db->prepare(
+            "SELECT id FROM {$this->get_table_name()}
+            WHERE status = %s {$delay_clause}
+            ORDER BY available_at ASC, id ASC
+            LIMIT 5",
+            self::STATUS_QUEUED
+        ));
+
+        foreach ($candidates as $job_id) {
+            $claimed = $this->db->query($this->db->prepare(
+                "UPDATE {$this->get_table_name()}
+                SET status = %s, attempts = attempts + 1, locked_at = %s
+                WHERE id = %d AND status = %s",
+                self::STATUS_PROCESSING,
+                $now,
+                $job_id,
+                self::STATUS_QUEUED
+            ));
+
+            if ($claimed === 1) {
+                return $this->db->get_row($this->db->prepare(
+                    "SELECT * FROM {$this->get_table_name()} WHERE id = %d",
+                    $job_id
+                ), ARRAY_A);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Optimize the attachment of a claimed job.
+     *
+     * The first attempt skips images that were optimized in the meantime; retries
+     * re-optimize, since a failed optimization is recorded on the attachment as well.
+     *
+     * @since 1.2.0
+     * @param array $job Claimed job
+     * @return array Result with 'id', 'status' and 'message'
+     */
+    private function process_job($job)
+    {
+        $attachment_id = (int) $job['attachment_id'];
+        $is_retry = (int) $job['attempts'] > 1;
+        $fetcher = ImageFetcher::get_instance();
+        $tracker = ImageTracker::get_instance();
+
+        if (!wp_attachment_is_image($attachment_id) || (!$is_retry && !$fetcher->needs_optimization($attachment_id))) {
+            $this->dequeue($attachment_id);
+            return [
+                'id' => $attachment_id,
+                'status' => 'skipped',
+                'message' => 'Image is already optimized or no longer exists',
+            ];
+        }
+
+        // A bulk worker is optimizing the image, try again later without using an attempt.
+        if (!$tracker->claim_attachment($attachment_id)) {
+            $this->release_job($job, time() + self::RETRY_DELAY, (int) $job['attempts'] - 1, $job['last_error']);
+            return [
+                'id' => $attachment_id,
+                'status' => 'deferred',
+                'message' => 'Image is being optimized by another worker',
+            ];
+        }
+
+        try {
+            $engine = get_optimization_engine();
+            $engine->validate();
+
+            $manager = OptimizationManager::get_instance();
+            $manager->initialize($fetcher, $engine, $tracker);
+            $result = $manager->optimize_single_image($attachment_id, $is_retry || $tracker->backup_exists($attachment_id));
+        } catch (\Exception $e) {
+            $result = [
+                'id' => $attachment_id,
+                'status' => 'error',
+                'message' => $e->getMessage(),
+            ];
+        } finally {
+            $tracker->release_attachment($attachment_id);
+        }
+
+        if ($result['status'] === 'success') {
+            $this->dequeue($attachment_id);
+            return $result;
+        }
+
+        error_log("Queued optimization failed for ID {$attachment_id}: " . $result['message']);
+
+        if ((int) $job['attempts'] >= self::MAX_ATTEMPTS) {
+            $this->db->update(
+                $this->get_table_name(),
+                ['status' => self::STATUS_FAILED, 'last_error' => $result['message'], 'locked_at' => null],
+                ['id' => $job['id']]
+            );
+            return $result;
+        }
+
+        $retry_at = time() + self::RETRY_DELAY * (2 ** ((int) $job['attempts'] - 1));
+        $this->release_job($job, $retry_at, (int) $job['attempts'], $result['message']);
+
+        return [
+            'id' => $attachment_id,
+            'status' => 'retry',
+            'message' => $result['message'],
+        ];
+    }
+
+    /**
+     * Queue a claimed job again.
+     *
+     * @since 1.2.0
+     * @param array       $job        Claimed job
+     * @param int         $retry_at   Timestamp the job is due again
+     * @param int         $attempts   Number of attempts to record
+     * @param string|null $last_error Error of the last attempt
+     * @return void
+     */
+    private function release_job($job, $retry_at, $attempts, $last_error)
+    {
+        $this->db->update(
+            $this->get_table_name(),
+            [
+                'status' => self::STATUS_QUEUED,
+                'attempts' => max(0, $attempts),
+                'last_error' => $last_error,
+                'available_at' => gmdate('Y-m-d H:i:s', $retry_at),
+                'locked_at' => null,
+            ],
+            ['id' => $job['id']]
+        );
+    }
+
+    /**
+     * Queue jobs again whose worker died while processing them.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    private function release_stale_jobs()
+    {
+        $this->db->query($this->db->prepare(
+            "UPDATE {$this->get_table_name()}
+            SET status = %s, locked_at = NULL
+            WHERE status = %s AND locked_at < %s",
+            self::STATUS_QUEUED,
+            self::STATUS_PROCESSING,
+            gmdate('Y-m-d H:i:s', time() - self::STALE_AFTER)
+        ));
+    }
+
+    /**
+     * Get the name of the queue table.
+     *
+     * @since 1.2.0
+     * @return string Table name including the prefix
+     */
+    private function get_table_name()
+    {
+        return $this->db->prefix . Schema::QUEUE_TABLE_NAME;
+    }
+}
@@ -0,0 +1,603 @@
+<?php
+
+namespace AWP\IO;
+
+/**
+ * OptimizationRun Class
+ *
+ * Persists the state of the bulk optimization runner on the server so that a run
+ * can be paused, resumed or cancelled, and continued after the settings page has
+ * been reloaded or closed.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class OptimizationRun extends Singleton
+{
+    /**
+     * Option name used to store the current run state.
+     *
+     * @var string
+     */
+    private const RUN_OPTION_NAME = 'awp_io_optimization_run';
+
+    /**
+     * Option name used as a lock while the run state is updated.
+     *
+     * @var string
+     */
+    private const LOCK_OPTION_NAME = 'awp_io_optimization_run_lock';
+
+    /**
+     * Prefix of the options holding batch results recorded while the run state was locked.
+     *
+     * @var string
+     */
+    private const PENDING_OPTION_PREFIX = 'awp_io_optimization_run_pending_';
+
+    /**
+     * Run is being processed by the bulk runner.
+     *
+     * @var string
+     */
+    public const STATUS_RUNNING = 'running';
+
+    /**
+     * Run has been paused by the user or stopped by an error.
+     *
+     * @var string
+     */
+    public const STATUS_PAUSED = 'paused';
+
+    /**
+     * Number of error messages kept in the run state.
+     *
+     * @var int
+     */
+    public const ERROR_SAMPLES = 5;
+
+    /**
+     * Value of the lock option written by this request, null while it holds no lock.
+     *
+     * @var string|null
+     */
+    private $lock_value = null;
+
+    /**
+     * Constructor.
+     *
+     * Sets up the AJAX hooks used by the bulk optimization runner.
+     */
+    public function __construct()
+    {
+        add_action('wp_ajax_get_optimization_run', [$this, 'ajax_get_run']);
+        add_action('wp_ajax_pause_optimization', [$this, 'ajax_pause_run']);
+        add_action('wp_ajax_resume_optimization', [$this, 'ajax_resume_run']);
+        add_action('wp_ajax_cancel_optimization', [$this, 'ajax_cancel_run']);
+    }
+
+    /**
+     * Get the current run state.
+     *
+     * @since 1.2.0
+     * @return array|null Run state, or null if no run is in progress.
+     */
+    public function get()
+    {
+        $run = get_option(self::RUN_OPTION_NAME, null);
+
+        return is_array($run) ? $run : null;
+    }
+
+    /**
+     * Start a new run, replacing any previous run state.
+     *
+     * @since 1.2.0
+     * @param bool  $re_optimize Whether the run re-optimizes already optimized images.
+     * @param int   $total       Number of images the run has to process.
+     * @param array $scope       Scope the run is restricted to, see OptimizationScope::to_array().
+     * @return array|\WP_Error The new run state, or WP_Error if the run state is locked.
+     */
+    public function start($re_optimize, $total, $scope = [])
+    {
+        if (!$this->acquire_lock()) {
+            return $this->get_lock_error();
+        }
+
+        $this->delete_pending_results();
+
+        $run = [
+            'status' => self::STATUS_RUNNING,
+            're_optimize' => (bool) $re_optimize,
+            'scope' => $scope,
+            'total' => absint($total),
+            'processed' => 0,
+            'optimized' => 0,
+            'errors' => 0,
+            'bytes_saved' => 0,
+            'error_samples' => [],
+            'started_at' => time(),
+            'updated_at' => time(),
+        ];
+
+        update_option(self::RUN_OPTION_NAME, $run, false);
+
+        $this->release_lock();
+
+        return $run;
+    }
+
+    /**
+     * Record the results of a processed batch in the run state.
+     *
+     * The images of the batch are optimized already, so the results are never
+     * dropped. If the lock cannot be acquired, they are stored in an option of
+     * their own and added to the run state by the next update holding the lock.
+     *
+     * @since 1.2.0
+     * @param array $results Batch results as returned by OptimizationManager::optimize_batch().
+     * @return array|null Updated run state, or null if no run is in progress.
+     */
+    public function record_batch($results)
+    {
+        if (!$this->acquire_lock()) {
+            return $this->add_pending_results($results);
+        }
+
+        $run = $this->get_locked();
+        if ($run === null) {
+            $this->release_lock();
+            return null;
+        }
+
+        $run = self::add_results($run, $results);
+        $run['updated_at'] = time();
+        update_option(self::RUN_OPTION_NAME, $run, false);
+
+        $this->release_lock();
+
+        return $run;
+    }
+
+    /**
+     * Add the results of a batch to the counters of a run.
+     *
+     * Also used by the scheduled runs, which keep their own state.
+     *
+     * @since 1.2.0
+     * @param array $run     Run state with 'processed', 'optimized', 'errors', 'bytes_saved' and 'error_samples'.
+     * @param array $results Batch results as returned by OptimizationManager::optimize_batch().
+     * @return array Updated run state.
+     */
+    public static function add_results($run, $results)
+    {
+        // Results may contain several errors for one attachment, count attachments only once.
+        $statuses = [];
+        foreach ($results as $result) {
+            if (!isset($statuses[$result['id']]) || $result['status'] === 'error') {
+                $statuses[$result['id']] = $result['status'];
+            }
+
+            $run['bytes_saved'] = ($run['bytes_saved'] ?? 0) + ($result['bytes_saved'] ?? 0);
+
+            if ($result['status'] === 'error' && count($run['error_samples'] ?? []) < self::ERROR_SAMPLES) {
+                $run['error_samples'][] = ['id' => $result['id'], 'message' => $result['message']];
+            }
+        }
+
+        foreach ($statuses as $status) {
+            $run['processed']++;
+            if ($status === 'success') {
+                $run['optimized']++;
+            } else {
+                $run['errors']++;
+            }
+        }
+
+        return $run;
+    }
+
+    /**
+     * Change the status of the current run.
+     *
+     * @since 1.2.0
+     * @param string $status One of the STATUS_* constants.
+     * @return array|null|\WP_Error Updated run state, null if no run is in progress, or WP_Error if the run state is locked.
+     */
+    public function set_status($status)
+    {
+        if (!$this->acquire_lock()) {
+            return $this->get_lock_error();
+        }
+
+        $run = $this->get_locked();
+        if ($run !== null) {
+            $run['status'] = $status;
+            $run['updated_at'] = time();
+            update_option(self::RUN_OPTION_NAME, $run, false);
+        }
+
+        $this->release_lock();
+
+        return $run;
+    }
+
+    /**
+     * Remove the run state once the run is complete or cancelled.
+     *
+     * Clears the re-optimization tracking table for re-optimization runs, so a
+     * later run starts again from the first image.
+     *
+     * @since 1.2.0
+     * @return true|\WP_Error True, or WP_Error if the run state is locked.
+     */
+    public function clear()
+    {
+        if (!$this->acquire_lock()) {
+            return $this->get_lock_error();
+        }
+
+        $this->delete_run($this->get_uncached());
+        $this->release_lock();
+
+        return true;
+    }
+
+    /**
+     * Delete the run state and the results not added to it yet, the caller holds the lock.
+     *
+     * @since 1.2.0
+     * @param array|null $run Run state being deleted.
+     * @return void
+     */
+    private function delete_run($run)
+    {
+        if ($run !== null && !empty($run['re_optimize'])) {
+            (Schema::get_instance())->truncate_reoptimization_table();
+        }
+
+        delete_option(self::RUN_OPTION_NAME);
+        $this->delete_pending_results();
+    }
+
+    /**
+     * Remove the run state of a finished run.
+     *
+     * Concurrent workers may all find the run finished, only the first one
+     * gets the run state, so the run is reported once.
+     *
+     * @since 1.2.0
+     * @return array|null|\WP_Error Final run state with 'finished_at', null if another worker completed the run,
+     *                             or WP_Error if the run state is locked.
+     */
+    public function complete()
+    {
+        if (!$this->acquire_lock()) {
+            return $this->get_lock_error();
+        }
+
+        $run = $this->get_locked();
+        if ($run !== null) {
+            $this->delete_run($run);
+            $run['finished_at'] = time();
+        }
+
+        $this->release_lock();
+
+        return $run;
+    }
+
+    /**
+     * Calculate the progress of a run in percent.
+     *
+     * @since 1.2.0
+     * @param array $run Run state.
+     * @return float Progress between 0 and 100.
+     */
+    public function get_progress($run)
+    {
+        if (empty($run['total'])) {
+            return 100;
+        }
+
+        return min(100, round(($run['processed'] / $run['total']) * 100, 2));
+    }
+
+    /**
+     * Get the run state from the database, bypassing the object cache.
+     *
+     * Concurrent workers update the run state in other requests, so the cached
+     * value may be outdated.
+     *
+     * @since 1.2.0
+     * @return array|null Run state, or null if no run is in progress.
+     */
+    private function get_uncached()
+    {
+        wp_cache_delete(self::RUN_OPTION_NAME, 'options');
+
+        return $this->get();
+    }
+
+    /**
+     * Get the run state with the results recorded while it was locked, the caller holds the lock.
+     *
+     * @since 1.2.0
+     * @return array|null Run state, or null if no run is in progress.
+     */
+    private function get_locked()
+    {
+        global $wpdb;
+
+        $run = $this->get_uncached();
+
+        $pending = $wpdb->get_results($wpdb->prepare(
+            "SELECT option_name, option_value FROM {$wpdb->options} WHERE option_name LIKE %s",
+            $wpdb->esc_like(self::PENDING_OPTION_PREFIX) . '%'
+        ));
+
+        foreach ($pending as $row) {
+            $counts = maybe_unserialize($row->option_value);
+
+            // Results of an earlier run are dropped.
+            if ($run !== null && is_array($counts) && ($counts['started_at'] ?? 0) === $run['started_at']) {
+                foreach (['processed', 'optimized', 'errors', 'bytes_saved'] as $counter) {
+                    $run[$counter] = ($run[$counter] ?? 0) + $counts[$counter];
+                }
+
+                $run['error_samples'] = array_slice(array_merge($run['error_samples'] ?? [], $counts['error_samples']), 0, self::ERROR_SAMPLES);
+            }
+
+            $wpdb->delete($wpdb->options, ['option_name' => $row->option_name]);
+        }
+
+        return $run;
+    }
+
+    /**
+     * Store batch results that could not be added to the locked run state.
+     *
+     * Each batch gets its own option, so no lock is needed.
+     *
+     * @since 1.2.0
+     * @param array $results Batch results as returned by OptimizationManager::optimize_batch().
+     * @return array|null Run state without the results, or null if no run is in progress.
+     */
+    private function add_pending_results($results)
+    {
+        $run = $this->get_uncached();
+        if ($run === null) {
+            return null;
+        }
+
+        $counts = self::add_results([
+            'started_at' => $run['started_at'],
+            'processed' => 0,
+            'optimized' => 0,
+            'errors' => 0,
+            'bytes_saved' => 0,
+            'error_samples' => [],
+        ], $results);
+
+        add_option(self::PENDING_OPTION_PREFIX . wp_generate_uuid4(), $counts, '', 'no');
+
+        return $run;
+    }
+
+    /**
+     * Delete the results recorded while the run state was locked, the caller holds the lock.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    private function delete_pending_results()
+    {
+        global $wpdb;
+
+        $wpdb->query($wpdb->prepare(
+            "DELETE FROM {$wpdb->options} WHERE option_name LIKE %s",
+            $wpdb->esc_like(self::PENDING_OPTION_PREFIX) . '%'
+        ));
+    }
+
+    /**
+     * Acquire the lock protecting the run state against concurrent updates.
+     *
+     * Inserting the lock option fails while another request holds the lock, the same
+     * approach WordPress uses for its upgrader lock. The lock holds the time it was
+     * taken and a random token, so only the request that took it releases it. A lock
+     * older than 30 seconds is considered abandoned.
+     *
+     * @since 1.2.0
+     * @param int $timeout Seconds to wait for the lock.
+     * @return bool True if the lock was acquired, false on timeout.
+     */
+    private function acquire_lock($timeout = 10)
+    {
+        global $wpdb;
+
+        $give_up_at = time() + $timeout;
+
+        do {
+            $lock_value = time() . ':' . wp_generate_uuid4();
+            $locked = $wpdb->query($wpdb->prepare(
+                "INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, %s, 'no')",
+                self::LOCK_OPTION_NAME,
+                $lock_value
+            ));
+
+            if ($locked) {
+                $this->lock_value = $lock_value;
+                return true;
+            }
+
+            $current_value = $wpdb->get_var($wpdb->prepare(
+                "SELECT option_value FROM {$wpdb->options} WHERE option_name = %s",
+                self::LOCK_OPTION_NAME
+            ));
+
+            // Only remove the abandoned lock that was read, not one taken since.
+            $locked_at = (int) $current_value;
+            if ($locked_at && $locked_at < time() - 30) {
+                $wpdb->delete($wpdb->options, ['option_name' => self::LOCK_OPTION_NAME, 'option_value' => $current_value]);
+                continue;
+            }
+
+            usleep(50000);
+        } while (time() < $give_up_at);
+
+        return false;
+    }
+
+    /**
+     * Release the run state lock if this request holds it.
+     *
+     * A lock taken over by another request after it was considered abandoned is kept.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    private function release_lock()
+    {
+        global $wpdb;
+
+        if ($this->lock_value === null) {
+            return;
+        }
+
+        $wpdb->delete($wpdb->options, ['option_name' => self::LOCK_OPTION_NAME, 'option_value' => $this->lock_value]);
+        $this->lock_value = null;
+    }
+
+    /**
+     * Get the error returned when the run state lock could not be acquired.
+     *
+     * The 503 status makes the bulk runner retry the request.
+     *
+     * @since 1.2.0
+     * @return \WP_Error
+     */
+    private function get_lock_error()
+    {
+        return new \WP_Error(
+            'awp_io_run_locked',
+            __('The optimization run is being updated by another request, please try again.', 'awp-io'),
+            ['status' => 503]
+        );
+    }
+
+    /**
+     * Handle AJAX request to fetch the current run state.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function ajax_get_run()
+    {
+        $this->verify_ajax_request();
+
+        wp_send_json_success(['run' => $this->prepare_run_response($this->get())]);
+    }
+
+    /**
+     * Handle AJAX request to pause the current run.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function ajax_pause_run()
+    {
+        $this->verify_ajax_request();
+
+        $run = $this->set_status(self::STATUS_PAUSED);
+        $this->send_lock_error($run);
+        if ($run === null) {
+            wp_send_json_error(['message' => __('No optimization run in progress', 'awp-io')]);
+        }
+
+        wp_send_json_success(['run' => $this->prepare_run_response($run)]);
+    }
+
+    /**
+     * Handle AJAX request to resume a paused run.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function ajax_resume_run()
+    {
+        $this->verify_ajax_request();
+
+        $run = $this->set_status(self::STATUS_RUNNING);
+        $this->send_lock_error($run);
+        if ($run === null) {
+            wp_send_json_error(['message' => __('No optimization run to resume', 'awp-io')]);
+        }
+
+        wp_send_json_success(['run' => $this->prepare_run_response($run)]);
+    }
+
+    /**
+     * Handle AJAX request to cancel the current run.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function ajax_cancel_run()
+    {
+        $this->verify_ajax_request();
+
+        $this->send_lock_error($this->clear());
+
+        wp_send_json_success(['run' => null]);
+    }
+
+    /**
+     * Send a JSON error if the run state could not be updated because it was locked.
+     *
+     * The error is sent with its 503 status, so the bulk runner retries the request.
+     *
+     * @since 1.2.0
+     * @param mixed $result Return value of a run state update.
+     * @return void Sends JSON error and exits if the result is a WP_Error
+     */
+    public function send_lock_error($result)
+    {
+        if (is_wp_error($result) && $result->get_error_code() === 'awp_io_run_locked') {
+            wp_send_json_error(['message' => $result->get_error_message()], 503);
+        }
+    }
+
+    /**
+     * Add the calculated progress to a run state for AJAX responses.
+     *
+     * @since 1.2.0
+     * @param array|null $run Run state.
+     * @return array|null Run state including progress.
+     */
+    public function prepare_run_response($run)
+    {
+        if ($run === null) {
+            return null;
+        }
+
+        $run['progress'] = $this->get_progress($run);
+
+        return $run;
+    }
+
+    /**
+     * Verify nonce and capabilities for run AJAX requests.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON error and exits if the request is not allowed
+     */
+    private function verify_ajax_request()
+    {
+        check_ajax_referer('start_optimization_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'awp-io')]);
+        }
+    }
+}
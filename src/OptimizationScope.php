@@ -0,0 +1,261 @@
+<?php
+
+namespace AWP\IO;
+
+/**
+ * OptimizationScope Class
+ *
+ * Restricts a bulk optimization run to part of the media library: an upload
+ * date range, specific image types, an uploads subfolder, the posts images are
+ * attached to or an explicit list of attachment IDs. An empty scope matches the
+ * whole media library.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class OptimizationScope
+{
+    /**
+     * Image types a run can be restricted to, keyed by MIME type.
+     *
+     * @var array
+     */
+    public const SUPPORTED_MIME_TYPES = [
+        'image/jpeg' => 'JPEG',
+        'image/png' => 'PNG',
+        'image/gif' => 'GIF',
+        'image/webp' => 'WebP',
+    ];
+
+    /**
+     * Earliest upload date (Y-m-d), inclusive.
+     *
+     * @var string
+     */
+    private $date_from = '';
+
+    /**
+     * Latest upload date (Y-m-d), inclusive.
+     *
+     * @var string
+     */
+    private $date_to = '';
+
+    /**
+     * MIME types to include.
+     *
+     * @var array
+     */
+    private $mime_types = [];
+
+    /**
+     * Uploads subfolder relative to the uploads directory, e.g. "2024/05".
+     *
+     * @var string
+     */
+    private $folder = '';
+
+    /**
+     * IDs of the posts the images are attached to.
+     *
+     * @var array
+     */
+    private $parent_ids = [];
+
+    /**
+     * Explicit attachment IDs.
+     *
+     * @var array
+     */
+    private $attachment_ids = [];
+
+    /**
+     * Create a scope from user input or a stored scope array.
+     *
+     * ID lists may be given as arrays or comma-separated strings. MIME types may be
+     * given as full types ("image/png") or extensions ("png", "jpg").
+     *
+     * @since 1.2.0
+     * @param array $args Scope arguments: date_from, date_to, mime_types, folder, parent_ids, attachment_ids.
+     * @return OptimizationScope
+     * @throws \InvalidArgumentException If a date or MIME type is invalid.
+     */
+    public static function from_array($args)
+    {
+        $scope = new self();
+
+        if (!is_array($args)) {
+            return $scope;
+        }
+
+        $scope->date_from = self::sanitize_date($args['date_from'] ?? '');
+        $scope->date_to = self::sanitize_date($args['date_to'] ?? '');
+
+        if ($scope->date_from && $scope->date_to && $scope->date_from > $scope->date_to) {
+            throw new \InvalidArgumentException(__('The start date must be before the end date.', 'awp-io'));
+        }
+
+        $scope->mime_types = self::sanitize_mime_types($args['mime_types'] ?? []);
+        $scope->folder = trim(str_replace('\\', '/', sanitize_text_field($args['folder'] ?? '')), '/');
+        $scope->parent_ids = self::sanitize_ids($args['parent_ids'] ?? []);
+        $scope->attachment_ids = self::sanitize_ids($args['attachment_ids'] ?? []);
+
+        return $scope;
+    }
+
+    /**
+     * Get the scope as an array, e.g. for storing it in the run state.
+     *
+     * @since 1.2.0
+     * @return array Scope arguments accepted by from_array().
+     */
+    public function to_array()
+    {
+        return [
+            'date_from' => $this->date_from,
+            'date_to' => $this->date_to,
+            'mime_types' => $this->mime_types,
+            'folder' => $this->folder,
+            'parent_ids' => $this->parent_ids,
+            'attachment_ids' => $this->attachment_ids,
+        ];
+    }
+
+    /**
+     * Check whether the scope matches the whole media library.
+     *
+     * @since 1.2.0
+     * @return bool True if no filter is set
+     */
+    public function is_empty()
+    {
+        return count(array_filter($this->to_array())) === 0;
+    }
+
+    /**
+     * Build the SQL needed to restrict a query on the posts table to this scope.
+     *
+     * The returned clauses expect the posts table to be aliased as "p". The WHERE
+     * clause starts with "AND", so it can be appended to an existing condition.
+     *
+     * @since 1.2.0
+     * @param \wpdb $db WordPress database instance
+     * @return array Array with prepared 'join' and 'where' clauses
+     */
+    public function get_sql_clauses($db)
+    {
+        $join = '';
+        $where = [];
+
+        if ($this->date_from) {
+            $where[] = $db->prepare('p.post_date >= %s', $this->date_from . ' 00:00:00');
+        }
+
+        if ($this->date_to) {
+            $where[] = $db->prepare('p.post_date <= %s', $this->date_to . ' 23:59:59');
+        }
+
+        if ($this->mime_types) {
+            $placeholders = implode(', ', array_fill(0, count($this->mime_types), '%s'));
+            $where[] = $db->prepare("p.post_mime_type IN ({$placeholders})", $this->mime_types);
+        }
+
+        if ($this->folder) {
+            $join = "INNER JOIN {$db->postmeta} scope_file ON p.ID = scope_file.post_id AND scope_file.meta_key = '_wp_attached_file'";
+            $where[] = $db->prepare('scope_file.meta_value LIKE %s', $db->esc_like($this->folder) . '/%');
+        }
+
+        if ($this->parent_ids) {
+            $where[] = 'p.post_parent IN (' . implode(', ', $this->parent_ids) . ')';
+        }
+
+        if ($this->attachment_ids) {
+            $where[] = 'p.ID IN (' . implode(', ', $this->attachment_ids) . ')';
+        }
+
+        return [
+            'join' => $join,
+            'where' => $where ? ' AND ' . implode(' AND ', $where) : '',
+        ];
+    }
+
+    /**
+     * Validate a date in Y-m-d format.
+     *
+     * @since 1.2.0
+     * @param string $date Date string
+     * @return string The date, or an empty string if none was given
+     * @throws \InvalidArgumentException If the date is not a valid Y-m-d date.
+     */
+    private static function sanitize_date($date)
+    {
+        $date = trim((string) $date);
+        if ($date === '') {
+            return '';
+        }
+
+        $parsed = \DateTime::createFromFormat('Y-m-d', $date);
+        if (!$parsed || $parsed->format('Y-m-d') !== $date) {
+            throw new \InvalidArgumentException(sprintf(__('Invalid date "%s", expected the format YYYY-MM-DD.', 'awp-io'), $date));
+        }
+
+        return $date;
+    }
+
+    /**
+     * Normalize a list of MIME types or file extensions.
+     *
+     * @since 1.2.0
+     * @param array|string $mime_types Array or comma-separated list
+     * @return array Supported MIME types
+     * @throws \InvalidArgumentException If a type is not supported.
+     */
+    private static function sanitize_mime_types($mime_types)
+    {
+        $normalized = [];
+
+        foreach (self::to_list($mime_types) as $mime_type) {
+            $mime_type = strtolower(sanitize_text_field($mime_type));
+
+            if (strpos($mime_type, '/') === false) {
+                $mime_type = 'image/' . ($mime_type === 'jpg' ? 'jpeg' : $mime_type);
+            }
+
+            if (!isset(self::SUPPORTED_MIME_TYPES[$mime_type])) {
+                throw new \InvalidArgumentException(sprintf(__('Unsupported image type "%s".', 'awp-io'), $mime_type));
+            }
+
+            $normalized[] = $mime_type;
+        }
+
+        return array_values(array_unique($normalized));
+    }
+
+    /**
+     * Normalize a list of post IDs.
+     *
+     * @since 1.2.0
+     * @param array|string $ids Array or comma-separated list
+     * @return array Unique positive integer IDs
+     */
+    private static function sanitize_ids($ids)
+    {
+        return array_values(array_unique(array_filter(array_map('absint', self::to_list($ids)))));
+    }
+
+    /**
+     * Split a comma-separated string into a list, arrays are returned as they are.
+     *
+     * @since 1.2.0
+     * @param array|string $value List value
+     * @return array List of trimmed, non-empty values
+     */
+    private static function to_list($value)
+    {
+        if (!is_array($value)) {
+            $value = explode(',', (string) $value);
+        }
+
+        return array_filter(array_map('trim', $value), 'strlen');
+    }
+}
@@ -0,0 +1,668 @@
+<?php
+
+namespace AWP\IO;
+
+/**
+ * Class OutputBufferRewriter
+ *
+ * Rewrites image URLs in the whole front-end HTML document instead of only the
+ * post content, so theme templates, widgets, galleries and inline styles get the
+ * optimized variants as well. The document is buffered and walked tag by tag:
+ * src and srcset of img and source elements, image preloads, style attributes
+ * and style elements are rewritten, while comments, scripts and textareas are
+ * left alone.
+ *
+ * Variants are looked up in the optimization data of the attachments, loaded
+ * with one query per page: the AVIF or WebP version the browser accepts when
+ * next generation images are delivered, otherwise the JPEG of a converted PNG.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class OutputBufferRewriter
+{
+    /**
+     * Elements whose content is not HTML.
+     *
+     * @var array
+     */
+    private const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title', 'xmp'];
+
+    /**
+     * Elements without a closing tag.
+     *
+     * @var array
+     */
+    private const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+    /**
+     * Next generation formats delivered to this request, in order of preference.
+     *
+     * @var array
+     */
+    private $formats = [];
+
+    /**
+     * Elements excluded from rewriting, including their descendants.
+     *
+     * @var CssSelector
+     */
+    private $exclude_selectors;
+
+    /**
+     * Regular expressions of URLs excluded from rewriting.
+     *
+     * @var array
+     */
+    private $exclude_urls = [];
+
+    /**
+     * URL path of the uploads directory, without trailing slash.
+     *
+     * @var string
+     */
+    private $uploads_path;
+
+    /**
+     * Hosts the uploads directory is served from.
+     *
+     * @var array
+     */
+    private $uploads_hosts;
+
+    /**
+     * Initialize output buffering of front-end pages.
+     *
+     * @since 1.2.0
+     * @param bool $deliver_next_gen Whether to deliver the next generation versions of the images.
+     */
+    public function __construct($deliver_next_gen = true)
+    {
+        if ($deliver_next_gen) {
+            foreach (['avif', 'webp'] as $format) {
+                if (isset($_SERVER['HTTP_ACCEPT']) && strpos($_SERVER['HTTP_ACCEPT'], 'image/' . $format) !== false) {
+                    $this->formats[] = $format;
+                }
+            }
+        }
+
+        $this->exclude_selectors = new CssSelector(implode(',', $this->get_lines(get_optimizer_settings('output_buffer_exclude_selectors'))));
+
+        foreach ($this->get_lines(get_optimizer_settings('output_buffer_exclude_urls')) as $pattern) {
+            $this->exclude_urls[] = '/' . str_replace('\*', '.*', preg_quote($pattern, '/')) . '/i';
+        }
+
+        add_action('template_redirect', [$this, 'start_buffer'], 0);
+
+        if ($deliver_next_gen) {
+            add_action('send_headers', [$this, 'send_vary_header']);
+        }
+    }
+
+    /**
+     * Start buffering the output of a front-end page.
+     *
+     * @since 1.2.0
+     * @return void
+     *
+     * @filter awp_io_output_buffer_enabled Filters whether the page output is rewritten
+     *         @param bool $enabled Whether to rewrite the page, default true for front-end HTML pages
+     */
+    public function start_buffer()
+    {
+        $enabled = !is_admin()
+            && !wp_doing_ajax()
+            && !is_feed()
+            && !is_embed()
+            && !(defined('REST_REQUEST') && REST_REQUEST)
+            && !(function_exists('wp_is_json_request') && wp_is_json_request());
+
+        if (apply_filters('awp_io_output_buffer_enabled', $enabled)) {
+            ob_start([$this, 'rewrite_html']);
+        }
+    }
+
+    /**
+     * Add a Vary: Accept header, since the page depends on the formats the browser accepts.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function send_vary_header()
+    {
+        if (!headers_sent()) {
+            header('Vary: Accept', false);
+        }
+    }
+
+    /**
+     * Rewrite the image URLs of an HTML document.
+     *
+     * @since 1.2.0
+     * @param string $html The buffered output
+     * @return string The document with rewritten image URLs
+     */
+    public function rewrite_html($html)
+    {
+        if (!is_string($html) || stripos($html, '<html') === false || !$this->is_html_response()) {
+            return $html;
+        }
+
+        $uploads_dir = wp_upload_dir();
+        $this->uploads_path = untrailingslashit((string) wp_parse_url($uploads_dir['baseurl'], PHP_URL_PATH));
+
+        /**
+         * Filters the hosts the uploads directory is served from, e.g. to add a CDN.
+         *
+         * @since 1.2.0
+         * @param array $hosts Host names, by default the host of the uploads URL
+         */
+        $this->uploads_hosts = apply_filters('awp_io_output_buffer_hosts', [wp_parse_url($uploads_dir['baseurl'], PHP_URL_HOST)]);
+
+        $edits = $this->find_edits($html);
+        if (empty($edits)) {
+            return $html;
+        }
+
+        $urls = [];
+        foreach ($edits as $edit) {
+            foreach ($this->get_edit_urls($edit) as $url) {
+                $urls[$url] = true;
+            }
+        }
+
+        $replacements = $this->get_replacements(array_keys($urls));
+        if (empty($replacements)) {
+            return $html;
+        }
+
+        $output = '';
+        $position = 0;
+
+        foreach ($edits as $edit) {
+            $value = $this->apply_edit($edit, $replacements);
+
+            $output .= substr($html, $position, $edit['offset'] - $position) . $value;
+            $position = $edit['offset'] + strlen($edit['value']);
+        }
+
+        return $output . substr($html, $position);
+    }
+
+    /**
+     * Walk the document and collect the values that may contain image URLs.
+     *
+     * @since 1.2.0
+     * @param string $html The document
+     * @return array Edits in document order, each with 'offset', 'value', 'type'
+     *               ('url', 'srcset' or 'css') and whether the value is 'encoded' HTML
+     */
+    private function find_edits($html)
+    {
+        $edits = [];
+        $ancestors = [];
+        $position = 0;
+        $length = strlen($html);
+        $tag_pattern = '/\G<(\/?)([a-z][a-z0-9:-]*)((?:[^>"\']++|"[^"]*+"|\'[^\']*+\')*+)>/i';
+
+        while ($position < $length && ($start = strpos($html, '<', $position)) !== false) {
+            if (substr($html, $start, 4) === '<!--') {
+                $end = strpos($html, '-->', $start + 4);
+                $position = $end === false ? $length : $end + 3;
+                continue;
+            }
+
+            if (!preg_match($tag_pattern, $html, $match, PREG_OFFSET_CAPTURE, $start)) {
+                $position = $start + 1;
+                continue;
+            }
+
+            $position = $start + strlen($match[0][0]);
+            $tag = strtolower($match[2][0]);
+
+            if ($match[1][0] === '/') {
+                // Close the innermost open element with this name, if any.
+                for ($i = count($ancestors) - 1; $i >= 0; $i--) {
+                    if ($ancestors[$i]['tag'] === $tag) {
+                        $ancestors = array_slice($ancestors, 0, $i);
+                        break;
+                    }
+                }
+                continue;
+            }
+
+            $attributes = $this->parse_attributes($match[3][0], $match[3][1]);
+            $element = [
+                'tag' => $tag,
+                'attributes' => array_map(function ($attribute) {
+                    return html_entity_decode($attribute['value'], ENT_QUOTES);
+                }, $attributes),
+            ];
+
+            $parent = end($ancestors);
+            $element['excluded'] = ($parent && $parent['excluded'])
+                || (!$this->exclude_selectors->is_empty() && $this->exclude_selectors->matches($element, $ancestors));
+
+            if (!$element['excluded']) {
+                foreach ($this->get_element_edits($tag, $attributes, $ancestors) as $edit) {
+                    $edits[] = $edit;
+                }
+            }
+
+            if (in_array($tag, self::RAW_TEXT_ELEMENTS, true)) {
+                $end = stripos($html, '</' . $tag, $position);
+                $end = $end === false ? $length : $end;
+
+                if ($tag === 'style' && !$element['excluded']) {
+                    $edits[] = [
+                        'offset' => $position,
+                        'value' => substr($html, $position, $end - $position),
+                        'type' => 'css',
+                        'encoded' => false,
+                    ];
+                }
+
+                $position = $end;
+                continue;
+            }
+
+            if (!in_array($tag, self::VOID_ELEMENTS, true) && substr(rtrim($match[3][0]), -1) !== '/') {
+                $ancestors[] = $element;
+            }
+        }
+
+        return $edits;
+    }
+
+    /**
+     * Parse the attributes of a tag.
+     *
+     * @since 1.2.0
+     * @param string $attribute_string The attributes part of the tag
+     * @param int    $offset           Offset of the attributes part in the document
+     * @return array Attributes keyed by lowercase name, each with the raw 'value' and its 'offset'
+     */
+    private function parse_attributes($attribute_string, $offset)
+    {
+        $attributes = [];
+
+        preg_match_all(
+            '/([^\s"\'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|\'([^\']*)\'|([^\s"\'=<>`]+)))?/',
+            $attribute_string,
+            $matches,
+            PREG_SET_ORDER | PREG_OFFSET_CAPTURE
+        );
+
+        foreach ($matches as $match) {
+            $name = strtolower($match[1][0]);
+            if (isset($attributes[$name])) {
+                continue;
+            }
+
+            $value = ['', -1];
+            foreach ([2, 3, 4] as $group) {
+                if (isset($match[$group]) && $match[$group][1] !== -1) {
+                    $value = $match[$group];
+                    break;
+                }
+            }
+
+            $attributes[$name] = [
+                'value' => $value[0],
+                'offset' => $value[1] === -1 ? -1 : $offset + $value[1],
+            ];
+        }
+
+        return $attributes;
+    }
+
+    /**
+     * Get the edits of the attributes of an element.
+     *
+     * @since 1.2.0
+     * @param string $tag        Lowercase tag name
+     * @param array  $attributes Attributes from parse_attributes()
+     * @param array  $ancestors  Open elements, outermost first
+     * @return array Edits of the element
+     */
+    private function get_element_edits($tag, $attributes, $ancestors)
+    {
+        $targets = [];
+
+        if ($tag === 'img') {
+            $targets = ['src' => 'url', 'srcset' => 'srcset'];
+        } elseif ($tag === 'source') {
+            // A source with a type is only picked by browsers supporting that type.
+            $in_picture = !empty($ancestors) && end($ancestors)['tag'] === 'picture';
+            if (!$in_picture || !isset($attributes['type'])) {
+                $targets = ['src' => 'url', 'srcset' => 'srcset'];
+            }
+        } elseif ($tag === 'link' && isset($attributes['rel'], $attributes['as'])) {
+            if (preg_match('/\bpreload\b/i', $attributes['rel']['value']) && strtolower($attributes['as']['value']) === 'image') {
+                $targets = ['href' => 'url', 'imagesrcset' => 'srcset'];
+            }
+        }
+
+        $targets['style'] = 'css';
+        $edits = [];
+
+        foreach ($targets as $name => $type) {
+            if (!isset($attributes[$name]) || $attributes[$name]['offset'] === -1 || $attributes[$name]['value'] === '') {
+                continue;
+            }
+
+            $edits[] = [
+                'offset' => $attributes[$name]['offset'],
+                'value' => $attributes[$name]['value'],
+                'type' => $type,
+                'encoded' => true,
+            ];
+        }
+
+        // Keep the edits in document order, whatever the order of the attributes.
+        usort($edits, function ($a, $b) {
+            return $a['offset'] - $b['offset'];
+        });
+
+        return $edits;
+    }
+
+    /**
+     * Get the URLs of an edit.
+     *
+     * @since 1.2.0
+     * @param array $edit The edit
+     * @return array URLs found in the value
+     */
+    private function get_edit_urls($edit)
+    {
+        $value = $edit['encoded'] ? html_entity_decode($edit['value'], ENT_QUOTES) : $edit['value'];
+
+        if ($edit['type'] === 'url') {
+            return [trim($value)];
+        }
+
+        if ($edit['type'] === 'srcset') {
+            return array_column($this->parse_srcset($value), 'url');
+        }
+
+        preg_match_all('/url\(\s*([\'"]?)([^\'")]+)\1\s*\)/i', $value, $matches);
+
+        return array_map('trim', $matches[2]);
+    }
+
+    /**
+     * Split a srcset value into its image candidates.
+     *
+     * URLs may contain commas, as in /w_300,h_200/ paths of image CDNs. A candidate
+     * only ends at a comma after its descriptor, or at commas directly followed by
+     * whitespace when it has no descriptor.
+     *
+     * @since 1.2.0
+     * @param string $srcset The srcset value
+     * @return array Candidates with the 'url' and 'descriptor' keys
+     */
+    private function parse_srcset($srcset)
+    {
+        preg_match_all('/[\s,]*(\S+?)(?:,+(?=\s|$)|\s+([^,]*?)\s*(?:,|$)|$)/', $srcset, $matches, PREG_SET_ORDER);
+
+        return array_map(function ($match) {
+            return ['url' => $match[1], 'descriptor' => $match[2] ?? ''];
+        }, $matches);
+    }
+
+    /**
+     * Replace the URLs of an edit.
+     *
+     * @since 1.2.0
+     * @param array $edit         The edit
+     * @param array $replacements Replacement URLs keyed by original URL
+     * @return string The new value
+     */
+    private function apply_edit($edit, $replacements)
+    {
+        $value = $edit['encoded'] ? html_entity_decode($edit['value'], ENT_QUOTES) : $edit['value'];
+        $replace = function ($url) use ($replacements) {
+            return $replacements[trim($url)] ?? $url;
+        };
+
+        if ($edit['type'] === 'url') {
+            $new_value = $replace($value);
+        } elseif ($edit['type'] === 'srcset') {
+            $new_value = implode(', ', array_map(function ($candidate) use ($replace) {
+                return $replace($candidate['url']) . ($candidate['descriptor'] !== '' ? ' ' . $candidate['descriptor'] : '');
+            }, $this->parse_srcset($value)));
+        } else {
+            $new_value = preg_replace_callback('/url\(\s*([\'"]?)([^\'")]+)\1\s*\)/i', function ($matches) use ($replace) {
+                return 'url(' . $matches[1] . $replace($matches[2]) . $matches[1] . ')';
+            }, $value);
+        }
+
+        if ($new_value === $value) {
+            return $edit['value'];
+        }
+
+        return $edit['encoded'] ? htmlspecialchars($new_value, ENT_QUOTES, 'UTF-8', false) : $new_value;
+    }
+
+    /**
+     * Get the optimized variants of image URLs.
+     *
+     * @since 1.2.0
+     * @param array $urls Image URLs found in the document
+     * @return array Replacement URLs keyed by original URL
+     */
+    private function get_replacements($urls)
+    {
+        $paths = [];
+        foreach ($urls as $url) {
+            $path = $this->get_uploads_relative_path($url);
+            if ($path !== null && !$this->is_excluded_url($url)) {
+                $paths[$url] = $path;
+            }
+        }
+
+        if (empty($paths)) {
+            return [];
+        }
+
+        $size_data = $this->get_size_data(array_unique(array_values($paths)));
+        $replacements = [];
+
+        foreach ($paths as $url => $path) {
+            if (!isset($size_data[$path])) {
+                continue;
+            }
+
+            $file_name = $this->get_variant_file_name($size_data[$path], $path);
+            if ($file_name !== null) {
+                // Only the file name changes, so hosts, CDNs and query strings are kept.
+                $replacements[$url] = preg_replace('/[^\/?#]+(?=([?#].*)?$)/', $file_name, $url, 1);
+            }
+        }
+
+        return $replacements;
+    }
+
+    /**
+     * Get the file name of the variant to deliver for a size.
+     *
+     * @since 1.2.0
+     * @param array  $size_data Optimization data of the size
+     * @param string $path      Path of the requested file, relative to the uploads directory
+     * @return string|null File name of the variant, or null to keep the URL
+     */
+    private function get_variant_file_name($size_data, $path)
+    {
+        foreach ($this->formats as $format) {
+            if (!empty($size_data[$format]['file_name'])) {
+                return $size_data[$format]['file_name'];
+            }
+        }
+
+        if (!empty($size_data['converted_to_jpg']) && !empty($size_data['jpg_path']) && preg_match('/\.png$/i', $path)) {
+            return basename($size_data['jpg_path']);
+        }
+
+        return null;
+    }
+
+    /**
+     * Load the optimization data of image files.
+     *
+     * The attachments are found by their attached file, so every size of an image
+     * resolves to the same attachment, and loaded with a single meta query.
+     *
+     * @since 1.2.0
+     * @param array $paths Paths relative to the uploads directory
+     * @return array Optimization data of each size, keyed by path relative to the uploads directory
+     */
+    private function get_size_data($paths)
+    {
+        global $wpdb;
+
+        $attached_files = [];
+        foreach ($paths as $path) {
+            $attached_files = array_merge($attached_files, $this->get_attached_file_candidates($path));
+        }
+        $attached_files = array_values(array_unique($attached_files));
+
+        $placeholders = implode(', ', array_fill(0, count($attached_files), '%s'));
+        $attachments = $wpdb->get_results($wpdb->prepare(
+            "SELECT post_id, meta_value FROM {$wpdb->postmeta} WHERE meta_key = '_wp_attached_file' AND meta_value IN ($placeholders)",
+            $attached_files
+        ));
+
+        if (empty($attachments)) {
+            return [];
+        }
+
+        update_meta_cache('post', wp_list_pluck($attachments, 'post_id'));
+
+        $size_data = [];
+        foreach ($attachments as $attachment) {
+            $optimization_data = get_post_meta($attachment->post_id, '_awp_io_optimization_data', true);
+            if (empty($optimization_data) || !is_array($optimization_data)) {
+                continue;
+            }
+
+            $directory = dirname($attachment->meta_value) === '.' ? '' : dirname($attachment->meta_value) . '/';
+
+            foreach ($optimization_data as $data) {
+                if (!empty($data['file_name'])) {
+                    $size_data[$directory . $data['file_name']] = $data;
+                }
+                if (!empty($data['jpg_path'])) {
+                    $size_data[$data['jpg_path']] = $data;
+                }
+            }
+        }
+
+        return $size_data;
+    }
+
+    /**
+     * Get the attached files an image file may belong to.
+     *
+     * Generated sizes carry a -{width}x{height} suffix and large uploads a -scaled
+     * suffix, and converted PNGs may be attached as JPEG.
+     *
+     * @since 1.2.0
+     * @param string $path Path relative to the uploads directory
+     * @return array Possible values of _wp_attached_file
+     */
+    private function get_attached_file_candidates($path)
+    {
+        $directory = dirname($path) === '.' ? '' : dirname($path) . '/';
+        $extension = pathinfo($path, PATHINFO_EXTENSION);
+        $name = pathinfo($path, PATHINFO_FILENAME);
+        $base_name = preg_replace('/-\d+x\d+$/', '', $name);
+
+        $extensions = [$extension];
+        if (strtolower($extension) === 'png') {
+            $extensions[] = 'jpg';
+        }
+
+        $candidates = [];
+        foreach (array_unique([$name, $base_name, $base_name . '-scaled']) as $candidate_name) {
+            foreach ($extensions as $candidate_extension) {
+                $candidates[] = $directory . $candidate_name . '.' . $candidate_extension;
+            }
+        }
+
+        return $candidates;
+    }
+
+    /**
+     * Get the path of an image URL relative to the uploads directory.
+     *
+     * @since 1.2.0
+     * @param string $url Image URL, absolute, protocol relative or root relative
+     * @return string|null Relative path, or null if the URL is not a JPEG or PNG in the uploads directory
+     */
+    private function get_uploads_relative_path($url)
+    {
+        $parts = wp_parse_url($url);
+        if ($parts === false || empty($parts['path'])) {
+            return null;
+        }
+
+        if (!empty($parts['host']) && !in_array($parts['host'], $this->uploads_hosts, true)) {
+            return null;
+        }
+
+        $prefix = $this->uploads_path . '/';
+        if (strpos($parts['path'], $prefix) !== 0 || !preg_match('/\.(jpe?g|png)$/i', $parts['path'])) {
+            return null;
+        }
+
+        return rawurldecode(substr($parts['path'], strlen($prefix)));
+    }
+
+    /**
+     * Check whether a URL matches an exclusion pattern.
+     *
+     * @since 1.2.0
+     * @param string $url Image URL
+     * @return bool True if the URL is excluded
+     */
+    private function is_excluded_url($url)
+    {
+        foreach ($this->exclude_urls as $pattern) {
+            if (preg_match($pattern, $url)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Check whether the response is an HTML page.
+     *
+     * @since 1.2.0
+     * @return bool False if a non-HTML content type was sent
+     */
+    private function is_html_response()
+    {
+        foreach (headers_list() as $header) {
+            if (stripos($header, 'content-type:') === 0) {
+                return stripos($header, 'text/html') !== false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Split a multi-line setting into trimmed, non-empty lines.
+     *
+     * @since 1.2.0
+     * @param string $value Setting value
+     * @return array Lines
+     */
+    private function get_lines($value)
+    {
+        return array_values(array_filter(array_map('trim', preg_split('/\R/', (string) $value))));
+    }
+}
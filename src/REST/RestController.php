@@ -0,0 +1,644 @@
+<?php
+
+namespace AWP\IO\REST;
+
+use AWP\IO\Admin\ImageOptimizerOptions;
+use AWP\IO\BackupManager;
+use AWP\IO\BulkRestore;
+use AWP\IO\ImageFetcher;
+use AWP\IO\MediaLibraryOptimizer;
+use AWP\IO\OptimizationEngine;
+use AWP\IO\OptimizationRun;
+use AWP\IO\OptimizationScope;
+use AWP\IO\RestoreFilter;
+use AWP\IO\Singleton;
+use AWP\IO\Stats\OptimizationStatsManager;
+use AWP\IO\Stats\StatsReport;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Server;
+
+/**
+ * Class RestController
+ *
+ * Registers the awp-io/v1 REST API, so optimization, restore and statistics can
+ * be driven by the admin scripts, headless setups and external tooling.
+ *
+ * Requests are authenticated by WordPress, with the REST nonce for logged in
+ * users or with application passwords. Bulk runs, bulk restores, backups and
+ * statistics require the manage_options capability, single images the upload_files
+ * capability and permission to edit the attachment. Errors are returned with a
+ * 4xx status, so clients can tell them apart from failures worth retrying.
+ *
+ * @package AWP\IO\REST
+ * @since 1.2.0
+ */
+class RestController extends Singleton
+{
+    /**
+     * Namespace of the REST routes.
+     *
+     * @var string
+     */
+    public const REST_NAMESPACE = 'awp-io/v1';
+
+    /**
+     * Constructor.
+     *
+     * Registers the routes once the REST API is initialized.
+     */
+    public function __construct()
+    {
+        add_action('rest_api_init', [$this, 'register_routes']);
+    }
+
+    /**
+     * Register the REST routes.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function register_routes()
+    {
+        $attachment_args = [
+            'id' => [
+                'description' => __('ID of the image attachment.', 'awp-io'),
+                'type' => 'integer',
+                'minimum' => 1,
+                'required' => true,
+            ],
+            'include_column' => [
+                'description' => __('Whether to include the HTML of the media library column.', 'awp-io'),
+                'type' => 'boolean',
+                'default' => false,
+            ],
+        ];
+
+        register_rest_route(self::REST_NAMESPACE, '/attachments/(?P<id>[\d]+)', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_attachment'],
+            'permission_callback' => [$this, 'can_edit_attachment'],
+            'args' => $attachment_args,
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/attachments/(?P<id>[\d]+)/optimize', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'optimize_attachment'],
+            'permission_callback' => [$this, 'can_edit_attachment'],
+            'args' => array_merge($attachment_args, [
+                're_optimize' => [
+                    'description' => __('Whether to optimize an optimized image again from its backup.', 'awp-io'),
+                    'type' => 'boolean',
+                    'default' => false,
+                ],
+                'compression_level' => [
+                    'description' => __('Compression level, empty for the level set in the settings.', 'awp-io'),
+                    'type' => 'string',
+                    'enum' => array_merge([''], OptimizationEngine::COMPRESSION_LEVELS),
+                    'default' => '',
+                ],
+            ]),
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/attachments/(?P<id>[\d]+)/restore', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'restore_attachment'],
+            'permission_callback' => [$this, 'can_edit_attachment'],
+            'args' => $attachment_args,
+        ]);
+
+        $scope_args = [
+            're_optimize' => [
+                'description' => __('Whether optimized images are optimized again.', 'awp-io'),
+                'type' => 'boolean',
+                'default' => false,
+            ],
+            'scope' => [
+                'description' => __('Images to optimize, all images by default.', 'awp-io'),
+                'type' => 'object',
+                'default' => [],
+                'properties' => [
+                    'date_from' => ['type' => 'string'],
+                    'date_to' => ['type' => 'string'],
+                    'mime_types' => ['type' => 'array', 'items' => ['type' => 'string']],
+                    'folder' => ['type' => 'string'],
+                    'parent_ids' => ['type' => 'array', 'items' => ['type' => 'integer']],
+                    'attachment_ids' => ['type' => 'array', 'items' => ['type' => 'integer']],
+                ],
+                'additionalProperties' => false,
+            ],
+        ];
+
+        register_rest_route(self::REST_NAMESPACE, '/bulk-optimization', [
+            [
+                'methods' => WP_REST_Server::READABLE,
+                'callback' => [$this, 'get_bulk_optimization'],
+                'permission_callback' => [$this, 'can_manage'],
+            ],
+            [
+                'methods' => WP_REST_Server::CREATABLE,
+                'callback' => [$this, 'start_bulk_optimization'],
+                'permission_callback' => [$this, 'can_manage'],
+                'args' => $scope_args,
+            ],
+            [
+                'methods' => WP_REST_Server::DELETABLE,
+                'callback' => [$this, 'cancel_bulk_optimization'],
+                'permission_callback' => [$this, 'can_manage'],
+            ],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/bulk-optimization/batch', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'process_bulk_optimization_batch'],
+            'permission_callback' => [$this, 'can_manage'],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/bulk-optimization/(?P<action>pause|resume)', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'update_bulk_optimization_status'],
+            'permission_callback' => [$this, 'can_manage'],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/bulk-optimization/count', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'count_bulk_optimization'],
+            'permission_callback' => [$this, 'can_manage'],
+            'args' => $scope_args,
+        ]);
+
+        $restore_filter_args = [
+            'filter' => [
+                'description' => __('Images to restore, all optimized images by default.', 'awp-io'),
+                'type' => 'object',
+                'default' => [],
+                'properties' => [
+                    'optimized_from' => ['type' => 'string'],
+                    'optimized_to' => ['type' => 'string'],
+                    'max_savings' => ['type' => 'number'],
+                    'mime_types' => ['type' => 'array', 'items' => ['type' => 'string']],
+                    'attachment_ids' => ['type' => 'array', 'items' => ['type' => 'integer']],
+                ],
+                'additionalProperties' => false,
+            ],
+        ];
+
+        register_rest_route(self::REST_NAMESPACE, '/bulk-restore', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'start_bulk_restore'],
+            'permission_callback' => [$this, 'can_manage'],
+            'args' => $restore_filter_args,
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/bulk-restore/preview', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'preview_bulk_restore'],
+            'permission_callback' => [$this, 'can_manage'],
+            'args' => $restore_filter_args,
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/bulk-restore/batch', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'process_bulk_restore_batch'],
+            'permission_callback' => [$this, 'can_manage'],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/backups', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_backups'],
+            'permission_callback' => [$this, 'can_manage'],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/backups/verify', [
+            'methods' => WP_REST_Server::CREATABLE,
+            'callback' => [$this, 'verify_backups'],
+            'permission_callback' => [$this, 'can_manage'],
+            'args' => [
+                'offset' => [
+                    'description' => __('Number of backups verified by the previous batches.', 'awp-io'),
+                    'type' => 'integer',
+                    'minimum' => 0,
+                    'default' => 0,
+                ],
+            ],
+        ]);
+
+        $range_args = [
+            'from' => [
+                'description' => __('First day of the range (Y-m-d), 30 days before the last day by default.', 'awp-io'),
+                'type' => 'string',
+                'default' => '',
+            ],
+            'to' => [
+                'description' => __('Last day of the range (Y-m-d), today by default.', 'awp-io'),
+                'type' => 'string',
+                'default' => '',
+            ],
+        ];
+
+        register_rest_route(self::REST_NAMESPACE, '/stats', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_stats'],
+            'permission_callback' => [$this, 'can_manage'],
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/stats/history', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_stats_history'],
+            'permission_callback' => [$this, 'can_manage'],
+            'args' => array_merge($range_args, [
+                'bucket' => [
+                    'description' => __('Length of the periods.', 'awp-io'),
+                    'type' => 'string',
+                    'enum' => ['day', 'week'],
+                    'default' => 'day',
+                ],
+            ]),
+        ]);
+
+        register_rest_route(self::REST_NAMESPACE, '/stats/breakdown', [
+            'methods' => WP_REST_Server::READABLE,
+            'callback' => [$this, 'get_stats_breakdown'],
+            'permission_callback' => [$this, 'can_manage'],
+            'args' => $range_args,
+        ]);
+    }
+
+    /**
+     * Check whether the current user can run bulk operations and read statistics.
+     *
+     * @since 1.2.0
+     * @return bool True if the user can manage options
+     */
+    public function can_manage()
+    {
+        return current_user_can('manage_options');
+    }
+
+    /**
+     * Check whether the current user can optimize and restore the requested image.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return bool|WP_Error True if allowed, WP_Error if the attachment is not an image
+     */
+    public function can_edit_attachment(WP_REST_Request $request)
+    {
+        $attachment_id = (int) $request['id'];
+
+        if (!wp_attachment_is_image($attachment_id)) {
+            return new WP_Error('awp_io_invalid_attachment', __('Not a valid image', 'awp-io'), ['status' => 404]);
+        }
+
+        return current_user_can('upload_files') && current_user_can('edit_post', $attachment_id);
+    }
+
+    /**
+     * Get the optimization data of an image.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return \WP_REST_Response Attachment data
+     */
+    public function get_attachment(WP_REST_Request $request)
+    {
+        return rest_ensure_response($this->prepare_attachment_response((int) $request['id'], [], $request['include_column']));
+    }
+
+    /**
+     * Optimize an image.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return \WP_REST_Response|WP_Error Message and attachment data, or WP_Error if the image was not optimized
+     */
+    public function optimize_attachment(WP_REST_Request $request)
+    {
+        $attachment_id = (int) $request['id'];
+        $media_library = MediaLibraryOptimizer::get_instance();
+        $result = $media_library->optimize_attachment($attachment_id, $request['re_optimize'], $request['compression_level']);
+
+        if (is_wp_error($result)) {
+            // A failed optimization is recorded on the attachment, so the column changes as well.
+            if ($request['include_column'] && $result->get_error_code() === 'awp_io_optimization_failed') {
+                $result->add_data([
+                    'status' => 422,
+                    'column' => $media_library->get_optimization_column_html($attachment_id),
+                ]);
+            }
+
+            return $result;
+        }
+
+        return rest_ensure_response($this->prepare_attachment_response($attachment_id, $result, $request['include_column']));
+    }
+
+    /**
+     * Restore an optimized image from its backup.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return \WP_REST_Response|WP_Error Message and attachment data, or WP_Error if the image was not restored
+     */
+    public function restore_attachment(WP_REST_Request $request)
+    {
+        $attachment_id = (int) $request['id'];
+        $result = MediaLibraryOptimizer::get_instance()->restore_attachment($attachment_id);
+
+        if (is_wp_error($result)) {
+            return $result;
+        }
+
+        return rest_ensure_response($this->prepare_attachment_response($attachment_id, $result, $request['include_column']));
+    }
+
+    /**
+     * Get the bulk run in progress.
+     *
+     * @since 1.2.0
+     * @return \WP_REST_Response Array with the 'run' state, null if no run is in progress
+     */
+    public function get_bulk_optimization()
+    {
+        $run_manager = OptimizationRun::get_instance();
+
+        return rest_ensure_response(['run' => $run_manager->prepare_run_response($run_manager->get())]);
+    }
+
+    /**
+     * Start a bulk run and optimize its first batch.
+     *
+     * A run in progress is replaced.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return \WP_REST_Response|WP_Error Batch response, or WP_Error if the run could not be started
+     */
+    public function start_bulk_optimization(WP_REST_Request $request)
+    {
+        return rest_ensure_response(ImageOptimizerOptions::get_instance()->process_optimization_batch([
+            're_optimize' => $request['re_optimize'],
+            'scope' => $request['scope'],
+        ]));
+    }
+
+    /**
+     * Optimize the next batch of the bulk run in progress.
+     *
+     * Batches can be requested in parallel to speed up a run.
+     *
+     * @since 1.2.0
+     * @return \WP_REST_Response|WP_Error Batch response, or WP_Error if the engine is not available
+     */
+    public function process_bulk_optimization_batch()
+    {
+        return rest_ensure_response(ImageOptimizerOptions::get_instance()->process_optimization_batch());
+    }
+
+    /**
+     * Pause or resume the bulk run in progress.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return \WP_REST_Response|WP_Error Array with the 'run' state, or WP_Error if no run is in progress or the run state is locked
+     */
+    public function update_bulk_optimization_status(WP_REST_Request $request)
+    {
+        $run_manager = OptimizationRun::get_instance();
+        $run = $run_manager->set_status(
+            $request['action'] === 'pause' ? OptimizationRun::STATUS_PAUSED : OptimizationRun::STATUS_RUNNING
+        );
+
+        if (is_wp_error($run)) {
+            return $run;
+        }
+
+        if ($run === null) {
+            return new WP_Error('awp_io_no_run', __('No optimization run in progress', 'awp-io'), ['status' => 404]);
+        }
+
+        return rest_ensure_response(['run' => $run_manager->prepare_run_response($run)]);
+    }
+
+    /**
+     * Cancel the bulk run in progress.
+     *
+     * Images optimized so far stay optimized.
+     *
+     * @since 1.2.0
+     * @return \WP_REST_Response|WP_Error Array with the 'run' state set to null, or WP_Error if the run state is locked
+     */
+    public function cancel_bulk_optimization()
+    {
+        $cleared = OptimizationRun::get_instance()->clear();
+        if (is_wp_error($cleared)) {
+            return $cleared;
+        }
+
+        return rest_ensure_response(['run' => null]);
+    }
+
+    /**
+     * Count the images a bulk run with the requested scope would optimize.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return \WP_REST_Response|WP_Error Array with the 'count', or WP_Error if the scope is invalid
+     */
+    public function count_bulk_optimization(WP_REST_Request $request)
+    {
+        try {
+            $scope = OptimizationScope::from_array($request['scope']);
+        } catch (\InvalidArgumentException $e) {
+            return new WP_Error('awp_io_invalid_scope', $e->getMessage(), ['status' => 400]);
+        }
+
+        return rest_ensure_response([
+            'count' => ImageFetcher::get_instance()->get_total_unoptimized_count($request['re_optimize'], $scope),
+        ]);
+    }
+
+    /**
+     * Start a bulk restore of the images matching the requested filter.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return \WP_REST_Response|WP_Error Array with the number of images to restore as 'total_images',
+     *                                    or WP_Error if the filter is invalid
+     */
+    public function start_bulk_restore(WP_REST_Request $request)
+    {
+        $filter = $this->get_requested_restore_filter($request);
+        if (is_wp_error($filter)) {
+            return $filter;
+        }
+
+        return rest_ensure_response(['total_images' => BulkRestore::get_instance()->start($filter)]);
+    }
+
+    /**
+     * Preview the images a bulk restore with the requested filter would restore.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return \WP_REST_Response|WP_Error Array with the 'total' and the first matching 'images',
+     *                                    or WP_Error if the filter is invalid
+     */
+    public function preview_bulk_restore(WP_REST_Request $request)
+    {
+        $filter = $this->get_requested_restore_filter($request);
+        if (is_wp_error($filter)) {
+            return $filter;
+        }
+
+        return rest_ensure_response(BulkRestore::get_instance()->preview($filter));
+    }
+
+    /**
+     * Restore the next batch of a bulk restore.
+     *
+     * @since 1.2.0
+     * @return \WP_REST_Response Batch response with results and progress
+     */
+    public function process_bulk_restore_batch()
+    {
+        return rest_ensure_response(BulkRestore::get_instance()->restore_batch());
+    }
+
+    /**
+     * Get the disk usage of the backups.
+     *
+     * @since 1.2.0
+     * @return \WP_REST_Response Array with 'files', 'bytes' and 'recorded' backups
+     */
+    public function get_backups()
+    {
+        return rest_ensure_response(BackupManager::get_instance()->get_disk_usage());
+    }
+
+    /**
+     * Verify the next batch of backups against the manifest.
+     *
+     * The last batch also lists the orphaned backups and the disk usage.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return \WP_REST_Response Batch response with 'results', 'offset', 'total' and 'is_complete'
+     */
+    public function verify_backups(WP_REST_Request $request)
+    {
+        $backup_manager = BackupManager::get_instance();
+        $response = $backup_manager->verify_batch($request['offset']);
+
+        if ($response['is_complete']) {
+            $response['orphans'] = $backup_manager->find_orphans();
+            $response['usage'] = $backup_manager->get_disk_usage();
+        }
+
+        return rest_ensure_response($response);
+    }
+
+    /**
+     * Get the total savings and conversions.
+     *
+     * @since 1.2.0
+     * @return \WP_REST_Response Totals
+     */
+    public function get_stats()
+    {
+        return rest_ensure_response(OptimizationStatsManager::get_instance()->get_stats_summary());
+    }
+
+    /**
+     * Get savings and conversions over time.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return \WP_REST_Response|WP_Error Array with 'range', 'bucket' and 'history', or WP_Error if the range is invalid
+     */
+    public function get_stats_history(WP_REST_Request $request)
+    {
+        $range = $this->get_requested_range($request);
+
+        if (is_wp_error($range)) {
+            return $range;
+        }
+
+        return rest_ensure_response([
+            'range' => $range,
+            'bucket' => $request['bucket'],
+            'history' => StatsReport::get_instance()->get_history($range, $request['bucket']),
+        ]);
+    }
+
+    /**
+     * Get the savings breakdown and image lists.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return \WP_REST_Response|WP_Error Breakdown, or WP_Error if the range is invalid
+     */
+    public function get_stats_breakdown(WP_REST_Request $request)
+    {
+        $range = $this->get_requested_range($request);
+
+        if (is_wp_error($range)) {
+            return $range;
+        }
+
+        return rest_ensure_response(OptimizationStatsManager::get_instance()->get_stats_breakdown($range));
+    }
+
+    /**
+     * Get the date range of a statistics request.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return array|WP_Error Date range as returned by StatsReport::normalize_range(), or WP_Error if it is invalid
+     */
+    private function get_requested_range(WP_REST_Request $request)
+    {
+        try {
+            return StatsReport::get_instance()->normalize_range($request['from'], $request['to']);
+        } catch (\InvalidArgumentException $e) {
+            return new WP_Error('awp_io_invalid_range', $e->getMessage(), ['status' => 400]);
+        }
+    }
+
+    /**
+     * Get the restore filter of a bulk restore request.
+     *
+     * @since 1.2.0
+     * @param WP_REST_Request $request Full details about the request
+     * @return RestoreFilter|WP_Error Restore filter, or WP_Error if it is invalid
+     */
+    private function get_requested_restore_filter(WP_REST_Request $request)
+    {
+        try {
+            return RestoreFilter::from_array($request['filter']);
+        } catch (\InvalidArgumentException $e) {
+            return new WP_Error('awp_io_invalid_filter', $e->getMessage(), ['status' => 400]);
+        }
+    }
+
+    /**
+     * Build the response of an attachment route.
+     *
+     * @since 1.2.0
+     * @param int   $attachment_id  ID of the attachment
+     * @param array $result         Result of the action, e.g. with a 'message'
+     * @param bool  $include_column Whether to include the HTML of the media library column
+     * @return array Result with the attachment data
+     */
+    private function prepare_attachment_response($attachment_id, $result, $include_column)
+    {
+        $media_library = MediaLibraryOptimizer::get_instance();
+        $response = array_merge($result, ['attachment' => $media_library->get_attachment_data($attachment_id)]);
+
+        if ($include_column) {
+            $response['column'] = $media_library->get_optimization_column_html($attachment_id);
+        }
+
+        return $response;
+    }
+}
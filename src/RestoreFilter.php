@@ -0,0 +1,238 @@
+<?php
+
+namespace AWP\IO;
+
+/**
+ * RestoreFilter Class
+ *
+ * Restricts a bulk restore to part of the optimized images: images optimized
+ * within a date range, images whose savings are below a percentage, specific
+ * image types or an explicit list of attachment IDs. An empty filter matches
+ * every optimized image.
+ *
+ * The savings are filtered on the savings_percent column of the history table,
+ * which is stored when an image is optimized. Images optimized before the column
+ * existed match once BulkRestore has stored their savings in the background.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class RestoreFilter
+{
+    /**
+     * Earliest optimization date (Y-m-d) in the site timezone, inclusive.
+     *
+     * @var string
+     */
+    private $optimized_from = '';
+
+    /**
+     * Latest optimization date (Y-m-d) in the site timezone, inclusive.
+     *
+     * @var string
+     */
+    private $optimized_to = '';
+
+    /**
+     * Only images that saved less than this percentage match, 0 matches images
+     * that got larger. Null disables the savings filter.
+     *
+     * @var float|null
+     */
+    private $max_savings = null;
+
+    /**
+     * Image types and attachment IDs, shared with bulk optimization runs.
+     *
+     * @var OptimizationScope
+     */
+    private $scope;
+
+    /**
+     * Constructor. Creates an empty filter.
+     */
+    public function __construct()
+    {
+        $this->scope = new OptimizationScope();
+    }
+
+    /**
+     * Create a filter from user input or a stored filter array.
+     *
+     * MIME types and attachment IDs are accepted in the formats of
+     * OptimizationScope::from_array().
+     *
+     * @since 1.2.0
+     * @param array $args Filter arguments: optimized_from, optimized_to, max_savings, mime_types, attachment_ids.
+     * @return RestoreFilter
+     * @throws \InvalidArgumentException If a date, the savings percentage or a MIME type is invalid.
+     */
+    public static function from_array($args)
+    {
+        $filter = new self();
+
+        if (!is_array($args)) {
+            return $filter;
+        }
+
+        $filter->optimized_from = self::sanitize_date($args['optimized_from'] ?? '');
+        $filter->optimized_to = self::sanitize_date($args['optimized_to'] ?? '');
+
+        if ($filter->optimized_from && $filter->optimized_to && $filter->optimized_from > $filter->optimized_to) {
+            throw new \InvalidArgumentException(__('The start date must be before the end date.', 'awp-io'));
+        }
+
+        $max_savings = trim((string) ($args['max_savings'] ?? ''));
+        if ($max_savings !== '') {
+            if (!is_numeric($max_savings)) {
+                throw new \InvalidArgumentException(sprintf(__('Invalid savings percentage "%s".', 'awp-io'), $max_savings));
+            }
+            $filter->max_savings = (float) $max_savings;
+        }
+
+        $filter->scope = OptimizationScope::from_array([
+            'mime_types' => $args['mime_types'] ?? [],
+            'attachment_ids' => $args['attachment_ids'] ?? [],
+        ]);
+
+        return $filter;
+    }
+
+    /**
+     * Get the filter as an array, e.g. for storing it in the restore state.
+     *
+     * @since 1.2.0
+     * @return array Filter arguments accepted by from_array().
+     */
+    public function to_array()
+    {
+        $scope = $this->scope->to_array();
+
+        return [
+            'optimized_from' => $this->optimized_from,
+            'optimized_to' => $this->optimized_to,
+            'max_savings' => $this->max_savings,
+            'mime_types' => $scope['mime_types'],
+            'attachment_ids' => $scope['attachment_ids'],
+        ];
+    }
+
+    /**
+     * Check whether the filter matches every optimized image.
+     *
+     * @since 1.2.0
+     * @return bool True if no filter is set
+     */
+    public function is_empty()
+    {
+        return $this->max_savings === null && count(array_filter($this->to_array())) === 0;
+    }
+
+    /**
+     * Build the SQL needed to restrict a query on the posts table to this filter.
+     *
+     * The returned clauses expect the posts table to be aliased as "p". The WHERE
+     * clause starts with "AND", so it can be appended to an existing condition.
+     *
+     * @since 1.2.0
+     * @param \wpdb $db WordPress database instance
+     * @return array Array with prepared 'join' and 'where' clauses
+     */
+    public function get_sql_clauses($db)
+    {
+        $clauses = $this->scope->get_sql_clauses($db);
+        $where = [];
+
+        if ($this->optimized_from || $this->optimized_to || $this->max_savings !== null) {
+            $clauses['join'] .= " INNER JOIN {$db->prefix}" . Schema::HISTORY_TABLE_NAME . ' filter_history ON p.ID = filter_history.attachment_id';
+        }
+
+        // Re-optimized images are filtered by the date of their latest optimization. last_optimized_at
+        // is a TIMESTAMP read in the MySQL session timezone, while the dates are days in the site
+        // timezone. FROM_UNIXTIME() converts the bounds to the session timezone.
+        if ($this->optimized_from) {
+            $where[] = $db->prepare('filter_history.last_optimized_at >= FROM_UNIXTIME(%d)', self::get_day_start($this->optimized_from));
+        }
+
+        if ($this->optimized_to) {
+            $where[] = $db->prepare('filter_history.last_optimized_at < FROM_UNIXTIME(%d)', self::get_day_start($this->optimized_to, 1));
+        }
+
+        // Images without savings, e.g. without optimization data, never match.
+        if ($this->max_savings !== null) {
+            $where[] = $db->prepare('filter_history.savings_percent < %f', $this->max_savings);
+        }
+
+        if ($where) {
+            $clauses['where'] .= ' AND ' . implode(' AND ', $where);
+        }
+
+        return $clauses;
+    }
+
+    /**
+     * Get the timestamp a day starts at in the site timezone.
+     *
+     * @since 1.2.0
+     * @param string $date Date (Y-m-d)
+     * @param int    $days Optional. Number of days to add, e.g. 1 for the end of the day.
+     * @return int Unix timestamp
+     */
+    private static function get_day_start($date, $days = 0)
+    {
+        $day = new \DateTimeImmutable($date . ' 00:00:00', wp_timezone());
+
+        return $day->modify('+' . $days . ' days')->getTimestamp();
+    }
+
+    /**
+     * Get the savings of an image, summed over all optimized sizes.
+     *
+     * The savings of the optimized files are used, WebP and AVIF versions do not
+     * replace the originals and are not counted.
+     *
+     * @since 1.2.0
+     * @param array|string $optimization_data Optimization data of the image, serialized or not
+     * @return float|null Percentage saved, negative if the image got larger, or null without data
+     */
+    public static function get_savings_percent($optimization_data)
+    {
+        $optimization_data = maybe_unserialize($optimization_data);
+        if (empty($optimization_data) || !is_array($optimization_data)) {
+            return null;
+        }
+
+        $original = 0;
+        $saved = 0;
+
+        foreach ($optimization_data as $size_data) {
+            $original += (int) ($size_data['total_original'] ?? 0);
+            $saved += (int) ($size_data['total_saved'] ?? 0);
+        }
+
+        return $original > 0 ? round($saved / $original * 100, 2) : null;
+    }
+
+    /**
+     * Validate a date in Y-m-d format.
+     *
+     * @since 1.2.0
+     * @param string $date Date string
+     * @return string The date, or an empty string if none was given
+     * @throws \InvalidArgumentException If the date is not a valid Y-m-d date.
+     */
+    private static function sanitize_date($date)
+    {
+        $date = trim((string) $date);
+        if ($date === '') {
+            return '';
+        }
+
+        $parsed = \DateTime::createFromFormat('Y-m-d', $date);
+        if (!$parsed || $parsed->format('Y-m-d') !== $date) {
+            throw new \InvalidArgumentException(sprintf(__('Invalid date "%s", expected the format YYYY-MM-DD.', 'awp-io'), $date));
+        }
+
+        return $date;
+    }
+}
@@ -0,0 +1,368 @@
+<?php
+
+namespace AWP\IO;
+
+use AWP\IO\Admin\ImageOptimizerOptions;
+use WP_Error;
+
+/**
+ * Class RewriteRules
+ *
+ * Delivers next generation images with web server rewrite rules instead of the
+ * PHP output filters of WebpHandler. A request for a JPEG or PNG in the uploads
+ * directory is answered with its .avif or .webp sibling when the Accept header
+ * allows it, with a Vary: Accept header, so images in widgets, page builders,
+ * CSS backgrounds and cached pages are covered as well.
+ *
+ * On Apache the rules are written to the .htaccess file of the uploads directory
+ * and removed when the delivery method changes or the plugin is deactivated. For
+ * nginx a configuration snippet is generated to be added by hand.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class RewriteRules extends Singleton
+{
+    /**
+     * Marker of the rules block in the .htaccess file.
+     *
+     * @var string
+     */
+    public const MARKER = 'Effective Image Optimizer';
+
+    /**
+     * Supported delivery methods of next generation images.
+     *
+     * @var array
+     */
+    public const DELIVERY_METHODS = ['php', 'rewrite'];
+
+    /**
+     * Base name of the test images of the diagnostics check.
+     *
+     * @var string
+     */
+    private const TEST_FILE = 'awp-io-rewrite-test';
+
+    /**
+     * 1x1 PNG requested by the diagnostics check.
+     *
+     * @var string
+     */
+    private const TEST_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+    /**
+     * 1x1 WebP the diagnostics check expects in place of the PNG.
+     *
+     * @var string
+     */
+    private const TEST_WEBP = 'UklGRhoAAABXRUJQVlA4TA0AAAAvAAAAEAcQERGIiP4HAA==';
+
+    /**
+     * Constructor.
+     *
+     * Keeps the .htaccess rules in sync with the settings and sets up the
+     * AJAX hook of the diagnostics check.
+     */
+    public function __construct()
+    {
+        // add_option_ runs instead of update_option_ when the settings are saved for the first time.
+        add_action('add_option_' . ImageOptimizerOptions::IMAGE_OPTIMIZER_SETTINGS, [$this, 'sync_rules'], 10, 0);
+        add_action('update_option_' . ImageOptimizerOptions::IMAGE_OPTIMIZER_SETTINGS, [$this, 'sync_rules'], 10, 0);
+        add_action('wp_ajax_awp_io_check_rewrite_rules', [$this, 'handle_check_rules']);
+    }
+
+    /**
+     * Check whether next generation images are delivered by rewrite rules.
+     *
+     * @since 1.2.0
+     * @return bool True if delivery is enabled with the rewrite method
+     */
+    public function is_enabled()
+    {
+        return get_optimizer_settings('deliver_next_gen_images') === 'yes'
+            && get_optimizer_settings('next_gen_delivery_method') === 'rewrite';
+    }
+
+    /**
+     * Get the web server software of this site.
+     *
+     * @since 1.2.0
+     * @return string 'apache' (including LiteSpeed), 'nginx' or 'other'
+     */
+    public function get_server()
+    {
+        global $is_apache, $is_nginx;
+
+        if ($is_nginx) {
+            return 'nginx';
+        }
+
+        return $is_apache ? 'apache' : 'other';
+    }
+
+    /**
+     * Write or remove the .htaccess rules to match the current settings.
+     *
+     * @since 1.2.0
+     * @return bool|WP_Error True on success, WP_Error if the .htaccess file could not be written
+     */
+    public function sync_rules()
+    {
+        return $this->is_enabled() ? $this->write_rules() : $this->remove_rules();
+    }
+
+    /**
+     * Write the rules to the .htaccess file of the uploads directory.
+     *
+     * @since 1.2.0
+     * @return true|WP_Error True on success, WP_Error if the file could not be written
+     */
+    public function write_rules()
+    {
+        require_once ABSPATH . 'wp-admin/includes/misc.php';
+
+        if (!insert_with_markers($this->get_htaccess_path(), self::MARKER, $this->get_apache_rules())) {
+            return new WP_Error(
+                'htaccess_not_writable',
+                sprintf(__('Could not write the rewrite rules to %s.', 'awp-io'), $this->get_htaccess_path())
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove the rules from the .htaccess file of the uploads directory.
+     *
+     * @since 1.2.0
+     * @return true|WP_Error True on success or if there were no rules, WP_Error if the file could not be written
+     */
+    public function remove_rules()
+    {
+        if (!$this->rules_present()) {
+            return true;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/misc.php';
+
+        if (!insert_with_markers($this->get_htaccess_path(), self::MARKER, [])) {
+            return new WP_Error(
+                'htaccess_not_writable',
+                sprintf(__('Could not remove the rewrite rules from %s.', 'awp-io'), $this->get_htaccess_path())
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether the rules are in the .htaccess file of the uploads directory.
+     *
+     * @since 1.2.0
+     * @return bool True if the rules block is present
+     */
+    public function rules_present()
+    {
+        if (!is_file($this->get_htaccess_path())) {
+            return false;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/misc.php';
+
+        return !empty(array_filter(extract_from_markers($this->get_htaccess_path(), self::MARKER)));
+    }
+
+    /**
+     * Get the path of the .htaccess file the rules are written to.
+     *
+     * @since 1.2.0
+     * @return string Absolute path in the uploads directory
+     */
+    public function get_htaccess_path()
+    {
+        return wp_upload_dir()['basedir'] . '/.htaccess';
+    }
+
+    /**
+     * Get the Apache rules.
+     *
+     * A JPEG or PNG is rewritten to the sibling with the same name and a .avif or
+     * .webp extension, if it exists and the browser accepts the format.
+     *
+     * @since 1.2.0
+     * @return array Lines of the rules block
+     */
+    public function get_apache_rules()
+    {
+        $rules = [
+            '<IfModule mod_mime.c>',
+            'AddType image/webp .webp',
+            'AddType image/avif .avif',
+            '</IfModule>',
+            '<IfModule mod_rewrite.c>',
+            'RewriteEngine On',
+            'RewriteBase ' . trailingslashit($this->get_uploads_url_path()),
+        ];
+
+        foreach (['avif', 'webp'] as $format) {
+            $rules[] = 'RewriteCond %{HTTP_ACCEPT} image/' . $format;
+            $rules[] = 'RewriteCond %{REQUEST_FILENAME} ^(.+)\.(?:jpe?g|png)$ [NC]';
+            $rules[] = 'RewriteCond %1.' . $format . ' -f';
+            $rules[] = 'RewriteRule ^(.+)\.(?:jpe?g|png)$ $1.' . $format . ' [NC,T=image/' . $format . ',L]';
+        }
+
+        return array_merge($rules, [
+            '</IfModule>',
+            '<IfModule mod_headers.c>',
+            '<FilesMatch "(?i)\.(jpe?g|png|webp|avif)$">',
+            'Header append Vary Accept',
+            '</FilesMatch>',
+            '</IfModule>',
+        ]);
+    }
+
+    /**
+     * Get the nginx configuration snippet.
+     *
+     * The map blocks belong in the http block, the location block in the
+     * server block of the site, ahead of other locations matching images.
+     *
+     * @since 1.2.0
+     * @return string Configuration snippet
+     */
+    public function get_nginx_snippet()
+    {
+        $lines = [
+            '# ' . self::MARKER . ': add to the http block',
+            'map $http_accept $awp_io_avif_suffix {',
+            '    default "";',
+            '    "~*image/avif" ".avif";',
+            '}',
+            'map $http_accept $awp_io_webp_suffix {',
+            '    default "";',
+            '    "~*image/webp" ".webp";',
+            '}',
+            '',
+            '# ' . self::MARKER . ': add to the server block',
+            'location ~* "^(?<awp_io_path>' . preg_quote(trailingslashit($this->get_uploads_url_path())) . '.+)\.(?:jpe?g|png)$" {',
+            '    add_header Vary Accept;',
+            '    try_files $awp_io_path$awp_io_avif_suffix $awp_io_path$awp_io_webp_suffix $uri =404;',
+            '}',
+        ];
+
+        return implode("\n", $lines);
+    }
+
+    /**
+     * Handles AJAX request for the diagnostics check.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function handle_check_rules()
+    {
+        check_ajax_referer('start_optimization_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'awp-io')]);
+            return;
+        }
+
+        $result = $this->check_rules();
+
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()]);
+            return;
+        }
+
+        wp_send_json_success($result);
+    }
+
+    /**
+     * Verify that the web server delivers next generation images.
+     *
+     * A test PNG with a WebP sibling is written to the uploads directory and
+     * requested over HTTP, once accepting WebP and once without.
+     *
+     * @since 1.2.0
+     * @return array|WP_Error Result with 'passed' and 'checks', each check with 'label' and 'passed',
+     *                        or WP_Error if the test could not be run
+     */
+    public function check_rules()
+    {
+        $uploads_dir = wp_upload_dir();
+        $png_path = $uploads_dir['basedir'] . '/' . self::TEST_FILE . '.png';
+        $webp_path = $uploads_dir['basedir'] . '/' . self::TEST_FILE . '.webp';
+        $webp_content = base64_decode(self::TEST_WEBP);
+
+        if (!file_put_contents($png_path, base64_decode(self::TEST_PNG)) || !file_put_contents($webp_path, $webp_content)) {
+            wp_delete_file($png_path);
+            return new WP_Error('test_file_not_writable', __('Could not write the test images to the uploads directory.', 'awp-io'));
+        }
+
+        $url = add_query_arg('ver', time(), $uploads_dir['baseurl'] . '/' . self::TEST_FILE . '.png');
+        $args = [
+            'timeout' => 15,
+            'sslverify' => apply_filters('https_local_ssl_verify', false),
+        ];
+
+        $webp_response = wp_remote_get($url, $args + ['headers' => ['Accept' => 'image/webp,*/*']]);
+        $png_response = wp_remote_get($url, $args + ['headers' => ['Accept' => 'image/png,*/*']]);
+
+        wp_delete_file($png_path);
+        wp_delete_file($webp_path);
+
+        if (is_wp_error($webp_response)) {
+            return $webp_response;
+        }
+
+        $checks = [
+            [
+                'label' => __('WebP is served to browsers that accept it', 'awp-io'),
+                'passed' => wp_remote_retrieve_body($webp_response) === $webp_content
+                    && strpos($this->get_header($webp_response, 'content-type'), 'image/webp') === 0,
+            ],
+            [
+                'label' => __('Responses vary by the Accept header', 'awp-io'),
+                'passed' => stripos($this->get_header($webp_response, 'vary'), 'accept') !== false,
+            ],
+            [
+                'label' => __('The original is served to other browsers', 'awp-io'),
+                'passed' => !is_wp_error($png_response)
+                    && strpos($this->get_header($png_response, 'content-type'), 'image/png') === 0,
+            ],
+        ];
+
+        return [
+            'passed' => !in_array(false, array_column($checks, 'passed'), true),
+            'checks' => $checks,
+        ];
+    }
+
+    /**
+     * Get a response header as a single string.
+     *
+     * @since 1.2.0
+     * @param array  $response HTTP response
+     * @param string $name     Header name
+     * @return string Header value, repeated headers joined by commas
+     */
+    private function get_header($response, $name)
+    {
+        $value = wp_remote_retrieve_header($response, $name);
+
+        return is_array($value) ? implode(', ', $value) : (string) $value;
+    }
+
+    /**
+     * Get the URL path of the uploads directory.
+     *
+     * @since 1.2.0
+     * @return string Path without trailing slash, e.g. /wp-content/uploads
+     */
+    private function get_uploads_url_path()
+    {
+        return untrailingslashit((string) wp_parse_url(wp_upload_dir()['baseurl'], PHP_URL_PATH));
+    }
+}
@@ -0,0 +1,474 @@
+<?php
+
+namespace AWP\IO;
+
+use AWP\IO\Admin\ImageOptimizerOptions;
+
+/**
+ * Class ScheduledOptimizer
+ *
+ * Runs bulk optimization from WP-Cron on a nightly or weekly schedule, so the
+ * media library is optimized without keeping the Bulk Optimization tab open.
+ *
+ * A run starts at the configured time, retries the images that failed before
+ * and optimizes unoptimized images until the maximum number of images per run
+ * is reached or no image is left. The work is split into short cron requests,
+ * and paused while the quiet hours last. Images are claimed like in manual bulk
+ * runs, so a scheduled run can overlap with one. The summary of every finished
+ * run is kept for the settings page.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class ScheduledOptimizer extends Singleton
+{
+    /**
+     * WP-Cron hook of the scheduled runs.
+     *
+     * @var string
+     */
+    public const CRON_HOOK = 'awp_io_scheduled_optimization';
+
+    /**
+     * Supported schedules.
+     *
+     * @var array
+     */
+    public const SCHEDULES = ['off', 'nightly', 'weekly'];
+
+    /**
+     * Option name used to store the run in progress.
+     *
+     * @var string
+     */
+    private const RUN_OPTION_NAME = 'awp_io_scheduled_run';
+
+    /**
+     * Option name used to store the summaries of finished runs.
+     *
+     * @var string
+     */
+    private const HISTORY_OPTION_NAME = 'awp_io_scheduled_run_history';
+
+    /**
+     * Number of run summaries kept.
+     *
+     * @var int
+     */
+    private const HISTORY_SIZE = 10;
+
+    /**
+     * Seconds a cron request optimizes images before it hands over to the next one.
+     *
+     * @var int
+     */
+    private const TIME_LIMIT = 20;
+
+    /**
+     * Option name used as a lock while a cron request processes the run.
+     *
+     * @var string
+     */
+    private const LOCK_OPTION_NAME = 'awp_io_scheduled_run_lock';
+
+    /**
+     * Seconds after which the lock of a request that died is considered abandoned.
+     *
+     * @var int
+     */
+    private const LOCK_TIMEOUT = 300;
+
+    /**
+     * Value of the lock option written by this request, null while it holds no lock.
+     *
+     * @var string|null
+     */
+    private $lock_value = null;
+
+    /**
+     * Constructor.
+     *
+     * Sets up the cron hook and reschedules the runs when the settings change.
+     */
+    public function __construct()
+    {
+        add_action(self::CRON_HOOK, [$this, 'process']);
+        add_action('update_option_' . ImageOptimizerOptions::IMAGE_OPTIMIZER_SETTINGS, [$this, 'reschedule'], 10, 0);
+        add_action('admin_init', [$this, 'maybe_schedule']);
+    }
+
+    /**
+     * Check whether scheduled runs are enabled.
+     *
+     * @since 1.2.0
+     * @return bool True if a schedule is selected
+     */
+    public function is_enabled()
+    {
+        return in_array(get_optimizer_settings('scheduled_optimization'), ['nightly', 'weekly'], true);
+    }
+
+    /**
+     * Schedule the next run, unless a run is scheduled already.
+     *
+     * Cron events can get lost, e.g. when the cron option is reset, so this is
+     * checked on every admin request.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function maybe_schedule()
+    {
+        if ($this->is_enabled() && !wp_next_scheduled(self::CRON_HOOK)) {
+            $this->reschedule();
+        }
+    }
+
+    /**
+     * Schedule the next run to match the current settings.
+     *
+     * A run in progress is continued, or cancelled if scheduled runs were disabled.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function reschedule()
+    {
+        wp_clear_scheduled_hook(self::CRON_HOOK);
+
+        $run = $this->get_current_run();
+
+        if (!$this->is_enabled()) {
+            if ($run !== null) {
+                $this->finish_run($run, 'cancelled', 'Scheduled optimization was disabled.');
+            }
+            return;
+        }
+
+        wp_schedule_single_event($run !== null ? time() : $this->get_next_run_time(), self::CRON_HOOK);
+    }
+
+    /**
+     * Get the time the next run starts at.
+     *
+     * @since 1.2.0
+     * @param int|null $after Optional. Timestamp the run has to start after, defaults to now.
+     * @return int Timestamp of the next run
+     */
+    public function get_next_run_time($after = null)
+    {
+        $after = $after ?? time();
+        $timezone = wp_timezone();
+        list($hour, $minute) = array_map('intval', explode(':', get_optimizer_settings('scheduled_optimization_time')));
+
+        $next = (new \DateTimeImmutable('@' . $after))->setTimezone($timezone)->setTime($hour, $minute);
+
+        if (get_optimizer_settings('scheduled_optimization') === 'weekly') {
+            $days = ((int) get_optimizer_settings('scheduled_optimization_day') - (int) $next->format('w') + 7) % 7;
+            $next = $next->modify("+{$days} days");
+
+            return $next->getTimestamp() > $after ? $next->getTimestamp() : $next->modify('+1 week')->getTimestamp();
+        }
+
+        return $next->getTimestamp() > $after ? $next->getTimestamp() : $next->modify('+1 day')->getTimestamp();
+    }
+
+    /**
+     * Get the end of the quiet hours a time falls into.
+     *
+     * Quiet hours ending before they start span midnight, e.g. 22:00 to 06:00.
+     *
+     * @since 1.2.0
+     * @param int|null $timestamp Optional. Time to check, defaults to now.
+     * @return int|null Timestamp the quiet hours end at, or null outside of quiet hours
+     */
+    public function get_quiet_hours_end($timestamp = null)
+    {
+        $timestamp = $timestamp ?? time();
+        $quiet_hours = get_optimizer_settings('scheduled_optimization_quiet_hours');
+
+        if (empty($quiet_hours['start']) || empty($quiet_hours['end']) || $quiet_hours['start'] === $quiet_hours['end']) {
+            return null;
+        }
+
+        $time = (new \DateTimeImmutable('@' . $timestamp))->setTimezone(wp_timezone());
+        $now = $time->format('H:i');
+        list($hour, $minute) = array_map('intval', explode(':', $quiet_hours['end']));
+        $end = $time->setTime($hour, $minute);
+
+        if ($quiet_hours['start'] < $quiet_hours['end']) {
+            $is_quiet = $now >= $quiet_hours['start'] && $now < $quiet_hours['end'];
+        } else {
+            $is_quiet = $now >= $quiet_hours['start'] || $now < $quiet_hours['end'];
+            if ($now >= $quiet_hours['start']) {
+                $end = $end->modify('+1 day');
+            }
+        }
+
+        return $is_quiet ? $end->getTimestamp() : null;
+    }
+
+    /**
+     * Process the scheduled run from WP-Cron.
+     *
+     * Starts a new run if none is in progress, optimizes images for up to
+     * TIME_LIMIT seconds and schedules the next request, or the next run once
+     * this one is finished.
+     *
+     * Overlapping cron requests leave the run to the request holding the lock,
+     * which schedules the next request itself.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function process()
+    {
+        if (!$this->is_enabled() || !$this->acquire_lock()) {
+            return;
+        }
+
+        try {
+            $this->process_locked();
+        } finally {
+            $this->release_lock();
+        }
+    }
+
+    /**
+     * Process the scheduled run, the caller holds the lock.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    private function process_locked()
+    {
+        $run = $this->get_current_run() ?? $this->start_run();
+
+        $quiet_hours_end = $this->get_quiet_hours_end();
+        if ($quiet_hours_end !== null) {
+            wp_schedule_single_event($quiet_hours_end, self::CRON_HOOK);
+            return;
+        }
+
+        $fetcher = ImageFetcher::get_instance();
+        $manager = OptimizationManager::get_instance();
+
+        try {
+            $engine = get_optimization_engine();
+            $engine->validate();
+        } catch (\Exception $e) {
+            $this->finish_run($run, 'failed', $e->getMessage());
+            return;
+        }
+
+        $manager->initialize($fetcher, $engine, ImageTracker::get_instance());
+
+        $started = time();
+
+        while (time() - $started < self::TIME_LIMIT) {
+            if ($run['processed'] >= $run['max_images']) {
+                $this->finish_run($run, 'limit_reached');
+                return;
+            }
+
+            // Images that failed in this run are skipped, an image whose optimization
+            // threw is not marked as optimized and would be fetched again.
+            $results = $manager->optimize_batch(false, null, $run['max_images'] - $run['processed'], $run['failed_ids']);
+
+            // Nothing is left, or the remaining images are claimed by a manual bulk run.
+            if (empty($results)) {
+                $this->finish_run($run, 'completed');
+                return;
+            }
+
+            $run = OptimizationRun::add_results($run, $results);
+
+            foreach ($results as $result) {
+                if ($result['status'] === 'error' && !in_array((int) $result['id'], $run['failed_ids'], true)) {
+                    $run['failed_ids'][] = (int) $result['id'];
+                }
+            }
+
+            $run['updated_at'] = time();
+            update_option(self::RUN_OPTION_NAME, $run, false);
+        }
+
+        wp_schedule_single_event(time(), self::CRON_HOOK);
+    }
+
+    /**
+     * Get the run in progress.
+     *
+     * @since 1.2.0
+     * @return array|null Run state, or null if no run is in progress
+     */
+    public function get_current_run()
+    {
+        $run = get_option(self::RUN_OPTION_NAME, null);
+
+        return is_array($run) ? $run : null;
+    }
+
+    /**
+     * Get the summaries of finished runs.
+     *
+     * @since 1.2.0
+     * @return array Run summaries, latest first
+     */
+    public function get_history()
+    {
+        $history = get_option(self::HISTORY_OPTION_NAME, []);
+
+        return is_array($history) ? $history : [];
+    }
+
+    /**
+     * Get the status shown on the settings page.
+     *
+     * @since 1.2.0
+     * @return array Array with 'enabled', 'current' run, 'last' run summary and 'next_run' timestamp
+     */
+    public function get_status()
+    {
+        $history = $this->get_history();
+
+        return [
+            'enabled' => $this->is_enabled(),
+            'current' => $this->get_current_run(),
+            'last' => $history[0] ?? null,
+            'next_run' => wp_next_scheduled(self::CRON_HOOK) ?: null,
+        ];
+    }
+
+    /**
+     * Start a new run.
+     *
+     * Images that failed before are reset first, so the run optimizes them again.
+     *
+     * @since 1.2.0
+     * @return array The new run state
+     */
+    private function start_run()
+    {
+        $fetcher = ImageFetcher::get_instance();
+        $retried = $fetcher->get_failed_optimized_images_count();
+
+        if ($retried > 0) {
+            $manager = OptimizationManager::get_instance();
+            $manager->initialize($fetcher, get_optimization_engine(), ImageTracker::get_instance());
+            $manager->reset_failed_optimiztions_data();
+        }
+
+        $run = [
+            'max_images' => max(1, (int) get_optimizer_settings('scheduled_optimization_max_images')),
+            'retried_failed' => $retried,
+            'processed' => 0,
+            'optimized' => 0,
+            'errors' => 0,
+            'bytes_saved' => 0,
+            'error_samples' => [],
+            'failed_ids' => [],
+            'started_at' => time(),
+            'updated_at' => time(),
+        ];
+
+        update_option(self::RUN_OPTION_NAME, $run, false);
+
+        return $run;
+    }
+
+    /**
+     * Acquire the lock of the scheduled run.
+     *
+     * Works like the lock of OptimizationRun, but does not wait: the request
+     * holding the lock is already processing the run.
+     *
+     * @since 1.2.0
+     * @return bool True if the lock was acquired, false if another request holds it.
+     */
+    private function acquire_lock()
+    {
+        global $wpdb;
+
+        $lock_value = time() . ':' . wp_generate_uuid4();
+        $insert_lock = function () use ($wpdb, $lock_value) {
+            return (bool) $wpdb->query($wpdb->prepare(
+                "INSERT IGNORE INTO {$wpdb->options} (option_name, option_value, autoload) VALUES (%s, %s, 'no')",
+                self::LOCK_OPTION_NAME,
+                $lock_value
+            ));
+        };
+
+        $locked = $insert_lock();
+        if (!$locked) {
+            $current_value = $wpdb->get_var($wpdb->prepare(
+                "SELECT option_value FROM {$wpdb->options} WHERE option_name = %s",
+                self::LOCK_OPTION_NAME
+            ));
+
+            // Only remove the abandoned lock that was read, not one taken since.
+            $locked_at = (int) $current_value;
+            if ($locked_at && $locked_at < time() - self::LOCK_TIMEOUT) {
+                $wpdb->delete($wpdb->options, ['option_name' => self::LOCK_OPTION_NAME, 'option_value' => $current_value]);
+                $locked = $insert_lock();
+            }
+        }
+
+        if ($locked) {
+            $this->lock_value = $lock_value;
+        }
+
+        return $locked;
+    }
+
+    /**
+     * Release the lock of the scheduled run if this request holds it.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    private function release_lock()
+    {
+        global $wpdb;
+
+        if ($this->lock_value === null) {
+            return;
+        }
+
+        $wpdb->delete($wpdb->options, ['option_name' => self::LOCK_OPTION_NAME, 'option_value' => $this->lock_value]);
+        $this->lock_value = null;
+    }
+
+    /**
+     * Record the summary of a run and schedule the next one.
+     *
+     * @since 1.2.0
+     * @param array  $run     Run state
+     * @param string $status  'completed', 'limit_reached', 'failed' or 'cancelled'
+     * @param string $message Optional. Reason the run stopped early.
+     * @return void
+     */
+    private function finish_run($run, $status, $message = '')
+    {
+        $run['status'] = $status;
+        $run['message'] = $message;
+        $run['remaining'] = ImageFetcher::get_instance()->get_total_unoptimized_count();
+        $run['finished_at'] = time();
+        unset($run['failed_ids']);
+
+        $history = array_slice(array_merge([$run], $this->get_history()), 0, self::HISTORY_SIZE);
+
+        update_option(self::HISTORY_OPTION_NAME, $history, false);
+        delete_option(self::RUN_OPTION_NAME);
+
+        if ($status === 'failed') {
+            error_log('Scheduled optimization failed: ' . $message);
+        }
+
+        do_action('awp_io_run_completed', 'scheduled', $run);
+
+        if ($this->is_enabled()) {
+            wp_schedule_single_event($this->get_next_run_time(), self::CRON_HOOK);
+        }
+    }
+}
@@ -2,6 +2,8 @@
 
 namespace AWP\IO;
 
+use AWP\IO\Stats\StatsReport;
+
 /**
  * Class Schema
  *
@@ -26,6 +28,48 @@ class Schema extends Singleton
      */
     public const REOPTIMIZATION_TABLE_NAME = 'awp_reoptimize_processed';
 
+    /**
+     * The name of the table holding attachments claimed by optimization workers.
+     *
+     * @var string
+     */
+    public const CLAIMS_TABLE_NAME = 'awp_optimization_claims';
+
+    /**
+     * The name of the table holding optimization stats per image size.
+     *
+     * @var string
+     */
+    public const SIZE_STATS_TABLE_NAME = 'awp_optimization_size_stats';
+
+    /**
+     * The name of the table holding background optimization jobs.
+     *
+     * @var string
+     */
+    public const QUEUE_TABLE_NAME = 'awp_optimization_queue';
+
+    /**
+     * The name of the table holding the backup manifest.
+     *
+     * @var string
+     */
+    public const BACKUPS_TABLE_NAME = 'awp_optimization_backups';
+
+    /**
+     * Current database schema version.
+     *
+     * @var string
+     */
+    public const DB_VERSION = '1.2.0.7';
+
+    /**
+     * Option name storing the installed database schema version.
+     *
+     * @var string
+     */
+    private const DB_VERSION_OPTION_NAME = 'awp_io_db_version';
+
     /**
      * Create the optimization stats table.
      *
@@ -48,7 +92,11 @@ class Schema extends Singleton
             webp_savings BIGINT UNSIGNED NOT NULL DEFAULT 0,
             png_to_jpg_conversions INT UNSIGNED NOT NULL DEFAULT 0,
             webp_conversions INT UNSIGNED NOT NULL DEFAULT 0,
+            avif_savings BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            avif_conversions INT UNSIGNED NOT NULL DEFAULT 0,
             optimized_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            last_optimized_at TIMESTAMP NULL DEFAULT NULL,
+            savings_percent DECIMAL(7,2) NULL DEFAULT NULL,
             PRIMARY KEY (id),
             UNIQUE KEY attachment_id (attachment_id) -- Add this unique key to make $wpdb->replace to work properly.
         ) {$charset_collate};";
@@ -81,6 +129,199 @@ class Schema extends Singleton
     }
 
 
+    /**
+     * Creates the table used by optimization workers to claim attachments.
+     *
+     * The unique key on attachment_id lets a worker claim an attachment atomically,
+     * so two concurrent workers never optimize the same attachment.
+     * @since 1.2.0
+     * @return void
+     */
+    public function create_claims_table()
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . self::CLAIMS_TABLE_NAME;
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE IF NOT EXISTS {$table_name} (
+            attachment_id BIGINT UNSIGNED NOT NULL,
+            claimed_at DATETIME NOT NULL,
+            PRIMARY KEY (attachment_id),
+            KEY claimed_at (claimed_at)
+        ) {$charset_collate};";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+    }
+
+    /**
+     * Creates the table holding optimization stats per image size.
+     *
+     * Used for the savings breakdown by image size and to find the images with the
+     * lowest compression. The main image is stored with the size name 'full'.
+     * @since 1.2.0
+     * @return void
+     */
+    public function create_size_stats_table()
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . self::SIZE_STATS_TABLE_NAME;
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE IF NOT EXISTS {$table_name} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            attachment_id BIGINT UNSIGNED NOT NULL,
+            image_size VARCHAR(100) NOT NULL,
+            original_bytes BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            saved_bytes BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            webp_saved_bytes BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            avif_saved_bytes BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            optimized_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            KEY attachment_id (attachment_id),
+            KEY optimized_at (optimized_at)
+        ) {$charset_collate};";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+    }
+
+    /**
+     * Creates the table holding background optimization jobs.
+     *
+     * One job per attachment; finished jobs are deleted, jobs that failed every
+     * attempt are kept with their last error.
+     * @since 1.2.0
+     * @return void
+     */
+    public function create_queue_table()
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . self::QUEUE_TABLE_NAME;
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE IF NOT EXISTS {$table_name} (
+            id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+            attachment_id BIGINT UNSIGNED NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'queued',
+            attempts SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+            last_error TEXT NULL,
+            available_at DATETIME NOT NULL,
+            locked_at DATETIME NULL,
+            created_at DATETIME NOT NULL,
+            PRIMARY KEY (id),
+            UNIQUE KEY attachment_id (attachment_id),
+            KEY status_available (status, available_at)
+        ) {$charset_collate};";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+    }
+
+    /**
+     * Creates the table holding the backup manifest.
+     *
+     * One row per attachment with the relative path, size and SHA-256 hash of its
+     * backup, used to find missing and corrupt backups.
+     * @since 1.2.0
+     * @return void
+     */
+    public function create_backups_table()
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . self::BACKUPS_TABLE_NAME;
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE IF NOT EXISTS {$table_name} (
+            attachment_id BIGINT UNSIGNED NOT NULL,
+            path VARCHAR(255) NOT NULL,
+            size BIGINT UNSIGNED NOT NULL DEFAULT 0,
+            hash CHAR(64) NOT NULL DEFAULT '',
+            created_at DATETIME NOT NULL,
+            verified_at DATETIME NULL,
+            PRIMARY KEY (attachment_id),
+            KEY path (path(191)),
+            KEY created_at (created_at)
+        ) {$charset_collate};";
+
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        dbDelta($sql);
+    }
+
+    /**
+     * Creates missing tables when the plugin was updated without being reactivated.
+     * @since 1.2.0
+     * @return void
+     */
+    public function maybe_upgrade()
+    {
+        global $wpdb;
+
+        if (get_option(self::DB_VERSION_OPTION_NAME) === self::DB_VERSION) {
+            return;
+        }
+
+        $this->create_optimization_stats_table();
+        $this->create_reoptimization_table();
+        $this->create_claims_table();
+        $this->create_size_stats_table();
+        $this->create_queue_table();
+        $this->create_backups_table();
+        $this->add_missing_columns();
+
+        // optimized_at keeps the date of the first optimization. Images optimized before the
+        // date of the latest optimization was tracked were last optimized then.
+        $wpdb->query("UPDATE {$wpdb->prefix}" . self::HISTORY_TABLE_NAME . " SET last_optimized_at = optimized_at WHERE last_optimized_at IS NULL");
+
+        // Images optimized before the size stats were tracked are added in the background.
+        StatsReport::get_instance()->schedule_backfill();
+
+        // The savings filter of bulk restores needs the savings of images optimized before they were stored.
+        BulkRestore::get_instance()->schedule_savings_backfill();
+
+        update_option(self::DB_VERSION_OPTION_NAME, self::DB_VERSION);
+    }
+
+    /**
+     * Adds columns introduced after a table was created.
+     *
+     * The tables are created with "IF NOT EXISTS", so dbDelta() does not update
+     * existing tables.
+     * @since 1.2.0
+     * @return void
+     */
+    private function add_missing_columns()
+    {
+        global $wpdb;
+
+        $columns = [
+            self::HISTORY_TABLE_NAME => [
+                'avif_savings' => 'BIGINT UNSIGNED NOT NULL DEFAULT 0 AFTER webp_conversions',
+                'avif_conversions' => 'INT UNSIGNED NOT NULL DEFAULT 0 AFTER avif_savings',
+                'last_optimized_at' => 'TIMESTAMP NULL DEFAULT NULL AFTER optimized_at',
+                'savings_percent' => 'DECIMAL(7,2) NULL DEFAULT NULL AFTER last_optimized_at',
+            ],
+            self::SIZE_STATS_TABLE_NAME => [
+                'avif_saved_bytes' => 'BIGINT UNSIGNED NOT NULL DEFAULT 0 AFTER webp_saved_bytes',
+            ],
+        ];
+
+        foreach ($columns as $table => $table_columns) {
+            $table_name = $wpdb->prefix . $table;
+            $existing = $wpdb->get_col("SHOW COLUMNS FROM {$table_name}");
+
+            foreach ($table_columns as $column => $definition) {
+                if (!in_array($column, $existing, true)) {
+                    $wpdb->query("ALTER TABLE {$table_name} ADD COLUMN {$column} {$definition}");
+                }
+            }
+        }
+    }
+
     /**
      * Truncates the reoptimization table by deleting all rows.
      * @since 1.0.0
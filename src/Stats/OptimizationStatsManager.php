@@ -4,6 +4,7 @@ namespace AWP\IO\Stats;
 
 use AWP\IO\Singleton;
 use AWP\IO\Schema;
+use AWP\IO\RestoreFilter;
 
 /**
  * Class OptimizationStatsManager
@@ -25,6 +26,8 @@ class OptimizationStatsManager extends Singleton
     {
         add_action('awp_image_optimization_completed', [$this, 'track_stats'], 10, 2);
         add_action('wp_ajax_awp_io_get_stats', [$this, 'ajax_get_stats']);
+        add_action('wp_ajax_awp_io_get_stats_history', [$this, 'ajax_get_stats_history']);
+        add_action('wp_ajax_awp_io_get_stats_breakdown', [$this, 'ajax_get_stats_breakdown']);
     }
 
     /**
@@ -37,6 +40,18 @@ class OptimizationStatsManager extends Singleton
         // Check nonce for security
         check_ajax_referer('start_optimization_nonce', 'nonce');
 
+        // Send the response
+        wp_send_json_success($this->get_stats_summary());
+    }
+
+    /**
+     * Get the total savings and conversions, used by the AJAX handler and the REST API.
+     *
+     * @since 1.2.0
+     * @return array Totals as integers, 0 when nothing was optimized yet
+     */
+    public function get_stats_summary()
+    {
         // Get the stats
         $stats = $this->get_total_stats();
 
@@ -45,16 +60,93 @@ class OptimizationStatsManager extends Singleton
         $total_webp_savings = isset($stats->total_webp_savings) ? (int) $stats->total_webp_savings : 0;
         $total_webp_conversions = isset($stats->total_webp_conversions) ? (int) $stats->total_webp_conversions : 0;
         $total_png_to_jpg_conversions = isset($stats->total_png_to_jpg_conversions) ? (int)$stats->total_png_to_jpg_conversions : 0;
+        $total_avif_savings = isset($stats->total_avif_savings) ? (int) $stats->total_avif_savings : 0;
+        $total_avif_conversions = isset($stats->total_avif_conversions) ? (int) $stats->total_avif_conversions : 0;
 
-        // Send the response
-        wp_send_json_success([
+        return [
             'total_normal_savings' => $total_normal_savings,
             'total_webp_savings' => $total_webp_savings,
             'total_webp_conversions' => $total_webp_conversions,
             'total_png_to_jpg_conversions' => $total_png_to_jpg_conversions,
+            'total_avif_savings' => $total_avif_savings,
+            'total_avif_conversions' => $total_avif_conversions,
+        ];
+    }
+
+    /**
+     * Handle AJAX request for savings and conversions over time.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function ajax_get_stats_history()
+    {
+        $report = StatsReport::get_instance();
+        $range = $this->get_requested_range();
+        $bucket = ($_POST['bucket'] ?? '') === 'week' ? 'week' : 'day';
+
+        wp_send_json_success([
+            'range' => $range,
+            'bucket' => $bucket,
+            'history' => $report->get_history($range, $bucket),
         ]);
     }
 
+    /**
+     * Handle AJAX request for the savings breakdown and image lists.
+     *
+     * @since 1.2.0
+     * @return void Sends JSON response and exits
+     */
+    public function ajax_get_stats_breakdown()
+    {
+        wp_send_json_success($this->get_stats_breakdown($this->get_requested_range()));
+    }
+
+    /**
+     * Get the savings breakdown and image lists, used by the AJAX handler and the REST API.
+     *
+     * @since 1.2.0
+     * @param array $range Date range as returned by StatsReport::normalize_range()
+     * @return array Array with 'range', 'by_mime_type', 'by_size', 'top_savings' and 'worst_compressed'
+     */
+    public function get_stats_breakdown($range)
+    {
+        $report = StatsReport::get_instance();
+
+        return [
+            'range' => $range,
+            'by_mime_type' => $report->get_savings_by_mime_type($range),
+            'by_size' => $report->get_savings_by_size($range),
+            'top_savings' => $report->get_top_savings($range),
+            'worst_compressed' => $report->get_worst_compressed($range),
+        ];
+    }
+
+    /**
+     * Verify a stats dashboard request and get the requested date range.
+     *
+     * @since 1.2.0
+     * @return array Date range as returned by StatsReport::normalize_range()
+     */
+    private function get_requested_range()
+    {
+        check_ajax_referer('start_optimization_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(['message' => __('Insufficient permissions', 'awp-io')]);
+        }
+
+        try {
+            return StatsReport::get_instance()->normalize_range(
+                sanitize_text_field($_POST['from'] ?? ''),
+                sanitize_text_field($_POST['to'] ?? '')
+            );
+        } catch (\InvalidArgumentException $e) {
+            wp_send_json_error(['message' => $e->getMessage()]);
+        }
+    }
+
     /**
      * Track optimization stats for an attachment.
      *
@@ -78,6 +170,8 @@ class OptimizationStatsManager extends Singleton
         $webp_savings = 0;
         $png_to_jpg_conversions = 0;
         $webp_conversions = 0;
+        $avif_savings = 0;
+        $avif_conversions = 0;
 
         // Calculate totals from optimization data
         foreach ($optimization_data as $size_data) {
@@ -88,6 +182,11 @@ class OptimizationStatsManager extends Singleton
                 $webp_conversions++;
             }
 
+            if (isset($size_data['avif'])) {
+                $avif_savings += $size_data['avif']['bytes_saved'] ?? 0;
+                $avif_conversions++;
+            }
+
             if (!empty($size_data['converted_to_jpg'])) {
                 $png_to_jpg_conversions++;
             }
@@ -97,19 +196,36 @@ class OptimizationStatsManager extends Singleton
         $table_name = $wpdb->prefix . Schema::HISTORY_TABLE_NAME;
 
         $wpdb->query($wpdb->prepare(
-            "INSERT INTO $table_name (attachment_id, normal_savings, webp_savings, png_to_jpg_conversions, webp_conversions)
-             VALUES (%d, %d, %d, %d, %d)
+            "INSERT INTO $table_name (attachment_id, normal_savings, webp_savings, png_to_jpg_conversions, webp_conversions, avif_savings, avif_conversions, last_optimized_at)
+             VALUES (%d, %d, %d, %d, %d, %d, %d, CURRENT_TIMESTAMP)
              ON DUPLICATE KEY UPDATE
              normal_savings = normal_savings + VALUES(normal_savings),
              webp_savings = webp_savings + VALUES(webp_savings),
              png_to_jpg_conversions = png_to_jpg_conversions + VALUES(png_to_jpg_conversions),
-             webp_conversions = webp_conversions + VALUES(webp_conversions)",
+             webp_conversions = webp_conversions + VALUES(webp_conversions),
+             avif_savings = avif_savings + VALUES(avif_savings),
+             avif_conversions = avif_conversions + VALUES(avif_conversions),
+             last_optimized_at = CURRENT_TIMESTAMP",
             $attachment_id,
             $normal_savings,
             $webp_savings,
             $png_to_jpg_conversions,
-            $webp_conversions
+            $webp_conversions,
+            $avif_savings,
+            $avif_conversions
         ));
+
+        // The savings of the image as a whole for the savings filter of bulk restores, the optimization
+        // data of this call only contains the sizes optimized now.
+        $wpdb->update(
+            $table_name,
+            ['savings_percent' => RestoreFilter::get_savings_percent(get_post_meta($attachment_id, '_awp_io_optimization_data', true))],
+            ['attachment_id' => $attachment_id],
+            ['%f'],
+            ['%d']
+        );
+
+        (StatsReport::get_instance())->track_size_stats($attachment_id, $optimization_data);
     }
 
     /**
@@ -148,6 +264,12 @@ class OptimizationStatsManager extends Singleton
     {
         global $wpdb;
 
+        $wpdb->delete(
+            $wpdb->prefix . Schema::SIZE_STATS_TABLE_NAME,
+            ['attachment_id' => $attachment_id],
+            ['%d']
+        );
+
         $table_name = $wpdb->prefix . Schema::HISTORY_TABLE_NAME;
 
         return $wpdb->delete(
@@ -176,7 +298,9 @@ class OptimizationStatsManager extends Singleton
                 SUM(normal_savings) AS total_normal_savings,
                 SUM(webp_savings) AS total_webp_savings,
                 SUM(png_to_jpg_conversions) AS total_png_to_jpg_conversions,
-                SUM(webp_conversions) AS total_webp_conversions
+                SUM(webp_conversions) AS total_webp_conversions,
+                SUM(avif_savings) AS total_avif_savings,
+                SUM(avif_conversions) AS total_avif_conversions
              FROM {$table_name}"
         );
     }
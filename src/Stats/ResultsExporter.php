@@ -0,0 +1,325 @@
+<?php
+
+namespace AWP\IO\Stats;
+
+use AWP\IO\OptimizationScope;
+use AWP\IO\Schema;
+use AWP\IO\Singleton;
+
+/**
+ * Class ResultsExporter
+ *
+ * Exports the optimization results of the media library as CSV or JSON, with one
+ * row per optimized or failed image size. Used by the download on the Statistics
+ * tab and by the `wp awp-io export` command.
+ *
+ * @package AWP\IO\Stats
+ * @since 1.2.0
+ */
+class ResultsExporter extends Singleton
+{
+    /**
+     * Supported export formats.
+     *
+     * @var array
+     */
+    public const FORMATS = ['csv', 'json'];
+
+    /**
+     * Supported status filters.
+     *
+     * @var array
+     */
+    public const STATUSES = ['all', 'optimized', 'failed'];
+
+    /**
+     * Columns of an exported row, in CSV column order.
+     *
+     * @var array
+     */
+    public const COLUMNS = [
+        'attachment_id',
+        'title',
+        'mime_type',
+        'file',
+        'image_size',
+        'status',
+        'original_bytes',
+        'optimized_bytes',
+        'saved_bytes',
+        'percent_saved',
+        'webp_bytes',
+        'webp_saved_bytes',
+        'avif_bytes',
+        'avif_saved_bytes',
+        'converted_to_jpg',
+        'error',
+        'optimized_at',
+    ];
+
+    /**
+     * Number of attachments loaded per query.
+     *
+     * @var int
+     */
+    private const BATCH_SIZE = 100;
+
+    /**
+     * Constructor.
+     *
+     * Sets up the download handler of the Statistics tab.
+     */
+    public function __construct()
+    {
+        add_action('admin_post_awp_io_export_results', [$this, 'handle_download']);
+    }
+
+    /**
+     * Handles the download request of the Statistics tab.
+     *
+     * @since 1.2.0
+     * @return void Sends the export file and exits
+     */
+    public function handle_download()
+    {
+        check_admin_referer('awp_io_export_results');
+
+        if (!current_user_can('manage_options')) {
+            wp_die(__('Insufficient permissions', 'awp-io'), 403);
+        }
+
+        $format = sanitize_key($_GET['format'] ?? 'csv');
+        $status = sanitize_key($_GET['status'] ?? 'all');
+
+        if (!in_array($format, self::FORMATS, true) || !in_array($status, self::STATUSES, true)) {
+            wp_die(__('Invalid export options', 'awp-io'), 400);
+        }
+
+        nocache_headers();
+        header('Content-Type: ' . ($format === 'json' ? 'application/json' : 'text/csv') . '; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . $this->get_file_name($format) . '"');
+
+        $output = fopen('php://output', 'w');
+        $this->export($output, $format, $status);
+        fclose($output);
+
+        exit;
+    }
+
+    /**
+     * Write the optimization results to a stream.
+     *
+     * @since 1.2.0
+     * @param resource                $handle Writable stream
+     * @param string                  $format 'csv' or 'json'
+     * @param string                  $status 'all', 'optimized' or 'failed'
+     * @param OptimizationScope|null  $scope  Part of the media library to export, all images if null
+     * @return int Number of rows written
+     */
+    public function export($handle, $format, $status = 'all', $scope = null)
+    {
+        $count = 0;
+
+        if ($format === 'csv') {
+            fputcsv($handle, self::COLUMNS);
+        } else {
+            fwrite($handle, '[');
+        }
+
+        foreach ($this->get_rows($status, $scope) as $row) {
+            if ($format === 'csv') {
+                fputcsv($handle, array_map([$this, 'escape_csv_value'], $row));
+            } else {
+                fwrite($handle, ($count > 0 ? ',' : '') . "\n" . wp_json_encode($row));
+            }
+
+            $count++;
+        }
+
+        if ($format === 'json') {
+            fwrite($handle, "\n]\n");
+        }
+
+        return $count;
+    }
+
+    /**
+     * Get the export rows of all matching attachments.
+     *
+     * Attachments are loaded in batches, so large media libraries can be exported
+     * without loading all results into memory.
+     *
+     * @since 1.2.0
+     * @param string                 $status 'all', 'optimized' or 'failed'
+     * @param OptimizationScope|null $scope  Part of the media library to export, all images if null
+     * @return \Generator Rows keyed by the names in COLUMNS
+     */
+    public function get_rows($status = 'all', $scope = null)
+    {
+        $last_id = 0;
+
+        do {
+            $attachments = $this->get_attachments($status, $scope, $last_id);
+
+            foreach ($attachments as $attachment) {
+                $last_id = (int) $attachment->ID;
+
+                foreach ($this->get_attachment_rows($last_id, $attachment->optimized_at, $status) as $row) {
+                    yield $row;
+                }
+            }
+        } while (count($attachments) === self::BATCH_SIZE);
+    }
+
+    /**
+     * Get the default file name of an export.
+     *
+     * @since 1.2.0
+     * @param string $format 'csv' or 'json'
+     * @return string File name including the current date
+     */
+    public function get_file_name($format)
+    {
+        return 'image-optimization-results-' . current_time('Y-m-d') . '.' . $format;
+    }
+
+    /**
+     * Get the next batch of attachments with optimization results.
+     *
+     * @since 1.2.0
+     * @param string                 $status  'all', 'optimized' or 'failed'
+     * @param OptimizationScope|null $scope   Part of the media library to export
+     * @param int                    $last_id Only attachments with a higher ID are returned
+     * @return array Rows with 'ID' and 'optimized_at'
+     */
+    private function get_attachments($status, $scope, $last_id)
+    {
+        global $wpdb;
+
+        $history_table = $wpdb->prefix . Schema::HISTORY_TABLE_NAME;
+        $scope_clauses = $scope ? $scope->get_sql_clauses($wpdb) : ['join' => '', 'where' => ''];
+
+        if ($status === 'optimized') {
+            $meta_keys = "'_awp_io_optimized'";
+        } elseif ($status === 'failed') {
+            $meta_keys = "'_awp_io_optimization_failed_data'";
+        } else {
+            $meta_keys = "'_awp_io_optimization_data', '_awp_io_optimization_failed_data'";
+        }
+
+        return $wpdb->get_results($wpdb->prepare(
+            "SELECT p.ID, h.optimized_at
+             FROM {$wpdb->posts} p
+             {$scope_clauses['join']}
+             LEFT JOIN {$history_table} h ON h.attachment_id = p.ID
+             WHERE p.post_type = 'attachment'
+                AND p.ID > %d
+                AND EXISTS (
+                    SELECT 1 FROM {$wpdb->postmeta} pm
+                    WHERE pm.post_id = p.ID AND pm.meta_key IN ({$meta_keys})
+                )
+                {$scope_clauses['where']}
+             ORDER BY p.ID ASC
+             LIMIT %d",
+            $last_id,
+            self::BATCH_SIZE
+        ));
+    }
+
+    /**
+     * Get the export rows of one attachment, one per optimized or failed size.
+     *
+     * @since 1.2.0
+     * @param int         $attachment_id WordPress attachment ID
+     * @param string|null $optimized_at  Optimization date from the history table
+     * @param string      $status        'all', 'optimized' or 'failed'
+     * @return array Rows keyed by the names in COLUMNS
+     */
+    private function get_attachment_rows($attachment_id, $optimized_at, $status)
+    {
+        $report = StatsReport::get_instance();
+        $metadata = wp_get_attachment_metadata($attachment_id);
+        $attachment = [
+            'attachment_id' => $attachment_id,
+            'title' => get_the_title($attachment_id),
+            'mime_type' => get_post_mime_type($attachment_id),
+        ];
+        $rows = [];
+
+        $optimization_data = get_post_meta($attachment_id, '_awp_io_optimization_data', true);
+        if ($status !== 'failed' && is_array($optimization_data)) {
+            foreach ($optimization_data as $size_data) {
+                $original_bytes = (int) ($size_data['total_original'] ?? 0);
+                $saved_bytes = (int) ($size_data['total_saved'] ?? 0);
+
+                $rows[] = $attachment + [
+                    'file' => $size_data['file_name'] ?? '',
+                    'image_size' => $report->get_size_name($size_data, $metadata),
+                    'status' => 'optimized',
+                    'original_bytes' => $original_bytes,
+                    'optimized_bytes' => max(0, $original_bytes - $saved_bytes),
+                    'saved_bytes' => $saved_bytes,
+                    'percent_saved' => (float) ($size_data['percent_saved'] ?? 0),
+                    'webp_bytes' => isset($size_data['webp']['size']) ? (int) $size_data['webp']['size'] : null,
+                    'webp_saved_bytes' => isset($size_data['webp']['bytes_saved']) ? (int) $size_data['webp']['bytes_saved'] : null,
+                    'avif_bytes' => isset($size_data['avif']['size']) ? (int) $size_data['avif']['size'] : null,
+                    'avif_saved_bytes' => isset($size_data['avif']['bytes_saved']) ? (int) $size_data['avif']['bytes_saved'] : null,
+                    'converted_to_jpg' => !empty($size_data['converted_to_jpg']),
+                    'error' => '',
+                    'optimized_at' => $optimized_at,
+                ];
+            }
+        }
+
+        $failed_data = get_post_meta($attachment_id, '_awp_io_optimization_failed_data', true);
+        if ($status !== 'optimized' && is_array($failed_data)) {
+            foreach ($failed_data as $item) {
+                if (!isset($item['error'])) {
+                    continue;
+                }
+
+                $rows[] = $attachment + [
+                    'file' => isset($item['image']['path']) ? basename($item['image']['path']) : '',
+                    'image_size' => $item['image']['type'] ?? '',
+                    'status' => 'failed',
+                    'original_bytes' => null,
+                    'optimized_bytes' => null,
+                    'saved_bytes' => null,
+                    'percent_saved' => null,
+                    'webp_bytes' => null,
+                    'webp_saved_bytes' => null,
+                    'avif_bytes' => null,
+                    'avif_saved_bytes' => null,
+                    'converted_to_jpg' => false,
+                    'error' => $item['error'],
+                    'optimized_at' => $optimized_at,
+                ];
+            }
+        }
+
+        return $rows;
+    }
+
+    /**
+     * Prepare a value for a CSV cell.
+     *
+     * Booleans are written as 0/1, and text that spreadsheet applications would
+     * evaluate as a formula is prefixed with a quote.
+     *
+     * @since 1.2.0
+     * @param mixed $value Cell value
+     * @return mixed Escaped value
+     */
+    private function escape_csv_value($value)
+    {
+        if (is_bool($value)) {
+            return $value ? 1 : 0;
+        }
+
+        if (is_string($value) && $value !== '' && in_array($value[0], ['=', '+', '-', '@'], true)) {
+            return "'" . $value;
+        }
+
+        return $value;
+    }
+}
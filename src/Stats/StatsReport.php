@@ -0,0 +1,560 @@
+<?php
+
+namespace AWP\IO\Stats;
+
+use AWP\IO\Singleton;
+use AWP\IO\Schema;
+
+/**
+ * Class StatsReport
+ *
+ * Aggregates the optimization history for the statistics dashboard: savings and
+ * conversions over time, savings by image type and image size, and the images
+ * with the largest and the lowest savings.
+ *
+ * Savings over time and by image type are read from the history table, savings by
+ * image size from the size stats table, which is filled by OptimizationStatsManager.
+ *
+ * @package AWP\IO\Stats
+ * @since 1.2.0
+ */
+class StatsReport extends Singleton
+{
+    /**
+     * Number of days shown when no date range is given.
+     *
+     * @var int
+     */
+    public const DEFAULT_RANGE_DAYS = 30;
+
+    /**
+     * Maximum number of images in the top savings and worst compressed lists.
+     *
+     * @var int
+     */
+    public const LIST_LIMIT = 20;
+
+    /**
+     * Number of attachments added to the size stats table per backfill call.
+     *
+     * @var int
+     */
+    private const BACKFILL_BATCH_SIZE = 200;
+
+    /**
+     * Cron hook adding the size stats of images optimized before they were tracked.
+     *
+     * @var string
+     */
+    public const BACKFILL_CRON_HOOK = 'awp_io_backfill_size_stats';
+
+    /**
+     * Option storing the last attachment ID the size stats backfill processed.
+     *
+     * @var string
+     */
+    private const BACKFILL_CURSOR_OPTION_NAME = 'awp_io_size_stats_backfill_cursor';
+
+    /**
+     * Constructor.
+     *
+     * Sets up the cron hook of the size stats backfill.
+     */
+    public function __construct()
+    {
+        add_action(self::BACKFILL_CRON_HOOK, [$this, 'process_backfill']);
+    }
+
+    /**
+     * Validate a date range, defaulting to the last 30 days.
+     *
+     * @since 1.2.0
+     * @param string $from First day of the range (Y-m-d), optional
+     * @param string $to   Last day of the range (Y-m-d), optional
+     * @return array Array with 'from' and 'to' dates
+     * @throws \InvalidArgumentException If a date is invalid or the range is reversed.
+     */
+    public function normalize_range($from = '', $to = '')
+    {
+        $to = $to ? $this->sanitize_date($to) : current_time('Y-m-d');
+        $from = $from
+            ? $this->sanitize_date($from)
+            : gmdate('Y-m-d', strtotime($to . ' -' . (self::DEFAULT_RANGE_DAYS - 1) . ' days'));
+
+        if ($from > $to) {
+            throw new \InvalidArgumentException(__('The start date must be before the end date.', 'awp-io'));
+        }
+
+        return ['from' => $from, 'to' => $to];
+    }
+
+    /**
+     * Get savings and conversions per day or week.
+     *
+     * Periods without optimizations are included with zero values, so the result
+     * can be charted directly. Weeks start on Monday.
+     *
+     * @since 1.2.0
+     * @param array  $range  Date range as returned by normalize_range()
+     * @param string $bucket 'day' or 'week'
+     * @return array List of periods with 'period', 'images', 'normal_savings', 'webp_savings',
+     *               'webp_conversions', 'png_to_jpg_conversions', 'avif_savings' and 'avif_conversions'
+     */
+    public function get_history($range, $bucket = 'day')
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . Schema::HISTORY_TABLE_NAME;
+
+        // optimized_at is read in the MySQL session timezone, the periods are days in the
+        // site timezone. The rows are grouped by quarter hour, which every UTC offset is a
+        // multiple of, and added to the period of their site date below.
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT FLOOR(UNIX_TIMESTAMP(optimized_at) / 900) * 900 AS slot,
+                COUNT(*) AS images,
+                SUM(normal_savings) AS normal_savings,
+                SUM(webp_savings) AS webp_savings,
+                SUM(webp_conversions) AS webp_conversions,
+                SUM(png_to_jpg_conversions) AS png_to_jpg_conversions,
+                SUM(avif_savings) AS avif_savings,
+                SUM(avif_conversions) AS avif_conversions
+             FROM {$table_name}
+             WHERE optimized_at >= FROM_UNIXTIME(%d) AND optimized_at < FROM_UNIXTIME(%d)
+             GROUP BY slot",
+            $this->get_day_start($range['from']),
+            $this->get_day_start($range['to'], 1)
+        ), ARRAY_A);
+
+        $rows_by_period = [];
+        foreach ($rows as $row) {
+            $date = (new \DateTimeImmutable('@' . (int) $row['slot']))->setTimezone(wp_timezone());
+            if ($bucket === 'week') {
+                $date = $date->modify('-' . ($date->format('N') - 1) . ' days');
+            }
+
+            $period = $date->format('Y-m-d');
+            foreach ($row as $column => $value) {
+                if ($column !== 'slot') {
+                    $rows_by_period[$period][$column] = ($rows_by_period[$period][$column] ?? 0) + (int) $value;
+                }
+            }
+        }
+
+        $history = [];
+        $step = $bucket === 'week' ? '+1 week' : '+1 day';
+        $current = strtotime($range['from']);
+        if ($bucket === 'week') {
+            // Align the first period with the Monday the rows are grouped by.
+            $current = strtotime('-' . (gmdate('N', $current) - 1) . ' days', $current);
+        }
+
+        for ($end = strtotime($range['to']); $current <= $end; $current = strtotime($step, $current)) {
+            $period = gmdate('Y-m-d', $current);
+            $row = $rows_by_period[$period] ?? [];
+
+            $history[] = [
+                'period' => $period,
+                'images' => (int) ($row['images'] ?? 0),
+                'normal_savings' => (int) ($row['normal_savings'] ?? 0),
+                'webp_savings' => (int) ($row['webp_savings'] ?? 0),
+                'webp_conversions' => (int) ($row['webp_conversions'] ?? 0),
+                'png_to_jpg_conversions' => (int) ($row['png_to_jpg_conversions'] ?? 0),
+                'avif_savings' => (int) ($row['avif_savings'] ?? 0),
+                'avif_conversions' => (int) ($row['avif_conversions'] ?? 0),
+            ];
+        }
+
+        return $history;
+    }
+
+    /**
+     * Get savings grouped by the MIME type of the images.
+     *
+     * @since 1.2.0
+     * @param array $range Date range as returned by normalize_range()
+     * @return array List of rows with 'mime_type', 'images', 'normal_savings', 'webp_savings' and 'avif_savings'
+     */
+    public function get_savings_by_mime_type($range)
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . Schema::HISTORY_TABLE_NAME;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT p.post_mime_type AS mime_type,
+                COUNT(*) AS images,
+                SUM(h.normal_savings) AS normal_savings,
+                SUM(h.webp_savings) AS webp_savings,
+                SUM(h.avif_savings) AS avif_savings
+             FROM {$table_name} h
+             INNER JOIN {$wpdb->posts} p ON p.ID = h.attachment_id
+             WHERE h.optimized_at >= FROM_UNIXTIME(%d) AND h.optimized_at < FROM_UNIXTIME(%d)
+             GROUP BY p.post_mime_type
+             ORDER BY normal_savings DESC",
+            $this->get_day_start($range['from']),
+            $this->get_day_start($range['to'], 1)
+        ), ARRAY_A);
+
+        return array_map(function ($row) {
+            return [
+                'mime_type' => $row['mime_type'],
+                'images' => (int) $row['images'],
+                'normal_savings' => (int) $row['normal_savings'],
+                'webp_savings' => (int) $row['webp_savings'],
+                'avif_savings' => (int) $row['avif_savings'],
+            ];
+        }, $rows);
+    }
+
+    /**
+     * Get savings grouped by image size.
+     *
+     * @since 1.2.0
+     * @param array $range Date range as returned by normalize_range()
+     * @return array List of rows with 'image_size', 'files', 'original_bytes', 'saved_bytes',
+     *               'webp_saved_bytes', 'avif_saved_bytes' and 'percent_saved'
+     */
+    public function get_savings_by_size($range)
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . Schema::SIZE_STATS_TABLE_NAME;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT image_size,
+                COUNT(*) AS files,
+                SUM(original_bytes) AS original_bytes,
+                SUM(saved_bytes) AS saved_bytes,
+                SUM(webp_saved_bytes) AS webp_saved_bytes,
+                SUM(avif_saved_bytes) AS avif_saved_bytes
+             FROM {$table_name}
+             WHERE optimized_at >= FROM_UNIXTIME(%d) AND optimized_at < FROM_UNIXTIME(%d)
+             GROUP BY image_size
+             ORDER BY saved_bytes DESC",
+            $this->get_day_start($range['from']),
+            $this->get_day_start($range['to'], 1)
+        ), ARRAY_A);
+
+        return array_map(function ($row) {
+            $original_bytes = (int) $row['original_bytes'];
+            $saved_bytes = (int) $row['saved_bytes'];
+
+            return [
+                'image_size' => $row['image_size'],
+                'files' => (int) $row['files'],
+                'original_bytes' => $original_bytes,
+                'saved_bytes' => $saved_bytes,
+                'webp_saved_bytes' => (int) $row['webp_saved_bytes'],
+                'avif_saved_bytes' => (int) $row['avif_saved_bytes'],
+                'percent_saved' => $original_bytes > 0 ? round($saved_bytes / $original_bytes * 100, 2) : 0,
+            ];
+        }, $rows);
+    }
+
+    /**
+     * Get the totals of the images optimized since a point in time.
+     *
+     * @since 1.2.0
+     * @param int $since Timestamp to count from
+     * @return array Array with 'images', 'original_bytes', 'saved_bytes', 'webp_saved_bytes' and 'avif_saved_bytes'
+     */
+    public function get_totals_since($since)
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . Schema::SIZE_STATS_TABLE_NAME;
+
+        $row = $wpdb->get_row($wpdb->prepare(
+            "SELECT COUNT(DISTINCT attachment_id) AS images,
+                SUM(original_bytes) AS original_bytes,
+                SUM(saved_bytes) AS saved_bytes,
+                SUM(webp_saved_bytes) AS webp_saved_bytes,
+                SUM(avif_saved_bytes) AS avif_saved_bytes
+             FROM {$table_name}
+             WHERE optimized_at >= FROM_UNIXTIME(%d)",
+            $since
+        ), ARRAY_A);
+
+        return [
+            'images' => (int) ($row['images'] ?? 0),
+            'original_bytes' => (int) ($row['original_bytes'] ?? 0),
+            'saved_bytes' => (int) ($row['saved_bytes'] ?? 0),
+            'webp_saved_bytes' => (int) ($row['webp_saved_bytes'] ?? 0),
+            'avif_saved_bytes' => (int) ($row['avif_saved_bytes'] ?? 0),
+        ];
+    }
+
+    /**
+     * Get the images with the largest total savings.
+     *
+     * @since 1.2.0
+     * @param array $range Date range as returned by normalize_range()
+     * @return array List of images, see prepare_image_row()
+     */
+    public function get_top_savings($range)
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . Schema::HISTORY_TABLE_NAME;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT attachment_id, normal_savings, webp_savings, optimized_at
+             FROM {$table_name}
+             WHERE optimized_at >= FROM_UNIXTIME(%d) AND optimized_at < FROM_UNIXTIME(%d)
+             ORDER BY (normal_savings + webp_savings) DESC
+             LIMIT %d",
+            $this->get_day_start($range['from']),
+            $this->get_day_start($range['to'], 1),
+            self::LIST_LIMIT
+        ), ARRAY_A);
+
+        return array_map(function ($row) {
+            return $this->prepare_image_row($row['attachment_id'], [
+                'normal_savings' => (int) $row['normal_savings'],
+                'webp_savings' => (int) $row['webp_savings'],
+                'optimized_at' => $row['optimized_at'],
+            ]);
+        }, $rows);
+    }
+
+    /**
+     * Get the images whose main image was compressed the least.
+     *
+     * @since 1.2.0
+     * @param array $range Date range as returned by normalize_range()
+     * @return array List of images, see prepare_image_row()
+     */
+    public function get_worst_compressed($range)
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . Schema::SIZE_STATS_TABLE_NAME;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT attachment_id, original_bytes, saved_bytes, optimized_at
+             FROM {$table_name}
+             WHERE image_size = 'full' AND original_bytes > 0 AND optimized_at >= FROM_UNIXTIME(%d) AND optimized_at < FROM_UNIXTIME(%d)
+             ORDER BY (saved_bytes / original_bytes) ASC, original_bytes DESC
+             LIMIT %d",
+            $this->get_day_start($range['from']),
+            $this->get_day_start($range['to'], 1),
+            self::LIST_LIMIT
+        ), ARRAY_A);
+
+        return array_map(function ($row) {
+            return $this->prepare_image_row($row['attachment_id'], [
+                'original_bytes' => (int) $row['original_bytes'],
+                'saved_bytes' => (int) $row['saved_bytes'],
+                'percent_saved' => round($row['saved_bytes'] / $row['original_bytes'] * 100, 2),
+                'optimized_at' => $row['optimized_at'],
+            ]);
+        }, $rows);
+    }
+
+    /**
+     * Replace the size stats of an attachment with its current optimization data.
+     *
+     * Only the sizes contained in the optimization data are replaced, so stats of
+     * sizes that were not part of this optimization are kept.
+     *
+     * @since 1.2.0
+     * @param int   $attachment_id     The attachment ID
+     * @param array $optimization_data Optimization data of the optimized sizes
+     * @return void
+     */
+    public function track_size_stats($attachment_id, $optimization_data)
+    {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . Schema::SIZE_STATS_TABLE_NAME;
+        $metadata = wp_get_attachment_metadata($attachment_id);
+
+        foreach ($optimization_data as $size_data) {
+            if (!isset($size_data['total_original'])) {
+                continue;
+            }
+
+            $image_size = $this->get_size_name($size_data, $metadata);
+
+            $wpdb->delete($table_name, ['attachment_id' => $attachment_id, 'image_size' => $image_size], ['%d', '%s']);
+            $wpdb->insert(
+                $table_name,
+                [
+                    'attachment_id' => $attachment_id,
+                    'image_size' => $image_size,
+                    'original_bytes' => (int) $size_data['total_original'],
+                    'saved_bytes' => max(0, (int) ($size_data['total_saved'] ?? 0)),
+                    'webp_saved_bytes' => max(0, (int) ($size_data['webp']['bytes_saved'] ?? 0)),
+                    'avif_saved_bytes' => max(0, (int) ($size_data['avif']['bytes_saved'] ?? 0)),
+                ],
+                ['%d', '%s', '%d', '%d', '%d', '%d']
+            );
+        }
+    }
+
+    /**
+     * Get the image size name of an optimization data entry.
+     *
+     * The main image and the unscaled original are stored without a size name,
+     * they are told apart by the file name.
+     *
+     * @since 1.2.0
+     * @param array       $size_data Optimization data of one size
+     * @param array|false $metadata  Attachment metadata
+     * @return string Size name, 'full' for the main image or 'original' for the unscaled original
+     */
+    public function get_size_name($size_data, $metadata)
+    {
+        if (!empty($size_data['image_size'])) {
+            return $size_data['image_size'];
+        }
+
+        if (!empty($metadata['original_image']) && ($size_data['file_name'] ?? '') === $metadata['original_image']) {
+            return 'original';
+        }
+
+        return 'full';
+    }
+
+    /**
+     * Schedule the size stats backfill, e.g. after the size stats table was created.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function schedule_backfill()
+    {
+        if (!wp_next_scheduled(self::BACKFILL_CRON_HOOK)) {
+            wp_schedule_single_event(time(), self::BACKFILL_CRON_HOOK);
+        }
+    }
+
+    /**
+     * Process a batch of the size stats backfill from WP-Cron.
+     *
+     * Schedules the next batch until every image was processed.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function process_backfill()
+    {
+        if ($this->backfill_size_stats() < self::BACKFILL_BATCH_SIZE) {
+            delete_option(self::BACKFILL_CURSOR_OPTION_NAME);
+            return;
+        }
+
+        wp_schedule_single_event(time(), self::BACKFILL_CRON_HOOK);
+    }
+
+    /**
+     * Add size stats for images optimized before the size stats table existed.
+     *
+     * Processes a limited number of attachments per call, in the order of their
+     * IDs. The last processed ID is stored, so images without usable optimization
+     * data are skipped by the next call instead of being selected again. The rows
+     * are dated with the optimization date from the history table.
+     *
+     * @since 1.2.0
+     * @return int Number of attachments processed
+     */
+    public function backfill_size_stats()
+    {
+        global $wpdb;
+
+        $history_table = $wpdb->prefix . Schema::HISTORY_TABLE_NAME;
+        $size_table = $wpdb->prefix . Schema::SIZE_STATS_TABLE_NAME;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT h.attachment_id, h.optimized_at
+             FROM {$history_table} h
+             INNER JOIN {$wpdb->postmeta} pm ON pm.post_id = h.attachment_id AND pm.meta_key = '_awp_io_optimization_data'
+             LEFT JOIN {$size_table} s ON s.attachment_id = h.attachment_id
+             WHERE s.id IS NULL AND h.attachment_id > %d
+             ORDER BY h.attachment_id ASC
+             LIMIT %d",
+            (int) get_option(self::BACKFILL_CURSOR_OPTION_NAME, 0),
+            self::BACKFILL_BATCH_SIZE
+        ));
+
+        foreach ($rows as $row) {
+            update_option(self::BACKFILL_CURSOR_OPTION_NAME, (int) $row->attachment_id, false);
+
+            $optimization_data = get_post_meta($row->attachment_id, '_awp_io_optimization_data', true);
+            if (empty($optimization_data) || !is_array($optimization_data)) {
+                continue;
+            }
+
+            $this->track_size_stats($row->attachment_id, $optimization_data);
+
+            $wpdb->update(
+                $size_table,
+                ['optimized_at' => $row->optimized_at],
+                ['attachment_id' => $row->attachment_id],
+                ['%s'],
+                ['%d']
+            );
+        }
+
+        return count($rows);
+    }
+
+    /**
+     * Add title and links of an attachment to a list row.
+     *
+     * @since 1.2.0
+     * @param int   $attachment_id The attachment ID
+     * @param array $row           Stats of the attachment
+     * @return array Row with 'id', 'title', 'mime_type', 'thumbnail' and 'edit_url' added
+     */
+    private function prepare_image_row($attachment_id, $row)
+    {
+        $thumbnail = wp_get_attachment_image_src($attachment_id, 'thumbnail');
+
+        return array_merge([
+            'id' => (int) $attachment_id,
+            'title' => get_the_title($attachment_id),
+            'mime_type' => get_post_mime_type($attachment_id),
+            'thumbnail' => $thumbnail ? $thumbnail[0] : '',
+            'edit_url' => get_edit_post_link($attachment_id, 'raw'),
+        ], $row);
+    }
+
+    /**
+     * Get the timestamp a day of a date range starts at in the site timezone.
+     *
+     * optimized_at is a TIMESTAMP read in the MySQL session timezone, so the bounds
+     * are compared with FROM_UNIXTIME() instead of date strings.
+     *
+     * @since 1.2.0
+     * @param string $date Date (Y-m-d)
+     * @param int    $days Optional. Number of days to add, e.g. 1 for the end of the range.
+     * @return int Unix timestamp
+     */
+    private function get_day_start($date, $days = 0)
+    {
+        $day = new \DateTimeImmutable($date . ' 00:00:00', wp_timezone());
+
+        return $day->modify('+' . $days . ' days')->getTimestamp();
+    }
+
+    /**
+     * Validate a date in Y-m-d format.
+     *
+     * @since 1.2.0
+     * @param string $date Date string
+     * @return string The date
+     * @throws \InvalidArgumentException If the date is not a valid Y-m-d date.
+     */
+    private function sanitize_date($date)
+    {
+        $date = trim((string) $date);
+        $parsed = \DateTime::createFromFormat('Y-m-d', $date);
+
+        if (!$parsed || $parsed->format('Y-m-d') !== $date) {
+            throw new \InvalidArgumentException(sprintf(__('Invalid date "%s", expected the format YYYY-MM-DD.', 'awp-io'), $date));
+        }
+
+        return $date;
+    }
+}
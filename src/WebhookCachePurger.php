@@ -0,0 +1,94 @@
+<?php
+
+namespace AWP\IO;
+
+use WP_Error;
+
+/**
+ * Class WebhookCachePurger
+ *
+ * Sends the URLs to purge to a webhook, for CDNs and proxies without a built-in
+ * purger, e.g. to a script or automation service calling the CDN API.
+ *
+ * The request uses the format of the notification webhooks: a JSON POST body
+ * with 'event' ('cache.purge'), 'site_url', 'timestamp' and 'data' with the
+ * 'urls', signed in the X-AWP-IO-Signature header when a secret is set.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+class WebhookCachePurger extends Singleton implements CachePurger
+{
+    /**
+     * Get the name of the purger.
+     *
+     * @since 1.2.0
+     * @return string Purger name
+     */
+    public function get_name()
+    {
+        return 'Webhook';
+    }
+
+    /**
+     * Check whether a purge webhook URL is configured.
+     *
+     * @since 1.2.0
+     * @return bool True if the purger is enabled
+     */
+    public function is_enabled()
+    {
+        return get_optimizer_settings('cdn_purge_webhook_url') !== '';
+    }
+
+    /**
+     * Send the URLs to the webhook in one request.
+     *
+     * @since 1.2.0
+     * @param array $urls     Absolute URLs to purge
+     * @param bool  $blocking Optional. Whether to wait for the response, true by default.
+     * @return bool|WP_Error True on a 2xx response or once a non-blocking request was sent, WP_Error otherwise
+     */
+    public function purge($urls, $blocking = true)
+    {
+        $body = wp_json_encode([
+            'event' => 'cache.purge',
+            'site_url' => home_url(),
+            'timestamp' => time(),
+            'data' => ['urls' => array_values(array_unique($urls))],
+        ]);
+
+        $headers = [
+            'Content-Type' => 'application/json',
+            'X-AWP-IO-Event' => 'cache.purge',
+        ];
+
+        $secret = get_optimizer_settings('cdn_purge_webhook_secret');
+        if ($secret !== '') {
+            $headers['X-AWP-IO-Signature'] = 'sha256=' . hash_hmac('sha256', $body, $secret);
+        }
+
+        // Not wp_safe_remote_post(), so webhooks on the local network or localhost can be used.
+        $response = wp_remote_post(get_optimizer_settings('cdn_purge_webhook_url'), [
+            'timeout' => $blocking ? 10 : 1,
+            'blocking' => $blocking,
+            'headers' => $headers,
+            'body' => $body,
+        ]);
+
+        if (is_wp_error($response)) {
+            return $response;
+        }
+
+        if (!$blocking) {
+            return true;
+        }
+
+        $response_code = wp_remote_retrieve_response_code($response);
+        if ($response_code < 200 || $response_code >= 300) {
+            return new WP_Error('awp_io_purge_failed', sprintf('The webhook responded with HTTP %d.', $response_code));
+        }
+
+        return true;
+    }
+}
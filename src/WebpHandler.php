@@ -8,33 +8,70 @@ namespace AWP\IO;
  * This class manages WebP image support, including browser detection,
  * image conversion, and dynamic serving of WebP images when supported.
  * It hooks into WordPress's image handling system to provide seamless
- * WebP support.
+ * WebP support. AVIF versions are delivered the same way, ahead of WebP.
  *
  * @package AWP\IO
  * @since 1.0.0
  */
 class WebpHandler
 {
+    /**
+     * Transparent 1x1 GIF shown until a lazy loaded image without dimensions is loaded.
+     *
+     * @var string
+     */
+    private const PLACEHOLDER_SRC = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+
+    /**
+     * Whether next generation versions of the images are delivered.
+     *
+     * @var bool
+     */
+    private $deliver_next_gen;
+
+    /**
+     * Whether images are lazy loaded by the frontend script.
+     *
+     * @var bool
+     */
+    private $lazy_load;
+
     /**
      * Initialize WebP handling functionality.
      * 
      * Sets up hooks for content filtering, image URL modification,
      * and WebP support in WordPress.
+     *
+     * With lazy loading enabled the image format is picked by the browser
+     * instead of the Accept header, so the markup is the same for every
+     * visitor and can be stored by full-page caches.
      * 
      * @since 1.0.0
+     * @since 1.2.0 Added the $deliver_next_gen and $lazy_load parameters.
+     * @param bool $deliver_next_gen Whether to deliver the WebP versions of the images.
+     * @param bool $lazy_load        Whether to lazy load images with the frontend script.
      */
-    public function __construct()
+    public function __construct($deliver_next_gen = true, $lazy_load = false)
     {
+        $this->deliver_next_gen = $deliver_next_gen;
+        $this->lazy_load = $lazy_load;
+
         // Hook into HTML output to replace image URLs
         add_filter('the_content', [$this, 'replace_images_with_webp'], 9999);
-        add_filter('wp_get_attachment_image_src', [$this, 'maybe_get_webp_url'], 10, 15);
-        add_filter('wp_calculate_image_srcset', [$this, 'modify_image_srcset'], 10, 20);
+
+        if ($lazy_load) {
+            add_filter('post_thumbnail_html', [$this, 'replace_images_with_webp'], 9999);
+            add_action('wp_head', [$this, 'print_noscript_styles']);
+        } else {
+            add_filter('wp_get_attachment_image_src', [$this, 'maybe_get_webp_url'], 10, 15);
+            add_filter('wp_calculate_image_srcset', [$this, 'modify_image_srcset'], 10, 20);
+
+            // Add WebP headers
+            add_action('init', [$this, 'add_webp_headers']);
+        }
 
         // Add WebP support to allowed mime types
         add_filter('upload_mimes', [$this, 'add_webp_mime_type']);
-
-        // Add WebP headers
-        add_action('init', [$this, 'add_webp_headers']);
     }
 
     /**
@@ -57,6 +94,18 @@ class WebpHandler
         return false;
     }
 
+    /**
+     * Check if the current browser supports AVIF images.
+     *
+     * @since 1.2.0
+     * @access private
+     * @return bool True if browser supports AVIF, false otherwise
+     */
+    private function browser_supports_avif()
+    {
+        return isset($_SERVER['HTTP_ACCEPT']) && strpos($_SERVER['HTTP_ACCEPT'], 'image/avif') !== false;
+    }
+
     /**
      * Legacy method to check for WebP version of an image.
      * 
@@ -89,19 +138,53 @@ class WebpHandler
      * 
      * @since 1.0.0
      * @access private
-     * @param string $image_url URL of the original image
+     * @param string   $image_url     URL of the original image
+     * @param int|null $attachment_id Optional. Attachment of the image, looked up from the URL if null
      * @return string|false WebP image URL if exists, false otherwise
      */
-    private function get_webp_version($image_url)
+    private function get_webp_version($image_url, $attachment_id = null)
+    {
+        return $this->get_next_gen_version($image_url, 'webp', $attachment_id);
+    }
+
+    /**
+     * Check if an AVIF version exists for a given image URL.
+     *
+     * @since 1.2.0
+     * @access private
+     * @param string   $image_url     URL of the original image
+     * @param int|null $attachment_id Optional. Attachment of the image, looked up from the URL if null
+     * @return string|false AVIF image URL if exists, false otherwise
+     */
+    private function get_avif_version($image_url, $attachment_id = null)
+    {
+        return $this->get_next_gen_version($image_url, 'avif', $attachment_id);
+    }
+
+    /**
+     * Check if a next generation version exists for a given image URL.
+     *
+     * First checks the attachment metadata for the '{format}_enabled' flag,
+     * then falls back to filesystem check if necessary.
+     *
+     * @since 1.2.0
+     * @access private
+     * @param string   $image_url     URL of the original image
+     * @param string   $format        'webp' or 'avif'
+     * @param int|null $attachment_id Optional. Attachment of the image, 0 if unknown. Looked up
+     *                                from the URL if null, which queries the database.
+     * @return string|false Image URL of the format if exists, false otherwise
+     */
+    private function get_next_gen_version($image_url, $format, $attachment_id = null)
     {
         // First try to get attachment ID from URL
-        $attachment_id = attachment_url_to_postid($image_url);
+        $attachment_id = $attachment_id ?? attachment_url_to_postid($image_url);
 
         if ($attachment_id) {
             // Check metadata first
             $metadata = wp_get_attachment_metadata($attachment_id);
-            if (empty($metadata['webp_enabled'])) {
-                return false; // No WebP version available
+            if (empty($metadata[$format . '_enabled'])) {
+                return false; // No version of this format available
             }
         }
 
@@ -109,10 +192,37 @@ class WebpHandler
         // or if we couldn't get attachment ID
         $upload_dir = wp_upload_dir();
         $image_path = str_replace($upload_dir['baseurl'], $upload_dir['basedir'], $image_url);
-        $webp_path = preg_replace('/\.(jpe?g|png)$/i', '.webp', $image_path);
+        $next_gen_path = preg_replace('/\.(jpe?g|png)$/i', '.' . $format, $image_path);
 
-        if (file_exists($webp_path)) {
-            return str_replace($upload_dir['basedir'], $upload_dir['baseurl'], $webp_path);
+        if ($next_gen_path !== $image_path && file_exists($next_gen_path)) {
+            return str_replace($upload_dir['basedir'], $upload_dir['baseurl'], $next_gen_path);
+        }
+
+        return false;
+    }
+
+    /**
+     * Get the next generation version of an image the current browser supports.
+     *
+     * AVIF is preferred over WebP.
+     *
+     * @since 1.2.0
+     * @access private
+     * @param string   $image_url     URL of the original image
+     * @param int|null $attachment_id Optional. Attachment of the image, looked up from the URL if null
+     * @return string|false Image URL of the preferred format, false if none exists
+     */
+    private function get_supported_version($image_url, $attachment_id = null)
+    {
+        if ($this->browser_supports_avif()) {
+            $avif_url = $this->get_avif_version($image_url, $attachment_id);
+            if ($avif_url) {
+                return $avif_url;
+            }
+        }
+
+        if ($this->browser_supports_webp()) {
+            return $this->get_webp_version($image_url, $attachment_id);
         }
 
         return false;
@@ -123,15 +233,20 @@ class WebpHandler
      * 
      * Searches content for image tags and replaces them with picture
      * elements containing both WebP and original sources when WebP
-     * versions are available.
+     * versions are available. AVIF versions are added as the first source.
      * 
      * @since 1.0.0
+     * @since 1.2.0 Adds AVIF sources.
      * @param string $content The post content to process
      * @return string Modified content with WebP images
      */
     public function replace_images_with_webp($content)
     {
-        if (!$this->browser_supports_webp()) {
+        if ($this->lazy_load) {
+            return $this->add_lazy_loading($content);
+        }
+
+        if (!$this->deliver_next_gen || (!$this->browser_supports_webp() && !$this->browser_supports_avif())) {
             return $content;
         }
 
@@ -141,35 +256,223 @@ class WebpHandler
         return preg_replace_callback($pattern, function ($matches) {
             $img_tag = $matches[0];
             $src = $matches[2];
+            $attachment_id = $this->get_image_attachment_id($img_tag, $src);
+
+            // Check if AVIF and WebP versions exist
+            $avif_url = $this->browser_supports_avif() ? $this->get_avif_version($src, $attachment_id) : false;
+            $webp_url = $this->browser_supports_webp() ? $this->get_webp_version($src, $attachment_id) : false;
+
+            if (!$avif_url && !$webp_url) {
+                return $img_tag;
+            }
+
+            $sources = '';
+            if ($avif_url) {
+                $sources .= sprintf('<source srcset="%s" type="image/avif">', esc_attr($avif_url));
+            }
 
-            // Check if WebP version exists
-            $webp_url = $this->get_webp_version($src);
             if ($webp_url) {
                 // Replace src with WebP version
                 $img_tag = str_replace($src, $webp_url, $img_tag);
+                $sources .= sprintf('<source srcset="%s" type="image/webp">', esc_attr($webp_url));
+            }
+
+            // Add picture tag for fallback
+            return sprintf(
+                '<picture>
+                    %s
+                    %s
+                </picture>',
+                $sources,
+                $img_tag
+            );
+        }, $content);
+    }
 
-                // Add picture tag for fallback
-                return sprintf(
-                    '<picture>
-                        <source srcset="%s" type="image/webp">
-                        %s
-                    </picture>',
-                    esc_attr($webp_url),
-                    $img_tag
-                );
+    /**
+     * Prepare the images in content for the lazy loading frontend script.
+     *
+     * The image sources are moved to data-src and data-srcset attributes and the
+     * AVIF and WebP versions are added as data-{format}-src and data-{format}-srcset, so the
+     * frontend script can pick the format the browser supports. Images inside
+     * picture elements are left untouched, since the browser already picks the
+     * source of those.
+     *
+     * @since 1.2.0
+     * @param string $content The HTML to process
+     * @return string Modified HTML with lazy loaded images
+     */
+    private function add_lazy_loading($content)
+    {
+        $pattern = '/<picture[\s>].*?<\/picture>|<img\s[^>]*>/is';
+
+        return preg_replace_callback($pattern, function ($matches) {
+            if (stripos($matches[0], '<picture') === 0) {
+                return $matches[0];
             }
 
-            return $img_tag;
+            return $this->get_lazy_image_tag($matches[0]);
         }, $content);
     }
 
+    /**
+     * Convert an image tag to a lazy loaded image with a noscript fallback.
+     *
+     * @since 1.2.0
+     * @param string $img_tag The image tag
+     * @return string Lazy loaded image tag, or the unchanged tag if it is skipped
+     *
+     * @filter awp_io_lazy_load_image Filters whether an image is lazy loaded
+     *         @param bool   $lazy_load Whether to lazy load the image, default true
+     *         @param string $img_tag   The image tag
+     */
+    private function get_lazy_image_tag($img_tag)
+    {
+        if (!preg_match('/\ssrc=([\'"])(.*?)\1/i', $img_tag, $src_match) || strpos($src_match[2], 'data:') === 0) {
+            return $img_tag;
+        }
+
+        // Skip images that are lazy loaded by something else or opted out by class.
+        if (stripos($img_tag, ' data-src=') !== false || preg_match('/\sclass=([\'"])[^\'"]*\b(skip-lazy|no-lazy)\b/i', $img_tag)) {
+            return $img_tag;
+        }
+
+        if (!apply_filters('awp_io_lazy_load_image', true, $img_tag)) {
+            return $img_tag;
+        }
+
+        $src = html_entity_decode($src_match[2]);
+        $attributes = ' src="' . esc_attr($this->get_placeholder_src($img_tag)) . '" data-src="' . esc_attr($src) . '"';
+
+        $srcset = '';
+        if (preg_match('/\ssrcset=([\'"])(.*?)\1/i', $img_tag, $srcset_match)) {
+            $srcset = html_entity_decode($srcset_match[2]);
+            $attributes .= ' data-srcset="' . esc_attr($srcset) . '"';
+        }
+
+        if ($this->deliver_next_gen) {
+            // The candidates of the srcset are sizes of the same attachment.
+            $attachment_id = $this->get_image_attachment_id($img_tag, $src);
+
+            foreach (['avif', 'webp'] as $format) {
+                $next_gen_url = $this->get_next_gen_version($src, $format, $attachment_id);
+                if ($next_gen_url) {
+                    $attributes .= ' data-' . $format . '-src="' . esc_attr($next_gen_url) . '"';
+                    if ($srcset !== '') {
+                        $attributes .= ' data-' . $format . '-srcset="' . esc_attr($this->get_next_gen_srcset($srcset, $format, $attachment_id)) . '"';
+                    }
+                }
+            }
+        }
+
+        $lazy_tag = preg_replace('/\ssrcset=([\'"]).*?\1/i', '', $img_tag);
+        $lazy_tag = preg_replace_callback('/\ssrc=([\'"]).*?\1/i', function () use ($attributes) {
+            return $attributes;
+        }, $lazy_tag, 1);
+
+        if (preg_match('/\sclass=([\'"])/i', $lazy_tag)) {
+            $lazy_tag = preg_replace('/(\sclass=([\'"]))/i', '$1awp-io-lazy ', $lazy_tag, 1);
+        } else {
+            $lazy_tag = preg_replace('/^<img/i', '<img class="awp-io-lazy"', $lazy_tag);
+        }
+
+        return $lazy_tag . '<noscript>' . $img_tag . '</noscript>';
+    }
+
+    /**
+     * Get the attachment an image tag shows.
+     *
+     * Uses the wp-image-{id} class WordPress adds to content images, and looks the
+     * attachment up from the URL only for images without it.
+     *
+     * @since 1.2.0
+     * @param string $img_tag The image tag
+     * @param string $src     URL of the image
+     * @return int Attachment ID, 0 if the image is no attachment
+     */
+    private function get_image_attachment_id($img_tag, $src)
+    {
+        if (preg_match('/\sclass=([\'"])[^\'"]*\bwp-image-(\d+)\b/i', $img_tag, $id_match)) {
+            return (int) $id_match[2];
+        }
+
+        return attachment_url_to_postid($src);
+    }
+
+    /**
+     * Get the placeholder of a lazy loaded image.
+     *
+     * An empty SVG with the dimensions of the image keeps its aspect ratio, so the
+     * page layout does not shift when the image is loaded.
+     *
+     * @since 1.2.0
+     * @param string $img_tag The image tag
+     * @return string Placeholder data URI
+     */
+    private function get_placeholder_src($img_tag)
+    {
+        if (
+            preg_match('/\swidth=([\'"]?)(\d+)\1/i', $img_tag, $width_match)
+            && preg_match('/\sheight=([\'"]?)(\d+)\1/i', $img_tag, $height_match)
+        ) {
+            return sprintf(
+                "data:image/svg+xml,%%3Csvg xmlns='http://www.w3.org/2000/svg' width='%d' height='%d'%%3E%%3C/svg%%3E",
+                $width_match[2],
+                $height_match[2]
+            );
+        }
+
+        return self::PLACEHOLDER_SRC;
+    }
+
+    /**
+     * Replace the candidates of a srcset with their next generation versions.
+     *
+     * Candidates without a version of the format keep their original URL.
+     *
+     * @since 1.2.0
+     * @param string $srcset        The srcset attribute value
+     * @param string $format        'webp' or 'avif'
+     * @param int    $attachment_id Attachment the candidates are sizes of, 0 if unknown
+     * @return string The srcset with URLs of the format
+     */
+    private function get_next_gen_srcset($srcset, $format, $attachment_id)
+    {
+        $candidates = array_map('trim', explode(',', $srcset));
+
+        foreach ($candidates as $index => $candidate) {
+            $parts = preg_split('/\s+/', $candidate, 2);
+            $next_gen_url = $this->get_next_gen_version($parts[0], $format, $attachment_id);
+
+            if ($next_gen_url) {
+                $candidates[$index] = $next_gen_url . (isset($parts[1]) ? ' ' . $parts[1] : '');
+            }
+        }
+
+        return implode(', ', $candidates);
+    }
+
+    /**
+     * Hide the lazy loaded images when JavaScript is disabled.
+     *
+     * The noscript copy of the image is shown instead.
+     *
+     * @since 1.2.0
+     * @return void
+     */
+    public function print_noscript_styles()
+    {
+        echo '<noscript><style>img.awp-io-lazy{display:none;}</style></noscript>' . "\n";
+    }
+
     /**
      * Modify image source sets to include WebP versions.
      * 
      * Updates the srcset attribute of images to use WebP versions
-     * when available.
+     * when available, or AVIF versions if the browser supports them.
      * 
      * @since 1.0.0
+     * @since 1.2.0 Prefers AVIF versions.
      * @param array  $sources      Array of image sources with descriptors
      * @param array  $size_array   Array of width and height values
      * @param string $image_src    The 'src' of the image
@@ -179,7 +482,7 @@ class WebpHandler
      */
     public function modify_image_srcset($sources, $size_array, $image_src, $image_meta, $attachment_id)
     {
-        if (!$this->browser_supports_webp()) {
+        if (!$this->browser_supports_webp() && !$this->browser_supports_avif()) {
             return $sources;
         }
 
@@ -189,9 +492,9 @@ class WebpHandler
         }
 
         foreach ($sources as $width => $source) {
-            $webp_url = $this->get_webp_version($source['url']);
-            if ($webp_url) {
-                $sources[$width]['url'] = $webp_url;
+            $next_gen_url = $this->get_supported_version($source['url'], (int) $attachment_id);
+            if ($next_gen_url) {
+                $sources[$width]['url'] = $next_gen_url;
             }
         }
 
@@ -202,9 +505,11 @@ class WebpHandler
      * Conditionally return WebP URL for attachment images.
      * 
      * Checks if a WebP version exists and returns it instead of
-     * the original image URL when appropriate.
+     * the original image URL when appropriate. AVIF versions are
+     * returned instead if the browser supports them.
      * 
      * @since 1.0.0
+     * @since 1.2.0 Prefers AVIF versions.
      * @param array|false $image         Array of image data, or false
      * @param int         $attachment_id Attachment ID
      * @param string|array $size        Requested image size
@@ -213,13 +518,13 @@ class WebpHandler
      */
     public function maybe_get_webp_url($image, $attachment_id, $size, $icon)
     {
-        if (!$this->browser_supports_webp() || !is_array($image)) {
+        if (!is_array($image)) {
             return $image;
         }
 
-        $webp_url = $this->get_webp_version($image[0]);
-        if ($webp_url) {
-            $image[0] = $webp_url;
+        $next_gen_url = $this->get_supported_version($image[0], (int) $attachment_id);
+        if ($next_gen_url) {
+            $image[0] = $next_gen_url;
         }
 
         return $image;
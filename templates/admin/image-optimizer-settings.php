@@ -21,17 +21,54 @@ if (!defined('ABSPATH')) exit; ?>
         <a href="#advanced" class="nav-tab"><?php _e('Advanced', 'text-domain'); ?></a>
         <a href="#optimization" class="nav-tab"><?php _e('Bulk Optimization', 'text-domain'); ?></a>
         <a href="#bulk-restore" class="nav-tab"><?php _e('Bulk Restore', 'text-domain'); ?></a>
+        <a href="#statistics" class="nav-tab"><?php _e('Statistics', 'text-domain'); ?></a>
     </h2>
 
-    <form method="post" action="<?php echo admin_url('admin-post.php'); ?>">
+    <form method="post" id="image-optimizer-settings-form" action="<?php echo admin_url('admin-post.php'); ?>">
         <input type="hidden" name="action" value="save_image_optimizer_options">
         <?php wp_nonce_field('save_image_optimizer_options', 'image_optimizer_nonce'); ?>
 
+        <?php if ($network_profile_available) : ?>
+            <div class="notice notice-info inline network-profile-notice">
+                <p>
+                    <label>
+                        <input type="checkbox" name="use_network_settings" value="yes" <?php checked($uses_network_settings); ?>>
+                        <?php _e('Use the network default settings', 'text-domain'); ?>
+                    </label>
+                </p>
+                <p class="description"><?php _e('While this is checked, the settings of this site follow the profile defined by the network administrator and only changes to the API key, tokens and webhook secrets are saved. Uncheck it and save to override the profile with the settings below.', 'text-domain'); ?></p>
+            </div>
+        <?php endif; ?>
+
         <div id="general" class="tab-content">
             <table class="form-table">
+                <tr>
+                    <th scope="row"><?php _e('Optimization Engine', 'text-domain'); ?></th>
+                    <td>
+                        <label><input type="radio" name="optimization_engine" value="remote" <?php checked($settings['optimization_engine'], 'remote'); ?>> <?php _e('Remote API', 'text-domain'); ?></label>
+                        <label><input type="radio" name="optimization_engine" value="local" <?php checked($settings['optimization_engine'], 'local'); ?>> <?php _e('Local (Imagick/GD)', 'text-domain'); ?></label>
+                        <p class="description"><?php _e('Optimize images with the remote API, or on this server without an API key. AVIF versions are created on this server in both cases.', 'text-domain'); ?></p>
+                        <?php if (!$local_optimizer->is_available()) : ?>
+                            <p class="description"><?php _e('Local optimization is not available: neither the Imagick nor the GD PHP extension is installed.', 'text-domain'); ?></p>
+                        <?php endif; ?>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Compression Level', 'text-domain'); ?></th>
+                    <td>
+                        <?php foreach ($compression_levels as $level => $label) : ?>
+                            <label><input type="radio" name="compression_level" value="<?php echo esc_attr($level); ?>" <?php checked($settings['compression_level'], $level); ?>> <?php echo esc_html($label); ?></label>
+                        <?php endforeach; ?>
+                        <p class="description"><?php _e('Lossless keeps every pixel, Glossy compresses without visible loss, Lossy gives the smallest files. Single images can be re-optimized with another level from the media library.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
                 <tr>
                     <th scope="row"><label for="api_key"><?php _e('API Key', 'text-domain'); ?></label></th>
-                    <td><input type="text" name="api_key" id="api_key" value="<?php echo esc_attr($settings['api_key']); ?>" class="regular-text"></td>
+                    <td>
+                        <input type="text" name="api_key" id="api_key" value="<?php echo esc_attr($settings['api_key']); ?>" class="regular-text">
+                        <button type="button" class="button button-secondary credential-check" data-action="awp_io_validate_api_key" data-field="api_key"><?php _e('Check', 'text-domain'); ?></button>
+                        <span class="awp-io-status-badge" data-status="unchecked"><?php _e('Not checked', 'text-domain'); ?></span>
+                    </td>
                 </tr>
                 <tr>
                     <th scope="row"><?php _e('Thumbnail Compression', 'text-domain'); ?></th>
@@ -82,6 +119,14 @@ if (!defined('ABSPATH')) exit; ?>
                         <p class="description"><?php _e('Create WebP versions of the images.', 'text-domain'); ?></p>
                     </td>
                 </tr>
+                <tr>
+                    <th scope="row"><?php _e('Create AVIF Versions', 'text-domain'); ?></th>
+                    <td>
+                        <label><input type="radio" name="next_gen_avif_images" value="yes" <?php checked($settings['next_gen_avif_images'], 'yes'); ?>> <?php _e('Yes', 'text-domain'); ?></label>
+                        <label><input type="radio" name="next_gen_avif_images" value="no" <?php checked($settings['next_gen_avif_images'], 'no'); ?>> <?php _e('No', 'text-domain'); ?></label>
+                        <p class="description"><?php _e('Also create AVIF versions of the images. AVIF files are usually smaller than WebP and are delivered first to browsers that support them. If the optimization server does not return an AVIF version, it is created on this server with Imagick or GD when they support AVIF.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
                 <tr>
                     <th scope="row"><?php _e('Deliver Next Generation Images', 'text-domain'); ?></th>
                     <td>
@@ -90,12 +135,70 @@ if (!defined('ABSPATH')) exit; ?>
                         <p class="description"><?php _e('Deliver the next generation versions of the images in the front-end.', 'text-domain'); ?></p>
                     </td>
                 </tr>
+                <tr>
+                    <th scope="row"><?php _e('Next Generation Delivery Method', 'text-domain'); ?></th>
+                    <td>
+                        <label><input type="radio" name="next_gen_delivery_method" value="php" <?php checked($settings['next_gen_delivery_method'], 'php'); ?>> <?php _e('PHP', 'text-domain'); ?></label>
+                        <label><input type="radio" name="next_gen_delivery_method" value="rewrite" <?php checked($settings['next_gen_delivery_method'], 'rewrite'); ?>> <?php _e('Rewrite Rules', 'text-domain'); ?></label>
+                        <p class="description"><?php _e('PHP replaces the image URLs in post content and attachment URLs. Rewrite rules let the web server answer every JPEG and PNG request in the uploads directory with the next generation version the browser accepts, which also covers widgets, page builders, CSS backgrounds and cached pages.', 'text-domain'); ?></p>
+
+                        <?php if ($settings['next_gen_delivery_method'] === 'rewrite') : ?>
+                            <div class="rewrite-rules-status">
+                                <?php if ($rewrite_rules->get_server() === 'nginx') : ?>
+                                    <p><?php _e('nginx does not read .htaccess files. Add this snippet to the site configuration and reload nginx:', 'text-domain'); ?></p>
+                                    <textarea class="large-text code" rows="16" readonly><?php echo esc_textarea($rewrite_rules->get_nginx_snippet()); ?></textarea>
+                                <?php elseif ($rewrite_rules->rules_present()) : ?>
+                                    <p><?php printf(__('The rewrite rules are in %s.', 'text-domain'), '<code>' . esc_html($rewrite_rules->get_htaccess_path()) . '</code>'); ?></p>
+                                <?php elseif ($settings['deliver_next_gen_images'] === 'yes') : ?>
+                                    <p><?php printf(__('The rewrite rules could not be written to %s. Add them to the file manually:', 'text-domain'), '<code>' . esc_html($rewrite_rules->get_htaccess_path()) . '</code>'); ?></p>
+                                    <textarea class="large-text code" rows="16" readonly><?php echo esc_textarea(implode("\n", $rewrite_rules->get_apache_rules())); ?></textarea>
+                                <?php endif; ?>
+
+                                <p>
+                                    <button type="button" id="check-rewrite-rules" class="button button-secondary"><?php _e('Check Rewrite Rules', 'text-domain'); ?></button>
+                                    <span class="spinner"></span>
+                                </p>
+                                <ul id="rewrite-rules-checks" class="rewrite-rules-checks"></ul>
+                            </div>
+                        <?php endif; ?>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Lazy Load Images', 'text-domain'); ?></th>
+                    <td>
+                        <label><input type="radio" name="lazy_load_images" value="yes" <?php checked($settings['lazy_load_images'], 'yes'); ?>> <?php _e('Yes', 'text-domain'); ?></label>
+                        <label><input type="radio" name="lazy_load_images" value="no" <?php checked($settings['lazy_load_images'], 'no'); ?>> <?php _e('No', 'text-domain'); ?></label>
+                        <p class="description"><?php _e('Load content images when they scroll into view. The browser picks the next generation version it supports, so pages can be stored by full-page caches.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Rewrite Whole Pages', 'text-domain'); ?></th>
+                    <td>
+                        <label><input type="radio" name="output_buffer_rewrite" value="yes" <?php checked($settings['output_buffer_rewrite'], 'yes'); ?>> <?php _e('Yes', 'text-domain'); ?></label>
+                        <label><input type="radio" name="output_buffer_rewrite" value="no" <?php checked($settings['output_buffer_rewrite'], 'no'); ?>> <?php _e('No', 'text-domain'); ?></label>
+                        <p class="description"><?php _e('Rewrite image URLs in the whole page instead of only the post content, including theme templates, widgets, galleries, preloads and CSS backgrounds. Images get their next generation version when delivery with PHP is enabled, and converted PNGs their JPEG version.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="output_buffer_exclude_selectors"><?php _e('Exclude Elements', 'text-domain'); ?></label></th>
+                    <td>
+                        <textarea name="output_buffer_exclude_selectors" id="output_buffer_exclude_selectors" class="large-text code" rows="3"><?php echo esc_textarea($settings['output_buffer_exclude_selectors']); ?></textarea>
+                        <p class="description"><?php _e('CSS selectors, one per line, of elements the page rewriting leaves alone, including their children. For example <code>.site-logo</code> or <code>#gallery img[data-no-webp]</code>.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="output_buffer_exclude_urls"><?php _e('Exclude Image URLs', 'text-domain'); ?></label></th>
+                    <td>
+                        <textarea name="output_buffer_exclude_urls" id="output_buffer_exclude_urls" class="large-text code" rows="3"><?php echo esc_textarea($settings['output_buffer_exclude_urls']); ?></textarea>
+                        <p class="description"><?php _e('Image URLs the page rewriting leaves alone, one per line. A URL is excluded if it contains the text, <code>*</code> matches any characters. For example <code>/2020/</code> or <code>logo*.png</code>.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
                 <tr>
                     <th scope="row"><?php _e('Optimize Media on Upload', 'text-domain'); ?></th>
                     <td>
                         <label><input type="radio" name="optimize_media_upload" value="yes" <?php checked($settings['optimize_media_upload'], 'yes'); ?>> <?php _e('Yes', 'text-domain'); ?></label>
                         <label><input type="radio" name="optimize_media_upload" value="no" <?php checked($settings['optimize_media_upload'], 'no'); ?>> <?php _e('No', 'text-domain'); ?></label>
-                        <p class="description"><?php _e('Automatically optimize images after they are uploaded (recommended).', 'text-domain'); ?></p>
+                        <p class="description"><?php _e('Automatically optimize images after they are uploaded (recommended). Uploads are queued and optimized in the background by WP-Cron.', 'text-domain'); ?></p>
                     </td>
                 </tr>
                 <tr>
@@ -129,14 +232,132 @@ if (!defined('ABSPATH')) exit; ?>
                         ?>
                     </td>
                 </tr>
-                <!-- Add the Cloudflare API Token Field -->
+                <tr>
+                    <th scope="row"><label for="request_max_retries"><?php _e('Request Retries', 'text-domain'); ?></label></th>
+                    <td>
+                        <input type="number" name="request_max_retries" id="request_max_retries" min="0" max="10" value="<?php echo esc_attr($settings['request_max_retries']); ?>" class="small-text">
+                        <p class="description"><?php _e('How often a failed bulk optimization, bulk restore or single image request is retried (with increasing delays) before giving up. Network errors, timeouts and server errors are retried, an invalid API key is not.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="bulk_concurrency"><?php _e('Bulk Optimization Workers', 'text-domain'); ?></label></th>
+                    <td>
+                        <input type="number" name="bulk_concurrency" id="bulk_concurrency" min="1" max="8" value="<?php echo esc_attr($settings['bulk_concurrency']); ?>" class="small-text">
+                        <p class="description"><?php _e('Number of batches processed in parallel during bulk optimization. More workers finish large libraries faster but put more load on your server. Lower this value if you see timeouts or rate limit errors.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php _e('Email Digest', 'text-domain'); ?></th>
+                    <td>
+                        <label><input type="radio" name="notification_email_digest" value="off" <?php checked($settings['notification_email_digest'], 'off'); ?>> <?php _e('Off', 'text-domain'); ?></label>
+                        <label><input type="radio" name="notification_email_digest" value="daily" <?php checked($settings['notification_email_digest'], 'daily'); ?>> <?php _e('Daily', 'text-domain'); ?></label>
+                        <label><input type="radio" name="notification_email_digest" value="weekly" <?php checked($settings['notification_email_digest'], 'weekly'); ?>> <?php _e('Weekly', 'text-domain'); ?></label>
+                        <p class="description"><?php _e('Email a summary of the optimized images, bytes saved, finished bulk, scheduled and WP-CLI runs and their errors. Errors of the optimization API, like an invalid API key or an exhausted quota, are emailed right away.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="notification_email"><?php _e('Notification Email', 'text-domain'); ?></label></th>
+                    <td>
+                        <input type="email" name="notification_email" id="notification_email" value="<?php echo esc_attr($settings['notification_email']); ?>" placeholder="<?php echo esc_attr(get_option('admin_email')); ?>" class="regular-text">
+                        <p class="description"><?php _e('Leave empty to use the administration email address.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="notification_webhook_url"><?php _e('Webhook', 'text-domain'); ?></label></th>
+                    <td>
+                        <input type="url" name="notification_webhook_url" id="notification_webhook_url" value="<?php echo esc_attr($settings['notification_webhook_url']); ?>" placeholder="https://" class="regular-text">
+                        <p class="description"><?php _e('The selected events are sent to this URL as a JSON POST request.', 'text-domain'); ?></p>
+                        <p>
+                            <label><input type="checkbox" name="notification_webhook_events[]" value="run.completed" <?php checked(in_array('run.completed', $settings['notification_webhook_events'], true)); ?>> <?php _e('Run completed', 'text-domain'); ?></label><br>
+                            <label><input type="checkbox" name="notification_webhook_events[]" value="api.error" <?php checked(in_array('api.error', $settings['notification_webhook_events'], true)); ?>> <?php _e('API error', 'text-domain'); ?></label><br>
+                            <label><input type="checkbox" name="notification_webhook_events[]" value="image.optimized" <?php checked(in_array('image.optimized', $settings['notification_webhook_events'], true)); ?>> <?php _e('Image optimized (one request per image)', 'text-domain'); ?></label>
+                        </p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="notification_webhook_secret"><?php _e('Webhook Secret', 'text-domain'); ?></label></th>
+                    <td>
+                        <input type="text" name="notification_webhook_secret" id="notification_webhook_secret" value="<?php echo esc_attr($settings['notification_webhook_secret']); ?>" class="regular-text" autocomplete="off">
+                        <p class="description"><?php _e('If set, the request body is signed with HMAC-SHA256 and the signature is sent in the X-AWP-IO-Signature header as sha256=&lt;hex digest&gt;.', 'text-domain'); ?></p>
+                        <p>
+                            <button type="button" id="test-notifications" class="button button-secondary"><?php _e('Send Test Notification', 'text-domain'); ?></button>
+                            <span class="spinner"></span>
+                        </p>
+                        <p class="description"><?php _e('Sends a test email and a test event to the webhook with the saved settings.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
+            </table>
+
+            <h3><?php _e('CDN Cache Purge', 'text-domain'); ?></h3>
+            <p class="description"><?php _e('Purge the URLs of an image, its thumbnails and its WebP and AVIF versions from your CDN or proxy cache after it is optimized or restored. Every configured integration is used.', 'text-domain'); ?></p>
+            <table class="form-table cdn-purge-settings">
                 <tr>
                     <th scope="row">
-                        <label for="cloudflare_api_token"><?php _e('Cloudflare Integration', 'text-domain'); ?></label>
+                        <label for="cloudflare_api_token"><?php _e('Cloudflare API Token', 'text-domain'); ?></label>
                     </th>
                     <td>
-                        <input type="text" name="cloudflare_api_token" id="cloudflare_api_token" value="<?php echo esc_attr($settings['cloudflare_api_token']); ?>" class="regular-text">
-                        <p class="description"><?php _e('If your site uses Cloudflare, enter the API token above to ensure Effective Image Optimizer updates optimized and restored images automatically on Cloudflare.', 'text-domain'); ?></p>
+                        <input type="text" name="cloudflare_api_token" id="cloudflare_api_token" value="<?php echo esc_attr($settings['cloudflare_api_token']); ?>" class="regular-text" autocomplete="off">
+                        <button type="button" class="button button-secondary credential-check" data-action="awp_io_verify_cloudflare_token" data-field="cloudflare_api_token"><?php _e('Check', 'text-domain'); ?></button>
+                        <span class="awp-io-status-badge" data-status="unchecked"><?php _e('Not checked', 'text-domain'); ?></span>
+                        <p class="description"><?php _e('If your site uses Cloudflare, enter an API token with the Cache Purge permission. URLs are purged in batches of up to 30 per API call.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="cdn_purge_http_targets"><?php _e('Proxy Purge Targets', 'text-domain'); ?></label></th>
+                    <td>
+                        <textarea name="cdn_purge_http_targets" id="cdn_purge_http_targets" rows="3" class="large-text code" placeholder="http://127.0.0.1:6081"><?php echo esc_textarea($settings['cdn_purge_http_targets']); ?></textarea>
+                        <p class="description"><?php _e('Varnish or nginx servers to send purge requests to, one base URL per line. Each image URL is requested with its path and the site host in the Host header.', 'text-domain'); ?></p>
+                        <p>
+                            <label for="cdn_purge_http_method"><?php _e('Request method', 'text-domain'); ?></label>
+                            <select name="cdn_purge_http_method" id="cdn_purge_http_method">
+                                <option value="PURGE" <?php selected($settings['cdn_purge_http_method'], 'PURGE'); ?>>PURGE</option>
+                                <option value="BAN" <?php selected($settings['cdn_purge_http_method'], 'BAN'); ?>>BAN</option>
+                            </select>
+                        </p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="cdn_purge_webhook_url"><?php _e('Purge Webhook', 'text-domain'); ?></label></th>
+                    <td>
+                        <input type="url" name="cdn_purge_webhook_url" id="cdn_purge_webhook_url" value="<?php echo esc_attr($settings['cdn_purge_webhook_url']); ?>" placeholder="https://" class="regular-text">
+                        <p class="description"><?php _e('The URLs to purge are sent to this URL as a cache.purge event in the format of the notification webhook, e.g. for a CDN without a built-in integration.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="cdn_purge_webhook_secret"><?php _e('Purge Webhook Secret', 'text-domain'); ?></label></th>
+                    <td>
+                        <input type="text" name="cdn_purge_webhook_secret" id="cdn_purge_webhook_secret" value="<?php echo esc_attr($settings['cdn_purge_webhook_secret']); ?>" class="regular-text" autocomplete="off">
+                        <p class="description"><?php _e('If set, the request body is signed with HMAC-SHA256 in the X-AWP-IO-Signature header.', 'text-domain'); ?></p>
+                        <p>
+                            <button type="button" id="test-cache-purge" class="button button-secondary"><?php _e('Test Purge', 'text-domain'); ?></button>
+                            <span class="spinner"></span>
+                        </p>
+                        <p class="description"><?php _e('Purges the URL of the latest image with every configured integration, using the saved settings.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
+            </table>
+
+            <h3><?php _e('Import / Export Settings', 'text-domain'); ?></h3>
+            <p class="description"><?php _e('Copy the settings to another site. API keys, tokens and webhook secrets are only exported and imported when selected.', 'text-domain'); ?></p>
+            <table class="form-table settings-transfer">
+                <tr>
+                    <th scope="row"><?php _e('Export', 'text-domain'); ?></th>
+                    <td>
+                        <label><input type="checkbox" id="export-settings-secrets"> <?php _e('Include secrets', 'text-domain'); ?></label>
+                        <a id="export-settings-button" class="button button-secondary" href="<?php echo esc_url(wp_nonce_url(admin_url('admin-post.php?action=awp_io_export_settings'), 'awp_io_export_settings')); ?>"><?php _e('Download', 'text-domain'); ?></a>
+                        <p class="description"><?php _e('Downloads the saved settings as a JSON file.', 'text-domain'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="import-settings-file"><?php _e('Import', 'text-domain'); ?></label></th>
+                    <td>
+                        <input type="file" id="import-settings-file" accept=".json,application/json">
+                        <label><input type="checkbox" id="import-settings-secrets"> <?php _e('Import secrets', 'text-domain'); ?></label>
+                        <p>
+                            <button type="button" id="import-settings-button" class="button button-secondary"><?php _e('Import', 'text-domain'); ?></button>
+                            <span class="spinner"></span>
+                        </p>
+                        <p class="description"><?php _e('Settings in the file replace the current settings, settings missing from it are kept. The page is reloaded after the import.', 'text-domain'); ?></p>
                     </td>
                 </tr>
             </table>
@@ -151,9 +372,26 @@ if (!defined('ABSPATH')) exit; ?>
                     _e('Click the button below to start the optimization process.', 'text-domain');
                     ?>
                 </p>
+                <div id="resume-run-notice" class="notice notice-info inline" style="display: none;">
+                    <p>
+                        <span id="resume-run-text"></span>
+                        <button type="button" id="resume-run-button" class="button button-secondary"><?php _e('Resume', 'text-domain'); ?></button>
+                        <button type="button" id="discard-run-button" class="button-link"><?php _e('Discard', 'text-domain'); ?></button>
+                    </p>
+                </div>
+
                 <button id="start-optimization-button" class="button button-primary">
                     Start Optimization
                 </button>
+                <button type="button" id="pause-optimization-button" class="button" style="display: none;">
+                    <?php _e('Pause', 'text-domain'); ?>
+                </button>
+                <button type="button" id="resume-optimization-button" class="button" style="display: none;">
+                    <?php _e('Resume', 'text-domain'); ?>
+                </button>
+                <button type="button" id="cancel-optimization-button" class="button" style="display: none;">
+                    <?php _e('Cancel', 'text-domain'); ?>
+                </button>
 
                 <label class="re-optimize">
                     <input id="re-optimize-images" type="checkbox" name="re-optimize-images">
@@ -165,6 +403,59 @@ if (!defined('ABSPATH')) exit; ?>
                     <span class="tooltip-text"><?php _e('Enable this option to re-optimize images that have already been optimized. This can be useful if you want to apply new optimization settings to previously processed images.', 'text-domain'); ?></span>
                 </span>
 
+                <div id="optimization-scope" class="optimization-scope">
+                    <h4><?php _e('Scope', 'text-domain'); ?></h4>
+                    <p class="description"><?php _e('Restrict the run to part of the media library. Leave all fields empty to process every image.', 'text-domain'); ?></p>
+                    <table class="form-table">
+                        <tr>
+                            <th scope="row"><label for="scope-date-from"><?php _e('Uploaded Between', 'text-domain'); ?></label></th>
+                            <td>
+                                <input type="date" id="scope-date-from" class="scope-field" data-scope="date_from">
+                                &ndash;
+                                <input type="date" id="scope-date-to" class="scope-field" data-scope="date_to" aria-label="<?php esc_attr_e('Uploaded before', 'text-domain'); ?>">
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row"><?php _e('Image Types', 'text-domain'); ?></th>
+                            <td>
+                                <?php foreach ($scope_mime_types as $mime_type => $label) : ?>
+                                    <label class="scope-mime-type">
+                                        <input type="checkbox" class="scope-field" data-scope="mime_types" value="<?php echo esc_attr($mime_type); ?>">
+                                        <?php echo esc_html($label); ?>
+                                    </label>
+                                <?php endforeach; ?>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row"><label for="scope-folder"><?php _e('Uploads Folder', 'text-domain'); ?></label></th>
+                            <td>
+                                <input type="text" id="scope-folder" class="scope-field regular-text" data-scope="folder" list="scope-folders" placeholder="2024/05">
+                                <datalist id="scope-folders">
+                                    <?php foreach ($upload_folders as $folder) : ?>
+                                        <option value="<?php echo esc_attr($folder); ?>"></option>
+                                    <?php endforeach; ?>
+                                </datalist>
+                                <p class="description"><?php _e('Subfolder of the uploads directory, including its subfolders.', 'text-domain'); ?></p>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row"><label for="scope-parent-ids"><?php _e('Attached To', 'text-domain'); ?></label></th>
+                            <td>
+                                <input type="text" id="scope-parent-ids" class="scope-field regular-text" data-scope="parent_ids" placeholder="12, 345">
+                                <p class="description"><?php _e('Comma-separated IDs of the posts or pages the images are attached to.', 'text-domain'); ?></p>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row"><label for="scope-attachment-ids"><?php _e('Attachment IDs', 'text-domain'); ?></label></th>
+                            <td>
+                                <input type="text" id="scope-attachment-ids" class="scope-field regular-text" data-scope="attachment_ids" placeholder="101, 102, 250">
+                                <p class="description"><?php _e('Comma-separated list of image IDs.', 'text-domain'); ?></p>
+                            </td>
+                        </tr>
+                    </table>
+                    <p id="scope-count" class="scope-count"></p>
+                </div>
+
                 <div id="progress-container" class="progress-section" style="display: none;">
                     <div class="progress-status">
                         <span class="spinner is-active"></span>
@@ -177,6 +468,108 @@ if (!defined('ABSPATH')) exit; ?>
                 </div>
 
                 <div id="optimization-results" class="results-container" style="display: none;"></div>
+                <p id="optimization-log-export" class="run-log-export" style="display: none;">
+                    <button type="button" class="button export-run-log" data-format="csv"><?php _e('Export this run\'s log (CSV)', 'text-domain'); ?></button>
+                    <button type="button" class="button export-run-log" data-format="json"><?php _e('Export this run\'s log (JSON)', 'text-domain'); ?></button>
+                </p>
+            </div>
+
+            <div class="optimization-container scheduled-optimization">
+                <h3><?php _e('Scheduled Optimization', 'text-domain'); ?></h3>
+                <p class="description"><?php _e('Optimize new and previously failed images in the background with WP-Cron, without keeping this page open.', 'text-domain'); ?></p>
+                <table class="form-table">
+                    <tr>
+                        <th scope="row"><?php _e('Schedule', 'text-domain'); ?></th>
+                        <td>
+                            <label><input type="radio" name="scheduled_optimization" value="off" <?php checked($settings['scheduled_optimization'], 'off'); ?>> <?php _e('Off', 'text-domain'); ?></label>
+                            <label><input type="radio" name="scheduled_optimization" value="nightly" <?php checked($settings['scheduled_optimization'], 'nightly'); ?>> <?php _e('Nightly', 'text-domain'); ?></label>
+                            <label><input type="radio" name="scheduled_optimization" value="weekly" <?php checked($settings['scheduled_optimization'], 'weekly'); ?>> <?php _e('Weekly', 'text-domain'); ?></label>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="scheduled_optimization_time"><?php _e('Start At', 'text-domain'); ?></label></th>
+                        <td>
+                            <select name="scheduled_optimization_day" id="scheduled_optimization_day" aria-label="<?php esc_attr_e('Day of the week', 'text-domain'); ?>">
+                                <?php for ($day = 0; $day < 7; $day++) : ?>
+                                    <option value="<?php echo $day; ?>" <?php selected((int) $settings['scheduled_optimization_day'], $day); ?>><?php echo esc_html($GLOBALS['wp_locale']->get_weekday($day)); ?></option>
+                                <?php endfor; ?>
+                            </select>
+                            <input type="time" name="scheduled_optimization_time" id="scheduled_optimization_time" value="<?php echo esc_attr($settings['scheduled_optimization_time']); ?>">
+                            <p class="description"><?php _e('Time of the site\'s timezone the run starts at. The day is only used by the weekly schedule.', 'text-domain'); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="scheduled_optimization_max_images"><?php _e('Images per Run', 'text-domain'); ?></label></th>
+                        <td>
+                            <input type="number" name="scheduled_optimization_max_images" id="scheduled_optimization_max_images" min="1" value="<?php echo esc_attr($settings['scheduled_optimization_max_images']); ?>" class="small-text">
+                            <p class="description"><?php _e('Maximum number of images a run optimizes. Images that are left are optimized by the next run.', 'text-domain'); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="scheduled_optimization_quiet_start"><?php _e('Quiet Hours', 'text-domain'); ?></label></th>
+                        <td>
+                            <input type="time" name="scheduled_optimization_quiet_start" id="scheduled_optimization_quiet_start" value="<?php echo esc_attr($settings['scheduled_optimization_quiet_hours']['start']); ?>">
+                            &ndash;
+                            <input type="time" name="scheduled_optimization_quiet_end" id="scheduled_optimization_quiet_end" value="<?php echo esc_attr($settings['scheduled_optimization_quiet_hours']['end']); ?>" aria-label="<?php esc_attr_e('End of the quiet hours', 'text-domain'); ?>">
+                            <p class="description"><?php _e('A run still in progress pauses during these hours, e.g. while your site has the most visitors, and continues afterwards. Leave empty to never pause.', 'text-domain'); ?></p>
+                        </td>
+                    </tr>
+                </table>
+                <?php submit_button(__('Save Schedule', 'text-domain'), 'secondary', 'save-schedule'); ?>
+
+                <div class="scheduled-optimization-status">
+                    <?php $date_format = get_option('date_format') . ' ' . get_option('time_format'); ?>
+                    <?php if (!empty($scheduled_optimization['current'])) : ?>
+                        <p>
+                            <strong><?php _e('Current run:', 'text-domain'); ?></strong>
+                            <?php printf(
+                                esc_html__('Started %1$s, %2$d of up to %3$d images processed.', 'text-domain'),
+                                esc_html(wp_date($date_format, $scheduled_optimization['current']['started_at'])),
+                                (int) $scheduled_optimization['current']['processed'],
+                                (int) $scheduled_optimization['current']['max_images']
+                            ); ?>
+                        </p>
+                    <?php endif; ?>
+                    <p>
+                        <strong><?php _e('Last run:', 'text-domain'); ?></strong>
+                        <?php if (!empty($scheduled_optimization['last'])) :
+                            $last_run = $scheduled_optimization['last'];
+                            $last_run_statuses = array(
+                                'completed' => __('Completed', 'text-domain'),
+                                'limit_reached' => __('Stopped at the maximum number of images', 'text-domain'),
+                                'failed' => __('Failed', 'text-domain'),
+                                'cancelled' => __('Cancelled', 'text-domain'),
+                            ); ?>
+                            <?php echo esc_html(wp_date($date_format, $last_run['finished_at'])); ?> &ndash;
+                            <span class="scheduled-run-status scheduled-run-status-<?php echo esc_attr($last_run['status']); ?>"><?php echo esc_html($last_run_statuses[$last_run['status']] ?? $last_run['status']); ?></span>
+                            <br>
+                            <?php printf(
+                                esc_html__('%1$d images processed: %2$d optimized, %3$d failed, %4$s saved. %5$d previously failed images retried, %6$d unoptimized images left.', 'text-domain'),
+                                (int) $last_run['processed'],
+                                (int) $last_run['optimized'],
+                                (int) $last_run['errors'],
+                                esc_html(size_format($last_run['bytes_saved'], 2)),
+                                (int) $last_run['retried_failed'],
+                                (int) $last_run['remaining']
+                            ); ?>
+                            <?php if (!empty($last_run['message'])) : ?>
+                                <br><?php echo esc_html($last_run['message']); ?>
+                            <?php elseif (!empty($last_run['error_samples'])) : ?>
+                                <br><?php printf(esc_html__('First error: %s', 'text-domain'), esc_html($last_run['error_samples'][0]['message'])); ?>
+                            <?php endif; ?>
+                        <?php else : ?>
+                            <?php _e('None yet', 'text-domain'); ?>
+                        <?php endif; ?>
+                    </p>
+                    <p>
+                        <strong><?php _e('Next run:', 'text-domain'); ?></strong>
+                        <?php if ($scheduled_optimization['enabled'] && !empty($scheduled_optimization['next_run'])) : ?>
+                            <?php echo esc_html(wp_date($date_format, $scheduled_optimization['next_run'])); ?>
+                        <?php else : ?>
+                            <?php _e('Not scheduled', 'text-domain'); ?>
+                        <?php endif; ?>
+                    </p>
+                </div>
             </div>
 
             <div class="optimization-stats-container">
@@ -203,6 +596,10 @@ if (!defined('ABSPATH')) exit; ?>
                                 <span class="stat-label"><?php _e('WebP Savings:', 'text-domain'); ?></span>
                                 <span id="webp-savings" class="stat-value"><?php echo size_format($stats->total_webp_savings, 2) ?: '-'; ?></span>
                             </div>
+                            <div class="stat-item">
+                                <span class="stat-label"><?php _e('AVIF Savings:', 'text-domain'); ?></span>
+                                <span id="avif-savings" class="stat-value"><?php echo size_format($stats->total_avif_savings, 2) ?: '-'; ?></span>
+                            </div>
                             <div class="stat-item">
                                 <span class="stat-label"><?php _e('Normal Savings:', 'text-domain'); ?></span>
                                 <span id="normal-savings" class="stat-value"><?php echo size_format($stats->total_normal_savings, 2) ?: '-'; ?></span>
@@ -216,6 +613,10 @@ if (!defined('ABSPATH')) exit; ?>
                                 <span class="stat-label"><?php _e('WebP Images:', 'text-domain'); ?></span>
                                 <span id="webp-conversions" class="stat-value"><?php echo $stats->total_webp_conversions ?: '-'; ?></span>
                             </div>
+                            <div class="stat-item">
+                                <span class="stat-label"><?php _e('AVIF Images:', 'text-domain'); ?></span>
+                                <span id="avif-conversions" class="stat-value"><?php echo $stats->total_avif_conversions ?: '-'; ?></span>
+                            </div>
                             <div class="stat-item">
                                 <span class="stat-label"><?php _e('PNG to JPG:', 'text-domain'); ?></span>
                                 <span id="png-jpg-conversions" class="stat-value"><?php echo $stats->total_png_to_jpg_conversions ?: '-'; ?></span>
@@ -235,11 +636,67 @@ if (!defined('ABSPATH')) exit; ?>
         <div id="bulk-restore" class="tab-content" style="display: none;">
             <div class="optimization-container">
                 <h3><?php _e('Bulk Restore Images', 'text-domain'); ?></h3>
-                <p><?php _e('Click the button below to restore all optimized images to their original versions.', 'text-domain'); ?></p>
+                <p><?php _e('Click the button below to restore all optimized images, or the images matching the filter, to their original versions.', 'text-domain'); ?></p>
 
                 <button id="start-restore-button" class="button button-primary">
                     <?php _e('Start Restore', 'text-domain'); ?>
                 </button>
+                <button type="button" id="preview-restore-button" class="button">
+                    <?php _e('Preview', 'text-domain'); ?>
+                </button>
+
+                <div id="restore-filter" class="optimization-scope restore-filter">
+                    <h4><?php _e('Filter', 'text-domain'); ?></h4>
+                    <p class="description"><?php _e('Restore only part of the optimized images, e.g. after a re-optimization with unwanted settings. Leave all fields empty to restore every optimized image.', 'text-domain'); ?></p>
+                    <table class="form-table">
+                        <tr>
+                            <th scope="row"><label for="restore-optimized-from"><?php _e('Optimized Between', 'text-domain'); ?></label></th>
+                            <td>
+                                <input type="date" id="restore-optimized-from" class="restore-filter-field" data-filter="optimized_from">
+                                &ndash;
+                                <input type="date" id="restore-optimized-to" class="restore-filter-field" data-filter="optimized_to" aria-label="<?php esc_attr_e('Optimized before', 'text-domain'); ?>">
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row"><label for="restore-max-savings"><?php _e('Savings Below', 'text-domain'); ?></label></th>
+                            <td>
+                                <input type="number" id="restore-max-savings" class="restore-filter-field small-text" data-filter="max_savings" step="0.1" min="-100" max="100"> %
+                                <p class="description"><?php _e('Only restore images that saved less than this percentage. Enter 0 to restore the images that got larger.', 'text-domain'); ?></p>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row"><?php _e('Image Types', 'text-domain'); ?></th>
+                            <td>
+                                <?php foreach ($scope_mime_types as $mime_type => $label) : ?>
+                                    <label class="scope-mime-type">
+                                        <input type="checkbox" class="restore-filter-field" data-filter="mime_types" value="<?php echo esc_attr($mime_type); ?>">
+                                        <?php echo esc_html($label); ?>
+                                    </label>
+                                <?php endforeach; ?>
+                            </td>
+                        </tr>
+                        <tr>
+                            <th scope="row"><label for="restore-attachment-ids"><?php _e('Attachment IDs', 'text-domain'); ?></label></th>
+                            <td>
+                                <input type="text" id="restore-attachment-ids" class="restore-filter-field regular-text" data-filter="attachment_ids" placeholder="101, 102, 250">
+                                <p class="description"><?php _e('Comma-separated list of image IDs.', 'text-domain'); ?></p>
+                            </td>
+                        </tr>
+                    </table>
+                    <p id="restore-preview-count" class="scope-count"></p>
+                    <table id="restore-preview" class="widefat striped restore-preview" style="display: none;">
+                        <thead>
+                            <tr>
+                                <th><?php _e('ID', 'text-domain'); ?></th>
+                                <th><?php _e('Title', 'text-domain'); ?></th>
+                                <th><?php _e('Type', 'text-domain'); ?></th>
+                                <th><?php _e('Optimized', 'text-domain'); ?></th>
+                                <th><?php _e('Savings', 'text-domain'); ?></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
 
                 <div id="restore-progress-container" class="progress-section" style="display: none;">
                     <div class="progress-status">
@@ -254,6 +711,142 @@ if (!defined('ABSPATH')) exit; ?>
                 </div>
 
                 <div id="restore-results" class="results-container" style="display: none;"></div>
+                <p id="restore-log-export" class="run-log-export" style="display: none;">
+                    <button type="button" class="button export-run-log" data-format="csv"><?php _e('Export this run\'s log (CSV)', 'text-domain'); ?></button>
+                    <button type="button" class="button export-run-log" data-format="json"><?php _e('Export this run\'s log (JSON)', 'text-domain'); ?></button>
+                </p>
+            </div>
+
+            <div class="optimization-container backup-integrity">
+                <h3><?php _e('Backup Integrity', 'text-domain'); ?></h3>
+                <p><?php _e('Check every backup against its recorded size and checksum, and find backups that no image refers to anymore. Old and orphaned backups can be deleted with <code>wp awp-io backups prune</code>.', 'text-domain'); ?></p>
+
+                <button id="verify-backups-button" class="button">
+                    <?php _e('Verify Backups', 'text-domain'); ?>
+                </button>
+                <span class="spinner"></span>
+
+                <p id="verify-backups-status" class="backup-integrity-status"></p>
+                <ul id="verify-backups-summary" class="backup-integrity-summary" style="display: none;"></ul>
+                <div id="verify-backups-results" class="results-container" style="display: none;"></div>
+            </div>
+        </div>
+        <!-- Statistics Tab -->
+        <div id="statistics" class="tab-content" style="display: none;">
+            <div class="statistics-dashboard" data-empty-text="<?php esc_attr_e('No optimizations in this period.', 'text-domain'); ?>">
+                <div class="statistics-filters">
+                    <label for="statistics-from"><?php _e('From', 'text-domain'); ?></label>
+                    <input type="date" id="statistics-from" value="<?php echo esc_attr($statistics_range['from']); ?>">
+                    <label for="statistics-to"><?php _e('To', 'text-domain'); ?></label>
+                    <input type="date" id="statistics-to" value="<?php echo esc_attr($statistics_range['to']); ?>">
+                    <label for="statistics-bucket"><?php _e('Group by', 'text-domain'); ?></label>
+                    <select id="statistics-bucket">
+                        <option value="day"><?php _e('Day', 'text-domain'); ?></option>
+                        <option value="week"><?php _e('Week', 'text-domain'); ?></option>
+                    </select>
+                    <button type="button" id="statistics-apply" class="button button-secondary"><?php _e('Apply', 'text-domain'); ?></button>
+                    <span class="spinner"></span>
+                </div>
+                <p id="statistics-error" class="statistics-error" style="display: none;"></p>
+
+                <div class="stats-card">
+                    <h3><?php _e('Savings Over Time', 'text-domain'); ?></h3>
+                    <div id="statistics-savings-chart" class="statistics-chart"></div>
+                    <ul class="statistics-legend">
+                        <li><span class="legend-swatch series-normal"></span><?php _e('Normal Savings', 'text-domain'); ?></li>
+                        <li><span class="legend-swatch series-webp"></span><?php _e('WebP Savings', 'text-domain'); ?></li>
+                        <li><span class="legend-swatch series-avif"></span><?php _e('AVIF Savings', 'text-domain'); ?></li>
+                    </ul>
+                </div>
+
+                <div class="stats-card">
+                    <h3><?php _e('Conversions Over Time', 'text-domain'); ?></h3>
+                    <div id="statistics-conversions-chart" class="statistics-chart"></div>
+                    <ul class="statistics-legend">
+                        <li><span class="legend-swatch series-webp"></span><?php _e('WebP Images', 'text-domain'); ?></li>
+                        <li><span class="legend-swatch series-avif"></span><?php _e('AVIF Images', 'text-domain'); ?></li>
+                        <li><span class="legend-swatch series-png"></span><?php _e('PNG to JPG', 'text-domain'); ?></li>
+                    </ul>
+                </div>
+
+                <div class="statistics-grid">
+                    <div class="stats-card">
+                        <h3><?php _e('Savings by Image Type', 'text-domain'); ?></h3>
+                        <table class="widefat striped statistics-table">
+                            <thead>
+                                <tr>
+                                    <th><?php _e('Type', 'text-domain'); ?></th>
+                                    <th><?php _e('Images', 'text-domain'); ?></th>
+                                    <th><?php _e('Normal Savings', 'text-domain'); ?></th>
+                                    <th><?php _e('WebP Savings', 'text-domain'); ?></th>
+                                    <th><?php _e('AVIF Savings', 'text-domain'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody id="statistics-by-mime-type"></tbody>
+                        </table>
+                    </div>
+
+                    <div class="stats-card">
+                        <h3><?php _e('Savings by Image Size', 'text-domain'); ?></h3>
+                        <table class="widefat striped statistics-table">
+                            <thead>
+                                <tr>
+                                    <th><?php _e('Size', 'text-domain'); ?></th>
+                                    <th><?php _e('Files', 'text-domain'); ?></th>
+                                    <th><?php _e('Saved', 'text-domain'); ?></th>
+                                    <th><?php _e('WebP Savings', 'text-domain'); ?></th>
+                                    <th><?php _e('AVIF Savings', 'text-domain'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody id="statistics-by-size"></tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <div class="statistics-grid">
+                    <div class="stats-card">
+                        <h3><?php _e('Largest Savings', 'text-domain'); ?></h3>
+                        <table class="widefat striped statistics-table">
+                            <thead>
+                                <tr>
+                                    <th><?php _e('Image', 'text-domain'); ?></th>
+                                    <th><?php _e('Normal Savings', 'text-domain'); ?></th>
+                                    <th><?php _e('WebP Savings', 'text-domain'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody id="statistics-top-savings"></tbody>
+                        </table>
+                    </div>
+
+                    <div class="stats-card">
+                        <h3><?php _e('Least Compressed', 'text-domain'); ?></h3>
+                        <table class="widefat striped statistics-table">
+                            <thead>
+                                <tr>
+                                    <th><?php _e('Image', 'text-domain'); ?></th>
+                                    <th><?php _e('Original', 'text-domain'); ?></th>
+                                    <th><?php _e('Saved', 'text-domain'); ?></th>
+                                </tr>
+                            </thead>
+                            <tbody id="statistics-worst-compressed"></tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <div class="stats-card statistics-export">
+                    <h3><?php _e('Export Results', 'text-domain'); ?></h3>
+                    <p class="description"><?php _e('Download original, optimized and WebP file sizes, conversions and failure messages of every optimized image size.', 'text-domain'); ?></p>
+                    <select id="export-results-status" aria-label="<?php esc_attr_e('Images to export', 'text-domain'); ?>">
+                        <option value="all"><?php _e('All results', 'text-domain'); ?></option>
+                        <option value="optimized"><?php _e('Optimized only', 'text-domain'); ?></option>
+                        <option value="failed"><?php _e('Failed only', 'text-domain'); ?></option>
+                    </select>
+                    <select id="export-results-format" aria-label="<?php esc_attr_e('Export format', 'text-domain'); ?>">
+                        <option value="csv">CSV</option>
+                        <option value="json">JSON</option>
+                    </select>
+                    <a id="export-results-button" class="button button-secondary" href="<?php echo esc_url(wp_nonce_url(admin_url('admin-post.php?action=awp_io_export_results'), 'awp_io_export_results')); ?>"><?php _e('Download', 'text-domain'); ?></a>
+                </div>
             </div>
         </div>
 
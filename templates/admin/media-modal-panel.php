@@ -0,0 +1,92 @@
+<?php
+
+/**
+ * Media modal template for the image optimization panel.
+ *
+ * Rendered by the attachment details view of the media modal with the
+ * optimization data added to each attachment by MediaLibraryOptimizer.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+
+if (!defined('ABSPATH')) exit; ?>
+
+<script type="text/html" id="tmpl-awp-io-attachment-panel">
+    <h2><?php _e('Image Optimization', 'text-domain'); ?></h2>
+
+    <# if ( data.queue ) { #>
+        <p class="queue-status queue-status-{{ data.queue.status }}">{{ data.queue.label }}</p>
+    <# } #>
+
+    <# if ( data.optimized && data.summary && data.summary.main && data.summary.main.original > 0 ) { #>
+        <div class="reduction-percent">
+            <?php
+            /* translators: %s: Percentage the image was reduced by. */
+            printf(__('Reduced by %s%%', 'text-domain'), '{{ data.summary.main.percent }}');
+            ?>
+            <# if ( data.summary.use_webp_savings ) { #>
+                <span class="webp-savings"><?php _e('(WebP savings)', 'text-domain'); ?></span>
+            <# } #>
+        </div>
+        <div class="saved-size">
+            <?php
+            /* translators: 1: Saved file size, 2: Original file size. */
+            printf(__('Saved %1$s of %2$s', 'text-domain'), '{{ data.summary.main.saved_size }}', '{{ data.summary.main.original_size }}');
+            ?>
+        </div>
+        <# if ( data.summary.converted_to_jpg ) { #>
+            <div class="conversion-info"><?php _e('Converted to JPEG', 'text-domain'); ?></div>
+        <# } #>
+        <# if ( data.summary.has_webp ) { #>
+            <div class="webp-info"><?php _e('WebP version created', 'text-domain'); ?></div>
+        <# } #>
+        <# if ( data.summary.has_avif ) { #>
+            <div class="webp-info avif-info"><?php _e('AVIF version created', 'text-domain'); ?></div>
+        <# } #>
+        <# if ( data.summary.compression_level_label ) { #>
+            <div class="compression-info">
+                <?php
+                /* translators: %s: Compression level, e.g. Lossy. */
+                printf(__('Compression: %s', 'text-domain'), '{{ data.summary.compression_level_label }}');
+                ?>
+            </div>
+        <# } #>
+        <# if ( data.summary.thumbnails.length ) { #>
+            <ul class="thumbnail-list">
+                <# _.each( data.summary.thumbnails, function( thumb ) { #>
+                    <li>
+                        <span class="size">{{ thumb.size }}</span>
+                        <span class="percent">{{ thumb.percent }}%</span>
+                    </li>
+                <# } ); #>
+            </ul>
+        <# } #>
+    <# } else if ( data.optimized ) { #>
+        <p class="description"><?php _e('Optimized, no savings recorded.', 'text-domain'); ?></p>
+    <# } else { #>
+        <p class="description"><?php _e('This image has not been optimized yet.', 'text-domain'); ?></p>
+    <# } #>
+
+    <# if ( data.failed.length ) { #>
+        <div class="failed-info">
+            <strong><?php _e('Some sizes could not be optimized:', 'text-domain'); ?></strong>
+            <# _.each( data.failed, function( message ) { #>
+                <div>{{ message }}</div>
+            <# } ); #>
+        </div>
+    <# } #>
+
+    <div class="panel-actions">
+        <# if ( data.optimized ) { #>
+            <# if ( data.canRestore ) { #>
+                <button type="button" class="button awp-io-restore"><?php _e('Restore Original', 'text-domain'); ?></button>
+            <# } #>
+            <button type="button" class="button awp-io-reoptimize"><?php _e('ReOptimize Image', 'text-domain'); ?></button>
+        <# } else { #>
+            <button type="button" class="button button-primary awp-io-optimize"><?php _e('Optimize Image', 'text-domain'); ?></button>
+        <# } #>
+        <span class="spinner"></span>
+    </div>
+    <p class="request-status"></p>
+</script>
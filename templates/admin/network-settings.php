@@ -0,0 +1,125 @@
+<?php
+
+/**
+ * Network admin page template for the Effective Image Optimizer plugin.
+ *
+ * Defines the network default profile, by copying the settings of a site or
+ * importing an export, and lets sites inherit the profile or use their own settings.
+ *
+ * @package AWP\IO
+ * @since 1.2.0
+ */
+
+use AWP\IO\Admin\SettingsProfiles;
+
+if (!defined('ABSPATH')) exit;
+
+$notices = array(
+    'profile_saved' => array('success', sprintf(_n('The network default profile was saved and copied to %d site.', 'The network default profile was saved and copied to %d sites.', $notice_count, 'text-domain'), $notice_count)),
+    'sites_updated' => array('success', sprintf(_n('%d site was updated.', '%d sites were updated.', $notice_count, 'text-domain'), $notice_count)),
+    'invalid_site' => array('error', __('The selected site has no settings to copy.', 'text-domain')),
+    'invalid_import' => array('error', __('The file is not a valid settings export.', 'text-domain')),
+    'invalid_request' => array('error', __('Nothing was changed.', 'text-domain')),
+);
+$form_action = network_admin_url('edit.php?action=awp_io_network_settings');
+$export_url = wp_nonce_url(admin_url('admin-post.php?action=awp_io_export_settings&network=1'), 'awp_io_export_settings'); ?>
+
+<div class="wrap awp-io-network-settings">
+    <h1><?php _e('Image Optimizer Network Settings', 'text-domain'); ?></h1>
+
+    <?php if (isset($notices[$notice])) : ?>
+        <div class="notice notice-<?php echo esc_attr($notices[$notice][0]); ?> is-dismissible">
+            <p><?php echo esc_html($notices[$notice][1]); ?></p>
+        </div>
+    <?php endif; ?>
+
+    <h2><?php _e('Network Default Profile', 'text-domain'); ?></h2>
+    <p class="description">
+        <?php if ($profile === null) : ?>
+            <?php _e('No profile is defined yet. Copy the settings of a configured site or import an export to define one. New sites inherit the profile.', 'text-domain'); ?>
+        <?php else : ?>
+            <?php printf(
+                __('Sites that inherit the profile get its settings, new sites inherit it. Last saved: %s.', 'text-domain') . ' ' . __('The API key, tokens and webhook secrets stay per site unless the profile sets them.', 'text-domain'),
+                $profile_updated_at ? esc_html(wp_date(get_option('date_format') . ' ' . get_option('time_format'), $profile_updated_at)) : '&mdash;'
+            ); ?>
+        <?php endif; ?>
+    </p>
+
+    <table class="form-table">
+        <tr>
+            <th scope="row"><label for="source_site"><?php _e('Copy From Site', 'text-domain'); ?></label></th>
+            <td>
+                <form method="post" action="<?php echo esc_url($form_action); ?>">
+                    <?php wp_nonce_field('awp_io_network_settings'); ?>
+                    <input type="hidden" name="network_task" value="copy_site">
+                    <select name="source_site" id="source_site">
+                        <?php foreach ($sites as $site) : ?>
+                            <option value="<?php echo esc_attr($site['id']); ?>"><?php echo esc_html($site['name'] . ' (' . $site['url'] . ')'); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                    <label><input type="checkbox" name="include_secrets" value="1"> <?php _e('Copy secrets', 'text-domain'); ?></label>
+                    <?php submit_button(__('Copy Settings', 'text-domain'), 'secondary', 'submit', false); ?>
+                    <p class="description"><?php _e('Uses the settings of the site as the profile. Its secrets are only copied when checked, and then replace the secrets of every inheriting site.', 'text-domain'); ?></p>
+                </form>
+            </td>
+        </tr>
+        <tr>
+            <th scope="row"><label for="settings_file"><?php _e('Import', 'text-domain'); ?></label></th>
+            <td>
+                <form method="post" action="<?php echo esc_url($form_action); ?>" enctype="multipart/form-data">
+                    <?php wp_nonce_field('awp_io_network_settings'); ?>
+                    <input type="hidden" name="network_task" value="import">
+                    <input type="file" name="settings_file" id="settings_file" accept=".json,application/json" required>
+                    <label><input type="checkbox" name="include_secrets" value="1"> <?php _e('Import secrets', 'text-domain'); ?></label>
+                    <?php submit_button(__('Import', 'text-domain'), 'secondary', 'submit', false); ?>
+                    <p class="description"><?php _e('Settings in the file replace the settings of the profile, settings missing from it are kept.', 'text-domain'); ?></p>
+                </form>
+            </td>
+        </tr>
+        <?php if ($profile !== null) : ?>
+            <tr>
+                <th scope="row"><?php _e('Export', 'text-domain'); ?></th>
+                <td>
+                    <a class="button button-secondary" href="<?php echo esc_url($export_url); ?>"><?php _e('Download', 'text-domain'); ?></a>
+                    <a class="button button-secondary" href="<?php echo esc_url(add_query_arg('include_secrets', 1, $export_url)); ?>"><?php _e('Download With Secrets', 'text-domain'); ?></a>
+                </td>
+            </tr>
+        <?php endif; ?>
+    </table>
+
+    <?php if ($profile !== null) : ?>
+        <h2><?php _e('Sites', 'text-domain'); ?></h2>
+        <form method="post" action="<?php echo esc_url($form_action); ?>">
+            <?php wp_nonce_field('awp_io_network_settings'); ?>
+            <table class="widefat striped">
+                <thead>
+                    <tr>
+                        <td class="check-column"><input type="checkbox" aria-label="<?php esc_attr_e('Select all sites', 'text-domain'); ?>"></td>
+                        <th><?php _e('Site', 'text-domain'); ?></th>
+                        <th><?php _e('Settings', 'text-domain'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <?php foreach ($sites as $site) : ?>
+                        <tr>
+                            <th scope="row" class="check-column"><input type="checkbox" name="site_ids[]" value="<?php echo esc_attr($site['id']); ?>"></th>
+                            <td>
+                                <strong><?php echo esc_html($site['name']); ?></strong><br>
+                                <a href="<?php echo esc_url(get_admin_url($site['id'], 'options-general.php?page=effective-image-optimizer')); ?>"><?php echo esc_html($site['url']); ?></a>
+                            </td>
+                            <td><?php echo $site['source'] === SettingsProfiles::SOURCE_NETWORK ? esc_html__('Network default profile', 'text-domain') : esc_html__('Own settings', 'text-domain'); ?></td>
+                        </tr>
+                    <?php endforeach; ?>
+                </tbody>
+            </table>
+            <p>
+                <select name="network_task" aria-label="<?php esc_attr_e('Settings of the selected sites', 'text-domain'); ?>">
+                    <option value="<?php echo esc_attr(SettingsProfiles::SOURCE_NETWORK); ?>"><?php _e('Inherit the network default profile', 'text-domain'); ?></option>
+                    <option value="<?php echo esc_attr(SettingsProfiles::SOURCE_SITE); ?>"><?php _e('Use own settings', 'text-domain'); ?></option>
+                </select>
+                <?php submit_button(__('Apply', 'text-domain'), 'secondary', 'submit', false); ?>
+            </p>
+            <p class="description"><?php _e('Sites that inherit the profile lose their own settings, except the secrets the profile does not set. Sites that switch to their own settings keep the settings of the profile until they are changed.', 'text-domain'); ?></p>
+        </form>
+    <?php endif; ?>
+</div>
\ No newline at end of file